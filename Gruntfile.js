@@ -12,20 +12,36 @@ module.exports = function(grunt) {
     'src/Transport.js',
     'src/Parser.js',
     'src/SIPMessage.js',
+    'src/Multipart.js',
+    'src/CPIM.js',
     'src/Subscriber.js',
+    'src/ResourceList.js',
     'src/URI.js',
     'src/NameAddrHeader.js',
     'src/Transactions.js',
     'src/Dialogs.js',
     'src/RequestSender.js',
     'src/InDialogRequestSender.js',
+    'src/Redirector.js',
     'src/Registrator.js',
+    'src/Publisher.js',
     'src/RTCSession.js',
+    'src/MSRP.js',
+    'src/MSRPTransport.js',
+    'src/MSRPSession.js',
     'src/Message.js',
+    'src/IsComposing.js',
+    'src/IMDN.js',
+    'src/MWI.js',
+    'src/Presence.js',
+    'src/DialogInfo.js',
+    'src/RegInfo.js',
+    'src/ConferenceInfo.js',
     'src/UA.js',
     'src/Utils.js',
     'src/SanityCheck.js',
     'src/DigestAuthentication.js',
+    'src/SDP.js',
     'src/WebRTC.js'
   ];
 
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview CPIM
+ */
+
+/**
+ * @augments ExSIP
+ * @namespace Common Presence and Instant Messaging message format (RFC 3862), ie: message/cpim.
+ */
+(function(ExSIP) {
+var CPIM,
+  C = {
+    CONTENT_TYPE: 'message/cpim',
+
+    // Namespace of the headers without prefix
+    NS: 'urn:ietf:params:cpim-headers:'
+  };
+
+CPIM = {
+  /**
+   * Create a CPIM message.
+   * @param {String[]} headers message headers, ie: ['From: <sip:alice@example.com>', 'NS: imdn <urn:ietf:params:imdn>', 'imdn.Message-ID: 34jk324j']
+   * @param {String} contentType
+   * @param {String} body
+   * @param {String[]} [contentHeaders] MIME headers of the content other than its Content-Type
+   * @returns {String}
+   */
+  create: function(headers, contentType, body, contentHeaders) {
+    return headers.join('\r\n') +'\r\n\r\n'+
+      ['Content-Type: '+ contentType].concat(contentHeaders || []).join('\r\n') +'\r\n\r\n'+
+      body;
+  },
+
+  /**
+   * Parse a CPIM message.
+   * @param {String} body
+   * @returns {Object|null} message headers with their namespace, and content, null if the body is not a valid CPIM message, ie:
+   * { headers: [{ prefix: 'imdn', name: 'Message-ID', ns: 'urn:ietf:params:imdn', value: '34jk324j' }], namespaces: { imdn: 'urn:ietf:params:imdn' }, contentHeaders: { 'content-type': 'text/plain' }, contentType: { type: 'text', subtype: 'plain' }, body: 'Hello' }
+   */
+  parse: function(body) {
+    var idx, lines, header, ns, content,
+      headers = [],
+      namespaces = {},
+      separator = /\r?\n\r?\n/.exec(body);
+
+    if (!separator) {
+      return null;
+    }
+
+    lines = body.substring(0, separator.index).split(/\r?\n/);
+    for (idx = 0; idx < lines.length; idx++) {
+      header = lines[idx].match(/^(?:([^.:\s]+)\.)?([^.:\s]+):\s?(.*)$/);
+      if (!header) {
+        return null;
+      }
+
+      // RFC3862 3.3. The NS header declares the namespace of a prefix, or the default one
+      if (!header[1] && header[2] === 'NS') {
+        ns = header[3].match(/^\s*([^<\s]*)\s*<([^>]*)>\s*$/);
+        if (!ns) {
+          return null;
+        }
+        namespaces[ns[1]] = ns[2];
+        continue;
+      }
+
+      headers.push({
+        prefix: header[1] || null,
+        name: header[2],
+        ns: header[1] ? namespaces[header[1]] || null : namespaces[''] || C.NS,
+        value: header[3]
+      });
+    }
+
+    content = ExSIP.Multipart.parsePart(body.substring(separator.index + separator[0].length));
+    if (!content) {
+      return null;
+    }
+
+    return {
+      headers: headers,
+      namespaces: namespaces,
+      contentHeaders: content.headers,
+      contentType: content.contentType,
+      body: content.body
+    };
+  },
+
+  /**
+   * Values of the message headers of the given name and namespace.
+   * @param {Object} message parsed CPIM message
+   * @param {String} name
+   * @param {String} [ns] the CPIM one by default
+   * @returns {String[]}
+   */
+  getHeaders: function(message, name, ns) {
+    var idx,
+      values = [];
+
+    ns = ns || C.NS;
+    name = name.toLowerCase();
+    for (idx = 0; idx < message.headers.length; idx++) {
+      if (message.headers[idx].name.toLowerCase() === name && message.headers[idx].ns === ns) {
+        values.push(message.headers[idx].value);
+      }
+    }
+
+    return values;
+  },
+
+  /**
+   * Value of the first message header of the given name and namespace.
+   * @param {Object} message parsed CPIM message
+   * @param {String} name
+   * @param {String} [ns] the CPIM one by default
+   * @returns {String|null}
+   */
+  getHeader: function(message, name, ns) {
+    return CPIM.getHeaders(message, name, ns)[0] || null;
+  },
+
+  /**
+   * Time the message was sent at, from its DateTime header.
+   * @param {Object} message parsed CPIM message
+   * @returns {Date|null}
+   */
+  getDateTime: function(message) {
+    var datetime = CPIM.getHeader(message, 'DateTime');
+
+    datetime = datetime ? new Date(datetime) : null;
+    return datetime && !window.isNaN(datetime.getTime()) ? datetime : null;
+  },
+
+  /**
+   * NS headers declaring namespaces.
+   * @param {Object} namespaces URIs by prefix, the empty prefix declaring the default namespace, ie: { MyFeatures: 'mid:MessageFeatures@id.foo.com' }
+   * @returns {String[]}
+   */
+  createNamespaces: function(namespaces) {
+    var prefix,
+      headers = [];
+
+    for (prefix in namespaces) {
+      headers.push('NS: '+ (prefix ? prefix +' ' : '') +'<'+ namespaces[prefix] +'>');
+    }
+
+    return headers;
+  }
+};
+
+CPIM.C = C;
+ExSIP.CPIM = CPIM;
+}(ExSIP));
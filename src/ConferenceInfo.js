@@ -0,0 +1,174 @@
+/**
+ * @fileoverview ConferenceInfo
+ */
+
+/**
+ * @augments ExSIP
+ * @namespace Documents of the conference event package (RFC 4575).
+ */
+(function(ExSIP) {
+var ConferenceInfo,
+  C = {
+    EVENT: 'conference',
+    CONTENT_TYPE: 'application/conference-info+xml',
+    NS: 'urn:ietf:params:xml:ns:conference-info',
+
+    // States of the elements of a document
+    STATE_FULL:    'full',
+    STATE_PARTIAL: 'partial',
+    STATE_DELETED: 'deleted',
+
+    // Endpoint statuses
+    STATUS_CONNECTED:     'connected',
+    STATUS_DISCONNECTED:  'disconnected',
+    STATUS_ON_HOLD:       'on-hold',
+    STATUS_MUTED:         'muted-via-focus',
+    STATUS_PENDING:       'pending',
+    STATUS_ALERTING:      'alerting',
+    STATUS_DIALING_IN:    'dialing-in',
+    STATUS_DIALING_OUT:   'dialing-out',
+    STATUS_DISCONNECTING: 'disconnecting'
+  };
+
+/**
+ * Child elements of the given name, ignoring the nested ones.
+ */
+function getChildren(element, name) {
+  var child,
+    children = [];
+
+  for (child = element.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.localName === name && child.namespaceURI === C.NS) {
+      children.push(child);
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Text of the first child element of the given name.
+ */
+function getChildText(element, name) {
+  var child = element ? getChildren(element, name)[0] : null;
+
+  return child ? child.textContent.trim() : null;
+}
+
+function parseMedia(element) {
+  return {
+    id: element.getAttribute('id'),
+    display_text: getChildText(element, 'display-text'),
+    type: getChildText(element, 'type'),
+    label: getChildText(element, 'label'),
+    status: getChildText(element, 'status')
+  };
+}
+
+function parseEndpoint(element) {
+  return {
+    entity: element.getAttribute('entity'),
+    state: element.getAttribute('state') || C.STATE_FULL,
+    display_text: getChildText(element, 'display-text'),
+    status: getChildText(element, 'status'),
+    disconnection_method: getChildText(element, 'disconnection-method'),
+    media: getChildren(element, 'media').map(parseMedia)
+  };
+}
+
+function parseUser(element) {
+  return {
+    entity: element.getAttribute('entity'),
+    state: element.getAttribute('state') || C.STATE_FULL,
+    display_text: getChildText(element, 'display-text'),
+    endpoints: getChildren(element, 'endpoint').map(parseEndpoint)
+  };
+}
+
+ConferenceInfo = {
+  /**
+   * Parse a conference-info document.
+   * @param {String} body
+   * @returns {Object|null} conference information, ie:
+   * { entity: 'sips:conf233@example.com', version: 1, state: 'full', subject: null, display_text: 'Weekly', user_count: 2, active: true, locked: false, users: [{ entity: 'sip:bob@example.com', state: 'full', display_text: 'Bob', endpoints: [{ entity: 'sip:bob@pc33.example.com', state: 'full', display_text: null, status: 'connected', disconnection_method: null, media: [{ id: '1', display_text: null, type: 'audio', label: '34567', status: 'sendrecv' }] }] }] }
+   */
+  parse: function(body) {
+    var doc, info, description, state, users, userCount, active, locked,
+      result = {
+        entity: null,
+        version: null,
+        state: null,
+        subject: null,
+        display_text: null,
+        user_count: null,
+        active: null,
+        locked: null,
+        users: []
+      };
+
+    doc = ExSIP.Utils.parseXML(body);
+    info = doc && doc.documentElement;
+    if (!info || info.localName !== 'conference-info' || info.namespaceURI !== C.NS) {
+      return null;
+    }
+
+    result.entity = info.getAttribute('entity');
+    result.version = window.parseInt(info.getAttribute('version'), 10);
+    result.state = info.getAttribute('state') || C.STATE_FULL;
+
+    if (!result.entity || window.isNaN(result.version)) {
+      return null;
+    }
+
+    description = getChildren(info, 'conference-description')[0];
+    result.subject = getChildText(description, 'subject');
+    result.display_text = getChildText(description, 'display-text');
+
+    state = getChildren(info, 'conference-state')[0];
+    userCount = getChildText(state, 'user-count');
+    active = getChildText(state, 'active');
+    locked = getChildText(state, 'locked');
+    result.user_count = userCount !== null ? window.parseInt(userCount, 10) : null;
+    result.active = active !== null ? active === 'true' : null;
+    result.locked = locked !== null ? locked === 'true' : null;
+
+    users = getChildren(info, 'users')[0];
+    if (users) {
+      result.users = getChildren(users, 'user').map(parseUser);
+    }
+
+    return result;
+  },
+
+  /**
+   * Whether a user takes part in the conference through one of its endpoints.
+   * @param {Object} user
+   * @returns {Boolean}
+   */
+  isConnected: function(user) {
+    var idx, status;
+
+    // A user without endpoint information is in the conference
+    if (!user.endpoints.length) {
+      return true;
+    }
+
+    for (idx = 0; idx < user.endpoints.length; idx++) {
+      status = user.endpoints[idx].status;
+      if (status === C.STATUS_CONNECTED || status === C.STATUS_ON_HOLD || status === C.STATUS_MUTED || status === null) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+};
+
+ExSIP.Subscriber.registerEventPackage(C.EVENT, {
+  accept: [C.CONTENT_TYPE],
+  parse: ConferenceInfo.parse
+});
+
+ConferenceInfo.C = C;
+ExSIP.ConferenceInfo = ConferenceInfo;
+}(ExSIP));
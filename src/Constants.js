@@ -35,6 +35,8 @@ ExSIP.C= {
     INCOMPATIBLE_SDP:         'Incompatible SDP',
     AUTHENTICATION_ERROR:     'Authentication Error',
     DIALOG_ERROR:             'Dialog Error',
+    REGISTRATION_TERMINATED:  'Registration Terminated',
+    REQUEST_TOO_LARGE:        'Request Too Large',
 
     // Session error causes
     WEBRTC_NOT_SUPPORTED:     'WebRTC Not Supported',
@@ -43,6 +45,9 @@ ExSIP.C= {
     NO_ANSWER:                'No Answer',
     EXPIRES:                  'Expires',
     NO_ACK:                   'No ACK',
+    NO_PRACK:                 'No PRACK',
+    SESSION_TIMER_EXPIRED:    'Session Timer Expired',
+    REPLACED:                 'Replaced',
     USER_DENIED_MEDIA_ACCESS: 'User Denied Media Access',
     BAD_MEDIA_DESCRIPTION:    'Bad Media Description',
     RTP_TIMEOUT:              'RTP Timeout',
@@ -58,7 +63,8 @@ ExSIP.C= {
     ADDRESS_INCOMPLETE: [484],
     INCOMPATIBLE_SDP: [488],
     AUTHENTICATION_ERROR:[401,407],
-    NOT_ACCEPTABLE_ERROR:[606]
+    NOT_ACCEPTABLE_ERROR:[606],
+    REQUEST_TOO_LARGE: [413]
   },
 
   // SIP Methods
@@ -71,9 +77,11 @@ ExSIP.C= {
   MESSAGE:    'MESSAGE',
   NOTIFY:     'NOTIFY',
   OPTIONS:    'OPTIONS',
+  PRACK:      'PRACK',
   REGISTER:   'REGISTER',
   UPDATE:     'UPDATE',
   SUBSCRIBE:  'SUBSCRIBE',
+  PUBLISH:    'PUBLISH',
 
   // MODES
   SENDONLY:  'sendonly',
@@ -81,6 +89,11 @@ ExSIP.C= {
   SENDRECV:  'sendrecv',
   INACTIVE:  'inactive',
 
+  // 100REL USAGE (RFC 3262)
+  REL100_NONE:      'none',
+  REL100_SUPPORTED: 'supported',
+  REL100_REQUIRED:  'required',
+
   /* SIP Response Reasons
    * DOC: http://www.iana.org/assignments/sip-parameters
    * Copied from https://github.com/versatica/OverSIP/blob/master/lib/oversip/sip/constants.rb#L7
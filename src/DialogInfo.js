@@ -0,0 +1,277 @@
+/**
+ * @fileoverview DialogInfo
+ */
+
+/**
+ * @augments ExSIP
+ * @class Watchers of the dialogs of other users (dialog event package RFC 4235), ie: busy lamp field.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var DialogInfo,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'DIALOG INFO'),
+  C = {
+    EVENT: 'dialog',
+    CONTENT_TYPE: 'application/dialog-info+xml',
+    NS: 'urn:ietf:params:xml:ns:dialog-info',
+
+    // Dialog states
+    STATE_TRYING:     'trying',
+    STATE_PROCEEDING: 'proceeding',
+    STATE_EARLY:      'early',
+    STATE_CONFIRMED:  'confirmed',
+    STATE_TERMINATED: 'terminated',
+
+    // State of a user with several dialogs, a ringing call can be picked up so it comes first
+    STATE_PRIORITY: ['early', 'confirmed', 'proceeding', 'trying']
+  };
+
+/**
+ * Identity and target of a participant of a dialog.
+ */
+function parseParticipant(element) {
+  var identity, target;
+
+  if (!element) {
+    return null;
+  }
+
+  identity = element.getElementsByTagNameNS(C.NS, 'identity')[0];
+  target = element.getElementsByTagNameNS(C.NS, 'target')[0];
+
+  return {
+    identity: identity ? identity.textContent.trim() : null,
+    display_name: identity ? identity.getAttribute('display') || null : null,
+    target: target ? target.getAttribute('uri') : null
+  };
+}
+
+DialogInfo = function(ua) {
+  this.ua = ua;
+
+  // Watched users by target
+  this.watchers = {};
+};
+
+DialogInfo.prototype = {
+  /**
+   * Watch the dialogs of users, reported by the 'dialogInfoChanged' event of the UA.
+   * @param {String|ExSIP.URI|Array} targets
+   * @param {Object} [options] options of ExSIP.UA.subscribe
+   * @returns {ExSIP.Subscriber[]}
+   */
+  watch: function(targets, options) {
+    var idx,
+      subscribers = [];
+
+    targets = [].concat(targets);
+    for (idx = 0; idx < targets.length; idx++) {
+      subscribers.push(this.watchTarget(targets[idx], options));
+    }
+
+    return subscribers;
+  },
+
+  /**
+   * Stop watching the dialogs of users.
+   * @param {String|ExSIP.URI|Array} targets
+   */
+  unwatch: function(targets) {
+    var idx, target, watcher;
+
+    targets = [].concat(targets);
+    for (idx = 0; idx < targets.length; idx++) {
+      target = ExSIP.Utils.normalizeURI(targets[idx], this.ua.configuration.hostport_params);
+      watcher = this.watchers[target.toString()];
+
+      if (!watcher) {
+        logger.warn('not watching the dialogs of '+ target, this.ua);
+        continue;
+      }
+
+      delete this.watchers[target.toString()];
+      watcher.subscriber.unsubscribe();
+    }
+  },
+
+  /**
+   * Current dialogs of a watched user.
+   * @param {String|ExSIP.URI} target
+   * @returns {Object[]}
+   */
+  getDialogs: function(target) {
+    var id,
+      dialogs = [],
+      watcher = this.watchers[ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params).toString()];
+
+    if (watcher) {
+      for (id in watcher.dialogs) {
+        dialogs.push(watcher.dialogs[id]);
+      }
+    }
+
+    return dialogs;
+  },
+
+  /**
+   * @private
+   */
+  watchTarget: function(target, options) {
+    var watcher,
+      self = this;
+
+    target = ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params);
+
+    if (this.watchers[target.toString()]) {
+      return this.watchers[target.toString()].subscriber;
+    }
+
+    watcher = {
+      target: target,
+      subscriber: this.ua.subscribe(target, C.EVENT, options),
+      dialogs: {}
+    };
+    this.watchers[target.toString()] = watcher;
+
+    watcher.subscriber.on('notify', function(e) {
+      if (e.data.content) {
+        self.update(watcher, e.data.content, e.data.request);
+      }
+    });
+
+    watcher.subscriber.on('failed', function() {
+      delete self.watchers[target.toString()];
+    });
+
+    watcher.subscriber.on('terminated', function() {
+      delete self.watchers[target.toString()];
+    });
+
+    return watcher.subscriber;
+  },
+
+  /**
+   * RFC4235 4.1. Merge the dialog information of a NOTIFY into the state of the user.
+   * @private
+   * @param {Object} watcher
+   * @param {Object} info parsed dialog-info document
+   * @param {ExSIP.IncomingRequest} request
+   */
+  update: function(watcher, info, request) {
+    var idx, id, dialog, dialogs;
+
+    if (!watcher.subscriber.checkVersion(info.version, info.state === 'full', request)) {
+      return;
+    }
+
+    if (info.state === 'full') {
+      watcher.dialogs = {};
+    }
+
+    for (idx = 0; idx < info.dialogs.length; idx++) {
+      dialog = info.dialogs[idx];
+      watcher.dialogs[dialog.id] = dialog;
+    }
+
+    dialogs = this.getDialogs(watcher.target);
+
+    this.ua.emit('dialogInfoChanged', this.ua, {
+      originator: 'remote',
+      target: watcher.target,
+      state: DialogInfo.getState(dialogs),
+      dialogs: dialogs,
+      request: request
+    });
+
+    // Terminated dialogs are only reported once
+    for (id in watcher.dialogs) {
+      if (watcher.dialogs[id].state === C.STATE_TERMINATED) {
+        delete watcher.dialogs[id];
+      }
+    }
+  }
+};
+
+/**
+ * State of a user from the state of its dialogs.
+ * @param {Object[]} dialogs
+ * @returns {String} 'terminated' if the user has no ongoing dialog
+ */
+DialogInfo.getState = function(dialogs) {
+  var idx, priority,
+    state = C.STATE_TERMINATED,
+    statePriority = C.STATE_PRIORITY.length;
+
+  for (idx = 0; idx < dialogs.length; idx++) {
+    priority = C.STATE_PRIORITY.indexOf(dialogs[idx].state);
+    if (priority !== -1 && priority < statePriority) {
+      statePriority = priority;
+      state = dialogs[idx].state;
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Parse a dialog-info document.
+ * @param {String} body
+ * @returns {Object|null} dialog information, ie:
+ * { entity: 'sip:bob@example.com', version: 1, state: 'full', dialogs: [{ id: 'as7d900as8', call_id: 'a84b4c76e66710', local_tag: '1928301774', remote_tag: '456248', direction: 'recipient', state: 'early', event: null, code: null, local: {...}, remote: { identity: 'sip:alice@example.com', display_name: 'Alice', target: null }, replaces: 'a84b4c76e66710;to-tag=456248;from-tag=1928301774' }] }
+ */
+DialogInfo.parse = function(body) {
+  var doc, info, elements, element, state, idx,
+    result = {
+      entity: null,
+      version: null,
+      state: null,
+      dialogs: []
+    };
+
+  doc = ExSIP.Utils.parseXML(body);
+  info = doc && doc.documentElement;
+  if (!info || info.localName !== 'dialog-info' || info.namespaceURI !== C.NS) {
+    return null;
+  }
+
+  result.entity = info.getAttribute('entity');
+  result.version = window.parseInt(info.getAttribute('version'), 10);
+  result.state = info.getAttribute('state');
+
+  if (window.isNaN(result.version) || (result.state !== 'full' && result.state !== 'partial')) {
+    return null;
+  }
+
+  elements = info.getElementsByTagNameNS(C.NS, 'dialog');
+  for (idx = 0; idx < elements.length; idx++) {
+    element = elements[idx];
+    state = element.getElementsByTagNameNS(C.NS, 'state')[0];
+
+    result.dialogs.push({
+      id: element.getAttribute('id'),
+      call_id: element.getAttribute('call-id') || null,
+      local_tag: element.getAttribute('local-tag') || null,
+      remote_tag: element.getAttribute('remote-tag') || null,
+      direction: element.getAttribute('direction') || null,
+      state: state ? state.textContent.trim() : null,
+      event: state ? state.getAttribute('event') || null : null,
+      code: state && state.getAttribute('code') ? window.parseInt(state.getAttribute('code'), 10) : null,
+      local: parseParticipant(element.getElementsByTagNameNS(C.NS, 'local')[0]),
+      remote: parseParticipant(element.getElementsByTagNameNS(C.NS, 'remote')[0]),
+      // RFC3891 3. Replaces header value taking the dialog over from the watched user, matching the dialog as its remote party sees it
+      replaces: element.getAttribute('call-id') && element.getAttribute('local-tag') && element.getAttribute('remote-tag') ?
+        element.getAttribute('call-id') +';to-tag='+ element.getAttribute('remote-tag') +';from-tag='+ element.getAttribute('local-tag') : null
+    });
+  }
+
+  return result;
+};
+
+ExSIP.Subscriber.registerEventPackage(C.EVENT, {
+  accept: [C.CONTENT_TYPE],
+  parse: DialogInfo.parse
+});
+
+DialogInfo.C = C;
+ExSIP.DialogInfo = DialogInfo;
+}(ExSIP));
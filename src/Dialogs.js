@@ -67,6 +67,7 @@ Dialog = function(session, message, type, state) {
     };
     this.state = state;
     this.local_seqnum = message.cseq;
+    this.local_invite_seqnum = message.cseq;
     this.local_uri = message.parseHeader('from').uri;
     this.remote_uri = message.parseHeader('to').uri;
     this.remote_target = contact.uri;
@@ -120,7 +121,17 @@ Dialog.prototype = {
 
     if(!this.local_seqnum) { this.local_seqnum = Math.floor(Math.random() * 10000); }
 
-    cseq = (method === ExSIP.C.CANCEL || method === ExSIP.C.ACK) ? this.local_seqnum : this.local_seqnum += 1;
+    // RFC3261 13.2.2.4 The ACK carries the CSeq of the INVITE, PRACKs may have been sent since
+    if(method === ExSIP.C.ACK) {
+      cseq = this.local_invite_seqnum || this.local_seqnum;
+    } else if(method === ExSIP.C.CANCEL) {
+      cseq = this.local_seqnum;
+    } else {
+      cseq = this.local_seqnum += 1;
+      if(method === ExSIP.C.INVITE) {
+        this.local_invite_seqnum = cseq;
+      }
+    }
 
     request = new ExSIP.OutgoingRequest(
       method,
@@ -150,10 +161,11 @@ Dialog.prototype = {
     if(!this.remote_seqnum) {
       this.remote_seqnum = request.cseq;
     } else if(request.method !== ExSIP.C.INVITE && request.cseq < this.remote_seqnum) {
-        //Do not try to reply to an ACK request.
-        if (request.method !== ExSIP.C.ACK) {
-          request.reply(500);
+        // The ACK carries the CSeq of its INVITE, lower than any PRACK received since
+        if (request.method === ExSIP.C.ACK) {
+          return true;
         }
+        request.reply(500);
         return false;
     } else if(request.cseq > this.remote_seqnum) {
       this.remote_seqnum = request.cseq;
@@ -181,6 +193,12 @@ Dialog.prototype = {
           this.remote_target = request.parseHeader('contact').uri;
         }
         break;
+      case ExSIP.C.UPDATE:
+        // RFC3311 5.2 Replace the dialog`s remote target URI
+        if(request.hasHeader('contact')) {
+          this.remote_target = request.parseHeader('contact').uri;
+        }
+        break;
       case ExSIP.C.NOTIFY:
         // RFC6655 3.2 Replace the dialog`s remote target URI
         if(request.hasHeader('contact')) {
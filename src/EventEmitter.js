@@ -14,6 +14,14 @@ var
 
 EventEmitter = function(){};
 EventEmitter.prototype = {
+  /**
+   * Whether the events are logged, as by the UA of the emitter.
+   * @returns {Boolean}
+   */
+  isDebug: function() {
+    return !!(this.ua && this.ua.isDebug());
+  },
+
   /**
    * Initialize events dictionary.
    * @param {Array} events
@@ -171,7 +171,6 @@ ExSIP.Grammar = (function(){
         "Content_Encoding": parse_Content_Encoding,
         "Content_Length": parse_Content_Length,
         "Content_Type": parse_Content_Type,
-        "media_type": parse_media_type,
         "m_type": parse_m_type,
         "discrete_type": parse_discrete_type,
         "composite_type": parse_composite_type,
@@ -190,6 +189,7 @@ ExSIP.Grammar = (function(){
         "tag_param": parse_tag_param,
         "Max_Forwards": parse_Max_Forwards,
         "Min_Expires": parse_Min_Expires,
+        "Min_SE": parse_Min_SE,
         "Name_Addr_Header": parse_Name_Addr_Header,
         "Proxy_Authenticate": parse_Proxy_Authenticate,
         "challenge": parse_challenge,
@@ -208,15 +208,31 @@ ExSIP.Grammar = (function(){
         "qop_options": parse_qop_options,
         "qop_value": parse_qop_value,
         "Proxy_Require": parse_Proxy_Require,
+        "RAck": parse_RAck,
+        "RAck_rseq": parse_RAck_rseq,
+        "RAck_cseq": parse_RAck_cseq,
         "Record_Route": parse_Record_Route,
         "rec_route": parse_rec_route,
+        "Refer_To": parse_Refer_To,
+        "Referred_By": parse_Referred_By,
+        "Replaces": parse_Replaces,
+        "replaces_call_id": parse_replaces_call_id,
+        "replaces_params": parse_replaces_params,
+        "replaces_to_tag": parse_replaces_to_tag,
+        "replaces_from_tag": parse_replaces_from_tag,
+        "replaces_early_flag": parse_replaces_early_flag,
         "Require": parse_Require,
         "Route": parse_Route,
         "route_param": parse_route_param,
+        "RSeq": parse_RSeq,
         "Subscription_State": parse_Subscription_State,
         "substate_value": parse_substate_value,
         "subexp_params": parse_subexp_params,
         "event_reason_value": parse_event_reason_value,
+        "Session_Expires": parse_Session_Expires,
+        "s_e_expires": parse_s_e_expires,
+        "s_e_params": parse_s_e_params,
+        "s_e_refresher": parse_s_e_refresher,
         "Subject": parse_Subject,
         "Supported": parse_Supported,
         "To": parse_To,
@@ -8695,26 +8711,11 @@ ExSIP.Grammar = (function(){
       }
       
       function parse_Content_Type() {
-        var result0;
-        var pos0;
-        
-        pos0 = pos;
-        result0 = parse_media_type();
-        if (result0 !== null) {
-          result0 = (function(offset) {
-                                data = input.substring(pos, offset); })(pos0);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        return result0;
-      }
-      
-      function parse_media_type() {
         var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         
         pos0 = pos;
+        pos1 = pos;
         result0 = parse_m_type();
         if (result0 !== null) {
           result1 = parse_SLASH();
@@ -8722,7 +8723,7 @@ ExSIP.Grammar = (function(){
             result2 = parse_m_subtype();
             if (result2 !== null) {
               result3 = [];
-              pos1 = pos;
+              pos2 = pos;
               result4 = parse_SEMI();
               if (result4 !== null) {
                 result5 = parse_m_parameter();
@@ -8730,15 +8731,15 @@ ExSIP.Grammar = (function(){
                   result4 = [result4, result5];
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               } else {
                 result4 = null;
-                pos = pos1;
+                pos = pos2;
               }
               while (result4 !== null) {
                 result3.push(result4);
-                pos1 = pos;
+                pos2 = pos;
                 result4 = parse_SEMI();
                 if (result4 !== null) {
                   result5 = parse_m_parameter();
@@ -8746,29 +8747,37 @@ ExSIP.Grammar = (function(){
                     result4 = [result4, result5];
                   } else {
                     result4 = null;
-                    pos = pos1;
+                    pos = pos2;
                   }
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               }
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
-                pos = pos0;
+                pos = pos1;
               }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, type, subtype) {
+                                data.type = type.toLowerCase();
+                                data.subtype = subtype.toLowerCase(); })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         return result0;
@@ -8926,9 +8935,10 @@ ExSIP.Grammar = (function(){
       
       function parse_m_parameter() {
         var result0, result1, result2;
-        var pos0;
+        var pos0, pos1;
         
         pos0 = pos;
+        pos1 = pos;
         result0 = parse_token();
         if (result0 !== null) {
           result1 = parse_EQUAL();
@@ -8938,14 +8948,22 @@ ExSIP.Grammar = (function(){
               result0 = [result0, result1, result2];
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, attribute, value) {
+                                if(!data.params) data.params = {};
+                                data.params[attribute.toLowerCase()] = value.replace(/^\s*"|"$/g, '').replace(/\\(.)/g, '$1'); })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         return result0;
@@ -9317,6 +9335,65 @@ ExSIP.Grammar = (function(){
         return result0;
       }
       
+      function parse_Min_SE() {
+        var result0, result1, result2, result3;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_delta_seconds();
+        if (result0 !== null) {
+          result1 = [];
+          pos2 = pos;
+          result2 = parse_SEMI();
+          if (result2 !== null) {
+            result3 = parse_generic_param();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos2 = pos;
+            result2 = parse_SEMI();
+            if (result2 !== null) {
+              result3 = parse_generic_param();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, min_se) {data = min_se; })(pos0, result0[0]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
       function parse_Name_Addr_Header() {
         var result0, result1, result2, result3, result4, result5, result6;
         var pos0, pos1, pos2;
@@ -10193,6 +10270,95 @@ ExSIP.Grammar = (function(){
         return result0;
       }
       
+      function parse_RAck() {
+        var result0, result1, result2, result3, result4;
+        var pos0;
+        
+        pos0 = pos;
+        result0 = parse_RAck_rseq();
+        if (result0 !== null) {
+          result1 = parse_LWS();
+          if (result1 !== null) {
+            result2 = parse_RAck_cseq();
+            if (result2 !== null) {
+              result3 = parse_LWS();
+              if (result3 !== null) {
+                result4 = parse_Method();
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos0;
+                }
+              } else {
+                result0 = null;
+                pos = pos0;
+              }
+            } else {
+              result0 = null;
+              pos = pos0;
+            }
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_RAck_rseq() {
+        var result0, result1;
+        var pos0;
+        
+        pos0 = pos;
+        result1 = parse_DIGIT();
+        if (result1 !== null) {
+          result0 = [];
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_DIGIT();
+          }
+        } else {
+          result0 = null;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, rseq) {
+                          data.rseq = parseInt(rseq.join('')); })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_RAck_cseq() {
+        var result0, result1;
+        var pos0;
+        
+        pos0 = pos;
+        result1 = parse_DIGIT();
+        if (result1 !== null) {
+          result0 = [];
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_DIGIT();
+          }
+        } else {
+          result0 = null;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, cseq) {
+                          data.cseq = parseInt(cseq.join('')); })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
       function parse_Record_Route() {
         var result0, result1, result2, result3;
         var pos0, pos1, pos2;
@@ -10338,91 +10504,454 @@ ExSIP.Grammar = (function(){
         return result0;
       }
       
-      function parse_Require() {
+      function parse_Refer_To() {
         var result0, result1, result2, result3;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         
         pos0 = pos;
-        result0 = parse_token();
+        pos1 = pos;
+        result0 = parse_SIP_URI_noparams();
+        if (result0 === null) {
+          result0 = parse_name_addr();
+        }
         if (result0 !== null) {
           result1 = [];
-          pos1 = pos;
-          result2 = parse_COMMA();
+          pos2 = pos;
+          result2 = parse_SEMI();
           if (result2 !== null) {
-            result3 = parse_token();
+            result3 = parse_generic_param();
             if (result3 !== null) {
               result2 = [result2, result3];
             } else {
               result2 = null;
-              pos = pos1;
+              pos = pos2;
             }
           } else {
             result2 = null;
-            pos = pos1;
+            pos = pos2;
           }
           while (result2 !== null) {
             result1.push(result2);
-            pos1 = pos;
-            result2 = parse_COMMA();
+            pos2 = pos;
+            result2 = parse_SEMI();
             if (result2 !== null) {
-              result3 = parse_token();
+              result3 = parse_generic_param();
               if (result3 !== null) {
                 result2 = [result2, result3];
               } else {
                 result2 = null;
-                pos = pos1;
+                pos = pos2;
               }
             } else {
               result2 = null;
-              pos = pos1;
+              pos = pos2;
             }
           }
           if (result1 !== null) {
             result0 = [result0, result1];
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                          try {
+                            data = new ExSIP.NameAddrHeader(data.uri, data.display_name, data.params);
+                          } catch(e) {
+                            data = -1;
+                          }})(pos0);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         return result0;
       }
       
-      function parse_Route() {
+      function parse_Referred_By() {
         var result0, result1, result2, result3;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         
         pos0 = pos;
-        result0 = parse_route_param();
+        pos1 = pos;
+        result0 = parse_SIP_URI_noparams();
+        if (result0 === null) {
+          result0 = parse_name_addr();
+        }
         if (result0 !== null) {
           result1 = [];
-          pos1 = pos;
-          result2 = parse_COMMA();
+          pos2 = pos;
+          result2 = parse_SEMI();
           if (result2 !== null) {
-            result3 = parse_route_param();
+            result3 = parse_generic_param();
             if (result3 !== null) {
               result2 = [result2, result3];
             } else {
               result2 = null;
-              pos = pos1;
+              pos = pos2;
             }
           } else {
             result2 = null;
-            pos = pos1;
+            pos = pos2;
           }
           while (result2 !== null) {
             result1.push(result2);
-            pos1 = pos;
-            result2 = parse_COMMA();
+            pos2 = pos;
+            result2 = parse_SEMI();
             if (result2 !== null) {
-              result3 = parse_route_param();
+              result3 = parse_generic_param();
               if (result3 !== null) {
                 result2 = [result2, result3];
               } else {
                 result2 = null;
-                pos = pos1;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                          try {
+                            data = new ExSIP.NameAddrHeader(data.uri, data.display_name, data.params);
+                          } catch(e) {
+                            data = -1;
+                          }})(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_Replaces() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        result0 = parse_replaces_call_id();
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          result2 = parse_SEMI();
+          if (result2 !== null) {
+            result3 = parse_replaces_params();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            result2 = parse_SEMI();
+            if (result2 !== null) {
+              result3 = parse_replaces_params();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
+              }
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_replaces_call_id() {
+        var result0, result1, result2;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_word();
+        if (result0 !== null) {
+          pos2 = pos;
+          if (input.charCodeAt(pos) === 64) {
+            result1 = "@";
+            pos++;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"@\"");
+            }
+          }
+          if (result1 !== null) {
+            result2 = parse_word();
+            if (result2 !== null) {
+              result1 = [result1, result2];
+            } else {
+              result1 = null;
+              pos = pos2;
+            }
+          } else {
+            result1 = null;
+            pos = pos2;
+          }
+          result1 = result1 !== null ? result1 : "";
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                              data.call_id = input.substring(pos, offset); })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_replaces_params() {
+        var result0;
+        
+        result0 = parse_replaces_to_tag();
+        if (result0 === null) {
+          result0 = parse_replaces_from_tag();
+          if (result0 === null) {
+            result0 = parse_replaces_early_flag();
+            if (result0 === null) {
+              result0 = parse_generic_param();
+            }
+          }
+        }
+        return result0;
+      }
+      
+      function parse_replaces_to_tag() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 6).toLowerCase() === "to-tag") {
+          result0 = input.substr(pos, 6);
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"to-tag\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            result2 = parse_token();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, to_tag) {
+                              data.to_tag = to_tag; })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_replaces_from_tag() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 8).toLowerCase() === "from-tag") {
+          result0 = input.substr(pos, 8);
+          pos += 8;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"from-tag\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            result2 = parse_token();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, from_tag) {
+                              data.from_tag = from_tag; })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_replaces_early_flag() {
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        if (input.substr(pos, 10).toLowerCase() === "early-only") {
+          result0 = input.substr(pos, 10);
+          pos += 10;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"early-only\"");
+          }
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                              data.early_only = true; })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_Require() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        result0 = parse_token();
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          result2 = parse_COMMA();
+          if (result2 !== null) {
+            result3 = parse_token();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            result2 = parse_COMMA();
+            if (result2 !== null) {
+              result3 = parse_token();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
+              }
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_Route() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        result0 = parse_route_param();
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          result2 = parse_COMMA();
+          if (result2 !== null) {
+            result3 = parse_route_param();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            result2 = parse_COMMA();
+            if (result2 !== null) {
+              result3 = parse_route_param();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
               }
             } else {
               result2 = null;
@@ -10494,6 +11023,31 @@ ExSIP.Grammar = (function(){
         return result0;
       }
       
+      function parse_RSeq() {
+        var result0, result1;
+        var pos0;
+        
+        pos0 = pos;
+        result1 = parse_DIGIT();
+        if (result1 !== null) {
+          result0 = [];
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_DIGIT();
+          }
+        } else {
+          result0 = null;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, rseq) {
+                          data = parseInt(rseq.join('')); })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
       function parse_Subscription_State() {
         var result0, result1, result2, result3;
         var pos0, pos1;
@@ -10675,13 +11229,13 @@ ExSIP.Grammar = (function(){
           if (result0 === null) {
             pos0 = pos;
             pos1 = pos;
-            if (input.substr(pos, 11).toLowerCase() === "retry_after") {
+            if (input.substr(pos, 11).toLowerCase() === "retry-after") {
               result0 = input.substr(pos, 11);
               pos += 11;
             } else {
               result0 = null;
               if (reportFailures === 0) {
-                matchFailed("\"retry_after\"");
+                matchFailed("\"retry-after\"");
               }
             }
             if (result0 !== null) {
@@ -10801,6 +11355,146 @@ ExSIP.Grammar = (function(){
         return result0;
       }
       
+      function parse_Session_Expires() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        result0 = parse_s_e_expires();
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          result2 = parse_SEMI();
+          if (result2 !== null) {
+            result3 = parse_s_e_params();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            result2 = parse_SEMI();
+            if (result2 !== null) {
+              result3 = parse_s_e_params();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
+              }
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_s_e_expires() {
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        result0 = parse_delta_seconds();
+        if (result0 !== null) {
+          result0 = (function(offset, expires) {
+                              data.expires = expires; })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_s_e_params() {
+        var result0;
+        
+        result0 = parse_s_e_refresher();
+        if (result0 === null) {
+          result0 = parse_generic_param();
+        }
+        return result0;
+      }
+      
+      function parse_s_e_refresher() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 9).toLowerCase() === "refresher") {
+          result0 = input.substr(pos, 9);
+          pos += 9;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"refresher\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            if (input.substr(pos, 3).toLowerCase() === "uac") {
+              result2 = input.substr(pos, 3);
+              pos += 3;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"uac\"");
+              }
+            }
+            if (result2 === null) {
+              if (input.substr(pos, 3).toLowerCase() === "uas") {
+                result2 = input.substr(pos, 3);
+                pos += 3;
+              } else {
+                result2 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"uas\"");
+                }
+              }
+            }
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, s_e_refresher) {
+                              data.refresher = s_e_refresher.toLowerCase(); })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
       function parse_Subject() {
         var result0;
         
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview IMDN
+ */
+
+/**
+ * @augments ExSIP
+ * @class Instant Message Disposition Notification (RFC 5438), requested and sent in message/cpim MESSAGE requests.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var IMDN,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'IMDN'),
+  C = {
+    CONTENT_TYPE: 'message/imdn+xml',
+
+    // Namespace of the CPIM headers, and of the notification document
+    NS: 'urn:ietf:params:imdn',
+    NS_XML: 'urn:ietf:params:xml:ns:imdn',
+
+    // Dispositions requested by the sender
+    POSITIVE_DELIVERY: 'positive-delivery',
+    NEGATIVE_DELIVERY: 'negative-delivery',
+    DISPLAY:           'display',
+
+    // Notification types
+    DELIVERY_NOTIFICATION: 'delivery-notification',
+    DISPLAY_NOTIFICATION:  'display-notification',
+
+    // Notification statuses
+    STATUS_DELIVERED: 'delivered',
+    STATUS_DISPLAYED: 'displayed',
+    STATUS_FAILED:    'failed',
+    STATUS_FORBIDDEN: 'forbidden',
+    STATUS_ERROR:     'error',
+
+    // Seconds a sent message waits for its notifications
+    EXPIRES: 3600
+  };
+
+/**
+ * @private
+ * @param {String} value CPIM From or To header, ie: 'Alice <sip:alice@example.com>'
+ * @returns {ExSIP.URI|undefined} undefined if the address is not a SIP URI, ie: im:alice@example.com
+ */
+function getURI(value) {
+  var uri = value && value.match(/<([^>]*)>/);
+  return uri ? ExSIP.URI.parse(uri[1]) : undefined;
+}
+
+IMDN = function(ua) {
+  this.ua = ua;
+
+  // Messages sent waiting for notifications, and their expiration timers, by Message-ID
+  this.messages = {};
+  this.timers = {};
+};
+
+IMDN.prototype = {
+  /**
+   * RFC5438 6.3. CPIM headers of an outgoing message requesting dispositions.
+   * @param {ExSIP.Message} message
+   * @param {String[]} dispositions ie: ['positive-delivery', 'display']
+   * @returns {String[]}
+   */
+  requestDispositions: function(message, dispositions) {
+    var self = this;
+
+    message.message_id = ExSIP.Utils.createRandomToken(16);
+    message.dispositions = dispositions.slice();
+    this.messages[message.message_id] = message;
+
+    // A display notification may never be sent, ie: the message is not read
+    this.timers[message.message_id] = window.setTimeout(function() {
+      logger.log('no more notification expected for message '+ message.message_id, self.ua);
+      self.forget(message.message_id);
+    }, C.EXPIRES * 1000);
+
+    // No notification is sent for a message which was not received
+    message.on('failed', function() {
+      self.forget(message.message_id);
+    });
+
+    return ExSIP.CPIM.createNamespaces({imdn: C.NS}).concat([
+      'imdn.Message-ID: '+ message.message_id,
+      'imdn.Disposition-Notification: '+ dispositions.join(', ')
+    ]);
+  },
+
+  /**
+   * RFC5438 7.1.1. Disposition notifications requested by an incoming message.
+   * @param {Object} cpim parsed CPIM message
+   * @param {ExSIP.IncomingRequest} request
+   * @returns {Object|null} ie:
+   * { message_id: '34jk324j', dispositions: ['positive-delivery', 'display'], sender: ExSIP.URI, recipient: ExSIP.URI, datetime: Date }
+   */
+  getRequest: function(cpim, request) {
+    var messageId = ExSIP.CPIM.getHeader(cpim, 'Message-ID', C.NS),
+      dispositions = ExSIP.CPIM.getHeader(cpim, 'Disposition-Notification', C.NS);
+
+    if (!messageId || !dispositions) {
+      return null;
+    }
+
+    return {
+      message_id: messageId,
+      dispositions: dispositions.toLowerCase().split(/\s*,\s*/),
+      // RFC5438 7.2.1.1. The notification is sent to the sender of the CPIM message
+      sender: getURI(ExSIP.CPIM.getHeader(cpim, 'From')) || request.from.uri,
+      recipient: getURI(ExSIP.CPIM.getHeader(cpim, 'To')) || request.to.uri,
+      // RFC5438 7.2.1. The notifications require a datetime, the time the message was received without a DateTime header
+      datetime: ExSIP.CPIM.getDateTime(cpim) || new Date()
+    };
+  },
+
+  /**
+   * RFC5438 7.2.1.1. An incoming message is acknowledged with a delivery notification when requested.
+   * @param {ExSIP.Message} message
+   */
+  messageReceived: function(message) {
+    if (message.imdn && message.imdn.dispositions.indexOf(C.POSITIVE_DELIVERY) !== -1) {
+      this.sendNotification(message, C.DELIVERY_NOTIFICATION, C.STATUS_DELIVERED);
+    }
+  },
+
+  /**
+   * RFC5438 7.2.1.1. An incoming message rejected by the application is reported with a failed delivery notification when requested.
+   * @param {ExSIP.Message} message
+   */
+  messageRejected: function(message) {
+    if (message.imdn && message.imdn.dispositions.indexOf(C.NEGATIVE_DELIVERY) !== -1) {
+      this.sendNotification(message, C.DELIVERY_NOTIFICATION, C.STATUS_FAILED);
+    }
+  },
+
+  /**
+   * RFC5438 7.2.1.2. Report that an incoming message was displayed, when requested and only once.
+   * @param {ExSIP.Message} message
+   * @returns {Boolean} true if a display notification was sent
+   */
+  messageDisplayed: function(message) {
+    if (!message.imdn || message.imdn.displayed || message.imdn.dispositions.indexOf(C.DISPLAY) === -1) {
+      return false;
+    }
+
+    message.imdn.displayed = true;
+    this.sendNotification(message, C.DISPLAY_NOTIFICATION, C.STATUS_DISPLAYED);
+    return true;
+  },
+
+  /**
+   * MESSAGE carrying a disposition notification, which is not reported as a new message
+   *  but by the original message, ie: 'delivered', 'displayed' or 'notificationFailed'.
+   * @param {Object} cpim parsed CPIM message
+   * @param {ExSIP.IncomingRequest} request
+   */
+  receiveNotification: function(cpim, request) {
+    var message, event,
+      notification = IMDN.parse(cpim.body);
+
+    if (!notification) {
+      request.reply(400, 'Invalid IMDN Body');
+      return;
+    }
+
+    request.reply(200);
+
+    message = this.messages[notification.message_id];
+    if (!message) {
+      logger.log('notification for unknown message '+ notification.message_id +' ignored', this.ua);
+      return;
+    }
+
+    if (notification.status === C.STATUS_DELIVERED) {
+      event = 'delivered';
+    } else if (notification.status === C.STATUS_DISPLAYED) {
+      event = 'displayed';
+    } else {
+      event = 'notificationFailed';
+    }
+
+    // Forget the message once every requested notification is received
+    message.dispositions = message.dispositions.filter(function(disposition) {
+      return notification.type === C.DISPLAY_NOTIFICATION ? disposition !== C.DISPLAY : disposition === C.DISPLAY;
+    });
+    if (message.dispositions.length === 0) {
+      this.forget(notification.message_id);
+    }
+
+    message.emit(event, message, {
+      originator: 'remote',
+      notification: notification.type,
+      status: notification.status,
+      recipient: notification.recipient,
+      datetime: notification.datetime,
+      request: request
+    });
+  },
+
+  /**
+   * Forget the messages waiting for notifications.
+   */
+  close: function() {
+    var messageId;
+
+    for (messageId in this.timers) {
+      window.clearTimeout(this.timers[messageId]);
+    }
+    this.messages = {};
+    this.timers = {};
+  },
+
+  /**
+   * @private
+   */
+  forget: function(messageId) {
+    window.clearTimeout(this.timers[messageId]);
+    delete this.timers[messageId];
+    delete this.messages[messageId];
+  },
+
+  /**
+   * @private
+   */
+  sendNotification: function(message, type, status) {
+    var body,
+      self = this,
+      info = message.imdn;
+
+    body = ExSIP.CPIM.create([
+      'From: <'+ this.ua.configuration.uri +'>',
+      'To: <'+ info.sender +'>',
+      'DateTime: '+ new Date().toISOString()
+    ].concat(ExSIP.CPIM.createNamespaces({imdn: C.NS}), [
+      'imdn.Message-ID: '+ ExSIP.Utils.createRandomToken(16)
+    ]), C.CONTENT_TYPE, IMDN.create(type, status, {
+      message_id: info.message_id,
+      datetime: info.datetime,
+      recipient: this.ua.configuration.uri,
+      original_recipient: info.recipient
+    }), ['Content-Disposition: notification']);
+
+    new ExSIP.Message(this.ua).send(info.sender, body, {
+      contentType: ExSIP.CPIM.C.CONTENT_TYPE,
+      notification: true,
+      eventHandlers: {
+        failed: function(e) {
+          logger.warn(type +' to '+ info.sender +' failed : '+ e.data.cause, self.ua);
+        }
+      }
+    });
+  }
+};
+
+/**
+ * Create an imdn document.
+ * @param {String} type 'delivery-notification' or 'display-notification'
+ * @param {String} status ie: 'delivered'
+ * @param {Object} info
+ * @param {String} info.message_id
+ * @param {Date} info.datetime of the original message
+ * @param {String|ExSIP.URI} [info.recipient]
+ * @param {String|ExSIP.URI} [info.original_recipient]
+ * @returns {String}
+ */
+IMDN.create = function(type, status, info) {
+  var body = '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+    '<imdn xmlns="'+ C.NS_XML +'">\r\n'+
+    '<message-id>'+ ExSIP.Utils.escapeXML(info.message_id) +'</message-id>\r\n'+
+    '<datetime>'+ info.datetime.toISOString() +'</datetime>\r\n';
+
+  if (info.recipient) {
+    body += '<recipient-uri>'+ ExSIP.Utils.escapeXML(info.recipient) +'</recipient-uri>\r\n';
+  }
+  if (info.original_recipient) {
+    body += '<original-recipient-uri>'+ ExSIP.Utils.escapeXML(info.original_recipient) +'</original-recipient-uri>\r\n';
+  }
+
+  return body +
+    '<'+ type +'><status><'+ status +'/></status></'+ type +'>\r\n'+
+    '</imdn>';
+};
+
+/**
+ * Parse an imdn document.
+ * @param {String} body
+ * @returns {Object|null} notification, ie:
+ * { message_id: '34jk324j', type: 'delivery-notification', status: 'delivered', datetime: Date, recipient: 'sip:bob@example.com' }
+ */
+IMDN.parse = function(body) {
+  var doc, root, messageId, datetime, recipient, notification, status, idx;
+
+  doc = ExSIP.Utils.parseXML(body);
+  root = doc && doc.documentElement;
+  if (!root || root.localName !== 'imdn' || root.namespaceURI !== C.NS_XML) {
+    return null;
+  }
+
+  messageId = root.getElementsByTagNameNS(C.NS_XML, 'message-id')[0];
+  datetime = root.getElementsByTagNameNS(C.NS_XML, 'datetime')[0];
+  recipient = root.getElementsByTagNameNS(C.NS_XML, 'recipient-uri')[0];
+  notification = root.getElementsByTagNameNS(C.NS_XML, C.DELIVERY_NOTIFICATION)[0] ||
+    root.getElementsByTagNameNS(C.NS_XML, C.DISPLAY_NOTIFICATION)[0];
+  status = notification && notification.getElementsByTagNameNS(C.NS_XML, 'status')[0];
+
+  if (!messageId || !status) {
+    return null;
+  }
+
+  for (idx = 0; idx < status.childNodes.length; idx++) {
+    if (status.childNodes[idx].nodeType === 1) {
+      status = status.childNodes[idx].localName;
+      break;
+    }
+  }
+  if (typeof status !== 'string') {
+    return null;
+  }
+
+  datetime = datetime ? new Date(datetime.textContent.trim()) : null;
+
+  return {
+    message_id: messageId.textContent.trim(),
+    type: notification.localName,
+    status: status,
+    datetime: datetime && !window.isNaN(datetime.getTime()) ? datetime : null,
+    recipient: recipient ? recipient.textContent.trim() : null
+  };
+};
+
+IMDN.C = C;
+ExSIP.IMDN = IMDN;
+}(ExSIP));
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview IsComposing
+ */
+
+/**
+ * @augments ExSIP
+ * @class Message composition indication (RFC 3994), sent and received in MESSAGE requests.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var IsComposing,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'IS COMPOSING'),
+  C = {
+    CONTENT_TYPE: 'application/im-iscomposing+xml',
+    NS: 'urn:ietf:params:xml:ns:im-iscomposing',
+
+    // Composition states
+    STATE_ACTIVE: 'active',
+    STATE_IDLE:   'idle',
+
+    // RFC3994 3. Default timers, in seconds
+    REFRESH:        90,
+    IDLE_TIMEOUT:   15,
+    ACTIVE_TIMEOUT: 120
+  };
+
+IsComposing = function(ua) {
+  this.ua = ua;
+
+  // Active states sent, by target
+  this.local = {};
+
+  // Active states received, by sender
+  this.remote = {};
+};
+
+IsComposing.prototype = {
+  /**
+   * Indicate whether a message is being composed for a target.
+   * The active state is refreshed while the composition goes on, and ends after the idle timeout.
+   * @param {String|ExSIP.URI} target
+   * @param {Boolean} isActive
+   * @param {Object} [options]
+   * @param {String} [options.contentType='text/plain'] type of the message being composed
+   * @param {Number} [options.refresh=90] refresh interval of the active state, in seconds
+   * @param {Number} [options.idleTimeout=15] seconds without composition after which the state is idle
+   * @param {String[]} [options.extraHeaders]
+   *
+   * @throws {TypeError}
+   */
+  setComposing: function(target, isActive, options) {
+    var composing, key,
+      self = this;
+
+    if (target === undefined) {
+      throw new TypeError('Not enough arguments');
+    }
+
+    options = options || {};
+    target = ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params);
+    key = target.toString();
+    composing = this.local[key];
+
+    if (!isActive) {
+      if (composing) {
+        this.stop(key);
+        this.send(composing, C.STATE_IDLE);
+      }
+      return;
+    }
+
+    if (!composing) {
+      composing = this.local[key] = {
+        target: target,
+        content_type: options.contentType || 'text/plain',
+        refresh: options.refresh || C.REFRESH,
+        idle_timeout: options.idleTimeout || C.IDLE_TIMEOUT,
+        extraHeaders: (options.extraHeaders || []).slice(),
+        idleTimer: null,
+        refreshTimer: null
+      };
+      this.send(composing, C.STATE_ACTIVE);
+    }
+
+    // RFC3994 3.2. Every composition keeps the state active until the idle timeout
+    window.clearTimeout(composing.idleTimer);
+    composing.idleTimer = window.setTimeout(function() {
+      composing.idleTimer = null;
+      self.setComposing(target, false);
+    }, composing.idle_timeout * 1000);
+  },
+
+  /**
+   * RFC3994 3.2. Sending the message ends the composition without an idle indication.
+   * @param {ExSIP.URI} target
+   */
+  messageSent: function(target) {
+    this.stop(target.toString());
+  },
+
+  /**
+   * RFC3994 4. Receiving a message from the sender ends its composition.
+   * @param {ExSIP.IncomingRequest} request
+   */
+  messageReceived: function(request) {
+    if (this.remote[request.from.uri.toString()]) {
+      this.update(request.from.uri, {state: C.STATE_IDLE, content_type: null, last_active: null, refresh: null}, 'remote', request);
+    }
+  },
+
+  /**
+   * MESSAGE carrying a composition indication, which is not reported as a new message.
+   * @param {ExSIP.IncomingRequest} request
+   * @param {String} [body] indication unwrapped from the request body, ie: from a CPIM message
+   */
+  receiveRequest: function(request, body) {
+    var info;
+
+    body = body === undefined ? request.body : body;
+    info = body ? IsComposing.parse(body) : null;
+
+    if (!info) {
+      request.reply(400, 'Invalid isComposing Body');
+      return;
+    }
+
+    request.reply(200);
+    this.update(request.from.uri, info, 'remote', request);
+  },
+
+  /**
+   * Clear the timers of every composition.
+   */
+  close: function() {
+    var key;
+
+    for (key in this.local) {
+      this.stop(key);
+    }
+
+    for (key in this.remote) {
+      window.clearTimeout(this.remote[key]);
+    }
+    this.remote = {};
+  },
+
+  /**
+   * @private
+   */
+  send: function(composing, state) {
+    var body,
+      self = this;
+
+    body = IsComposing.create(state, {
+      content_type: composing.content_type,
+      refresh: state === C.STATE_ACTIVE ? composing.refresh : null,
+      last_active: state === C.STATE_IDLE ? new Date() : null
+    });
+
+    if (state === C.STATE_ACTIVE) {
+      // Refresh before the receiver times out, ie: 3 seconds
+      composing.refreshTimer = window.setTimeout(function() {
+        self.send(composing, C.STATE_ACTIVE);
+      }, Math.max(composing.refresh * 1000 - 3000, composing.refresh * 500));
+    }
+
+    new ExSIP.Message(this.ua).send(composing.target, body, {
+      contentType: C.CONTENT_TYPE,
+      notification: true,
+      extraHeaders: composing.extraHeaders,
+      eventHandlers: {
+        failed: function(e) {
+          logger.warn('composition indication to '+ composing.target +' failed : '+ e.data.cause, self.ua);
+        }
+      }
+    });
+  },
+
+  /**
+   * @private
+   */
+  stop: function(key) {
+    var composing = this.local[key];
+
+    if (composing) {
+      window.clearTimeout(composing.idleTimer);
+      window.clearTimeout(composing.refreshTimer);
+      delete this.local[key];
+    }
+  },
+
+  /**
+   * RFC3994 4. Report the changes of the composition state of a sender,
+   *  which returns to idle when the active state is not refreshed.
+   * @private
+   * @param {ExSIP.URI} sender
+   * @param {Object} info parsed isComposing document
+   * @param {String} originator 'remote' or 'system' on timeout
+   * @param {ExSIP.IncomingRequest} [request]
+   */
+  update: function(sender, info, originator, request) {
+    var self = this,
+      key = sender.toString(),
+      wasActive = !!this.remote[key];
+
+    window.clearTimeout(this.remote[key]);
+    delete this.remote[key];
+
+    if (info.state === C.STATE_ACTIVE) {
+      this.remote[key] = window.setTimeout(function() {
+        self.update(sender, {state: C.STATE_IDLE, content_type: null, last_active: null, refresh: null}, 'system', null);
+      }, (info.refresh || C.ACTIVE_TIMEOUT) * 1000);
+    }
+
+    if (wasActive === (info.state === C.STATE_ACTIVE)) {
+      return;
+    }
+
+    this.ua.emit('composingChanged', this.ua, {
+      originator: originator,
+      target: sender,
+      state: info.state,
+      content_type: info.content_type,
+      last_active: info.last_active,
+      refresh: info.refresh,
+      request: request || null
+    });
+  }
+};
+
+/**
+ * Create an isComposing document.
+ * @param {String} state 'active' or 'idle'
+ * @param {Object} [info]
+ * @param {String} [info.content_type]
+ * @param {Number} [info.refresh] seconds, for the active state
+ * @param {Date} [info.last_active]
+ * @returns {String}
+ */
+IsComposing.create = function(state, info) {
+  var body = '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+    '<isComposing xmlns="'+ C.NS +'">\r\n'+
+    '<state>'+ state +'</state>\r\n';
+
+  info = info || {};
+
+  if (info.last_active) {
+    body += '<lastactive>'+ info.last_active.toISOString() +'</lastactive>\r\n';
+  }
+  if (info.content_type) {
+    body += '<contenttype>'+ ExSIP.Utils.escapeXML(info.content_type) +'</contenttype>\r\n';
+  }
+  if (info.refresh) {
+    body += '<refresh>'+ info.refresh +'</refresh>\r\n';
+  }
+
+  return body + '</isComposing>';
+};
+
+/**
+ * Parse an isComposing document.
+ * @param {String} body
+ * @returns {Object|null} composition state, ie:
+ * { state: 'active', content_type: 'text/plain', last_active: null, refresh: 90 }
+ */
+IsComposing.parse = function(body) {
+  var doc, root, state, lastActive, contentType, refresh;
+
+  doc = ExSIP.Utils.parseXML(body);
+  root = doc && doc.documentElement;
+  if (!root || root.localName !== 'isComposing' || root.namespaceURI !== C.NS) {
+    return null;
+  }
+
+  state = root.getElementsByTagNameNS(C.NS, 'state')[0];
+  lastActive = root.getElementsByTagNameNS(C.NS, 'lastactive')[0];
+  contentType = root.getElementsByTagNameNS(C.NS, 'contenttype')[0];
+  refresh = root.getElementsByTagNameNS(C.NS, 'refresh')[0];
+
+  state = state ? state.textContent.trim() : null;
+  if (state !== C.STATE_ACTIVE && state !== C.STATE_IDLE) {
+    return null;
+  }
+
+  lastActive = lastActive ? new Date(lastActive.textContent.trim()) : null;
+  refresh = refresh ? window.parseInt(refresh.textContent.trim(), 10) : null;
+
+  return {
+    state: state,
+    content_type: contentType ? contentType.textContent.trim() : null,
+    last_active: lastActive && !window.isNaN(lastActive.getTime()) ? lastActive : null,
+    refresh: refresh > 0 ? refresh : null
+  };
+};
+
+IsComposing.C = C;
+ExSIP.IsComposing = IsComposing;
+}(ExSIP));
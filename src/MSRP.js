@@ -0,0 +1,182 @@
+/**
+ * @fileoverview MSRP
+ */
+
+/**
+ * @augments ExSIP
+ * @namespace Message Session Relay Protocol (RFC 4975) framing, ie: the messages exchanged in an MSRP session.
+ */
+(function(ExSIP) {
+var MSRP,
+  C = {
+    // Methods
+    SEND:   'SEND',
+    REPORT: 'REPORT',
+
+    // Continuation flags of the end-line
+    FLAG_END:         '$',
+    FLAG_CONTINUE:    '+',
+    FLAG_INTERRUPTED: '#',
+
+    // RFC4975 7.1.1. Chunks of a message
+    CHUNK_SIZE: 2048,
+
+    // RFC4975 7.3. Time to wait for the response to a SEND, in seconds
+    TRANSACTION_TIMEOUT: 30,
+
+    // Reason phrases of the status codes
+    REASON_PHRASES: {
+      200: 'OK',
+      400: 'Bad Request',
+      403: 'Forbidden',
+      408: 'Request Timeout',
+      413: 'Stop Sending Message',
+      415: 'Unsupported Media Type',
+      423: 'Parameters Out Of Bounds',
+      481: 'Session Does Not Exist',
+      501: 'Unknown Method',
+      506: 'Session Already Bound'
+    }
+  };
+
+MSRP = {
+  /**
+   * Create an MSRP request.
+   * @param {String} method
+   * @param {String} transactionId
+   * @param {String[]} headers ie: ['To-Path: msrps://bob.example.com:2855/9di4ea;tcp', 'Message-ID: 12339sdqwer']
+   * @param {String|null} [body] content of the chunk, a bodiless request if null
+   * @param {String} [continuation='$']
+   * @returns {String}
+   */
+  createRequest: function(method, transactionId, headers, body, continuation) {
+    var message = 'MSRP '+ transactionId +' '+ method +'\r\n'+ headers.join('\r\n') +'\r\n';
+
+    if (body !== null && body !== undefined) {
+      message += '\r\n'+ body +'\r\n';
+    }
+
+    return message +'-------'+ transactionId + (continuation || C.FLAG_END) +'\r\n';
+  },
+
+  /**
+   * Create the response to an MSRP request.
+   * @param {Object} request parsed MSRP request
+   * @param {Number} statusCode
+   * @param {String} localPath
+   * @returns {String}
+   */
+  createResponse: function(request, statusCode, localPath) {
+    // RFC4975 7.2. The response goes back to the previous hop
+    return 'MSRP '+ request.transaction_id +' '+ statusCode +' '+ (C.REASON_PHRASES[statusCode] || '') +'\r\n'+
+      'To-Path: '+ request.from_path[0] +'\r\n'+
+      'From-Path: '+ localPath +'\r\n'+
+      '-------'+ request.transaction_id + C.FLAG_END +'\r\n';
+  },
+
+  /**
+   * Parse an MSRP message.
+   * @param {String} data
+   * @returns {Object|null} request or response, null if the data is not a valid MSRP message, ie:
+   * { transaction_id: 'a786hjs2', method: 'SEND', status_code: null, reason_phrase: null, headers: { 'message-id': '87652491' }, to_path: ['msrp://bob.example.com:8888/9di4ea;tcp'], from_path: ['msrp://alice.example.com:7777/iau39;tcp'], body: 'Hello', continuation: '$' }
+   */
+  parse: function(data) {
+    var idx, startLine, end, text, separator, lines, header,
+      headers = {};
+
+    idx = data.indexOf('\r\n');
+    startLine = idx === -1 ? null : data.substring(0, idx).match(/^MSRP ([A-Za-z0-9][A-Za-z0-9.\-+%=]{3,31}) (?:([A-Z]+)|(\d{3})(?: (.*))?)$/);
+    if (!startLine) {
+      return null;
+    }
+
+    // The end-line closes the message
+    end = data.lastIndexOf('\r\n-------'+ startLine[1]);
+    if (end < idx || !/^[$+#]\r?\n?$/.test(data.substring(end + 9 + startLine[1].length))) {
+      return null;
+    }
+
+    text = data.substring(idx + 2, end + 2);
+    separator = text.indexOf('\r\n\r\n');
+    lines = (separator === -1 ? text : text.substring(0, separator)).split('\r\n');
+
+    for (idx = 0; idx < lines.length; idx++) {
+      if (lines[idx] === '') {
+        continue;
+      }
+
+      header = lines[idx].match(/^([^:\s]+)\s*:\s*(.*?)\s*$/);
+      if (!header) {
+        return null;
+      }
+      headers[header[1].toLowerCase()] = header[2];
+    }
+
+    if (!headers['to-path'] || !headers['from-path']) {
+      return null;
+    }
+
+    return {
+      transaction_id: startLine[1],
+      method: startLine[2] || null,
+      status_code: startLine[3] ? window.parseInt(startLine[3], 10) : null,
+      reason_phrase: startLine[4] || null,
+      headers: headers,
+      to_path: headers['to-path'].split(/\s+/),
+      from_path: headers['from-path'].split(/\s+/),
+      body: separator === -1 ? null : text.substring(separator + 4, text.length - 2),
+      continuation: data.charAt(end + 9 + startLine[1].length)
+    };
+  },
+
+  /**
+   * Parse a Byte-Range header.
+   * @param {String} value ie: '1-2048/*'
+   * @returns {Object|null} ie: { start: 1, end: 2048, total: null }, the unknown end and total are null
+   */
+  parseByteRange: function(value) {
+    var range = value && value.match(/^(\d+)-(\d+|\*)\/(\d+|\*)$/);
+
+    if (!range) {
+      return null;
+    }
+
+    return {
+      start: window.parseInt(range[1], 10),
+      end: range[2] === '*' ? null : window.parseInt(range[2], 10),
+      total: range[3] === '*' ? null : window.parseInt(range[3], 10)
+    };
+  },
+
+  /**
+   * Parse a Status header.
+   * @param {String} value ie: '000 200 OK'
+   * @returns {Object|null} ie: { status_code: 200, reason_phrase: 'OK' }
+   */
+  parseStatus: function(value) {
+    var status = value && value.match(/^\d{3} (\d{3})(?: (.*))?$/);
+
+    if (!status) {
+      return null;
+    }
+
+    return {
+      status_code: window.parseInt(status[1], 10),
+      reason_phrase: status[2] || null
+    };
+  },
+
+  /**
+   * RFC4975 9. Session part of an MSRP URI, which identifies the session at its endpoint.
+   * @param {String} uri ie: 'msrps://bob.example.com:2855/9di4ea;tcp'
+   * @returns {String|null} ie: '9di4ea'
+   */
+  getSessionId: function(uri) {
+    var sessionId = uri && uri.match(/^msrps?:\/\/[^\/]+\/([^;]+)/i);
+    return sessionId ? sessionId[1] : null;
+  }
+};
+
+MSRP.C = C;
+ExSIP.MSRP = MSRP;
+}(ExSIP));
@@ -0,0 +1,691 @@
+/**
+ * @fileoverview MSRPSession
+ */
+
+/**
+ * @augments ExSIP
+ * @class Chat and file transfer session (RFC 4975) over a WebSocket connection (RFC 7977),
+ *  negotiated by an INVITE session. Both endpoints of a session between two browsers are WebSocket clients,
+ *  offering a=setup:active with an unresolvable host: they need a relay (RFC 4976), given by options.ws_uri.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var MSRPSession,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'MSRP SESSION');
+
+/**
+ * Bytes covered by the byte ranges of the chunks.
+ * @private
+ */
+function countBytes(chunks) {
+  var end = 0;
+
+  return chunks.slice().sort(function(a, b) { return a.start - b.start; }).reduce(function(count, chunk) {
+    var last = chunk.start + chunk.body.length - 1;
+
+    count += Math.max(last - Math.max(end, chunk.start - 1), 0);
+    end = Math.max(end, last);
+    return count;
+  }, 0);
+}
+
+MSRPSession = function(ua) {
+  var self = this,
+    events = [
+      'progress',
+      'started',
+      'ended',
+      'failed',
+      'messageReceived',
+      'messageSent',
+      'messageDelivered',
+      'messageFailed',
+      'transferProgress'
+    ],
+    host = ExSIP.Utils.createRandomToken(12) +'.invalid';
+
+  this.ua = ua;
+  this.transport = null;
+  this.ws_uri = null;
+
+  // RFC4975 6. Endpoint of the session, the host of a WebSocket client is not resolvable
+  this.local = {
+    host: host,
+    path: 'msrps://'+ host +'/'+ ExSIP.Utils.createRandomToken(16) +';ws',
+    accept_types: ['*'],
+    sdp_session_id: ExSIP.Utils.createRandomToken(10, 10)
+  };
+  this.sdp_version = 1;
+  this.remote = null;
+
+  // Messages being sent and received, by Message-ID
+  this.outgoing = {};
+  this.incoming = {};
+
+  // Chunks waiting to be sent, and waiting for their response by transaction ID
+  this.queue = [];
+  this.transactions = {};
+
+  // INVITE session negotiating the MSRP session
+  this.session = new ExSIP.RTCSession(ua);
+  this.session.msrpSession = this;
+
+  this.session.on('progress', function(e) {
+    self.emit('progress', self, e.data);
+  });
+  this.session.on('started', function(e) {
+    if(!e.data.isReconnect) {
+      self.connect();
+      self.emit('started', self, e.data);
+    }
+  });
+  this.session.on('ended', function(e) {
+    self.close();
+    self.emit('ended', self, e.data);
+  });
+  this.session.on('failed', function(e) {
+    self.close();
+    self.emit('failed', self, e.data);
+  });
+
+  this.initEvents(events);
+};
+MSRPSession.prototype = new ExSIP.EventEmitter();
+
+MSRPSession.prototype.isDebug = function() {
+  return this.ua.isDebug();
+};
+
+/**
+ * User API
+ */
+
+/**
+ * Invite the target to an MSRP session.
+ * @private
+ * @param {String|ExSIP.URI} target
+ * @param {Object} [options]
+ * @param {String[]} [options.acceptTypes=['*']] content types accepted
+ * @param {String} [options.ws_uri] WebSocket URI of the remote endpoint or its relay, from its path by default,
+ *  required when the remote endpoint is a WebSocket client too
+ * @param {Object} [options.eventHandlers]
+ * @param {String[]} [options.extraHeaders]
+ */
+MSRPSession.prototype.invite = function(target, options) {
+  var event, sessionOptions;
+
+  options = options || {};
+  for (event in options.eventHandlers || {}) {
+    this.on(event, options.eventHandlers[event]);
+  }
+
+  this.init(options);
+  sessionOptions = ExSIP.Utils.merge_options({}, options);
+  delete sessionOptions.eventHandlers;
+  this.session.connect(target, sessionOptions);
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.init_incoming = function(request) {
+  this.session.init_incoming(request);
+};
+
+/**
+ * Accept the incoming MSRP session.
+ * @param {Object} [options]
+ * @param {String[]} [options.acceptTypes=['*']] content types accepted
+ * @param {String} [options.ws_uri] WebSocket URI of the remote endpoint or its relay, from its path by default,
+ *  required when the remote endpoint is a WebSocket client too
+ * @param {String[]} [options.extraHeaders]
+ */
+MSRPSession.prototype.answer = function(options) {
+  options = options || {};
+  this.init(options);
+  this.session.answer(options);
+};
+
+/**
+ * Terminate the MSRP session.
+ * @param {Object} [options]
+ */
+MSRPSession.prototype.terminate = function(options) {
+  this.session.terminate(options);
+};
+
+MSRPSession.prototype.isStarted = function() {
+  return this.session.isStarted();
+};
+
+/**
+ * Send a message in the session, in chunks if it is large.
+ * @param {String} body
+ * @param {String} [contentType='text/plain']
+ * @param {Object} [options]
+ * @param {Boolean} [options.successReport=false] whether the receiver reports the delivery, by the 'messageDelivered' event
+ * @param {Boolean} [options.failureReport=true] whether the failure of the delivery is reported, by the 'messageFailed' event
+ * @param {String[]} [options.contentHeaders] MIME headers of the body other than its Content-Type
+ * @returns {String} Message-ID
+ *
+ * @throws {ExSIP.Exceptions.InvalidStateError}
+ */
+MSRPSession.prototype.sendMessage = function(body, contentType, options) {
+  options = options || {};
+  contentType = contentType || 'text/plain';
+
+  // RFC4975 7.1. The body is sent as bytes
+  if (/^text\//i.test(contentType)) {
+    body = window.unescape(window.encodeURIComponent(body));
+  }
+
+  return this.send(body, contentType, options, null);
+};
+
+/**
+ * Send a file in the session, in chunks.
+ * @param {File|Blob} file
+ * @param {Object} [options]
+ * @param {Boolean} [options.successReport=false] whether the receiver reports the delivery, by the 'messageDelivered' event
+ * @param {Boolean} [options.failureReport=true] whether the failure of the delivery is reported, by the 'messageFailed' event
+ * @returns {String} Message-ID
+ *
+ * @throws {ExSIP.Exceptions.InvalidStateError}
+ */
+MSRPSession.prototype.sendFile = function(file, options) {
+  var reader, messageId,
+    self = this,
+    info = {
+      name: file.name || null,
+      type: file.type || 'application/octet-stream',
+      size: file.size
+    };
+
+  options = ExSIP.Utils.merge_options({}, options || {});
+  options.contentHeaders = (options.contentHeaders || []).concat(
+    'Content-Disposition: attachment'+ (info.name ? '; filename="'+ info.name.replace(/["\\]/g, '') +'"' : ''));
+
+  // The chunks are queued once the file is read
+  messageId = this.send('', info.type, options, info);
+
+  reader = new window.FileReader();
+  reader.onload = function() {
+    var message = self.outgoing[messageId];
+    if (message) {
+      message.body = reader.result;
+      message.size = reader.result.length;
+      self.queueChunks(message);
+    }
+  };
+  reader.onerror = function() {
+    var message = self.outgoing[messageId];
+    if (message) {
+      self.messageFailed(message, null, 'File Not Readable');
+    }
+  };
+  reader.readAsBinaryString(file);
+
+  return messageId;
+};
+
+/**
+ * Session Management
+ */
+
+/**
+ * @private
+ */
+MSRPSession.prototype.init = function(options) {
+  if (options.acceptTypes) {
+    this.local.accept_types = options.acceptTypes.slice();
+  }
+  this.ws_uri = options.ws_uri || null;
+};
+
+/**
+ * RFC7977 5.2. The WebSocket client connects to the first hop of the remote path once the session is established.
+ * @private
+ */
+MSRPSession.prototype.connect = function() {
+  var uri = this.ws_uri;
+
+  if (!uri) {
+    uri = this.remote.path[0].match(/^(msrps?):\/\/([^\/]+)/i);
+    if (/\.invalid(:\d+)?$/i.test(uri[2])) {
+      logger.warn('the remote endpoint is a WebSocket client too, its session needs a relay', this.ua);
+    }
+    uri = (uri[1].toLowerCase() === 'msrps' ? 'wss://' : 'ws://') + uri[2];
+  }
+
+  this.transport = new ExSIP.MSRPTransport(this, uri);
+  this.transport.connect();
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.close = function() {
+  var id;
+
+  if (this.transport) {
+    this.transport.disconnect();
+  }
+
+  for (id in this.transactions) {
+    window.clearTimeout(this.transactions[id].timer);
+  }
+
+  this.transactions = {};
+  this.queue = [];
+  this.outgoing = {};
+  this.incoming = {};
+};
+
+/**
+ * RFC4975 7.1. The active endpoint binds the connection to the session with a bodiless SEND,
+ *  then the chunks waiting for the connection are sent.
+ * @private
+ */
+MSRPSession.prototype.onTransportConnected = function() {
+  this.transport.send(ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, ExSIP.Utils.createRandomToken(12), [
+    'To-Path: '+ this.remote.path.join(' '),
+    'From-Path: '+ this.local.path,
+    'Message-ID: '+ ExSIP.Utils.createRandomToken(12),
+    'Byte-Range: 1-0/0'
+  ], null));
+
+  this.flush();
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.onTransportError = function() {
+  if (this.session.status !== ExSIP.RTCSession.C.STATUS_TERMINATED) {
+    this.session.sendBye();
+    this.session.ended('system', null, ExSIP.C.causes.CONNECTION_ERROR);
+  }
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.send = function(body, contentType, options, file) {
+  var message;
+
+  if (this.session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+    throw new ExSIP.Exceptions.InvalidStateError(this.session.status);
+  }
+
+  message = {
+    message_id: ExSIP.Utils.createRandomToken(12),
+    content_type: contentType,
+    content_headers: options.contentHeaders || [],
+    body: body,
+    size: body.length,
+    acknowledged: 0,
+    success_report: !!options.successReport,
+    failure_report: options.failureReport !== false,
+    file: file
+  };
+
+  this.outgoing[message.message_id] = message;
+  if (!file) {
+    this.queueChunks(message);
+  }
+
+  return message.message_id;
+};
+
+/**
+ * RFC4975 5.1. Split the message in chunks.
+ * @private
+ */
+MSRPSession.prototype.queueChunks = function(message) {
+  var start = 0;
+
+  do {
+    this.queue.push({
+      message: message,
+      start: start,
+      end: Math.min(start + ExSIP.MSRP.C.CHUNK_SIZE, message.size)
+    });
+    start += ExSIP.MSRP.C.CHUNK_SIZE;
+  } while (start < message.size);
+
+  this.flush();
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.flush = function() {
+  if (!this.transport || !this.transport.connected) {
+    return;
+  }
+
+  while (this.queue.length > 0) {
+    this.sendChunk(this.queue.shift());
+  }
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.sendChunk = function(chunk) {
+  var transactionId = ExSIP.Utils.createRandomToken(12),
+    self = this,
+    message = chunk.message,
+    headers = [
+      'To-Path: '+ this.remote.path.join(' '),
+      'From-Path: '+ this.local.path,
+      'Message-ID: '+ message.message_id,
+      'Byte-Range: '+ (chunk.start + 1) +'-'+ chunk.end +'/'+ message.size
+    ];
+
+  if (message.success_report) {
+    headers.push('Success-Report: yes');
+  }
+  if (!message.failure_report) {
+    headers.push('Failure-Report: no');
+  }
+  headers.push('Content-Type: '+ message.content_type);
+  headers = headers.concat(message.content_headers);
+
+  // RFC4975 7.3. Wait for the response when failures are reported
+  if (message.failure_report) {
+    this.transactions[transactionId] = {
+      chunk: chunk,
+      timer: window.setTimeout(function() {
+        delete self.transactions[transactionId];
+        self.messageFailed(message, 408, ExSIP.MSRP.C.REASON_PHRASES[408]);
+      }, ExSIP.MSRP.C.TRANSACTION_TIMEOUT * 1000)
+    };
+  }
+
+  this.transport.send(ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, transactionId, headers,
+    message.body.substring(chunk.start, chunk.end),
+    chunk.end < message.size ? ExSIP.MSRP.C.FLAG_CONTINUE : ExSIP.MSRP.C.FLAG_END));
+
+  this.emit('transferProgress', this, {
+    originator: 'local',
+    message_id: message.message_id,
+    bytes: chunk.end,
+    total: message.size
+  });
+
+  if (!message.failure_report && chunk.end === message.size) {
+    this.messageSent(message);
+  }
+};
+
+/**
+ * MSRP message reception.
+ * @private
+ * @param {Object} message parsed MSRP request or response
+ */
+MSRPSession.prototype.receiveMessage = function(message) {
+  var transaction;
+
+  if (message.status_code) {
+    transaction = this.transactions[message.transaction_id];
+    if (!transaction) {
+      return;
+    }
+
+    window.clearTimeout(transaction.timer);
+    delete this.transactions[message.transaction_id];
+
+    if (message.status_code !== 200) {
+      this.messageFailed(transaction.chunk.message, message.status_code, message.reason_phrase);
+      return;
+    }
+
+    transaction.chunk.message.acknowledged += transaction.chunk.end - transaction.chunk.start;
+    if (this.outgoing[transaction.chunk.message.message_id] && transaction.chunk.message.acknowledged >= transaction.chunk.message.size) {
+      this.messageSent(transaction.chunk.message);
+    }
+    return;
+  }
+
+  // RFC4975 7.3.1. The request must be for this session
+  if (ExSIP.MSRP.getSessionId(message.to_path[message.to_path.length - 1]) !== ExSIP.MSRP.getSessionId(this.local.path)) {
+    this.reply(message, 481);
+    return;
+  }
+
+  switch (message.method) {
+    case ExSIP.MSRP.C.SEND:
+      this.receiveSend(message);
+      break;
+    case ExSIP.MSRP.C.REPORT:
+      this.receiveReport(message);
+      break;
+    default:
+      this.reply(message, 501);
+  }
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.receiveSend = function(request) {
+  var incoming, range, contentType, disposition,
+    messageId = request.headers['message-id'];
+
+  range = ExSIP.MSRP.parseByteRange(request.headers['byte-range'] || '1-*/*');
+  if (!messageId || !range) {
+    this.reply(request, 400);
+    return;
+  }
+
+  // Bodiless SEND binding the connection
+  if (request.body === null) {
+    this.reply(request, 200);
+    return;
+  }
+
+  incoming = this.incoming[messageId];
+  if (!incoming) {
+    contentType = request.headers['content-type'] || 'text/plain';
+    if (!this.isAccepted(contentType)) {
+      this.reply(request, 415);
+      return;
+    }
+
+    disposition = request.headers['content-disposition'] || '';
+    incoming = this.incoming[messageId] = {
+      message_id: messageId,
+      content_type: contentType,
+      file: /^attachment/i.test(disposition) ? {
+        name: (disposition.match(/filename="?([^";]*)"?/i) || [])[1] || null,
+        type: contentType
+      } : null,
+      chunks: [],
+      received: 0,
+      total: range.total
+    };
+  }
+
+  this.reply(request, 200);
+
+  // RFC4975 7.1.1. The sender interrupted the message
+  if (request.continuation === ExSIP.MSRP.C.FLAG_INTERRUPTED) {
+    delete this.incoming[messageId];
+    return;
+  }
+
+  // RFC4975 7.3.1. A chunk sent again replaces the one of its byte range
+  incoming.chunks = incoming.chunks.filter(function(chunk) { return chunk.start !== range.start; });
+  incoming.chunks.push({start: range.start, body: request.body});
+  incoming.received = countBytes(incoming.chunks);
+  incoming.total = incoming.total || range.total;
+
+  this.emit('transferProgress', this, {
+    originator: 'remote',
+    message_id: messageId,
+    bytes: incoming.received,
+    total: incoming.total
+  });
+
+  if (request.continuation === ExSIP.MSRP.C.FLAG_END && (incoming.total === null || incoming.received >= incoming.total)) {
+    delete this.incoming[messageId];
+    this.messageReceived(incoming, request);
+  }
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.receiveReport = function(request) {
+  var status = ExSIP.MSRP.parseStatus(request.headers.status),
+    range = ExSIP.MSRP.parseByteRange(request.headers['byte-range']),
+    message = this.outgoing[request.headers['message-id']];
+
+  // RFC4975 7.1.2. No response is sent to a REPORT
+  if (!message || !status) {
+    return;
+  }
+
+  if (status.status_code !== 200) {
+    this.messageFailed(message, status.status_code, status.reason_phrase);
+  } else if (message.success_report && range && range.end === message.size) {
+    delete this.outgoing[message.message_id];
+    this.emit('messageDelivered', this, {
+      originator: 'remote',
+      message_id: message.message_id
+    });
+  }
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.reply = function(request, statusCode) {
+  // RFC4975 7.2. No response when failures are not reported, only failures when partially reported
+  if (request.method === ExSIP.MSRP.C.SEND && (request.headers['failure-report'] === 'no' ||
+    (request.headers['failure-report'] === 'partial' && statusCode === 200))) {
+    return;
+  }
+
+  this.transport.send(ExSIP.MSRP.createResponse(request, statusCode, this.local.path));
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.isAccepted = function(contentType) {
+  var idx,
+    type = contentType.split(';')[0].trim().toLowerCase();
+
+  for (idx = 0; idx < this.local.accept_types.length; idx++) {
+    if (this.local.accept_types[idx] === '*' || this.local.accept_types[idx].toLowerCase() === type ||
+      this.local.accept_types[idx].toLowerCase() === type.split('/')[0] +'/*') {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Internal Callbacks
+ */
+
+/**
+ * @private
+ */
+MSRPSession.prototype.messageReceived = function(incoming, request) {
+  var body;
+
+  // Chunks may arrive out of order, and overlap when sent again
+  body = incoming.chunks.sort(function(a, b) { return a.start - b.start; }).reduce(function(data, chunk) {
+    return data + chunk.body.substring(Math.max(data.length + 1 - chunk.start, 0));
+  }, '');
+
+  // RFC4975 7.1.2. Report the delivery when requested
+  if (request.headers['success-report'] === 'yes') {
+    this.transport.send(ExSIP.MSRP.createRequest(ExSIP.MSRP.C.REPORT, ExSIP.Utils.createRandomToken(12), [
+      'To-Path: '+ request.from_path.join(' '),
+      'From-Path: '+ this.local.path,
+      'Message-ID: '+ incoming.message_id,
+      'Byte-Range: 1-'+ body.length +'/'+ body.length,
+      'Status: 000 200 OK'
+    ], null));
+  }
+
+  if (/^text\//i.test(incoming.content_type) && !incoming.file) {
+    try {
+      body = window.decodeURIComponent(window.escape(body));
+    } catch(e) {
+      logger.warn('message '+ incoming.message_id +' is not UTF-8 encoded', this.ua);
+    }
+  }
+
+  if (incoming.file) {
+    incoming.file.size = body.length;
+  }
+
+  this.emit('messageReceived', this, {
+    originator: 'remote',
+    message_id: incoming.message_id,
+    content_type: incoming.content_type,
+    body: body,
+    file: incoming.file
+  });
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.messageSent = function(message) {
+  if (!message.success_report) {
+    delete this.outgoing[message.message_id];
+  }
+
+  this.emit('messageSent', this, {
+    originator: 'local',
+    message_id: message.message_id
+  });
+};
+
+/**
+ * @private
+ */
+MSRPSession.prototype.messageFailed = function(message, statusCode, reasonPhrase) {
+  var idx;
+
+  // Reported once
+  if (!this.outgoing[message.message_id]) {
+    return;
+  }
+
+  // The remaining chunks are not sent
+  delete this.outgoing[message.message_id];
+  for (idx = this.queue.length - 1; idx >= 0; idx--) {
+    if (this.queue[idx].message === message) {
+      this.queue.splice(idx, 1);
+    }
+  }
+
+  this.emit('messageFailed', this, {
+    originator: statusCode ? 'remote' : 'local',
+    message_id: message.message_id,
+    status_code: statusCode,
+    reason_phrase: reasonPhrase
+  });
+};
+
+/**
+ * RFC4975 8.1. Whether an INVITE offers an MSRP session.
+ * @param {ExSIP.IncomingRequest} request
+ * @returns {Boolean}
+ */
+MSRPSession.isOffer = function(request) {
+  return !!request.body && new ExSIP.SDP(request.body).getMedias('message').some(function(media) {
+    return /^TCP\/(?:TLS\/|WSS?\/)?MSRP$/i.test(media.protocol);
+  });
+};
+
+ExSIP.MSRPSession = MSRPSession;
+}(ExSIP));
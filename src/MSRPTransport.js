@@ -0,0 +1,187 @@
+/**
+ * @fileoverview MSRPTransport
+ */
+
+/**
+ * @augments ExSIP
+ * @class WebSocket connection of an MSRP session (RFC 7977).
+ * @param {ExSIP.MSRPSession} session
+ * @param {String} ws_uri
+ */
+(function(ExSIP) {
+var MSRPTransport,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'MSRP TRANSPORT'),
+  C = {
+    // Bytes converted at once, the arguments of a call are limited
+    DECODE_SLICE_SIZE: 8192
+  };
+
+/**
+ * Binary string of the bytes of a binary frame.
+ * @private
+ */
+function decode(buffer) {
+  var idx,
+    bytes = new Uint8Array(buffer),
+    data = '';
+
+  for(idx = 0; idx < bytes.length; idx += C.DECODE_SLICE_SIZE) {
+    data += String.fromCharCode.apply(null, bytes.subarray(idx, idx + C.DECODE_SLICE_SIZE));
+  }
+
+  return data;
+}
+
+MSRPTransport = function(session, ws_uri) {
+  this.session = session;
+  this.ua = session.ua;
+  this.ws = null;
+  this.ws_uri = ws_uri;
+  this.closed = false;
+  this.connected = false;
+};
+
+MSRPTransport.prototype = {
+  /**
+   * Send an MSRP message, in a binary frame if it is not only made of ASCII characters.
+   * @param {String} data
+   * @returns {Boolean}
+   */
+  send: function(data) {
+    var idx, bytes;
+
+    if(!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      logger.warn('unable to send MSRP message, WebSocket is not open', this.ua);
+      return false;
+    }
+
+    logger.debug('sending MSRP message:\n\n' + data + '\n', this.ua);
+
+    if(/[^\x00-\x7f]/.test(data)) {
+      bytes = new Uint8Array(data.length);
+      for(idx = 0; idx < data.length; idx++) {
+        bytes[idx] = data.charCodeAt(idx) & 0xff;
+      }
+      this.ws.send(bytes.buffer);
+    } else {
+      this.ws.send(data);
+    }
+    return true;
+  },
+
+  /**
+  * Disconnect socket.
+  */
+  disconnect: function() {
+    if(this.ws) {
+      this.closed = true;
+      logger.log('closing WebSocket ' + this.ws_uri, this.ua);
+      this.ws.close();
+    }
+  },
+
+  /**
+  * Connect socket.
+  */
+  connect: function() {
+    var transport = this;
+
+    logger.log('connecting to WebSocket ' + this.ws_uri, this.ua);
+
+    try {
+      this.ws = new WebSocket(this.ws_uri, 'msrp');
+    } catch(e) {
+      logger.warn('error connecting to WebSocket ' + this.ws_uri + ': ' + e, this.ua);
+      this.session.onTransportError();
+      return;
+    }
+
+    this.ws.binaryType = 'arraybuffer';
+
+    this.ws.onopen = function() {
+      transport.onOpen();
+    };
+
+    this.ws.onclose = function(e) {
+      transport.onClose(e);
+      this.onopen = null;
+      this.onclose = null;
+      this.onmessage = null;
+      this.onerror = null;
+    };
+
+    this.ws.onmessage = function(e) {
+      transport.onMessage(e);
+    };
+
+    this.ws.onerror = function(e) {
+      transport.onError(e);
+    };
+  },
+
+  // Transport Event Handlers
+
+  /**
+  * @event
+  */
+  onOpen: function() {
+    this.connected = true;
+    logger.log('WebSocket ' + this.ws_uri + ' connected', this.ua);
+    this.session.onTransportConnected();
+  },
+
+  /**
+  * @event
+  * @param {event} e
+  */
+  onClose: function(e) {
+    this.connected = false;
+    logger.log('WebSocket disconnected (code: ' + e.code + (e.reason? '| reason: ' + e.reason : '') +')', this.ua);
+
+    // RFC4975 5.4. The session cannot go on without its connection
+    if(!this.closed) {
+      this.session.onTransportError();
+    }
+  },
+
+  /**
+  * @event
+  * @param {event} e
+  */
+  onMessage: function(e) {
+    var message,
+      data = e.data;
+
+    // WebSocket binary message.
+    if (typeof data !== 'string') {
+      try {
+        data = decode(data);
+      } catch(evt) {
+        logger.warn('received WebSocket binary message failed to be converted into string, message discarded', this.ua);
+        return;
+      }
+    }
+
+    logger.debug('received MSRP message:\n\n' + data + '\n', this.ua);
+
+    message = ExSIP.MSRP.parse(data);
+    if(!message) {
+      logger.debug('Not an MSRP message\n', this.ua);
+      return;
+    }
+
+    this.session.receiveMessage(message);
+  },
+
+  /**
+  * @event
+  * @param {event} e
+  */
+  onError: function(e) {
+    logger.warn('WebSocket connection error: ' + e, this.ua);
+  }
+};
+
+MSRPTransport.C = C;
+ExSIP.MSRPTransport = MSRPTransport;
+}(ExSIP));
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview MWI
+ */
+
+/**
+ * @augments ExSIP
+ * @class Message Waiting Indication (RFC 3842), subscribing to the message-summary of the UA.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var MWI,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'MWI'),
+  C = {
+    EVENT: 'message-summary',
+    CONTENT_TYPE: 'application/simple-message-summary',
+
+    // Message context classes (RFC 3458) and the key of their counts
+    MESSAGE_CLASSES: {
+      'voice-message': 'voice',
+      'fax-message': 'fax',
+      'pager-message': 'pager',
+      'multimedia-message': 'multimedia',
+      'text-message': 'text',
+      'none': 'none'
+    }
+  };
+
+MWI = function(ua) {
+  var self = this;
+
+  this.ua = ua;
+  this.subscriber = null;
+
+  // Last message summary received
+  this.summary = null;
+
+  ua.on('registered', function() {
+    if (ua.configuration.enable_mwi) {
+      self.subscribe();
+    }
+  });
+
+  ua.on('unregistered', function() {
+    if (self.subscriber) {
+      self.unsubscribe();
+    }
+  });
+};
+
+MWI.prototype = {
+  /**
+   * Subscribe to the message-summary of the UA, once.
+   * @param {Object} [options] options of ExSIP.UA.subscribe
+   */
+  subscribe: function(options) {
+    var self = this;
+
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = this.ua.subscribe(this.ua.configuration.uri, C.EVENT, options);
+
+    this.subscriber.on('notify', function(e) {
+      if (e.data.content) {
+        self.update(e.data.content, e.data.request);
+      }
+    });
+
+    this.subscriber.on('failed', function() {
+      self.subscriber = null;
+    });
+
+    this.subscriber.on('terminated', function() {
+      self.subscriber = null;
+    });
+  },
+
+  unsubscribe: function() {
+    var subscriber = this.subscriber;
+
+    if (!subscriber) {
+      logger.warn('not subscribed to '+ C.EVENT, this.ua);
+      return;
+    }
+
+    this.subscriber = null;
+    subscriber.unsubscribe();
+  },
+
+  /**
+   * Unsolicited NOTIFY, sent outside any subscription by some servers.
+   * @private
+   * @param {ExSIP.IncomingRequest} request
+   */
+  receiveRequest: function(request) {
+    var summary = request.body ? MWI.parse(request.body) : null;
+
+    if (!summary) {
+      request.reply(400, 'Invalid Message Summary');
+      return;
+    }
+
+    request.reply(200);
+    this.update(summary, request);
+  },
+
+  /**
+   * @private
+   */
+  update: function(summary, request) {
+    this.summary = summary;
+
+    this.ua.emit('mwiChanged', this.ua, {
+      originator: 'remote',
+      request: request,
+      messagesWaiting: summary.messagesWaiting,
+      account: summary.account,
+      messages: summary.messages
+    });
+  }
+};
+
+/**
+ * Parse an application/simple-message-summary body (RFC 3842 5.2).
+ * @param {String} body
+ * @returns {Object|null} summary, with the counts of every message class, ie:
+ * { messagesWaiting: true, account: ExSIP.URI, messages: { voice: { newMessages: 2, oldMessages: 8, newUrgentMessages: 0, oldUrgentMessages: 0 } } }
+ */
+MWI.parse = function(body) {
+  var idx, line, header, value, counts,
+    lines = body.split(/\r?\n/),
+    summary = {
+      messagesWaiting: null,
+      account: null,
+      messages: {}
+    };
+
+  for (idx = 0; idx < lines.length; idx++) {
+    line = lines[idx];
+
+    // The optional message headers follow an empty line
+    if (line === '' && summary.messagesWaiting !== null) {
+      break;
+    }
+
+    header = line.match(/^\s*([\w\-]+)\s*:\s*(.*?)\s*$/);
+    if (!header) {
+      continue;
+    }
+    value = header[2];
+
+    switch (header[1].toLowerCase()) {
+      case 'messages-waiting':
+        summary.messagesWaiting = value.toLowerCase() === 'yes';
+        break;
+      case 'message-account':
+        summary.account = ExSIP.URI.parse(value) || null;
+        break;
+      default:
+        counts = value.match(/^(\d+)\s*\/\s*(\d+)(?:\s*\(\s*(\d+)\s*\/\s*(\d+)\s*\))?$/);
+        if (C.MESSAGE_CLASSES[header[1].toLowerCase()] && counts) {
+          summary.messages[C.MESSAGE_CLASSES[header[1].toLowerCase()]] = {
+            newMessages: window.parseInt(counts[1], 10),
+            oldMessages: window.parseInt(counts[2], 10),
+            newUrgentMessages: counts[3] ? window.parseInt(counts[3], 10) : 0,
+            oldUrgentMessages: counts[4] ? window.parseInt(counts[4], 10) : 0
+          };
+        }
+        break;
+    }
+  }
+
+  // Messages-Waiting is mandatory
+  if (summary.messagesWaiting === null) {
+    return null;
+  }
+
+  return summary;
+};
+
+ExSIP.Subscriber.registerEventPackage(C.EVENT, {
+  accept: [C.CONTENT_TYPE],
+  parse: MWI.parse
+});
+
+MWI.C = C;
+ExSIP.MWI = MWI;
+}(ExSIP));
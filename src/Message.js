@@ -18,6 +18,7 @@ Message = function(ua) {
 
   // Custom message empty object for high level use
   this.data = {};
+  this.redirector = new ExSIP.Redirector(this);
 };
 Message.prototype = new ExSIP.EventEmitter();
 
@@ -27,28 +28,43 @@ Message.prototype.isDebug = function() {
 };
 
 Message.prototype.send = function(target, body, options) {
-  var request_sender, event, contentType, eventHandlers, extraHeaders,
+  var request_sender, event, contentType, eventHandlers, extraHeaders, multipart,
     events = [
       'succeeded',
-      'failed'
+      'failed',
+      'redirected',
+      'delivered',
+      'displayed',
+      'notificationFailed'
     ],
+    requestParams = null,
     invalidTarget = false;
 
   if (target === undefined || body === undefined) {
     throw new TypeError('Not enough arguments');
   }
 
-  this.initEvents(events);
-
   // Get call options
   options = options || {};
-  extraHeaders = options.extraHeaders || [];
+  extraHeaders = (options.extraHeaders || []).slice();
   eventHandlers = options.eventHandlers || {};
   contentType = options.contentType || 'text/plain';
 
-  // Set event handlers
-  for (event in eventHandlers) {
-    this.on(event, eventHandlers[event]);
+  // RFC2046 5.1. A body made of body parts, ie: a text and its attachments
+  if (body instanceof Array) {
+    multipart = ExSIP.Multipart.create(body, options.multipart);
+    body = multipart.body;
+    contentType = multipart.contentType;
+  }
+
+  // Sending to a redirection target keeps the events of the initial request
+  if (!options.redirected) {
+    this.initEvents(events);
+
+    // Set event handlers
+    for (event in eventHandlers) {
+      this.on(event, eventHandlers[event]);
+    }
   }
 
   // Check target validity
@@ -67,9 +83,32 @@ Message.prototype.send = function(target, body, options) {
   this.closed = false;
   this.ua.applicants[this] = this;
 
+  // RFC3261 8.1.3.4. The request to a redirection target keeps the Call-ID, From and To of the initial one
+  if (options.redirected) {
+    requestParams = {
+      call_id: this.request.call_id,
+      cseq: this.request.cseq + 1,
+      from_tag: this.request.from.getParam('tag'),
+      to_uri: this.request.to.uri,
+      to_display_name: this.request.to.display_name
+    };
+    contentType = this.content_type;
+  } else {
+    this.redirector.init_outgoing(target, options);
+
+    // RFC3862 2. The content is wrapped in a CPIM message, which also requests disposition notifications (RFC 5438)
+    if (options.cpim || options.imdn) {
+      if (!invalidTarget) {
+        body = this.createCPIM(target, body, contentType, options);
+      }
+      contentType = ExSIP.CPIM.C.CONTENT_TYPE;
+    }
+  }
+
+  this.content_type = contentType;
   extraHeaders.push('Content-Type: '+ contentType);
 
-  this.request = new ExSIP.OutgoingRequest(ExSIP.C.MESSAGE, target, this.ua, null, extraHeaders);
+  this.request = new ExSIP.OutgoingRequest(ExSIP.C.MESSAGE, target, this.ua, requestParams, extraHeaders);
 
   if(body) {
     this.request.body = body;
@@ -77,11 +116,15 @@ Message.prototype.send = function(target, body, options) {
 
   request_sender = new ExSIP.RequestSender(this, this.ua);
 
-  this.ua.emit('newMessage', this.ua, {
-    originator: 'local',
-    message: this,
-    request: this.request
-  });
+  // RFC3994 3.2. Composition indications and notifications are not messages, sending a message ends the composition
+  if (!options.redirected && !options.notification) {
+    this.ua.composing.messageSent(target);
+    this.ua.emit('newMessage', this.ua, {
+      originator: 'local',
+      message: this,
+      request: this.request
+    });
+  }
 
   if (invalidTarget) {
     this.emit('failed', this, {
@@ -93,11 +136,43 @@ Message.prototype.send = function(target, body, options) {
   }
 };
 
+/**
+ * RFC3862 2. Wrap the body of an outgoing message in a CPIM message.
+ * @private
+ * @param {ExSIP.URI} target
+ * @param {String} body
+ * @param {String} contentType of the body
+ * @param {Object} options
+ * @param {Object} [options.cpim]
+ * @param {String} [options.cpim.from] address of the sender, the UA one by default
+ * @param {String} [options.cpim.to] address of the recipient, the target by default
+ * @param {Object} [options.cpim.namespaces] URIs by prefix of the custom headers
+ * @param {String[]} [options.cpim.headers] custom message headers, ie: ['MyFeatures.VitalMessageOption: Confirmation-requested']
+ * @param {String[]} [options.cpim.contentHeaders] MIME headers of the body
+ * @param {String[]} [options.imdn] dispositions requested
+ * @returns {String}
+ */
+Message.prototype.createCPIM = function(target, body, contentType, options) {
+  var cpim = options.cpim || {},
+    headers = [
+      'From: '+ (cpim.from || '<'+ this.ua.configuration.uri +'>'),
+      'To: '+ (cpim.to || '<'+ target +'>'),
+      'DateTime: '+ new Date().toISOString()
+    ];
+
+  headers = headers.concat(ExSIP.CPIM.createNamespaces(cpim.namespaces || {}), cpim.headers || []);
+  if (options.imdn) {
+    headers = headers.concat(this.ua.imdn.requestDispositions(this, options.imdn));
+  }
+
+  return ExSIP.CPIM.create(headers, contentType, body, cpim.contentHeaders);
+};
+
 /**
 * @private
 */
 Message.prototype.receiveResponse = function(response) {
-  var cause;
+  var cause, target, data;
 
   if(this.closed) {
     return;
@@ -117,12 +192,26 @@ Message.prototype.receiveResponse = function(response) {
 
     default:
       delete this.ua.applicants[this];
+
+      // RFC3261 8.1.3.4. Try the next target of a redirection
+      if ((target = this.redirector.receiveResponse(response))) {
+        this.send(target, this.request.body || '', this.redirector.getOptions());
+        break;
+      }
+
       cause = ExSIP.Utils.sipErrorCause(response.status_code);
-      this.emit('failed', this, {
+      data = {
         originator: 'remote',
         response: response,
         cause: cause
-      });
+      };
+
+      // RFC3261 21.4.11. The server does not accept the body, at least not before the given time
+      if (response.status_code === 413) {
+        data.retry_after = response.hasHeader('retry-after') ? window.parseInt(response.getHeader('retry-after'), 10) : null;
+      }
+
+      this.emit('failed', this, data);
       break;
   }
 };
@@ -166,7 +255,8 @@ Message.prototype.close = function() {
  * @private
  */
 Message.prototype.init_incoming = function(request) {
-  var transaction,
+  var transaction, cpim, parts, boundary,
+    body = request.body,
     contentType = request.getHeader('content-type');
 
   this.direction = 'incoming';
@@ -174,23 +264,101 @@ Message.prototype.init_incoming = function(request) {
   this.local_identity = request.to.uri;
   this.remote_identity = request.from.uri;
 
-  if (contentType && (contentType.match(/^text\/plain(\s*;\s*.+)*$/i) || contentType.match(/^text\/html(\s*;\s*.+)*$/i))) {
+  if (contentType && contentType.match(/^message\/cpim(\s*;\s*.+)*$/i)) {
+    cpim = request.body ? ExSIP.CPIM.parse(request.body) : null;
+    if (!cpim) {
+      request.reply(400, 'Invalid CPIM Body');
+      return;
+    }
+
+    // RFC5438 7.2.1.1. Notifications are reported by the message they are about
+    if (/^notification\b/i.test(cpim.contentHeaders['content-disposition'])) {
+      this.ua.imdn.receiveNotification(cpim, request);
+      return;
+    }
+
+    this.cpim = cpim;
+    this.imdn = this.ua.imdn.getRequest(cpim, request);
+    contentType = cpim.contentHeaders['content-type'];
+    body = cpim.body;
+  }
+
+  // RFC2046 5.1. A body made of body parts
+  if (contentType && contentType.match(/^multipart\/(?:mixed|alternative)(\s*;\s*.+)*$/i)) {
+    if (cpim) {
+      boundary = cpim.contentType && cpim.contentType.params && cpim.contentType.params.boundary;
+      parts = boundary ? ExSIP.Multipart.parse(body, boundary) : null;
+    } else {
+      parts = request.getBodyParts();
+    }
+    if (!parts) {
+      request.reply(400, 'Invalid Multipart Body');
+      return;
+    }
+  }
+
+  if (contentType && contentType.match(/^application\/im-iscomposing\+xml(\s*;\s*.+)*$/i)) {
+    this.ua.composing.receiveRequest(request, body);
+  } else if (parts || (contentType && (contentType.match(/^text\/plain(\s*;\s*.+)*$/i) || contentType.match(/^text\/html(\s*;\s*.+)*$/i)))) {
+    // Composition indications are received without the messages, which need the application
+    if (!this.ua.checkEvent('newMessage') || this.ua.listeners('newMessage').length === 0) {
+      request.reply(405, null, ['Allow: '+ ExSIP.Utils.getAllowedMethods(this.ua)]);
+      return;
+    }
+
+    // The transaction is terminated as soon as the application replies
+    transaction = this.ua.transactions.nist[request.via_branch];
+
+    this.ua.composing.messageReceived(request);
     this.ua.emit('newMessage', this.ua, {
       originator: 'remote',
       message: this,
-      request: request
+      request: request,
+      // RFC3862 3. Headers of the CPIM message and its content
+      cpim: cpim ? {
+        from: ExSIP.CPIM.getHeader(cpim, 'From'),
+        to: ExSIP.CPIM.getHeader(cpim, 'To'),
+        datetime: ExSIP.CPIM.getDateTime(cpim),
+        namespaces: cpim.namespaces,
+        headers: cpim.headers,
+        content_type: contentType,
+        body: body
+      } : null,
+      // Body parts of a multipart message, see ExSIP.Multipart.parse
+      parts: parts || null
     });
 
-    transaction = this.ua.transactions.nist[request.via_branch];
-
     if (transaction && (transaction.state === ExSIP.Transactions.C.STATUS_TRYING || transaction.state === ExSIP.Transactions.C.STATUS_PROCEEDING)) {
       request.reply(200);
     }
+
+    // RFC5438 7.2.1.1. A message rejected by the application was not delivered
+    if (transaction && /^SIP\/2\.0 2/.test(transaction.last_response)) {
+      this.ua.imdn.messageReceived(this);
+    } else if (transaction) {
+      this.ua.imdn.messageRejected(this);
+    }
   } else {
-    request.reply(415, null, ['Accept: text/plain, text/html']);
+    request.reply(415, null, ['Accept: text/plain, text/html, multipart/mixed, multipart/alternative, '+
+      ExSIP.IsComposing.C.CONTENT_TYPE +', '+ ExSIP.CPIM.C.CONTENT_TYPE]);
   }
 };
 
+/**
+ * Send a display notification (RFC 5438) to the sender of the incoming Message,
+ * if requested and not sent yet.
+ * Only valid for incoming Messages
+ *
+ * @returns {Boolean} true if the notification was sent
+ */
+Message.prototype.notifyDisplayed = function() {
+  if (this.direction !== 'incoming') {
+    throw new TypeError('Invalid method "notifyDisplayed" for an outgoing message');
+  }
+
+  return this.ua.imdn.messageDisplayed(this);
+};
+
 /**
  * Accept the incoming Message
  * Only valid for incoming Messages
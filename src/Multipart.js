@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Multipart
+ */
+
+/**
+ * @augments ExSIP
+ * @namespace Multipart MIME bodies (RFC 2046 5.1), ie: multipart/mixed, multipart/alternative or multipart/related.
+ */
+(function(ExSIP) {
+var Multipart,
+  C = {
+    MIXED:       'mixed',
+    ALTERNATIVE: 'alternative',
+    RELATED:     'related',
+
+    // RFC2045 6.8. Length of the lines of a base64 encoded body
+    BASE64_LINE_LENGTH: 76
+  };
+
+Multipart = {
+  /**
+   * Create a multipart body.
+   * @param {Object[]} parts body parts, ie:
+   * [{ contentType: 'text/plain', body: 'hello' }, { contentType: 'image/png', body: '...', disposition: 'attachment; filename="hello.png"', contentId: 'png@exsip.net', encoding: 'base64' }]
+   * @param {String} parts[].body binary string if base64 encoded
+   * @param {String} [parts[].contentType]
+   * @param {String} [parts[].disposition] Content-Disposition
+   * @param {String} [parts[].contentId] Content-ID, with or without its angle brackets
+   * @param {String} [parts[].encoding] 'base64' to encode the body
+   * @param {String[]} [parts[].headers] other headers of the body part
+   * @param {String} [subtype='mixed']
+   * @param {String} [boundary] a random one by default
+   * @returns {Object} ie: { contentType: 'multipart/mixed;boundary=dk7o3l4t2ol2', body: '...' }
+   */
+  create: function(parts, subtype, boundary) {
+    var idx, part, headers,
+      body = '';
+
+    boundary = boundary || ExSIP.Utils.createRandomToken(24);
+
+    for (idx = 0; idx < parts.length; idx++) {
+      part = parts[idx];
+      headers = [];
+
+      if (part.contentType) {
+        headers.push('Content-Type: '+ part.contentType);
+      }
+      if (part.disposition) {
+        headers.push('Content-Disposition: '+ part.disposition);
+      }
+      if (part.contentId) {
+        headers.push('Content-ID: <'+ part.contentId.replace(/^<|>$/g, '') +'>');
+      }
+      if (part.encoding === 'base64') {
+        headers.push('Content-Transfer-Encoding: base64');
+      }
+      headers = headers.concat(part.headers || []);
+
+      // A body part without header starts with the empty line
+      body += '--'+ boundary +'\r\n'+ (headers.length ? headers.join('\r\n') +'\r\n' : '') +'\r\n'+
+        (part.encoding === 'base64' ? Multipart.encodeBase64(part.body) : part.body) +'\r\n';
+    }
+
+    return {
+      contentType: 'multipart/'+ (subtype || C.MIXED) +';boundary='+ boundary,
+      body: body +'--'+ boundary +'--\r\n'
+    };
+  },
+
+  /**
+   * Split a multipart body into its body parts.
+   * @param {String} body
+   * @param {String} boundary boundary parameter of the Content-Type
+   * @returns {Object[]|null} body parts, null if the body is not a valid multipart one, ie:
+   * [{ headers: { 'content-type': 'application/rlmi+xml', 'content-id': '<nXYxAE@pres.vancouver.example.com>' }, contentType: { type: 'application', subtype: 'rlmi+xml' }, contentId: 'nXYxAE@pres.vancouver.example.com', body: '...' }]
+   */
+  parse: function(body, boundary) {
+    var next, end, part,
+      parts = [],
+      delimiter = '--'+ boundary,
+      position = boundary ? body.indexOf(delimiter) : -1;
+
+    if (position === -1) {
+      return null;
+    }
+
+    // Every part follows a delimiter line, the close delimiter ends with '--'
+    while (body.substr(position + delimiter.length, 2) !== '--') {
+      position = body.indexOf('\n', position + delimiter.length);
+      if (position === -1) {
+        return null;
+      }
+
+      // The line break before the delimiter belongs to it
+      next = body.indexOf('\n'+ delimiter, position);
+      if (next === -1) {
+        return null;
+      }
+      end = body.charAt(next - 1) === '\r' ? next - 1 : next;
+
+      part = Multipart.parsePart(body.substring(position + 1, end));
+      if (!part) {
+        return null;
+      }
+      parts.push(part);
+
+      position = next + 1;
+    }
+
+    return parts;
+  },
+
+  /**
+   * Parse the headers and the body of a body part.
+   * @param {String} text
+   * @returns {Object|null}
+   */
+  parsePart: function(text) {
+    var idx, lines, header, contentType, body,
+      headers = {},
+      separator = /(^|\r?\n)\r?\n/.exec(text);
+
+    // Unfold the header lines
+    lines = (separator ? text.substring(0, separator.index) : text).replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+    for (idx = 0; idx < lines.length; idx++) {
+      if (lines[idx] === '') {
+        continue;
+      }
+
+      header = lines[idx].match(/^([^:\s]+)\s*:\s*(.*?)\s*$/);
+      if (!header) {
+        return null;
+      }
+      headers[header[1].toLowerCase()] = header[2];
+    }
+
+    contentType = headers['content-type'] ? ExSIP.Grammar.parse(headers['content-type'], 'Content_Type') : null;
+    body = separator ? text.substring(separator.index + separator[0].length) : '';
+
+    // RFC2045 6.8. The decoded body is a binary string
+    if (/^base64$/i.test(headers['content-transfer-encoding'])) {
+      body = Multipart.decodeBase64(body);
+      if (body === null) {
+        return null;
+      }
+    }
+
+    return {
+      headers: headers,
+      contentType: contentType !== -1 ? contentType : null,
+      contentId: headers['content-id'] ? headers['content-id'].replace(/^<|>$/g, '') : null,
+      disposition: headers['content-disposition'] ? Multipart.parseDisposition(headers['content-disposition']) : null,
+      body: body
+    };
+  },
+
+  /**
+   * Parse a Content-Disposition header (RFC 2183).
+   * @param {String} value ie: 'attachment; filename="hello.png"'
+   * @returns {Object} ie: { type: 'attachment', params: { filename: 'hello.png' } }
+   */
+  parseDisposition: function(value) {
+    var param,
+      params = {},
+      regexp = /;\s*([^\s=;]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|[^;]*?))?\s*(?=;|$)/g,
+      type = value.split(';')[0].trim().toLowerCase();
+
+    while ((param = regexp.exec(value))) {
+      params[param[1].toLowerCase()] = param[2] === undefined ? null : param[2].replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+    }
+
+    return {
+      type: type,
+      params: params
+    };
+  },
+
+  /**
+   * Encode a binary string in base64 lines.
+   * @param {String} data
+   * @returns {String}
+   */
+  encodeBase64: function(data) {
+    return window.btoa(data).replace(new RegExp('.{'+ C.BASE64_LINE_LENGTH +'}(?=.)', 'g'), '$&\r\n');
+  },
+
+  /**
+   * Decode base64 lines in a binary string.
+   * @param {String} data
+   * @returns {String|null} null if the data is not base64 encoded
+   */
+  decodeBase64: function(data) {
+    try {
+      return window.atob(data.replace(/\s+/g, ''));
+    } catch(e) {
+      return null;
+    }
+  },
+
+  /**
+   * Body part of the given Content-ID (RFC 2392).
+   * @param {Object[]} parts
+   * @param {String} contentId with or without the 'cid:' prefix
+   * @returns {Object|null}
+   */
+  getPart: function(parts, contentId) {
+    var idx;
+
+    contentId = contentId.replace(/^cid:/i, '');
+    for (idx = 0; idx < parts.length; idx++) {
+      if (parts[idx].contentId === contentId) {
+        return parts[idx];
+      }
+    }
+
+    return null;
+  }
+};
+
+Multipart.C = C;
+ExSIP.Multipart = Multipart;
+}(ExSIP));
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Presence
+ */
+
+/**
+ * @augments ExSIP
+ * @class Presence of the UA (RFC 3856) published in PIDF documents (RFC 3863), and watchers of the presence of buddies.
+ * @param {ExSIP.UA} ua
+ */
+(function(ExSIP) {
+var Presence,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'PRESENCE'),
+  C = {
+    EVENT: 'presence',
+    CONTENT_TYPE: 'application/pidf+xml',
+
+    // Basic status of a PIDF tuple
+    STATUS_OPEN:   'open',
+    STATUS_CLOSED: 'closed',
+
+    // XML namespaces
+    NS_PIDF:       'urn:ietf:params:xml:ns:pidf',
+    NS_DATA_MODEL: 'urn:ietf:params:xml:ns:pidf:data-model',
+    NS_RPID:       'urn:ietf:params:xml:ns:pidf:rpid',
+
+    // RFC4480 3.2. Activities of a person
+    ACTIVITIES: ['appointment', 'away', 'breakfast', 'busy', 'dinner', 'holiday', 'in-transit', 'looking-for-work',
+      'meal', 'meeting', 'on-the-phone', 'performance', 'permanent-absence', 'playing', 'presentation', 'shopping',
+      'sleeping', 'spectator', 'steering', 'travel', 'tv', 'unknown', 'vacation', 'working', 'worship']
+  };
+
+/**
+ * Text of the note children of an element.
+ */
+function getNotes(element) {
+  var child,
+    notes = [];
+
+  for (child = element.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.localName === 'note') {
+      notes.push(child.textContent.trim());
+    }
+  }
+
+  return notes;
+}
+
+Presence = function(ua) {
+  var self = this;
+
+  this.ua = ua;
+  this.publisher = null;
+
+  // Subscribers to the presence of the buddies, by target
+  this.watchers = {};
+
+  // RFC3903 4.5. The published state is removed with the registration
+  ua.on('unregistered', function() {
+    if (self.publisher && self.publisher.isPublished()) {
+      self.unpublish();
+    }
+  });
+};
+
+Presence.prototype = {
+  /**
+   * Publish the presence of the UA.
+   * @param {String} status 'open' or 'closed'
+   * @param {String} [note]
+   * @param {Object} [options] options of ExSIP.Publisher.publish
+   * @param {String[]} [options.activities] RPID activities, ie: ['on-the-phone']
+   * @param {Object} [options.eventHandlers]
+   * @returns {ExSIP.Publisher}
+   */
+  publish: function(status, note, options) {
+    var event, eventHandlers, pidf;
+
+    if (status !== C.STATUS_OPEN && status !== C.STATUS_CLOSED) {
+      throw new TypeError('Invalid status: '+ status);
+    }
+
+    options = options || {};
+    pidf = Presence.createPidf(this.ua.configuration.uri, status, note, options.activities);
+    eventHandlers = options.eventHandlers || {};
+
+    if (!this.publisher) {
+      this.publisher = new ExSIP.Publisher(this.ua, C.EVENT);
+    }
+
+    // Set event handlers
+    for (event in eventHandlers) {
+      this.publisher.on(event, eventHandlers[event]);
+    }
+
+    this.publisher.publish(pidf, {
+      contentType: C.CONTENT_TYPE,
+      expires: options.expires,
+      extraHeaders: options.extraHeaders
+    });
+
+    return this.publisher;
+  },
+
+  /**
+   * Remove the published presence.
+   */
+  unpublish: function() {
+    if (!this.publisher) {
+      logger.warn('presence not published', this.ua);
+      return;
+    }
+
+    this.publisher.unpublish();
+  },
+
+  /**
+   * Watch the presence of a buddy, reported by the 'presenceChanged' event of the UA.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options] options of ExSIP.UA.subscribe
+   * @returns {ExSIP.Subscriber}
+   */
+  watch: function(target, options) {
+    var subscriber,
+      self = this;
+
+    target = ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params);
+
+    if (this.watchers[target.toString()]) {
+      return this.watchers[target.toString()];
+    }
+
+    subscriber = this.ua.subscribe(target, C.EVENT, options);
+    this.watchers[target.toString()] = subscriber;
+
+    subscriber.on('notify', function(e) {
+      if (e.data.content) {
+        self.ua.emit('presenceChanged', self.ua, {
+          originator: 'remote',
+          target: target,
+          request: e.data.request,
+          status: e.data.content.status,
+          notes: e.data.content.notes,
+          activities: e.data.content.activities,
+          tuples: e.data.content.tuples
+        });
+      }
+    });
+
+    subscriber.on('failed', function() {
+      delete self.watchers[target.toString()];
+    });
+
+    subscriber.on('terminated', function() {
+      delete self.watchers[target.toString()];
+    });
+
+    return subscriber;
+  },
+
+  /**
+   * Stop watching the presence of a buddy.
+   * @param {String|ExSIP.URI} target
+   */
+  unwatch: function(target) {
+    var subscriber;
+
+    target = ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params);
+    subscriber = this.watchers[target.toString()];
+
+    if (!subscriber) {
+      logger.warn('not watching the presence of '+ target, this.ua);
+      return;
+    }
+
+    delete this.watchers[target.toString()];
+    subscriber.unsubscribe();
+  }
+};
+
+/**
+ * Create the PIDF document of a presentity.
+ * @param {ExSIP.URI} entity
+ * @param {String} status 'open' or 'closed'
+ * @param {String} [note]
+ * @param {String[]} [activities] RPID activities, one of ExSIP.Presence.C.ACTIVITIES
+ * @returns {String}
+ *
+ * @throws {TypeError} if an activity is unknown
+ */
+Presence.createPidf = function(entity, status, note, activities) {
+  var idx,
+    id = ExSIP.Utils.createRandomToken(8),
+    pidf = '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+      '<presence xmlns="'+ C.NS_PIDF +'" xmlns:dm="'+ C.NS_DATA_MODEL +'" xmlns:rpid="'+ C.NS_RPID +'"'+
+      ' entity="'+ ExSIP.Utils.escapeXML(entity) +'">\r\n'+
+      '<tuple id="t'+ id +'"><status><basic>'+ status +'</basic></status></tuple>\r\n';
+
+  // RFC3863 4.1.2. The notes of the presentity come before the elements of other namespaces
+  if (note) {
+    pidf += '<note>'+ ExSIP.Utils.escapeXML(note) +'</note>\r\n';
+  }
+
+  if (activities && activities.length) {
+    pidf += '<dm:person id="p'+ id +'"><rpid:activities>';
+    for (idx = 0; idx < activities.length; idx++) {
+      // The activities are names of elements
+      if (C.ACTIVITIES.indexOf(activities[idx]) === -1) {
+        throw new TypeError('Invalid activity: '+ activities[idx]);
+      }
+      pidf += '<rpid:'+ activities[idx] +'/>';
+    }
+    pidf += '</rpid:activities></dm:person>\r\n';
+  }
+
+  return pidf + '</presence>';
+};
+
+/**
+ * Parse a PIDF document.
+ * @param {String} body
+ * @returns {Object|null} presence, ie:
+ * { entity: 'sip:alice@example.com', status: 'open', notes: ['Lunch'], activities: ['away'], tuples: [{ id: 't1', status: 'open', contact: null, notes: [] }] }
+ */
+Presence.parse = function(body) {
+  var doc, presence, tuples, tuple, basic, contact, activities, idx, child,
+    result = {
+      entity: null,
+      status: null,
+      notes: [],
+      activities: [],
+      tuples: []
+    };
+
+  doc = ExSIP.Utils.parseXML(body);
+  presence = doc && doc.documentElement;
+  if (!presence || presence.localName !== 'presence' || presence.namespaceURI !== C.NS_PIDF) {
+    return null;
+  }
+
+  result.entity = presence.getAttribute('entity');
+
+  tuples = presence.getElementsByTagNameNS(C.NS_PIDF, 'tuple');
+  for (idx = 0; idx < tuples.length; idx++) {
+    tuple = tuples[idx];
+    basic = tuple.getElementsByTagNameNS(C.NS_PIDF, 'basic')[0];
+    contact = tuple.getElementsByTagNameNS(C.NS_PIDF, 'contact')[0];
+
+    result.tuples.push({
+      id: tuple.getAttribute('id'),
+      status: basic ? basic.textContent.trim() : null,
+      contact: contact ? contact.textContent.trim() : null,
+      notes: getNotes(tuple)
+    });
+
+    // The presentity is available through any open tuple
+    if (basic && result.status !== C.STATUS_OPEN) {
+      result.status = basic.textContent.trim();
+    }
+  }
+
+  // Notes of the presentity and of its persons
+  for (child = presence.firstChild; child; child = child.nextSibling) {
+    if (child.localName === 'note') {
+      result.notes.push(child.textContent.trim());
+    } else if (child.localName === 'person') {
+      result.notes = result.notes.concat(getNotes(child));
+    }
+  }
+
+  activities = presence.getElementsByTagNameNS(C.NS_RPID, 'activities');
+  for (idx = 0; idx < activities.length; idx++) {
+    for (child = activities[idx].firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1 && child.localName !== 'note') {
+        result.activities.push(child.localName);
+      }
+    }
+  }
+
+  return result;
+};
+
+ExSIP.Subscriber.registerEventPackage(C.EVENT, {
+  accept: [C.CONTENT_TYPE],
+  parse: Presence.parse
+});
+
+Presence.C = C;
+ExSIP.Presence = Presence;
+}(ExSIP));
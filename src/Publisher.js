@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Publisher (SIP Extension for Event State Publication RFC3903)
+ */
+
+/**
+ * @augments ExSIP
+ * @class Class publishing the event state of the UA.
+ * @param {ExSIP.UA} ua
+ * @param {String} event event package, ie: 'presence'
+ * @param {String|ExSIP.URI} [target] the address of record of the UA by default
+ */
+(function(ExSIP) {
+var Publisher,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'PUBLISHER'),
+  C = {
+    EXPIRES: 3600
+  };
+
+Publisher = function(ua, event, target) {
+  var events = [
+    'published',
+    'unpublished',
+    'failed'
+  ];
+
+  this.ua = ua;
+  this.event = event;
+  this.target = target ? ExSIP.Utils.normalizeURI(target, ua.configuration.hostport_params) : ua.configuration.uri;
+
+  // Call-ID and CSeq values RFC3261 10.2
+  this.call_id = ExSIP.Utils.createRandomToken(22);
+  this.cseq = 0;
+
+  // RFC3903 4.1. Entity-tag of the published state
+  this.etag = null;
+
+  this.body = null;
+  this.contentType = null;
+  this.expires = C.EXPIRES;
+  this.extraHeaders = [];
+  this.refreshTimer = null;
+
+  this.initEvents(events);
+};
+Publisher.prototype = new ExSIP.EventEmitter();
+
+/**
+ * Publish the event state, modifying the one previously published if any.
+ * @param {String} body
+ * @param {Object} [options]
+ * @param {String} [options.contentType]
+ * @param {Number} [options.expires=3600] seconds
+ * @param {String[]} [options.extraHeaders]
+ */
+Publisher.prototype.publish = function(body, options) {
+  options = options || {};
+
+  this.body = body;
+  this.contentType = options.contentType || this.contentType;
+  this.expires = options.expires || this.expires;
+  this.extraHeaders = (options.extraHeaders || this.extraHeaders).slice();
+
+  this.sendPublish(this.body, this.expires);
+};
+
+/**
+ * RFC3903 4.3. Refresh the published state before it expires.
+ */
+Publisher.prototype.refresh = function() {
+  if (!this.etag) {
+    logger.warn('no published state to refresh', this.ua);
+    return;
+  }
+
+  this.sendPublish(null, this.expires);
+};
+
+/**
+ * RFC3903 4.5. Remove the published state.
+ */
+Publisher.prototype.unpublish = function() {
+  if (!this.etag) {
+    logger.warn('no published state to remove', this.ua);
+    return;
+  }
+
+  this.sendPublish(null, 0);
+
+  window.clearTimeout(this.refreshTimer);
+  this.refreshTimer = null;
+  this.etag = null;
+  this.body = null;
+
+  this.emit('unpublished', this, {
+    originator: 'local'
+  });
+};
+
+/**
+ * Whether an event state is currently published.
+ * @returns {Boolean}
+ */
+Publisher.prototype.isPublished = function() {
+  return this.etag !== null;
+};
+
+/**
+ * @private
+ * @param {String|null} body null to refresh or remove the state
+ * @param {Number} expires
+ */
+Publisher.prototype.sendPublish = function(body, expires) {
+  var request,
+    self = this,
+    extraHeaders = this.extraHeaders.slice();
+
+  extraHeaders.push('Event: '+ this.event);
+  extraHeaders.push('Expires: '+ expires);
+  if (this.etag) {
+    extraHeaders.push('SIP-If-Match: '+ this.etag);
+  }
+  if (body) {
+    extraHeaders.push('Content-Type: '+ this.contentType);
+  }
+
+  request = new ExSIP.OutgoingRequest(ExSIP.C.PUBLISH, this.target, this.ua, {
+      'to_uri': this.target,
+      'call_id': this.call_id,
+      'cseq': (this.cseq += 1)
+    }, extraHeaders, body || undefined);
+
+  new ExSIP.RequestSender({
+    request: request,
+    receiveResponse: function(response) {
+      // The CSeq may have been increased by an authentication
+      self.cseq = Math.max(self.cseq, response.cseq);
+
+      // The response to a removal does not change anything
+      if (expires !== 0) {
+        self.receiveResponse(response, body);
+      }
+    },
+    onRequestTimeout: function() {
+      if (expires !== 0) {
+        self.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
+      }
+    },
+    onTransportError: function() {
+      if (expires !== 0) {
+        self.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
+      }
+    }
+  }, this.ua).send();
+};
+
+/**
+ * @private
+ */
+Publisher.prototype.receiveResponse = function(response, body) {
+  var expires, self = this;
+
+  // Discard responses to older PUBLISH requests
+  if (response.cseq < this.cseq) {
+    return;
+  }
+
+  switch(true) {
+    case /^1[0-9]{2}$/.test(response.status_code):
+      // Ignore provisional responses.
+      break;
+
+    case /^2[0-9]{2}$/.test(response.status_code):
+      if (!response.hasHeader('sip-etag')) {
+        logger.warn('no SIP-ETag header in response to PUBLISH', this.ua);
+        this.onFailure(response, ExSIP.C.causes.SIP_FAILURE_CODE);
+        break;
+      }
+      this.etag = response.getHeader('sip-etag');
+
+      // Refresh before the expiration interval has elapsed, ie: 3 seconds
+      expires = response.hasHeader('expires') ? response.s('expires') : this.expires;
+      window.clearTimeout(this.refreshTimer);
+      this.refreshTimer = window.setTimeout(function() {
+        self.refreshTimer = null;
+        self.refresh();
+      }, Math.max(expires * 1000 - 3000, expires * 500));
+
+      this.emit('published', this, {
+        originator: 'remote',
+        response: response
+      });
+      break;
+
+    // RFC3903 6. The published state is unknown to the server, publish it again
+    case /^412$/.test(response.status_code):
+      this.etag = null;
+      if (this.body) {
+        logger.log('412 response received for PUBLISH, publishing the state again', this.ua);
+        this.sendPublish(this.body, this.expires);
+      } else {
+        this.onFailure(response, ExSIP.C.causes.SIP_FAILURE_CODE);
+      }
+      break;
+
+    // Interval too brief RFC3903 6
+    case /^423$/.test(response.status_code):
+      if (response.hasHeader('min-expires')) {
+        this.expires = response.s('min-expires');
+        this.sendPublish(body, this.expires);
+      } else {
+        logger.warn('423 response received for PUBLISH without Min-Expires', this.ua);
+        this.onFailure(response, ExSIP.C.causes.SIP_FAILURE_CODE);
+      }
+      break;
+
+    default:
+      this.onFailure(response, ExSIP.Utils.sipErrorCause(response.status_code));
+      break;
+  }
+};
+
+/**
+ * @private
+ */
+Publisher.prototype.onFailure = function(response, cause) {
+  window.clearTimeout(this.refreshTimer);
+  this.refreshTimer = null;
+  this.etag = null;
+
+  this.emit('failed', this, {
+    originator: response ? 'remote' : 'system',
+    response: response,
+    cause: cause
+  });
+};
+
+Publisher.C = C;
+ExSIP.Publisher = Publisher;
+}(ExSIP));
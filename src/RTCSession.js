@@ -13,6 +13,16 @@
   var RTCMediaHandler = @@include('../src/RTCSession/RTCMediaHandler.js')
   var DTMF            = @@include('../src/RTCSession/DTMF.js')
   var DataChannel     = @@include('../src/RTCSession/DataChannel.js')
+  var Rel100          = @@include('../src/RTCSession/Rel100.js')
+  var SessionTimers   = @@include('../src/RTCSession/SessionTimers.js')
+  var UpdateHandler   = @@include('../src/RTCSession/UpdateHandler.js')
+  var ReferHandler    = @@include('../src/RTCSession/ReferHandler.js')
+  var ConferenceHandler = @@include('../src/RTCSession/ConferenceHandler.js')
+  var PickupHandler   = @@include('../src/RTCSession/PickupHandler.js')
+  var MSRPMediaHandler = @@include('../src/RTCSession/MSRPMediaHandler.js')
+  var StatsCollector  = @@include('../src/RTCSession/StatsCollector.js')
+  var QualityReporter = @@include('../src/RTCSession/QualityReporter.js')
+  var VideoHandler    = @@include('../src/RTCSession/VideoHandler.js')
 
   var RTCSession,
     logger = new ExSIP.Logger(ExSIP.name +' | '+ 'RTC SESSION'),
@@ -43,7 +53,14 @@
       'resumed',
       'newDTMF',
       'dataSent',
-      'dataReceived'
+      'dataReceived',
+      'replaces',
+      'refer',
+      'redirected',
+      'fork',
+      'participantJoined',
+      'participantLeft',
+      'qualityChanged'
     ];
 
     this.ua = ua;
@@ -53,13 +70,33 @@
     this.rtcMediaHandler = null;
     this.isOnHold = false;
     this.initialRemoteSdp = null;
+    this.earlyMedia = false;
+    // To tag of the branch whose early media is rendered, and early answers per branch of a forked INVITE
+    this.earlyMediaBranch = null;
+    this.earlyAnswers = {};
+    this.terminatedForks = [];
+    this.replacedSession = null;
+    // Whether the session takes over the ringing call of another user
+    this.pickedUp = false;
+    // MSRP session negotiated by the session instead of WebRTC media
+    this.msrpSession = null;
+    // Preferred codecs of the local descriptions by media type
+    this.codecs = null;
 
     // Session Timers
     this.timers = {
       ackTimer: null,
       expiresTimer: null,
       invite2xxTimer: null,
-      userNoAnswerTimer: null
+      userNoAnswerTimer: null,
+      rel1xxTimer: null,
+      prackTimer: null,
+      sessionRefreshTimer: null,
+      sessionExpiresTimer: null,
+      conferenceRefreshTimer: null,
+      statsTimer: null,
+      vqReportTimer: null,
+      videoRetryTimer: null
     };
 
     // Session info
@@ -68,10 +105,22 @@
     this.remote_identity = null;
     this.start_time = null;
     this.end_time = null;
+    // Statistics of the call once it has ended, if it was monitored
+    this.quality_summary = null;
 
     // Custom session empty object for high level use
     this.data = {};
     this.dtmf = new DTMF(this);
+    this.rel100 = new Rel100(this);
+    this.sessionTimers = new SessionTimers(this);
+    this.updateHandler = new UpdateHandler(this);
+    this.referHandler = new ReferHandler(this);
+    this.conferenceHandler = new ConferenceHandler(this);
+    this.pickupHandler = new PickupHandler(this);
+    this.statsCollector = new StatsCollector(this);
+    this.qualityReporter = new QualityReporter(this);
+    this.videoHandler = new VideoHandler(this);
+    this.redirector = new ExSIP.Redirector(this);
 
     this.initEvents(events);
   };
@@ -87,6 +136,10 @@
 
   RTCSession.prototype.initRtcMediaHandler = function(options) {
     options = options || {};
+    if(this.msrpSession) {
+      this.rtcMediaHandler = new MSRPMediaHandler(this, this.msrpSession);
+      return;
+    }
     this.rtcMediaHandler = new RTCMediaHandler(this, options.RTCConstraints || this.ua.rtcConstraints() || {"optional": [{'DtlsSrtpKeyAgreement': 'true'}]});
     if(options["copy"]) {
       this.rtcMediaHandler.copy(options["copy"]);
@@ -189,6 +242,8 @@
   /**
    * Answer the call.
    * @param {Object} [options]
+   * @param {Object} [options.codecs] preferred codecs by media type, ie: { audio: ['PCMU', 'PCMA'] }, the codecs configuration by default. An offer without any codec of the configuration is rejected on arrival
+   * @param {Object|Boolean} [options.stats] monitor the quality of the call, ie: { interval: 5, rtpTimeout: 30, thresholds: { good: 4.0, fair: 3.6, poor: 3.1 } }, monitored by default with a vq_collector configuration
    */
   RTCSession.prototype.answer = function(options) {
     options = options || {};
@@ -246,6 +301,7 @@
             ExSIP.Timers.TIMER_H
           );
 
+          self.sessionTimers.start();
           self.started('local');
         },
 
@@ -254,6 +310,7 @@
           self.failed('system', null, ExSIP.C.causes.CONNECTION_ERROR);
         };
 
+      self.sessionTimers.addResponseHeaders(extraHeaders);
       extraHeaders.push('Contact: ' + self.contact);
 
       logger.log('answer : sending reply', self.ua);
@@ -264,11 +321,16 @@
       );
     };
 
-    var answerCreationFailed = function() {
+    var answerCreationFailed = function(cause) {
       if (self.status === C.STATUS_TERMINATED) {
         return;
       }
 
+      if (cause === ExSIP.C.causes.INCOMPATIBLE_SDP) {
+        request.reply(488);
+        self.failed('local', null, cause);
+        return;
+      }
       self.failed('local', null, ExSIP.C.causes.WEBRTC_ERROR);
     };
 
@@ -278,7 +340,14 @@
       throw new TypeError('Invalid method "answer" for an outgoing call');
     } else if (this.status !== C.STATUS_WAITING_FOR_ANSWER) {
       throw new ExSIP.Exceptions.InvalidStateError(this.status);
+    } else if (options.codecs && !ExSIP.UA.configuration_check.optional.codecs(options.codecs)) {
+      throw new TypeError('Invalid codecs: '+ ExSIP.Utils.toString(options.codecs));
+    }
+
+    if (options.codecs) {
+      this.codecs = options.codecs;
     }
+    this.statsCollector.init(options.stats);
 
     this.status = C.STATUS_ANSWERED;
 
@@ -291,7 +360,7 @@
     window.clearTimeout(this.timers.userNoAnswerTimer);
 
     logger.log('answer : getUserMedia', self.ua);
-    this.getUserMedia(mediaConstraints, answerCreationSucceeded, answerCreationFailed, {isAnswer: true, remoteSdp: request.body});
+    this.getUserMedia(mediaConstraints, answerCreationSucceeded, answerCreationFailed, {isAnswer: true, remoteSdp: request.getSdp()});
   };
 
   /**
@@ -318,6 +387,8 @@
 
     logger.log("accepting re-INVITE", this.ua);
 
+    this.sessionTimers.addResponseHeaders(extraHeaders);
+
     var replySucceeded = function() {
       var timeout = ExSIP.Timers.T1;
 
@@ -364,6 +435,7 @@
         ExSIP.Timers.TIMER_H
       );
 
+      self.sessionTimers.start();
       self.started('local', undefined, true);
     };
 
@@ -400,19 +472,82 @@
     var self = this;
     options = options || {};
     var localMedia = options.localMedia || this.rtcMediaHandler.localMedia;
+    var screenMedia = options.screenMedia !== undefined ? options.screenMedia : this.rtcMediaHandler.screenMedia;
     options["createOfferConstraints"] = options.createOfferConstraints || this.rtcMediaHandler.createOfferConstraints;
     this.rtcMediaHandler.close(!!options.localMedia);
 
     this.initRtcMediaHandler(options);
     this.rtcMediaHandler.localMedia = localMedia;
+    this.rtcMediaHandler.screenMedia = screenMedia;
     this.rtcMediaHandler.createOfferConstraints = options["createOfferConstraints"];
     this.connectRtcMediaHandler(localMedia, function(){
-        self.started('local', undefined, true);
+        // RFC3311 5.1. An UPDATE of an early dialog does not start the call
+        if (self.status === C.STATUS_CONFIRMED) {
+          self.started('local', undefined, true);
+        }
         connectSuccess();
       }, connectFailed, options
     );
   };
 
+  /**
+   * Send an UPDATE inside the early or confirmed dialog.
+   *
+   * @param {Object} [options]
+   * @param {Array} [options.extraHeaders]
+   * @param {Object} [options.sdpOptions] media changes of the new offer, as for hold and unhold
+   * @param {Boolean} [options.withoutSdp] send no offer, to refresh the session or the remote target only
+   * @param {Function} [options.success] called with the 2xx response once the answer is applied
+   * @param {Function} [options.failure] called with the response, if any, and the failure cause
+   */
+  RTCSession.prototype.update = function(options) {
+    this.updateHandler.send(options);
+  };
+
+  /**
+   * Add the camera video to the call with a re-INVITE, the local media is replaced by one with video.
+   *
+   * @param {Object} [constraints] media constraints of the new local media, ie: { audio: true, video: true }
+   * @param {Object} [options]
+   * @param {Function} [options.success] called with the 2xx response once the answer is applied
+   * @param {Function} [options.failure] called with the response, if any, and the failure cause once the previous media is restored
+   */
+  RTCSession.prototype.addVideo = function(constraints, options) {
+    this.videoHandler.addVideo(constraints, options);
+  };
+
+  /**
+   * Remove the video of the call with a re-INVITE, the local media is replaced by an audio only one.
+   *
+   * @param {Object} [options] as for addVideo
+   */
+  RTCSession.prototype.removeVideo = function(options) {
+    this.videoHandler.removeVideo(options);
+  };
+
+  /**
+   * Share a screen, ie: a desktop capture, along with the local media.
+   *
+   * @param {MediaStream} stream
+   * @param {Object} [options] as for addVideo
+   */
+  RTCSession.prototype.startScreenShare = function(stream, options) {
+    this.videoHandler.startScreenShare(stream, options);
+  };
+
+  /**
+   * Stop sharing the screen, the application stops its stream.
+   *
+   * @param {Object} [options] as for addVideo
+   */
+  RTCSession.prototype.stopScreenShare = function(options) {
+    this.videoHandler.stopScreenShare(options);
+  };
+
+  RTCSession.prototype.isScreenSharing = function() {
+    return this.videoHandler.isScreenSharing();
+  };
+
   /**
    * Send a DTMF
    *
@@ -520,7 +655,7 @@
    * @private
    */
   RTCSession.prototype.init_incoming = function(request) {
-    var expires,
+    var expires, sdp,
       self = this;
 //      contentType = request.getHeader('Content-Type');
 
@@ -530,6 +665,41 @@
 //      return;
 //    }
 
+    // RFC5621 3.1. The session description may be one of the body parts
+    if(/^\s*multipart\//i.test(request.getHeader('content-type') || '') && !request.getBodyParts()) {
+      request.reply(400, 'Invalid Multipart Body');
+      return;
+    }
+
+    // RFC3262 3. Reject the INVITE if 100rel usage cannot be agreed
+    if(!this.rel100.init_incoming(request)) {
+      return;
+    }
+
+    // RFC4028 9. Reject the INVITE if the session interval cannot be agreed
+    if(!this.sessionTimers.handleRequest(request)) {
+      return;
+    }
+
+    // RFC5621 3.1. The session description may be one of the body parts, which the request keeps
+    sdp = request.getSdp();
+
+    /* Reject an offer without any of the preferred codecs.
+     * Only the codecs configuration is checked: the codecs given to answer()
+     * come too late to accept an offer it rejects.
+     */
+    this.codecs = this.ua.configuration.codecs;
+    if(this.codecs && !new ExSIP.WebRTC.RTCSessionDescription({type: 'offer', sdp: sdp}).setCodecs(this.codecs)) {
+      logger.warn('none of the preferred codecs is offered', this.ua);
+      request.reply(488);
+      return;
+    }
+
+    // RFC3891 3. Reject the INVITE if the dialog to replace cannot be found
+    if(request.hasHeader('replaces') && !this.init_replaces(request)) {
+      return;
+    }
+
     // Session parameter initialization
     this.status = C.STATUS_INVITE_RECEIVED;
     this.from_tag = request.from_tag;
@@ -559,13 +729,16 @@
     //Initialize Media Session
     this.initRtcMediaHandler();
     this.rtcMediaHandler.onMessage(
-      request.body,
+      sdp,
       /*
        * onSuccess
        * SDP Offer is valid. Fire UA newRTCSession
        */
       function() {
-        request.reply(180, null, ['Contact: ' + self.contact]);
+        // The replacing INVITE does not alert the user
+        if(!self.replacedSession) {
+          self.rel100.reply(180, ['Contact: ' + self.contact]);
+        }
         self.status = C.STATUS_WAITING_FOR_ANSWER;
 
         // Set userNoAnswerTimer
@@ -589,6 +762,21 @@
         }
 
         self.newRTCSession('remote', request);
+
+        /* RFC3891 3
+         * The replacing call is answered automatically unless the application
+         *  handles the replaces event itself.
+         */
+        if(self.replacedSession && self.status === C.STATUS_WAITING_FOR_ANSWER) {
+          if(self.listeners('replaces').length > 0) {
+            self.emit('replaces', self, {
+              request: request,
+              replaced: self.replacedSession
+            });
+          } else {
+            self.answer();
+          }
+        }
       },
       /*
        * onFailure
@@ -602,6 +790,71 @@
     );
   };
 
+  /**
+   * RFC3891 3. Find the session the INVITE replaces.
+   * @private
+   * @returns {Boolean} false if the INVITE has been rejected
+   */
+  RTCSession.prototype.init_replaces = function(request) {
+    var dialog,
+      replaces = request.s('replaces');
+
+    if(request.countHeader('replaces') > 1 || !replaces || !replaces.to_tag || !replaces.from_tag) {
+      request.reply(400, 'Invalid Replaces Header');
+      return false;
+    }
+
+    // The to-tag is compared to the local tag and the from-tag to the remote tag
+    dialog = this.ua.findDialog(replaces);
+    if(!dialog || dialog.id.local_tag !== replaces.to_tag || dialog.id.remote_tag !== replaces.from_tag) {
+      logger.warn('no dialog matching the Replaces header', this.ua);
+      request.reply(481);
+      return false;
+    }
+
+    if(dialog.session.status === C.STATUS_TERMINATED || dialog.session.status === C.STATUS_BYE_SENT) {
+      request.reply(603);
+      return false;
+    }
+
+    if(dialog.state === ExSIP.Dialog.C.STATUS_CONFIRMED && replaces.early_only) {
+      request.reply(486);
+      return false;
+    }
+
+    // Only an early dialog initiated by us can be replaced
+    if(dialog.state === ExSIP.Dialog.C.STATUS_EARLY && dialog.isUAS()) {
+      request.reply(481);
+      return false;
+    }
+
+    this.replacedSession = dialog.session;
+    return true;
+  };
+
+  /**
+   * RFC3891 3. End the session replaced by this one once the new dialog is confirmed.
+   * @private
+   */
+  RTCSession.prototype.terminateReplacedSession = function() {
+    var replaced = this.replacedSession;
+
+    this.replacedSession = null;
+    if(!replaced || replaced.status === C.STATUS_TERMINATED) {
+      return;
+    }
+
+    logger.log('terminating replaced session : ' + replaced.id, this.ua);
+    if(replaced.status === C.STATUS_1XX_RECEIVED) {
+      replaced.isCanceled = true;
+      replaced.request.cancel();
+      replaced.failed('remote', null, ExSIP.C.causes.REPLACED);
+    } else {
+      replaced.sendBye();
+      replaced.ended('remote', null, ExSIP.C.causes.REPLACED);
+    }
+  };
+
   /**
    * @private
    */
@@ -636,6 +889,10 @@
       throw new ExSIP.Exceptions.InvalidStateError(this.status);
     }
 
+    if (options.codecs && !ExSIP.UA.configuration_check.optional.codecs(options.codecs)) {
+      throw new TypeError('Invalid codecs: '+ ExSIP.Utils.toString(options.codecs));
+    }
+
     // Set event handlers
     for (event in eventHandlers) {
       this.on(event, eventHandlers[event]);
@@ -643,17 +900,18 @@
 
     // Session parameter initialization
     this.from_tag = ExSIP.Utils.newTag();
+    this.codecs = options.codecs || this.ua.configuration.codecs;
     this.initRtcMediaHandler(options);
 
-    if (!ExSIP.WebRTC.isSupported) {
+    if (!ExSIP.WebRTC.isSupported && !this.msrpSession) {
       this.failed('local', null, ExSIP.C.causes.WEBRTC_NOT_SUPPORTED);
     } else {
       this.getUserMedia(mediaConstraints, function(){
         logger.log('offer succeeded', self.ua);
         success();
-      }, function(){
+      }, function(cause){
         logger.log('offer failed', self.ua);
-        self.failed('local', null, ExSIP.C.causes.WEBRTC_ERROR);
+        self.failed('local', null, cause === ExSIP.C.causes.INCOMPATIBLE_SDP ? cause : ExSIP.C.causes.WEBRTC_ERROR);
         failure();
       }, options);
     }
@@ -672,6 +930,8 @@
     logger.log('closing INVITE session ' + this.id, this.ua);
 
     // 1st Step. Terminate media.
+    this.statsCollector.stop();
+    this.qualityReporter.stop();
     if (this.rtcMediaHandler){
       this.rtcMediaHandler.close(!this.ua.reuseLocalMedia());
     }
@@ -793,6 +1053,7 @@
             window.clearTimeout(this.timers.ackTimer);
             window.clearTimeout(this.timers.invite2xxTimer);
             this.status = C.STATUS_CONFIRMED;
+            this.terminateReplacedSession();
             if(request.body.length > 0) {
               logger.log("set remoteDescription for late offer ACK", this.ua);
               this.rtcMediaHandler.onMessage(request.body, function(){
@@ -813,6 +1074,14 @@
         case ExSIP.C.INVITE:
           if(this.status === C.STATUS_CONFIRMED) {
             logger.log('re-INVITE received', this.ua);
+            // RFC3311 5.2 and RFC3261 14.2. Glare with our UPDATE offer, or with our re-INVITE changing the video
+            if(this.updateHandler.isOfferPending() || this.videoHandler.isPending()) {
+              request.reply(491);
+              break;
+            }
+            if(!this.sessionTimers.handleRequest(request)) {
+              break;
+            }
             this.request = request;
             // accept empty reinvites
             if(!request.body || request.body.length === 0) {
@@ -850,10 +1119,23 @@
           break;
         case ExSIP.C.REFER:
           if(this.status === C.STATUS_CONFIRMED) {
-            this.ua.processRefer(this, request);
+            this.referHandler.receiveRequest(request);
+          }
+          break;
+        case ExSIP.C.PRACK:
+          this.rel100.receivePrack(request);
+          break;
+        case ExSIP.C.UPDATE:
+          if(this.status === C.STATUS_TERMINATED || this.status === C.STATUS_CANCELED || this.status === C.STATUS_BYE_SENT) {
+            request.reply(481);
+          } else {
+            this.updateHandler.receiveRequest(request);
           }
           break;
         case ExSIP.C.NOTIFY:
+          if(this.conferenceHandler.receiveRequest(request)) {
+            break;
+          }
           if(this.status === C.STATUS_REFER_SENT) {
             request.reply(200);
             logger.log('received NOTIFY with body : ' + request.body, this.ua);
@@ -910,6 +1192,12 @@
       self.failed('local', null, ExSIP.C.causes.USER_DENIED_MEDIA_ACCESS);
     };
 
+    // An MSRP session has no local media
+    if(this.msrpSession) {
+      this.connectRtcMediaHandler(null, creationSucceeded, creationFailed, options);
+      return;
+    }
+
 
     if(this.ua.reuseLocalMedia() && this.ua.localMedia) {
       this.rtcMediaHandler.localMedia = this.ua.localMedia;
@@ -939,7 +1227,7 @@
 
     var requestParams,
       invalidTarget = false,
-      extraHeaders = options.extraHeaders || [];
+      extraHeaders = (options.extraHeaders || []).slice();
 
     // Check target validity
     try {
@@ -961,6 +1249,16 @@
     this.from_tag = this.from_tag || ExSIP.Utils.newTag();
     requestParams = {from_tag: this.from_tag};
 
+    // RFC3261 8.1.3.4. The request to a redirection target keeps the Call-ID, From and To of the initial one
+    if (options.redirected) {
+      requestParams.call_id = this.request.call_id;
+      requestParams.cseq = this.request.cseq + 1;
+      requestParams.to_uri = this.request.to.uri;
+      requestParams.to_display_name = this.request.to.display_name;
+    } else if (method === ExSIP.C.INVITE) {
+      this.redirector.init_outgoing(target, options);
+    }
+
     this.contact = this.ua.contact.toString({
       anonymous: this.anonymous,
       outbound: true
@@ -977,6 +1275,12 @@
     extraHeaders.push('Contact: '+ this.contact);
     extraHeaders.push('Allow: '+ ExSIP.Utils.getAllowedMethods(this.ua));
 
+    if (method === ExSIP.C.INVITE) {
+      this.rel100.init_outgoing(extraHeaders, options.rel100);
+      this.sessionTimers.init_outgoing(options);
+      this.statsCollector.init(options.stats);
+    }
+
     this.request = new ExSIP.OutgoingRequest(method, target, this.ua, requestParams, extraHeaders);
 
     this.id = this.request.call_id + this.from_tag;
@@ -984,7 +1288,9 @@
     //Save the session into the ua sessions collection.
     this.ua.sessions[this.id] = this;
 
-    this.newRTCSession('local', this.request);
+    if (!options.redirected) {
+      this.newRTCSession('local', this.request);
+    }
 
     if (invalidTarget) {
       this.failed('local', null, ExSIP.C.causes.INVALID_TARGET);
@@ -1053,10 +1359,17 @@
    * @private
    */
   RTCSession.prototype.receiveResponse = function(response, callbacks) {
-    var cause,
+    var cause, target, idx, earlyAnswer,
       session = this;
     callbacks = callbacks || {};
 
+    // RFC3261 13.2.2.4. 2xx from another branch of the forked INVITE
+    if(this.dialog && response.method === ExSIP.C.INVITE && response.status_code >= 200 && response.status_code < 300 &&
+      response.to_tag !== this.dialog.id.remote_tag) {
+      this.terminateFork(response);
+      return;
+    }
+
     if(this.status === C.STATUS_BYE_SENT) {
       this.sendACK();
       this.ended('local', null, ExSIP.C.causes.BYE);
@@ -1099,6 +1412,39 @@
           this.createDialog(response, 'UAC', true);
         }
 
+        if(this.rel100.isReliable(response)) {
+          // Retransmissions and out of order responses are discarded
+          if(!this.rel100.acknowledge(response)) {
+            break;
+          }
+
+          /* RFC3262 5. The answer to the INVITE offer may come in a reliable provisional response.
+           * Each branch of a forked INVITE answers on its own, the early media of the first one is rendered.
+           */
+          if(response.body && !this.earlyAnswers[response.to_tag]) {
+            this.earlyAnswers[response.to_tag] = response.body;
+          }
+          if(response.body && !this.earlyMedia) {
+            this.earlyMedia = true;
+            this.earlyMediaBranch = response.to_tag;
+            this.rtcMediaHandler.onMessage(
+              response.body,
+              function() {
+                logger.log('early media session description applied', session.ua);
+              },
+              function(e) {
+                logger.warn(e, session.ua);
+                session.request.cancel('SIP ;cause=488 ;text="Not Acceptable Here"');
+                session.failed('remote', response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+              },
+              {provisional: true}
+            );
+            if(this.status === C.STATUS_TERMINATED) {
+              break;
+            }
+          }
+        }
+
         this.status = C.STATUS_1XX_RECEIVED;
         this.progress('remote', response);
         break;
@@ -1108,7 +1454,10 @@
 //          break;
 //        }
 
-        if(!response.body) {
+        // RFC3262 5. The answer may have been received in a reliable provisional response of this branch
+        earlyAnswer = this.dialog ? null : this.earlyAnswers[response.to_tag];
+
+        if(!response.body && !earlyAnswer) {
           this.acceptAndTerminate(response, 400, 'Missing session description');
           this.failed('remote', response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
           break;
@@ -1119,22 +1468,29 @@
           if (!this.createDialog(response, 'UAC')) {
             break;
           }
+          this.selectBranch(response);
         }
 
         session.status = C.STATUS_CONFIRMED;
+
+        var answerApplied = function() {
+          session.sendACK();
+          session.sessionTimers.handleResponse(response);
+          session.started('remote', response);
+          if(callbacks["inviteSuccess"]) {
+            callbacks["inviteSuccess"]();
+          }
+        };
+
+        // The early answer of the branch becomes final
+        this.earlyMedia = false;
         this.rtcMediaHandler.onMessage(
-          response.body,
+          earlyAnswer || response.body,
           /*
            * onSuccess
            * SDP Answer fits with Offer. Media will start
            */
-          function() {
-            session.sendACK();
-            session.started('remote', response);
-            if(callbacks["inviteSuccess"]) {
-              callbacks["inviteSuccess"]();
-            }
-          },
+          answerApplied,
           /*
            * onFailure
            * SDP Answer does not fit the Offer. Accept the call and Terminate.
@@ -1147,6 +1503,35 @@
         );
         break;
       default:
+        // RFC4028 7.4. Retry with the larger session interval required by the 422
+        if(response.status_code === 422 && this.sessionTimers.update422(response)) {
+          if(this.dialog) {
+            this.sendInviteRequest(undefined, undefined, callbacks["inviteSuccess"], callbacks["inviteFailure"]);
+          } else {
+            this.request.cseq += 1;
+            this.request.setHeader('cseq', this.request.cseq +' '+ this.request.method);
+            this.sessionTimers.setRequestHeaders(this.request);
+            new RequestSender(this, this.request, callbacks).send();
+          }
+          break;
+        }
+
+        // RFC3261 8.1.3.5. Pick up with the feature access code when Replaces is not supported
+        if(!this.dialog && (target = this.pickupHandler.receiveResponse(response))) {
+          this.sendInviteRequest(target, this.pickupHandler.getOptions(), callbacks["inviteSuccess"], callbacks["inviteFailure"]);
+          break;
+        }
+
+        // RFC3261 8.1.3.4. Try the next target of a redirection
+        if(!this.dialog && !this.earlyMedia && (target = this.redirector.receiveResponse(response))) {
+          for(idx in this.earlyDialogs) {
+            this.earlyDialogs[idx].terminate();
+            delete this.earlyDialogs[idx];
+          }
+          this.sendInviteRequest(target, this.redirector.getOptions(), callbacks["inviteSuccess"], callbacks["inviteFailure"]);
+          break;
+        }
+
         cause = ExSIP.Utils.sipErrorCause(response.status_code);
         this.failed('remote', response, cause);
         if(callbacks["inviteFailure"]) {
@@ -1156,6 +1541,73 @@
   };
 
 
+  /**
+   * The initial INVITE has been answered by the branch of the given 2xx response,
+   *  the early dialogs of the other branches are terminated.
+   * @private
+   */
+  RTCSession.prototype.selectBranch = function(response) {
+    var idx,
+      branches = [];
+
+    for(idx in this.earlyDialogs) {
+      branches.push(this.earlyDialogs[idx].id.remote_tag);
+      this.earlyDialogs[idx].terminate();
+      delete this.earlyDialogs[idx];
+    }
+
+    if(branches.length > 0) {
+      logger.log('forked INVITE answered by branch '+ response.to_tag, this.ua);
+      this.emit('fork', this, {
+        originator: 'remote',
+        response: response,
+        branch: response.to_tag,
+        earlyMedia: this.earlyMediaBranch === response.to_tag,
+        terminated: branches
+      });
+    }
+
+    this.earlyMediaBranch = null;
+    this.earlyAnswers = {};
+  };
+
+  /**
+   * RFC3261 13.2.2.4. Acknowledge and end the dialog established by a 2xx from another branch
+   *  of the forked INVITE.
+   * @private
+   */
+  RTCSession.prototype.terminateFork = function(response) {
+    var dialog,
+      ua = this.ua,
+      // The responses concern no session
+      applicant = {
+        receiveResponse: function() {},
+        onRequestTimeout: function() {},
+        onTransportError: function() {}
+      };
+
+    if(this.terminatedForks.indexOf(response.to_tag) !== -1) {
+      logger.log('2xx retransmission from the terminated branch '+ response.to_tag +' discarded', ua);
+      return;
+    }
+    this.terminatedForks.push(response.to_tag);
+
+    logger.log('2xx from the branch '+ response.to_tag +' of the forked INVITE, sending ACK and BYE', ua);
+
+    dialog = new ExSIP.Dialog(this, response, 'UAC');
+    if(!dialog.id) {
+      return;
+    }
+
+    applicant.request = dialog.createRequest(ExSIP.C.ACK);
+    new ExSIP.RequestSender(applicant, ua).send();
+
+    applicant.request = dialog.createRequest(ExSIP.C.BYE);
+    new ExSIP.RequestSender(applicant, ua).send();
+
+    dialog.terminate();
+  };
+
   /**
    * @private
    */
@@ -1229,8 +1681,15 @@
     }
     request.body = options["sdp"];
 
+    if(method === ExSIP.C.INVITE) {
+      this.sessionTimers.setRequestHeaders(request);
+    }
+
     var hasSdp = request.body && request.body.length > 0;
-    if(!ExSIP.Utils.containsHeader(request.extraHeaders, "Content-Type") && hasSdp) {
+    // RFC5621 The session description goes with other body parts, ie: a location (RFC 6442)
+    if(method === ExSIP.C.INVITE && hasSdp && options["bodyParts"]) {
+      request.setBodyParts([{contentType: 'application/sdp', body: request.body}].concat(options["bodyParts"]));
+    } else if(!ExSIP.Utils.containsHeader(request.extraHeaders, "Content-Type") && hasSdp) {
       request.extraHeaders.push('Content-Type: application/sdp');
     }
 
@@ -1292,10 +1751,16 @@
       session.remote_identity = request.to;
     }
 
+    // RFC4975 The session is reported as the MSRP session it negotiates
+    if (session.msrpSession) {
+      event_name = 'newMSRPSession';
+    }
+
     session.ua.emit(event_name, session.ua, {
       originator: originator,
-      session: session,
-      request: request
+      session: session.msrpSession || session,
+      request: request,
+      replaces: session.replacedSession
     });
   };
 
@@ -1333,6 +1798,48 @@
     return this.isOnHold;
   };
 
+  /**
+   * Statistics of the last interval polled, when the call is monitored with the stats option.
+   * @returns {Object|null} ie: { audio: { packets_received: 250, packets_lost: 2, loss_rate: 0.008, jitter: 3, rtt: 40, mos: 4.3 }, video: {...} }
+   */
+  RTCSession.prototype.getStats = function() {
+    return this.statsCollector.stats;
+  };
+
+  /**
+   * Whether the remote target is a conference focus (RFC 4579).
+   * @returns {Boolean}
+   */
+  RTCSession.prototype.isConference = function() {
+    return this.conferenceHandler.isFocus();
+  };
+
+  /**
+   * Participants of the conference, reported by the conference event package (RFC 4575).
+   * @returns {Object[]}
+   */
+  RTCSession.prototype.getParticipants = function() {
+    return this.conferenceHandler.getParticipants();
+  };
+
+  /**
+   * Ask the conference focus to invite a participant.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options]
+   */
+  RTCSession.prototype.addParticipant = function(target, options) {
+    this.conferenceHandler.addParticipant(target, options);
+  };
+
+  /**
+   * Ask the conference focus to remove a participant.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options]
+   */
+  RTCSession.prototype.removeParticipant = function(target, options) {
+    this.conferenceHandler.removeParticipant(target, options);
+  };
+
   /**
    * @private
    */
@@ -1347,6 +1854,12 @@
       response: message || null,
       isReconnect: isReconnect
     });
+
+    if(!isReconnect) {
+      session.conferenceHandler.init(message || session.request);
+    }
+    session.statsCollector.start();
+    session.qualityReporter.start();
   };
 
   RTCSession.prototype.held = function() {
@@ -0,0 +1,425 @@
+/**
+ * @fileoverview ConferenceHandler
+ */
+
+/**
+ * @class Session with a conference focus (RFC 4579), its roster given by the conference event package (RFC 4575)
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var ConferenceHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'CONFERENCE'),
+  C = {
+    EXPIRES: 3600
+  };
+
+/**
+ * Copy the values given by a partial state.
+ */
+function mergeState(state, partial) {
+  var key;
+
+  for (key in partial) {
+    if (partial[key] !== null) {
+      state[key] = partial[key];
+    }
+  }
+
+  return state;
+}
+
+ConferenceHandler = function(session) {
+  this.session = session;
+
+  // Whether the remote target is a conference focus, null until the session has started
+  this.focus = null;
+  this.subscribed = false;
+
+  // Version of the last conference-info document and Call-ID of the subscription it belongs to, see ExSIP.Subscriber.checkVersion
+  this.version = null;
+  this.version_call_id = null;
+
+  // Conference description and state, and participants by entity
+  this.conference = null;
+  this.users = {};
+
+  // REFER requests sent to the focus waiting for their final NOTIFY, by CSeq
+  this.refers = {};
+};
+
+ConferenceHandler.prototype = {
+  /**
+   * RFC4579 5.4. Subscribe to the conference state once the session with a focus has started.
+   * @param {ExSIP.IncomingMessage} message INVITE or response carrying the Contact of the remote target
+   */
+  init: function(message) {
+    var contact;
+
+    if (this.focus !== null || !this.session.dialog) {
+      return;
+    }
+
+    contact = message && message.hasHeader('contact') ? message.parseHeader('contact') : null;
+    this.focus = !!(contact && contact.hasParam('isfocus'));
+
+    if (this.focus) {
+      logger.log('remote target is a conference focus, subscribing to the conference state', this.session.ua);
+      this.subscribe(C.EXPIRES);
+    }
+  },
+
+  /**
+   * Refresh the conference subscription, ie: to get the full state.
+   */
+  refresh: function() {
+    this.subscribe(C.EXPIRES);
+  },
+
+  /**
+   * @returns {Boolean}
+   */
+  isFocus: function() {
+    return this.focus === true;
+  },
+
+  /**
+   * Participants of the conference, with the status and the media of their endpoints.
+   * @returns {Object[]}
+   */
+  getParticipants: function() {
+    var entity,
+      participants = [];
+
+    for (entity in this.users) {
+      participants.push(this.users[entity]);
+    }
+
+    return participants;
+  },
+
+  /**
+   * RFC4579 5.5. Ask the focus to invite a participant.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options]
+   * @param {Function} [options.success] called once the participant has joined
+   * @param {Function} [options.failure] called with the response or the status code of the failure
+   * @param {String[]} [options.extraHeaders]
+   */
+  addParticipant: function(target, options) {
+    this.refer(ExSIP.Utils.normalizeURI(target, this.session.ua.configuration.hostport_params), options);
+  },
+
+  /**
+   * RFC4579 5.6. Ask the focus to remove a participant, with a REFER whose Refer-To has method=BYE.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options] as for addParticipant
+   */
+  removeParticipant: function(target, options) {
+    var referTo = ExSIP.Utils.normalizeURI(target, this.session.ua.configuration.hostport_params);
+
+    // Not set with setParam, which lowercases the value while the method name is case-sensitive
+    this.refer(referTo.toString() +';method='+ ExSIP.C.BYE, options);
+  },
+
+  /**
+   * In-dialog NOTIFY for the conference subscription or for a REFER sent to the focus.
+   * @param {ExSIP.IncomingRequest} request
+   * @returns {Boolean} false if the NOTIFY is not for the conference
+   */
+  receiveRequest: function(request) {
+    var info, subscription_state, status, refer,
+      event = request.s('event');
+
+    if (!event || !this.isFocus()) {
+      return false;
+    }
+
+    subscription_state = request.s('subscription-state');
+
+    if (event.event === ExSIP.ConferenceInfo.C.EVENT) {
+      request.reply(200);
+
+      info = request.body ? ExSIP.ConferenceInfo.parse(request.body) : null;
+      if (info) {
+        this.update(info, request);
+      } else if (request.body) {
+        logger.warn('invalid conference-info NOTIFY body', this.session.ua);
+      }
+
+      if (subscription_state && subscription_state.state === 'terminated') {
+        logger.log('conference subscription terminated', this.session.ua);
+        this.subscribed = false;
+        window.clearTimeout(this.session.timers.conferenceRefreshTimer);
+      }
+      return true;
+    }
+
+    // RFC3515 2.4.5. The id parameter identifies the REFER by its CSeq
+    refer = event.event === 'refer' ? this.refers[event.params && event.params.id] : null;
+    if (!refer) {
+      return false;
+    }
+
+    request.reply(200);
+
+    status = request.body ? request.body.match(/^SIP\/2\.0\s+(\d{3})/) : null;
+    status = status ? window.parseInt(status[1], 10) : null;
+
+    if (status >= 200 || (subscription_state && subscription_state.state === 'terminated')) {
+      delete this.refers[event.params.id];
+
+      if (status >= 200 && status < 300) {
+        if (refer.success) {
+          refer.success();
+        }
+      } else if (refer.failure) {
+        refer.failure(status);
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * @private
+   * @param {Number} expires 0 to unsubscribe
+   */
+  subscribe: function(expires) {
+    var self = this,
+      session = this.session;
+
+    this.sendRequest(ExSIP.C.SUBSCRIBE, [
+        'Event: '+ ExSIP.ConferenceInfo.C.EVENT,
+        'Accept: '+ ExSIP.ConferenceInfo.C.CONTENT_TYPE,
+        'Expires: '+ expires,
+        'Contact: '+ session.contact,
+        'Allow: '+ ExSIP.Utils.getAllowedMethods(session.ua)
+      ], function(response) {
+        self.receiveSubscribeResponse(response, expires);
+      });
+  },
+
+  /**
+   * @private
+   */
+  receiveSubscribeResponse: function(response, expires) {
+    var self = this,
+      session = this.session;
+
+    switch(true) {
+      case /^1[0-9]{2}$/.test(response.status_code):
+        break;
+
+      case /^2[0-9]{2}$/.test(response.status_code):
+        this.subscribed = expires !== 0;
+        if (!this.subscribed) {
+          break;
+        }
+
+        // Refresh before the expiration interval has elapsed, ie: 3 seconds
+        expires = response.hasHeader('expires') ? response.s('expires') : expires;
+        window.clearTimeout(session.timers.conferenceRefreshTimer);
+        session.timers.conferenceRefreshTimer = window.setTimeout(function() {
+          session.timers.conferenceRefreshTimer = null;
+          self.subscribe(C.EXPIRES);
+        }, Math.max(expires * 1000 - 3000, expires * 500));
+        break;
+
+      // Interval too brief RFC6665 4.1.2.1
+      case /^423$/.test(response.status_code) && response.hasHeader('min-expires'):
+        this.subscribe(response.s('min-expires'));
+        break;
+
+      default:
+        logger.warn('conference subscription failed with '+ response.status_code, session.ua);
+        this.subscribed = false;
+        break;
+    }
+  },
+
+  /**
+   * @private
+   * @param {ExSIP.URI|String} referTo
+   * @param {Object} [options]
+   */
+  refer: function(referTo, options) {
+    var request, cseq,
+      self = this,
+      session = this.session,
+      extraHeaders;
+
+    options = options || {};
+
+    if (!this.isFocus() || session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+      throw new ExSIP.Exceptions.InvalidStateError(session.status);
+    }
+
+    extraHeaders = (options.extraHeaders || []).slice();
+    extraHeaders.push('Refer-To: <'+ referTo +'>');
+    extraHeaders.push('Referred-By: <'+ session.ua.configuration.uri +'>');
+    extraHeaders.push('Contact: '+ session.contact);
+
+    request = this.sendRequest(ExSIP.C.REFER, extraHeaders, function(response) {
+      var refer = self.refers[cseq];
+      if (!refer) {
+        return;
+      }
+
+      // The CSeq may have been increased by an authentication, the NOTIFYs identify the REFER by the CSeq sent
+      if (response.cseq !== cseq) {
+        delete self.refers[cseq];
+        cseq = response.cseq;
+        self.refers[cseq] = refer;
+      }
+
+      if (response.status_code >= 300) {
+        delete self.refers[cseq];
+        if (refer.failure) {
+          refer.failure(response);
+        }
+      }
+    });
+
+    cseq = request.cseq;
+    this.refers[cseq] = {
+      success: options.success,
+      failure: options.failure
+    };
+  },
+
+  /**
+   * @private
+   * @param {String} method
+   * @param {String[]} extraHeaders
+   * @param {Function} receiveResponse
+   * @returns {ExSIP.OutgoingRequest}
+   */
+  sendRequest: function(method, extraHeaders, receiveResponse) {
+    var session = this.session,
+      request = session.dialog.createRequest(method, extraHeaders);
+
+    new RequestSender({
+      session: session,
+      receiveResponse: receiveResponse,
+      onRequestTimeout: function() {
+        logger.warn(method +' to the conference focus timed out', session.ua);
+      },
+      onTransportError: function() {
+        logger.warn(method +' to the conference focus failed', session.ua);
+      }
+    }, request).send();
+
+    return request;
+  },
+
+  /**
+   * RFC4575 4.6. Merge the conference information of a NOTIFY into the roster, reporting who joined and left.
+   * @private
+   * @param {Object} info parsed conference-info document
+   * @param {ExSIP.IncomingRequest} request
+   */
+  update: function(info, request) {
+    var idx, entity, user, conference,
+      session = this.session,
+      connected = {};
+
+    if (!ExSIP.Subscriber.checkVersion(this, info.version, info.state !== ExSIP.ConferenceInfo.C.STATE_PARTIAL, request)) {
+      return;
+    }
+
+    for (entity in this.users) {
+      connected[entity] = ExSIP.ConferenceInfo.isConnected(this.users[entity]);
+    }
+
+    conference = {
+      entity: info.entity,
+      subject: info.subject,
+      display_text: info.display_text,
+      user_count: info.user_count,
+      active: info.active,
+      locked: info.locked
+    };
+
+    if (info.state === ExSIP.ConferenceInfo.C.STATE_PARTIAL) {
+      this.conference = mergeState(this.conference || {}, conference);
+    } else {
+      this.conference = conference;
+      this.users = {};
+    }
+
+    for (idx = 0; idx < info.users.length; idx++) {
+      user = info.users[idx];
+
+      if (user.state === ExSIP.ConferenceInfo.C.STATE_DELETED) {
+        delete this.users[user.entity];
+      } else if (user.state === ExSIP.ConferenceInfo.C.STATE_PARTIAL && this.users[user.entity]) {
+        this.mergeUser(this.users[user.entity], user);
+      } else {
+        this.users[user.entity] = user;
+      }
+    }
+
+    for (entity in this.users) {
+      if (!connected[entity] && ExSIP.ConferenceInfo.isConnected(this.users[entity])) {
+        session.emit('participantJoined', session, {
+          originator: 'remote',
+          participant: this.users[entity],
+          request: request
+        });
+      }
+    }
+
+    for (entity in connected) {
+      if (connected[entity] && (!this.users[entity] || !ExSIP.ConferenceInfo.isConnected(this.users[entity]))) {
+        session.emit('participantLeft', session, {
+          originator: 'remote',
+          participant: this.users[entity] || {entity: entity},
+          request: request
+        });
+      }
+    }
+  },
+
+  /**
+   * RFC4575 4.6. Apply the partial state of a user to the known one.
+   * @private
+   */
+  mergeUser: function(user, partial) {
+    var idx, jdx, endpoint, known;
+
+    if (partial.display_text !== null) {
+      user.display_text = partial.display_text;
+    }
+
+    for (idx = 0; idx < partial.endpoints.length; idx++) {
+      endpoint = partial.endpoints[idx];
+      known = -1;
+      for (jdx = 0; jdx < user.endpoints.length; jdx++) {
+        if (user.endpoints[jdx].entity === endpoint.entity) {
+          known = jdx;
+        }
+      }
+
+      if (endpoint.state === ExSIP.ConferenceInfo.C.STATE_DELETED) {
+        if (known !== -1) {
+          user.endpoints.splice(known, 1);
+        }
+      } else if (endpoint.state === ExSIP.ConferenceInfo.C.STATE_PARTIAL && known !== -1) {
+        mergeState(user.endpoints[known], {
+          display_text: endpoint.display_text,
+          status: endpoint.status,
+          disconnection_method: endpoint.disconnection_method,
+          media: endpoint.media.length ? endpoint.media : null
+        });
+      } else if (known !== -1) {
+        user.endpoints[known] = endpoint;
+      } else {
+        user.endpoints.push(endpoint);
+      }
+    }
+  }
+};
+
+return ConferenceHandler;
+}(ExSIP));
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview MSRPMediaHandler
+ */
+
+/**
+ * @class Session description helper of an INVITE session negotiating an MSRP session (RFC 4975 8).
+ *  Used by the INVITE session in place of the PeerConnection helper.
+ * @param {ExSIP.RTCSession} session
+ * @param {ExSIP.MSRPSession} msrpSession
+ */
+(function(ExSIP){
+
+var MSRPMediaHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'MSRPMediaHandler');
+
+MSRPMediaHandler = function(session, msrpSession) {
+  this.session = session;
+  this.msrpSession = msrpSession;
+  this.localMedia = null;
+  this.createOfferConstraints = null;
+
+  // Session descriptions, read like those of a PeerConnection
+  this.peerConnection = {
+    localDescription: null,
+    remoteDescription: null
+  };
+};
+
+MSRPMediaHandler.prototype = {
+  /**
+   * An MSRP session has no local media.
+   */
+  getUserMedia: function(onSuccess) {
+    onSuccess(null);
+  },
+
+  connect: function(stream, connectSucceeded, connectFailed, options) {
+    var self = this;
+    options = options || {};
+
+    if(options.isAnswer && options.remoteSdp) {
+      this.onMessage(options.remoteSdp, function() {
+        connectSucceeded(self.setLocalDescription('answer'));
+      }, connectFailed);
+    } else {
+      connectSucceeded(this.setLocalDescription('offer'));
+    }
+  },
+
+  /**
+   * RFC4975 8.1. Describe the local endpoint of the MSRP session.
+   * RFC7977 5.2. A WebSocket client is the active endpoint and its host is not resolvable.
+   * @param {String} type 'offer' or 'answer'
+   * @returns {String} sdp
+   */
+  setLocalDescription: function(type) {
+    var local = this.msrpSession.local,
+      sdp = 'v=0\r\n'+
+        'o=- '+ local.sdp_session_id +' '+ (this.msrpSession.sdp_version++) +' IN IP4 '+ local.host +'\r\n'+
+        's=-\r\n'+
+        'c=IN IP4 '+ local.host +'\r\n'+
+        't=0 0\r\n'+
+        'm=message 9 TCP/WSS/MSRP *\r\n'+
+        'a=accept-types:'+ local.accept_types.join(' ') +'\r\n'+
+        'a=path:'+ local.path +'\r\n'+
+        'a=setup:active\r\n';
+
+    this.peerConnection.localDescription = new ExSIP.WebRTC.RTCSessionDescription({type: type, sdp: sdp});
+    return sdp;
+  },
+
+  /**
+  * Apply the description of the remote endpoint.
+  * @param {String} body
+  * @param {Function} onSuccess
+  * @param {Function} onFailure
+  */
+  onMessage: function(body, onSuccess, onFailure) {
+    var media, path, acceptTypes,
+      description = new ExSIP.WebRTC.RTCSessionDescription({type: 'answer', sdp: body});
+
+    media = body ? description.parseSdp().getMedia('message') : null;
+    if(!media || !media.port || !/^TCP\/(?:TLS\/|WSS?\/)?MSRP$/i.test(media.protocol)) {
+      onFailure('no MSRP media in the session description');
+      return;
+    }
+
+    path = media.getAttribute('path');
+    if(!path) {
+      onFailure('no path in the MSRP media');
+      return;
+    }
+    acceptTypes = media.getAttribute('accept-types');
+
+    logger.log('MSRP path of the remote endpoint : '+ path, this.session.ua);
+    this.peerConnection.remoteDescription = description;
+    this.msrpSession.remote = {
+      path: path.trim().split(/\s+/),
+      accept_types: acceptTypes ? acceptTypes.trim().split(/\s+/) : ['*']
+    };
+    onSuccess();
+  },
+
+  sendData: function() {
+    logger.error('an MSRP session has no data channel');
+  },
+
+  /**
+   * The connection of the MSRP session is closed by the MSRP session.
+   */
+  close: function() {
+  }
+};
+
+// Return since it will be assigned to a variable.
+return MSRPMediaHandler;
+}(ExSIP));
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview PickupHandler
+ */
+
+/**
+ * @class Directed call pickup, taking over the ringing call of another user with Replaces (RFC 3891)
+ *  once its early dialog has been fetched with the dialog event package (RFC 4235).
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var PickupHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'PICKUP');
+
+PickupHandler = function(session) {
+  this.session = session;
+  this.ua = session.ua;
+
+  // User whose call is picked up
+  this.target = null;
+  this.options = null;
+
+  // Whether the call has been dialed with the feature access code
+  this.featureCodeDialed = false;
+};
+
+PickupHandler.prototype = {
+  /**
+   * Fetch the early dialogs of the target with a SUBSCRIBE whose Expires is 0,
+   *  then call with the Replaces of the first one, or with the feature access code if none can be picked up.
+   * @param {String|ExSIP.URI} target
+   * @param {Object} [options] options of ExSIP.UA.call
+   */
+  pickup: function(target, options) {
+    var self = this,
+      session = this.session;
+
+    if (target === undefined) {
+      throw new TypeError('Not enough arguments');
+    }
+
+    session.pickedUp = true;
+    this.options = options || {};
+
+    session.connectLocalMedia(this.options, function() {
+      try {
+        self.target = ExSIP.Utils.normalizeURI(target, self.ua.configuration.hostport_params);
+      } catch(e) {
+        session.sendInviteRequest(target, self.options);
+        return;
+      }
+
+      self.fetchDialogs();
+    }, function() {
+      logger.warn('connect local failed', self.ua);
+    });
+  },
+
+  /**
+   * Target of the request sent again with the feature access code
+   *  when the INVITE with Replaces has been rejected because Replaces is not supported.
+   * @param {ExSIP.IncomingResponse} response final non 2xx response to the INVITE
+   * @returns {ExSIP.URI|null}
+   */
+  receiveResponse: function(response) {
+    var unsupported = response.getHeader('unsupported') || '';
+
+    if (!this.session.pickedUp || this.featureCodeDialed || response.status_code !== 420 ||
+        unsupported.toLowerCase().split(/\s*,\s*/).indexOf('replaces') === -1) {
+      return null;
+    }
+
+    logger.log('Replaces not supported', this.ua);
+    return this.getFeatureCodeTarget();
+  },
+
+  /**
+   * Options for the request sent again with the feature access code, without Replaces.
+   * @returns {Object}
+   */
+  getOptions: function() {
+    var options = ExSIP.Utils.merge_options({}, this.options);
+
+    options.extraHeaders = (this.options.extraHeaders || []).slice();
+    options.redirected = true;
+    return options;
+  },
+
+  /**
+   * @private
+   */
+  fetchDialogs: function() {
+    var subscriber,
+      fetched = false,
+      self = this;
+
+    subscriber = this.ua.subscribe(this.target, ExSIP.DialogInfo.C.EVENT, {
+      expires: 0,
+      resubscribe: false
+    });
+
+    subscriber.on('notify', function(e) {
+      var dialog;
+
+      // The state given by the first NOTIFY is the one of the fetch
+      if (fetched) {
+        return;
+      }
+      fetched = true;
+      dialog = e.data.content ? self.getEarlyDialog(e.data.content.dialogs) : null;
+
+      if (e.data.state !== ExSIP.Subscriber.C.STATUS_TERMINATED) {
+        subscriber.unsubscribe();
+      }
+
+      if (dialog) {
+        self.invite(dialog);
+      } else {
+        logger.log('no call to pick up for '+ self.target, self.ua);
+        self.dialFeatureCode('remote', e.data.request, ExSIP.C.causes.NOT_FOUND);
+      }
+    });
+
+    subscriber.on('failed', function(e) {
+      logger.log('dialogs of '+ self.target +' could not be fetched', self.ua);
+      self.dialFeatureCode(e.data.originator, e.data.message, e.data.cause);
+    });
+  },
+
+  /**
+   * RFC3891 3. Call the caller of the early dialog, replacing the dialog only while it is ringing.
+   *  The ringing device is the UAS of the dialog, which cannot accept the replacement.
+   * @private
+   */
+  invite: function(dialog) {
+    var options = ExSIP.Utils.merge_options({}, this.options),
+      remote = dialog.remote || {},
+      target = remote.target || remote.identity;
+
+    if (this.session.status !== ExSIP.RTCSession.C.STATUS_NULL) {
+      return;
+    }
+
+    // The tags of the dialog as the caller sees it
+    options.extraHeaders = (this.options.extraHeaders || []).slice();
+    options.extraHeaders.push('Replaces: '+ dialog.call_id +';to-tag='+ dialog.remote_tag +';from-tag='+ dialog.local_tag +';early-only');
+    options.extraHeaders.push('Require: replaces');
+
+    logger.log('picking up dialog '+ dialog.id +' of '+ this.target, this.ua);
+    this.session.sendInviteRequest(target, options);
+  },
+
+  /**
+   * Call the feature access code followed by the user of the target, or fail with the given cause without one.
+   * @private
+   */
+  dialFeatureCode: function(originator, message, cause) {
+    var target = this.getFeatureCodeTarget();
+
+    if (this.session.status !== ExSIP.RTCSession.C.STATUS_NULL) {
+      return;
+    }
+
+    if (target) {
+      this.session.sendInviteRequest(target, ExSIP.Utils.merge_options({}, this.options));
+    } else {
+      this.session.failed(originator, message, cause);
+    }
+  },
+
+  /**
+   * @private
+   * @returns {ExSIP.URI|null}
+   */
+  getFeatureCodeTarget: function() {
+    var code = this.ua.configuration.pickup_feature_code;
+
+    if (!code || this.featureCodeDialed) {
+      return null;
+    }
+
+    logger.log('picking up the call of '+ this.target +' with the feature access code '+ code, this.ua);
+    this.featureCodeDialed = true;
+    return ExSIP.Utils.normalizeURI(code + this.target.user, this.ua.configuration.hostport_params);
+  },
+
+  /**
+   * Early dialog in which the target is called.
+   * @private
+   * @param {Object[]} dialogs
+   * @returns {Object|null}
+   */
+  getEarlyDialog: function(dialogs) {
+    var idx, dialog;
+
+    for (idx = 0; idx < dialogs.length; idx++) {
+      dialog = dialogs[idx];
+      if (dialog.state === ExSIP.DialogInfo.C.STATE_EARLY && dialog.direction !== 'initiator' &&
+        dialog.call_id && dialog.local_tag && dialog.remote_tag && dialog.remote && (dialog.remote.target || dialog.remote.identity)) {
+        return dialog;
+      }
+    }
+
+    return null;
+  }
+};
+
+return PickupHandler;
+}(ExSIP));
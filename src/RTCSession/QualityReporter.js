@@ -0,0 +1,278 @@
+/**
+ * @fileoverview QualityReporter
+ */
+
+/**
+ * @class Voice quality reports of a session (RFC 6035), published to the collector of the vq_collector configuration.
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var QualityReporter,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'QUALITY REPORTER'),
+  C = {
+    EVENT: 'vq-rtcpxr',
+    CONTENT_TYPE: 'application/vq-rtcpxr',
+
+    SESSION_REPORT: 'VQSessionReport',
+    INTERVAL_REPORT: 'VQIntervalReport',
+
+    // Algorithm of the MOS estimate, the E-model of the statistics collector
+    ESTIMATION_ALGORITHM: 'G.107'
+  };
+
+/**
+ * RFC6035 4.3. Timestamps in UTC without fraction of second, ie: 2004-10-10T18:23:43Z
+ * @private
+ */
+function formatTime(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * @private
+ */
+function formatIdentity(identity) {
+  return (identity.display_name ? '"'+ identity.display_name +'" ' : '') +'<'+ identity.uri.toString() +'>';
+}
+
+/**
+ * Address, port and first SSRC of the audio of a session description.
+ * @private
+ */
+function getAudioAddress(description) {
+  var sdp, media, ssrc;
+
+  if (!description || !description.sdp) {
+    return null;
+  }
+  sdp = new ExSIP.SDP(description.sdp);
+  media = sdp.getMedia('audio');
+  if (!media) {
+    return null;
+  }
+  ssrc = media.getAttribute('ssrc');
+
+  return {
+    ip: (sdp.getConnection(media) || '').split(' ')[2] || null,
+    port: media.port,
+    ssrc: ssrc ? window.Number(ssrc.split(' ')[0]) : null
+  };
+}
+
+/**
+ * Audio metrics of statistics samples: loss rate, average jitter, round trip time and MOS.
+ * @private
+ */
+function getAudioMetrics(samples) {
+  var metrics = {packets_received: 0, packets_lost: 0, loss_rate: 0, jitter: null, rtt: null, mos: null},
+    totals = {jitter: [], rtt: [], mos: []},
+    average = function(values) {
+      return values.length > 0 ? values.reduce(function(a, b) { return a + b; }) / values.length : null;
+    };
+
+  samples.forEach(function(stats) {
+    metrics.packets_received += stats.audio.packets_received;
+    metrics.packets_lost += stats.audio.packets_lost;
+    ['jitter', 'rtt', 'mos'].forEach(function(name) {
+      if (stats.audio[name] !== null && stats.audio[name] !== undefined) {
+        totals[name].push(stats.audio[name]);
+      }
+    });
+  });
+
+  if (metrics.packets_received + metrics.packets_lost > 0) {
+    metrics.loss_rate = metrics.packets_lost / (metrics.packets_received + metrics.packets_lost);
+  }
+  metrics.jitter = average(totals.jitter);
+  metrics.rtt = average(totals.rtt);
+  metrics.mos = average(totals.mos);
+
+  return metrics;
+}
+
+QualityReporter = function(session) {
+  this.session = session;
+  this.collector = session.ua.configuration.vq_collector;
+  this.interval = session.ua.configuration.vq_report_interval;
+
+  // Call-ID and CSeq of the PUBLISH requests of the session
+  this.call_id = ExSIP.Utils.createRandomToken(22);
+  this.cseq = 0;
+
+  // Statistics samples and time already reported by an interval report
+  this.reportedSamples = 0;
+  this.reportedTime = null;
+};
+
+QualityReporter.prototype = {
+  /**
+   * Send the interval reports once the call is started.
+   */
+  start: function() {
+    if (!this.collector || !this.interval || this.session.timers.vqReportTimer) {
+      return;
+    }
+
+    this.reportedTime = this.session.start_time;
+    this.schedule();
+  },
+
+  /**
+   * Send the report of the whole session once it has ended.
+   */
+  stop: function() {
+    var collector = this.session.statsCollector;
+
+    window.clearTimeout(this.session.timers.vqReportTimer);
+    this.session.timers.vqReportTimer = null;
+
+    if (!this.collector || !this.session.start_time) {
+      return;
+    }
+
+    this.send(this.createReport(C.SESSION_REPORT, collector.samples, this.session.start_time, this.session.end_time || new Date(), true));
+  },
+
+  /**
+   * @private
+   */
+  schedule: function() {
+    var self = this;
+
+    this.session.timers.vqReportTimer = window.setTimeout(function() {
+      var samples = self.session.statsCollector.samples,
+        now = new Date();
+
+      self.send(self.createReport(C.INTERVAL_REPORT, samples.slice(self.reportedSamples), self.reportedTime, now, false));
+      self.reportedSamples = samples.length;
+      self.reportedTime = now;
+      self.schedule();
+    }, this.interval * 1000);
+  },
+
+  /**
+   * RFC6035 4. Report of the audio received during a period of the session.
+   * @param {String} type VQSessionReport or VQIntervalReport
+   * @param {Object[]} samples statistics of the period
+   * @param {Date} start
+   * @param {Date} stop
+   * @param {Boolean} callTerm whether the session has ended
+   * @returns {String}
+   */
+  createReport: function(type, samples, start, stop, callTerm) {
+    var session = this.session,
+      peerConnection = session.rtcMediaHandler && session.rtcMediaHandler.peerConnection,
+      outgoing = session.direction === 'outgoing',
+      metrics = getAudioMetrics(samples),
+      transport = samples.length > 0 ? samples[samples.length - 1].transport : null,
+      local = getAudioAddress(peerConnection && peerConnection.localDescription),
+      remote = getAudioAddress(peerConnection && peerConnection.remoteDescription),
+      call_id = session.dialog ? session.dialog.id.call_id : session.request.call_id,
+      lines = [],
+      delay = [],
+      formatAddress = function(address, candidate) {
+        var ip = candidate ? candidate.ip : address && address.ip,
+          port = candidate ? candidate.port : address && address.port,
+          value = 'IP='+ (ip || '0.0.0.0') +' PORT='+ (port || 0);
+
+        if (address && address.ssrc !== null && !window.isNaN(address.ssrc)) {
+          value += ' SSRC=0x'+ address.ssrc.toString(16);
+        }
+        return value;
+      };
+
+    lines.push(type + (callTerm ? ': CallTerm' : ''));
+    lines.push('CallID:'+ call_id);
+    lines.push('LocalID:'+ formatIdentity(session.local_identity));
+    lines.push('RemoteID:'+ formatIdentity(session.remote_identity));
+    lines.push('OrigID:'+ formatIdentity(outgoing ? session.local_identity : session.remote_identity));
+    lines.push('LocalAddr:'+ formatAddress(local, transport && transport.local));
+    lines.push('RemoteAddr:'+ formatAddress(remote, transport && transport.remote));
+
+    lines.push('LocalMetrics:');
+    lines.push('Timestamps:START='+ formatTime(start) +' STOP='+ formatTime(stop));
+    lines.push('SessionDesc:'+ this.getSessionDesc(peerConnection && (outgoing ? peerConnection.remoteDescription : peerConnection.localDescription)));
+    lines.push('PacketLoss:NLR='+ (metrics.loss_rate * 100).toFixed(1));
+    if (metrics.rtt !== null) {
+      delay.push('RTD='+ Math.round(metrics.rtt));
+    }
+    if (metrics.jitter !== null) {
+      delay.push('IAJ='+ Math.round(metrics.jitter));
+    }
+    if (delay.length > 0) {
+      lines.push('Delay:'+ delay.join(' '));
+    }
+    if (metrics.mos !== null) {
+      lines.push('QualityEst:MOSLQ='+ metrics.mos.toFixed(1) +' QoEEstAlg='+ C.ESTIMATION_ALGORITHM);
+    }
+
+    if (session.dialog) {
+      lines.push('DialogID:'+ call_id +
+        ';to-tag='+ (outgoing ? session.dialog.id.remote_tag : session.dialog.id.local_tag) +
+        ';from-tag='+ (outgoing ? session.dialog.id.local_tag : session.dialog.id.remote_tag));
+    }
+
+    return lines.join('\r\n') +'\r\n';
+  },
+
+  /**
+   * RFC6035 4.3. Description of the audio codec of the answer, ie: PT=0 PD=PCMU SR=8000
+   * @private
+   */
+  getSessionDesc: function(answer) {
+    var sdp, media, codec, fmtp;
+
+    sdp = answer && answer.sdp ? new ExSIP.SDP(answer.sdp) : null;
+    media = sdp && sdp.getMedia('audio');
+    codec = media && media.formats.length > 0 ? media.getCodec(media.formats[0]) : null;
+    if (!codec) {
+      return 'PT='+ (media && media.formats.length > 0 ? media.formats[0] : 0);
+    }
+
+    fmtp = media.getFormatAttribute('fmtp', media.formats[0]);
+    return 'PT='+ media.formats[0] +' PD='+ codec.encoding +' SR='+ codec.clockRate + (fmtp ? ' FMTP="'+ fmtp +'"' : '');
+  },
+
+  /**
+   * RFC6035 5. Publish a report to the collector.
+   * @private
+   */
+  send: function(body) {
+    var request,
+      ua = this.session.ua,
+      self = this;
+
+    logger.log('publishing the voice quality report to '+ this.collector, ua);
+
+    request = new ExSIP.OutgoingRequest(ExSIP.C.PUBLISH, this.collector, ua, {
+        'to_uri': this.collector,
+        'call_id': this.call_id,
+        'cseq': (this.cseq += 1)
+      }, ['Event: '+ C.EVENT, 'Content-Type: '+ C.CONTENT_TYPE], body);
+
+    new ExSIP.RequestSender({
+      request: request,
+      receiveResponse: function(response) {
+        // The CSeq may have been increased by an authentication
+        self.cseq = Math.max(self.cseq, response.cseq);
+
+        if (response.status_code >= 300) {
+          logger.warn('voice quality report rejected with '+ response.status_code +' '+ response.reason_phrase, ua);
+        }
+      },
+      onRequestTimeout: function() {
+        logger.warn('request timeout for the voice quality report', ua);
+      },
+      onTransportError: function() {
+        logger.warn('transport error for the voice quality report', ua);
+      }
+    }, ua).send();
+  }
+};
+
+QualityReporter.C = C;
+
+// Return since it will be assigned to a variable.
+return QualityReporter;
+}(ExSIP));
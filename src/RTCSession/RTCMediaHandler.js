@@ -17,6 +17,8 @@ var RTCMediaHandler = function(session, constraints) {
 
   this.session = session;
   this.localMedia = null;
+  // Screen shared along with the local media, owned by the application
+  this.screenMedia = null;
   this.peerConnection = null;
   this.createOfferConstraints = null;
   this.dataChannel = null;
@@ -109,7 +111,13 @@ RTCMediaHandler.prototype = {
 
     this.addStream(
       stream,
-      streamAdditionSucceeded,
+      function() {
+        if(self.screenMedia) {
+          self.addStream(self.screenMedia, streamAdditionSucceeded, streamAdditionFailed);
+        } else {
+          streamAdditionSucceeded();
+        }
+      },
       streamAdditionFailed
     );
   },
@@ -141,6 +149,11 @@ RTCMediaHandler.prototype = {
         if(options.audioPort) {
           sessionDescription.setAudioPort(options.audioPort);
         }
+        if(self.session.codecs && !sessionDescription.setCodecs(self.session.codecs)) {
+          logger.warn('none of the preferred codecs can be offered', self.session.ua);
+          onFailure(ExSIP.C.causes.INCOMPATIBLE_SDP);
+          return;
+        }
         self.setLocalDescription(
           sessionDescription,
           function(){
@@ -171,6 +184,11 @@ RTCMediaHandler.prototype = {
     logger.log("createAnswer with constraints : "+constraints, this.session.ua);
     this.peerConnection.createAnswer(
       function(sessionDescription){
+        if(self.session.codecs && !sessionDescription.setCodecs(self.session.codecs)) {
+          logger.warn('none of the preferred codecs can be answered', self.session.ua);
+          onFailure(ExSIP.C.causes.INCOMPATIBLE_SDP);
+          return;
+        }
         self.setLocalDescription(
           sessionDescription,
           function(){
@@ -423,9 +441,15 @@ RTCMediaHandler.prototype = {
   * @param {String} sdp
   * @param {Function} onSuccess
   * @param {Function} onFailure
+  * @param {Object} [options]
+  * @param {Boolean} [options.provisional] apply an answer as provisional (pranswer), as for early media
   */
-  onMessage: function(body, onSuccess, onFailure) {
-    var description = new ExSIP.WebRTC.RTCSessionDescription({type: this.getSetRemoteLocationType(), sdp:body});
+  onMessage: function(body, onSuccess, onFailure, options) {
+    var type = this.getSetRemoteLocationType();
+    if(options && options.provisional && type === 'answer') {
+      type = 'pranswer';
+    }
+    var description = new ExSIP.WebRTC.RTCSessionDescription({type: type, sdp:body});
     if(this.session.ua.rtcMediaHandlerOptions["videoBandwidth"]) {
       description.setVideoBandwidth(this.session.ua.rtcMediaHandlerOptions["videoBandwidth"]);
       logger.log("Modifying SDP with videoBandwidth : "+this.session.ua.rtcMediaHandlerOptions["videoBandwidth"], this.session.ua);
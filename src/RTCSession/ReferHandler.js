@@ -0,0 +1,183 @@
+/**
+ * @fileoverview ReferHandler
+ */
+
+/**
+ * @class REFER received as transferee (RFC 3515)
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var ReferHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'REFER'),
+  C = {
+    /* RFC3261 19.1.5. Headers of the Refer-To URI which may be added to the referred request,
+     *  the others, ie: Call-ID, Via or Route, are built by the UA.
+     */
+    ALLOWED_HEADERS: ['replaces', 'accept-contact', 'reject-contact', 'request-disposition', 'priority', 'subject']
+  };
+
+ReferHandler = function(session) {
+  this.session = session;
+};
+
+ReferHandler.prototype = {
+  /**
+   * RFC3515 2.4.2. Incoming REFER inside a confirmed dialog.
+   * @param {ExSIP.IncomingRequest} request
+   */
+  receiveRequest: function(request) {
+    var referTo,
+      self = this,
+      session = this.session;
+
+    // RFC3515 2.4.1. Exactly one Refer-To header is required
+    if (request.countHeader('refer-to') !== 1 || !(referTo = request.s('refer-to'))) {
+      request.reply(400, 'Invalid Refer-To Header');
+      return;
+    }
+
+    /* The referred call is placed automatically unless the application
+     *  handles the refer event itself.
+     */
+    if (session.listeners('refer').length > 0) {
+      session.emit('refer', session, {
+        request: request,
+        refer_to: referTo,
+        referred_by: request.s('referred-by') || null,
+        accept: function(initCallback, options) {
+          self.accept(request, referTo, initCallback, options);
+        },
+        reject: function(options) {
+          self.reject(request, options);
+        }
+      });
+    } else {
+      this.accept(request, referTo);
+    }
+  },
+
+  /**
+   * Accept the REFER and call its target.
+   * @private
+   * @param {Function} [initCallback] called with the new session before the INVITE is sent
+   * @param {Object} [options] options of the new call, as for ExSIP.UA.call
+   */
+  accept: function(request, referTo, initCallback, options) {
+    var header, idx, target, referredSession,
+      self = this,
+      session = this.session,
+      extraHeaders = [];
+
+    options = options || {};
+
+    if (session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+      return;
+    }
+
+    request.reply(202);
+    this.notify('SIP/2.0 100 Trying');
+
+    // RFC3515 2.1. The URI headers of the Refer-To are added to the referred request
+    target = referTo.uri.clone();
+    for (header in target.headers) {
+      if (C.ALLOWED_HEADERS.indexOf(header.toLowerCase()) === -1) {
+        logger.warn('header '+ header +' of the Refer-To ignored', session.ua);
+        continue;
+      }
+      for (idx in target.headers[header]) {
+        extraHeaders.push(header +': '+ window.decodeURIComponent(target.headers[header][idx]));
+      }
+    }
+    target.clearHeaders();
+
+    // RFC3892 3. Carry the Referred-By of the REFER over
+    if (request.hasHeader('referred-by')) {
+      extraHeaders.push('Referred-By: '+ request.getHeader('referred-by'));
+    }
+
+    options.extraHeaders = (options.extraHeaders || []).concat(extraHeaders);
+
+    referredSession = new ExSIP.RTCSession(session.ua);
+
+    referredSession.on('progress', function(e) {
+      if (e.data.response) {
+        self.notify('SIP/2.0 '+ e.data.response.status_code +' '+ e.data.response.reason_phrase);
+      }
+    });
+
+    referredSession.on('started', function(e) {
+      if (!e.data.isReconnect) {
+        self.notify('SIP/2.0 200 OK', true);
+      }
+    });
+
+    referredSession.on('failed', function(e) {
+      var response = e.data.message;
+
+      if (response && response.status_code) {
+        self.notify('SIP/2.0 '+ response.status_code +' '+ response.reason_phrase, true);
+      } else {
+        self.notify('SIP/2.0 503 Service Unavailable', true);
+      }
+    });
+
+    if (initCallback) {
+      initCallback(referredSession);
+    }
+
+    logger.log('calling refer target : '+ target, session.ua);
+    referredSession.connect(target, options);
+  },
+
+  /**
+   * Reject the REFER.
+   * @private
+   * @param {Object} [options]
+   * @param {Number} [options.status_code=603]
+   * @param {String} [options.reason_phrase]
+   */
+  reject: function(request, options) {
+    options = options || {};
+
+    var status_code = options.status_code || 603;
+
+    if (status_code < 300 || status_code >= 700) {
+      throw new TypeError('Invalid status_code: '+ status_code);
+    }
+
+    request.reply(status_code, options.reason_phrase);
+  },
+
+  /**
+   * RFC3515 2.4.4. Report the progress of the referred call in a message/sipfrag NOTIFY.
+   * @private
+   * @param {String} sipfrag status line of the referred call
+   * @param {Boolean} [isFinal] whether the referred call has completed, terminating the subscription
+   */
+  notify: function(sipfrag, isFinal) {
+    var session = this.session;
+
+    if (session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+      logger.log('session terminated, not notifying : '+ sipfrag, session.ua);
+      return;
+    }
+
+    session.sendNotifyRequest({
+        sdp: sipfrag,
+        subscriptionState: isFinal ? 'terminated;reason=noresource' : 'active;expires=60'
+      },
+      function() {
+        logger.log('NOTIFY successful', session.ua);
+      },
+      function() {
+        logger.warn('NOTIFY failed', session.ua);
+      }
+    );
+  }
+};
+
+ReferHandler.C = C;
+
+return ReferHandler;
+}(ExSIP));
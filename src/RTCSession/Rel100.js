@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Rel100
+ */
+
+/**
+ * @class Reliable provisional responses (RFC 3262)
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var Rel100,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'REL100'),
+  C = {
+    OPTION_TAG: '100rel'
+  };
+
+Rel100 = function(session) {
+  this.session = session;
+  this.policy = null;
+
+  // UAS: whether 1xx responses are sent reliably and the RSeq awaiting a PRACK
+  this.reliable = false;
+  this.rseq = null;
+  this.pending = null;
+
+  // UAC: last RSeq received per early dialog
+  this.remoteRSeqs = {};
+};
+
+Rel100.prototype = {
+  /**
+   * Add the 100rel related headers to the initial INVITE.
+   * @param {Array} extraHeaders
+   * @param {String} [policy] one of ExSIP.C.REL100_*, defaults to the UA configuration
+   */
+  init_outgoing: function(extraHeaders, policy) {
+    this.policy = policy || this.session.ua.configuration.rel100;
+
+    if (this.policy === ExSIP.C.REL100_REQUIRED) {
+      extraHeaders.push('Require: '+ C.OPTION_TAG);
+    } else if (this.policy === ExSIP.C.REL100_NONE) {
+      ExSIP.Utils.removeSupported(extraHeaders, C.OPTION_TAG);
+    }
+  },
+
+  /**
+   * RFC3262 3. Decide whether provisional responses to the INVITE are sent reliably.
+   * @param {ExSIP.IncomingRequest} request
+   * @returns {Boolean} false if the INVITE has been rejected
+   */
+  init_incoming: function(request) {
+    this.policy = this.session.ua.configuration.rel100;
+
+    if (ExSIP.Utils.hasOptionTag(request, 'require', C.OPTION_TAG)) {
+      if (this.policy === ExSIP.C.REL100_NONE) {
+        request.reply(420, null, ['Unsupported: '+ C.OPTION_TAG]);
+        return false;
+      }
+      this.reliable = true;
+    } else if (this.policy === ExSIP.C.REL100_REQUIRED) {
+      if (!ExSIP.Utils.hasOptionTag(request, 'supported', C.OPTION_TAG)) {
+        request.reply(421, null, ['Require: '+ C.OPTION_TAG]);
+        return false;
+      }
+      this.reliable = true;
+    }
+
+    return true;
+  },
+
+  /**
+   * Send a provisional response to the INVITE, reliably if negotiated.
+   * @param {Number} status_code
+   * @param {Array} [extraHeaders]
+   * @param {String} [body]
+   */
+  reply: function(status_code, extraHeaders, body) {
+    var
+      self = this,
+      session = this.session,
+      request = session.request,
+      timeout = ExSIP.Timers.T1;
+
+    extraHeaders = extraHeaders || [];
+
+    if (!this.reliable || status_code === 100) {
+      request.reply(status_code, null, extraHeaders, body);
+      return;
+    }
+
+    this.rseq = this.rseq ? this.rseq + 1 : Math.floor(Math.random() * 10000) + 1;
+    this.pending = this.rseq;
+    extraHeaders = extraHeaders.concat(['Require: '+ C.OPTION_TAG, 'RSeq: '+ this.rseq]);
+
+    request.reply(status_code, null, extraHeaders, body);
+
+    /**
+     * RFC3262 3
+     * The reliable provisional response is retransmitted with an exponential
+     *  backoff until the matching PRACK is received.
+     */
+    session.timers.rel1xxTimer = window.setTimeout(function rel1xxRetransmission() {
+        if (self.pending === null || session.status !== ExSIP.RTCSession.C.STATUS_WAITING_FOR_ANSWER) {
+          return;
+        }
+
+        request.reply(status_code, null, extraHeaders, body);
+
+        timeout = timeout * 2;
+        session.timers.rel1xxTimer = window.setTimeout(
+          rel1xxRetransmission, timeout
+        );
+      },
+      timeout
+    );
+
+    /**
+     * RFC3262 3
+     * If no PRACK is received for 64*T1 the UAS SHOULD reject the original request with a 5xx.
+     */
+    session.timers.prackTimer = window.setTimeout(function() {
+        if (self.pending !== null && session.status === ExSIP.RTCSession.C.STATUS_WAITING_FOR_ANSWER) {
+          logger.log('no PRACK received, rejecting the call', session.ua);
+          request.reply(500);
+          session.failed('remote', null, ExSIP.C.causes.NO_PRACK);
+        }
+      },
+      ExSIP.Timers.TIMER_H
+    );
+  },
+
+  /**
+   * RFC3262 3. Match a PRACK against the unacknowledged reliable provisional response.
+   * @param {ExSIP.IncomingRequest} request
+   */
+  receivePrack: function(request) {
+    var rack = request.s('RAck');
+
+    if (this.pending === null || !rack || rack.rseq !== this.pending ||
+      rack.cseq !== this.session.request.cseq || rack.method !== ExSIP.C.INVITE) {
+      logger.warn('PRACK does not match any unacknowledged reliable provisional response', this.session.ua);
+      request.reply(481);
+      return;
+    }
+
+    this.pending = null;
+    window.clearTimeout(this.session.timers.rel1xxTimer);
+    window.clearTimeout(this.session.timers.prackTimer);
+
+    /* RFC3262 5
+     * The offer in the INVITE is still waiting for its answer, so the PRACK
+     *  cannot carry a new offer. The response is acknowledged but the offer is rejected.
+     */
+    if (request.body) {
+      logger.warn('rejecting session description in PRACK while the INVITE offer is unanswered', this.session.ua);
+      request.reply(488);
+      return;
+    }
+
+    request.reply(200);
+  },
+
+  /**
+   * @param {ExSIP.IncomingResponse} response
+   * @returns {Boolean} true if the response is a reliable provisional response for us
+   */
+  isReliable: function(response) {
+    return this.policy !== ExSIP.C.REL100_NONE &&
+      response.status_code > 100 && response.status_code < 200 &&
+      response.hasHeader('rseq') && ExSIP.Utils.hasOptionTag(response, 'require', C.OPTION_TAG);
+  },
+
+  /**
+   * RFC3262 4. Acknowledge a reliable provisional response with a PRACK.
+   * @param {ExSIP.IncomingResponse} response
+   * @returns {Boolean} false if the response is a retransmission or out of order and must be discarded
+   */
+  acknowledge: function(response) {
+    var request,
+      rseq = response.s('RSeq'),
+      id = response.call_id + response.from_tag + response.to_tag,
+      dialog = this.session.earlyDialogs[id],
+      last = this.remoteRSeqs[id];
+
+    if (rseq === undefined) {
+      logger.warn('invalid RSeq header, handling the response as unreliable', this.session.ua);
+      return true;
+    }
+
+    if (last !== undefined && rseq !== last + 1) {
+      logger.log('discarding reliable provisional response with RSeq '+ rseq, this.session.ua);
+      return false;
+    }
+
+    this.remoteRSeqs[id] = rseq;
+
+    if (!dialog) {
+      logger.warn('no early dialog for the reliable provisional response, PRACK not sent', this.session.ua);
+      return true;
+    }
+
+    request = dialog.createRequest(ExSIP.C.PRACK, ['RAck: '+ rseq +' '+ response.cseq +' '+ response.method]);
+    new RequestSender(this, request).send();
+
+    return true;
+  },
+
+  /**
+   * Reception of the PRACK response.
+   * @private
+   */
+  receiveResponse: function(response) {
+    var session = this.session;
+
+    if (response.status_code >= 300) {
+      logger.warn('PRACK rejected with '+ response.status_code, session.ua);
+      return;
+    }
+
+    if (response.status_code < 200 || !response.body || session.status !== ExSIP.RTCSession.C.STATUS_1XX_RECEIVED) {
+      return;
+    }
+
+    // RFC3262 5. A session description in the 200 to PRACK updates the early answer of its branch
+    session.earlyAnswers[response.to_tag] = response.body;
+    if (session.earlyMedia && session.earlyMediaBranch !== response.to_tag) {
+      return;
+    }
+
+    session.earlyMedia = true;
+    session.earlyMediaBranch = response.to_tag;
+    session.rtcMediaHandler.onMessage(
+      response.body,
+      function() {
+        logger.log('early media session description of the 200 to PRACK applied', session.ua);
+      },
+      function(e) {
+        logger.warn(e, session.ua);
+        session.request.cancel('SIP ;cause=488 ;text="Not Acceptable Here"');
+        session.failed('remote', response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      },
+      {provisional: true}
+    );
+  },
+
+  /**
+   * @private
+   */
+  onRequestTimeout: function() {
+    logger.warn('PRACK request timeout', this.session.ua);
+  },
+
+  /**
+   * @private
+   */
+  onTransportError: function() {
+    logger.warn('transport error sending PRACK', this.session.ua);
+  }
+};
+
+Rel100.C = C;
+return Rel100;
+}(ExSIP));
@@ -25,9 +25,14 @@ RequestSender.prototype = {
       self = this,
       status_code = response.status_code;
 
-    if (response.method === ExSIP.C.INVITE && status_code === 491) {
+    // RFC3261 14.1 and RFC3311 5.1. Glare, retry the request once after a random time
+    if ((response.method === ExSIP.C.INVITE || response.method === ExSIP.C.UPDATE) && status_code === 491) {
       if (!this.reattempt) {
-        this.request.cseq.value = this.request.dialog.local_seqnum += 1;
+        this.request.cseq = this.request.dialog.local_seqnum += 1;
+        this.request.setHeader('cseq', this.request.cseq +' '+ this.request.method);
+        if (this.request.method === ExSIP.C.INVITE) {
+          this.request.dialog.local_invite_seqnum = this.request.cseq;
+        }
         this.reatemptTimer = window.setTimeout(
           function() {
             if (self.session.status !== ExSIP.RTCSession.C.STATUS_TERMINATED) {
@@ -69,9 +74,9 @@ RequestSender.prototype = {
   // RFC3261 14.1
   getReattemptTimeout: function() {
     if(this.session.direction === 'outgoing') {
-      return (Math.random() * (4 - 2.1) + 2.1).toFixed(2);
+      return (Math.random() * (4 - 2.1) + 2.1).toFixed(2) * 1000;
     } else {
-      return (Math.random() * 2).toFixed(2);
+      return (Math.random() * 2).toFixed(2) * 1000;
     }
   }
 };
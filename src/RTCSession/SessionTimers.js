@@ -0,0 +1,365 @@
+/**
+ * @fileoverview SessionTimers
+ */
+
+/**
+ * @class Session timers (RFC 4028)
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var SessionTimers,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'SESSION TIMERS'),
+  C = {
+    OPTION_TAG: 'timer',
+    MIN_SE: 90
+  };
+
+SessionTimers = function(session) {
+  this.session = session;
+  this.enabled = session.ua.configuration.session_timers;
+  this.expires = session.ua.configuration.session_timers_expires;
+  this.minSE = C.MIN_SE;
+
+  // Negotiated session interval in seconds, null while no session timer is running
+  this.interval = null;
+  // Whether we are the refresher of the session
+  this.refresher = false;
+  // Whether the remote party supports session timers and UPDATE
+  this.remoteSupported = false;
+  this.updateAllowed = false;
+
+  // Refresh request waiting for its final response
+  this.request = null;
+};
+
+SessionTimers.prototype = {
+  /**
+   * Apply the per call options of the initial INVITE.
+   * @param {Object} [options]
+   * @param {Boolean} [options.sessionTimers] enable or disable session timers for this call
+   * @param {Number} [options.sessionTimersExpires] requested session interval in seconds
+   */
+  init_outgoing: function(options) {
+    options = options || {};
+
+    if (options.sessionTimers !== undefined) {
+      this.enabled = !!options.sessionTimers;
+    }
+    if (options.sessionTimersExpires) {
+      this.expires = Math.max(options.sessionTimersExpires, this.minSE);
+    }
+  },
+
+  /**
+   * RFC4028 7.1. Add Session-Expires and Min-SE to an outgoing INVITE or UPDATE.
+   * @param {ExSIP.OutgoingRequest} request
+   */
+  setRequestHeaders: function(request) {
+    var sessionExpires;
+
+    if (!this.enabled) {
+      ExSIP.Utils.removeSupported(request.extraHeaders, C.OPTION_TAG);
+      return;
+    }
+
+    // Within the dialog the current refresher is kept, otherwise the UAS chooses it
+    if (this.interval) {
+      sessionExpires = this.interval +';refresher='+ (this.refresher ? 'uac' : 'uas');
+    } else {
+      sessionExpires = this.expires;
+    }
+
+    request.setHeader('session-expires', sessionExpires);
+    request.setHeader('min-se', this.minSE);
+  },
+
+  /**
+   * RFC4028 9. Negotiate the session interval of an incoming INVITE or UPDATE.
+   * @param {ExSIP.IncomingRequest} request
+   * @returns {Boolean} false if the request has been rejected
+   */
+  handleRequest: function(request) {
+    var sessionExpires, minSE;
+
+    if (!this.enabled) {
+      if (ExSIP.Utils.hasOptionTag(request, 'require', C.OPTION_TAG)) {
+        request.reply(420, null, ['Unsupported: '+ C.OPTION_TAG]);
+        return false;
+      }
+      return true;
+    }
+
+    this.remoteSupported = ExSIP.Utils.hasOptionTag(request, 'supported', C.OPTION_TAG);
+    this.updateAllowed = ExSIP.Utils.hasOptionTag(request, 'allow', ExSIP.C.UPDATE.toLowerCase());
+    sessionExpires = request.s('session-expires');
+    minSE = request.s('min-se');
+
+    if (!sessionExpires) {
+      // The UAC does not ask for a session timer, we run our own, at least as long as its Min-SE
+      this.interval = Math.max(this.expires, minSE || 0);
+      this.refresher = true;
+      return true;
+    }
+
+    if (sessionExpires.expires < this.minSE) {
+      logger.log('session interval '+ sessionExpires.expires +' too small', this.session.ua);
+      request.reply(422, null, ['Min-SE: '+ this.minSE]);
+      return false;
+    }
+
+    this.interval = sessionExpires.expires;
+    if (sessionExpires.refresher) {
+      this.refresher = sessionExpires.refresher === 'uas';
+    } else {
+      this.refresher = !this.remoteSupported;
+    }
+
+    return true;
+  },
+
+  /**
+   * RFC4028 9. Add the negotiated Session-Expires to the 2xx response.
+   * @param {Array} extraHeaders
+   */
+  addResponseHeaders: function(extraHeaders) {
+    if (!this.enabled || !this.interval) {
+      return;
+    }
+
+    extraHeaders.push('Session-Expires: '+ this.interval +';refresher='+ (this.refresher ? 'uas' : 'uac'));
+    if (this.remoteSupported) {
+      extraHeaders.push('Require: '+ C.OPTION_TAG);
+    }
+  },
+
+  /**
+   * RFC4028 7.2. Take the session interval from the 2xx response to our INVITE or UPDATE.
+   * @param {ExSIP.IncomingResponse} response
+   */
+  handleResponse: function(response) {
+    var sessionExpires;
+
+    if (!this.enabled) {
+      return;
+    }
+
+    sessionExpires = response.s('session-expires');
+    this.updateAllowed = ExSIP.Utils.hasOptionTag(response, 'allow', ExSIP.C.UPDATE.toLowerCase());
+
+    // Neither the UAS nor any proxy supports session timers
+    if (!sessionExpires) {
+      this.interval = null;
+      this.stop();
+      return;
+    }
+
+    this.interval = sessionExpires.expires;
+    this.refresher = sessionExpires.refresher !== 'uas';
+    this.start();
+  },
+
+  /**
+   * RFC4028 422 Session Interval Too Small. Raise the session interval to the Min-SE of the response.
+   * @param {ExSIP.IncomingResponse} response
+   * @returns {Boolean} true if the request can be retried with a larger interval
+   */
+  update422: function(response) {
+    var minSE = response.s('min-se');
+
+    if (!this.enabled || !minSE || minSE <= this.minSE) {
+      return false;
+    }
+
+    logger.log('session interval too small, retrying with '+ minSE, this.session.ua);
+    this.minSE = minSE;
+    this.expires = Math.max(this.expires, minSE);
+    if (this.interval) {
+      this.interval = Math.max(this.interval, minSE);
+    }
+
+    return true;
+  },
+
+  /**
+   * (Re)start the refresh and expiration timers for the negotiated interval.
+   */
+  start: function() {
+    var
+      self = this,
+      timers = this.session.timers;
+
+    this.stop();
+
+    if (!this.interval) {
+      return;
+    }
+
+    if (this.refresher) {
+      timers.sessionRefreshTimer = window.setTimeout(function() {
+          self.refresh();
+        },
+        this.interval * 1000 / 2
+      );
+    }
+
+    /**
+     * RFC4028 10
+     * If no refresh is received, a BYE is sent shortly before the session expires.
+     */
+    timers.sessionExpiresTimer = window.setTimeout(function() {
+        if (self.session.status === ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+          logger.log('session expired, terminating the call', self.session.ua);
+          self.session.sendBye();
+          self.session.ended('system', null, ExSIP.C.causes.SESSION_TIMER_EXPIRED);
+        }
+      },
+      (this.interval - Math.min(32, this.interval / 3)) * 1000
+    );
+  },
+
+  stop: function() {
+    window.clearTimeout(this.session.timers.sessionRefreshTimer);
+    window.clearTimeout(this.session.timers.sessionExpiresTimer);
+  },
+
+  /**
+   * RFC4028 7.4. Refresh the session with an UPDATE if the remote party allows it, a re-INVITE otherwise.
+   */
+  refresh: function() {
+    var request,
+      session = this.session,
+      method = this.updateAllowed ? ExSIP.C.UPDATE : ExSIP.C.INVITE;
+
+    if (session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+      logger.log('session not confirmed, skipping refresh', session.ua);
+      return;
+    }
+
+    logger.log('refreshing session with '+ method, session.ua);
+
+    request = session.dialog.createRequest(method, [
+      'Contact: '+ session.contact,
+      'Allow: '+ ExSIP.Utils.getAllowedMethods(session.ua)
+    ]);
+    this.setRequestHeaders(request);
+
+    // The re-INVITE offers the unchanged session description
+    if (method === ExSIP.C.INVITE) {
+      request.body = session.rtcMediaHandler.peerConnection.localDescription.sdp;
+      request.extraHeaders.push('Content-Type: application/sdp');
+    }
+
+    // The failures of the refresh are handled here rather than by the in-dialog request sender
+    this.request = request;
+    new ExSIP.RequestSender(this, session.ua).send();
+  },
+
+  /**
+   * Reception of the response to the refresh request.
+   * @private
+   */
+  receiveResponse: function(response) {
+    var request = this.request,
+      self = this,
+      session = this.session;
+
+    if (response.status_code < 200) {
+      return;
+    }
+
+    this.request = null;
+    if (session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+      return;
+    }
+
+    if (response.status_code < 300) {
+      if (response.method === ExSIP.C.INVITE) {
+        session.sendACK();
+        this.applyAnswer(request.body, response);
+      }
+      this.handleResponse(response);
+    } else if (response.status_code === 408 || response.status_code === 481) {
+      this.terminate(response, ExSIP.C.causes.DIALOG_ERROR);
+    } else if (response.status_code === 422 && this.update422(response)) {
+      this.refresh();
+    } else if (response.status_code === 491) {
+      // RFC3261 14.1. Glare, refresh again after a random time
+      session.timers.sessionRefreshTimer = window.setTimeout(function() {
+          self.refresh();
+        },
+        Math.random() * 2000
+      );
+    } else {
+      // RFC4028 10. The session carries on until it expires
+      logger.warn('session refresh rejected with '+ response.status_code, session.ua);
+    }
+  },
+
+  /**
+   * RFC3264 8. Apply the answer of the 2xx to the refresh re-INVITE, unless the remote description is unchanged.
+   * @private
+   */
+  applyAnswer: function(offer, response) {
+    var self = this,
+      session = this.session;
+
+    if (!response.body) {
+      logger.warn('2xx to refresh re-INVITE without answer', session.ua);
+      return;
+    }
+
+    if (response.body === session.rtcMediaHandler.peerConnection.remoteDescription.sdp) {
+      return;
+    }
+
+    session.reconnectRtcMediaHandler(function() {
+        logger.log('answer of the refresh re-INVITE applied', session.ua);
+      }, function(e) {
+        logger.warn(e, session.ua);
+        self.terminate(response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      }, {
+        localDescription: new ExSIP.WebRTC.RTCSessionDescription({type: 'offer', sdp: offer}),
+        remoteSdp: response.body
+      }
+    );
+  },
+
+  /**
+   * RFC4028 10. A BYE ends the session after a failed refresh.
+   * @private
+   */
+  terminate: function(response, cause) {
+    var session = this.session;
+
+    if (session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+      return;
+    }
+
+    logger.log('session refresh failed, terminating the call', session.ua);
+    session.sendBye();
+    session.ended('system', response, cause);
+  },
+
+  /**
+   * @private
+   */
+  onRequestTimeout: function() {
+    logger.warn('session refresh request timeout', this.session.ua);
+    this.request = null;
+    this.terminate(null, ExSIP.C.causes.REQUEST_TIMEOUT);
+  },
+
+  /**
+   * @private
+   */
+  onTransportError: function() {
+    logger.warn('transport error sending session refresh', this.session.ua);
+    this.request = null;
+    this.session.onTransportError();
+  }
+};
+
+SessionTimers.C = C;
+return SessionTimers;
+}(ExSIP));
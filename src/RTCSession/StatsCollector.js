@@ -0,0 +1,461 @@
+/**
+ * @fileoverview StatsCollector
+ */
+
+/**
+ * @class Call quality monitoring of a session, from the statistics of its PeerConnection.
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var StatsCollector,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'STATS COLLECTOR'),
+  C = {
+    // Seconds between two polls of the statistics
+    INTERVAL: 5,
+    // Seconds without inbound RTP before the call is ended, 0 to never end it
+    RTP_TIMEOUT: 30,
+
+    // Lowest MOS of each quality, below the poor one the quality is bad
+    THRESHOLDS: {
+      good: 4.0,
+      fair: 3.6,
+      poor: 3.1
+    },
+
+    QUALITY_GOOD: 'good',
+    QUALITY_FAIR: 'fair',
+    QUALITY_POOR: 'poor',
+    QUALITY_BAD:  'bad'
+  };
+
+/**
+ * @private
+ */
+function getNumber(value) {
+  value = window.parseFloat(value);
+  return window.isNaN(value) ? null : value;
+}
+
+/**
+ * @private
+ * @param {String} address ie: '10.0.0.1:5000' or '[2001:db8::1]:5000'
+ */
+function parseAddress(address) {
+  var idx = address ? address.lastIndexOf(':') : -1;
+
+  if (idx === -1) {
+    return null;
+  }
+  return {
+    ip: address.substring(0, idx).replace(/^\[|\]$/g, ''),
+    port: getNumber(address.substring(idx + 1))
+  };
+}
+
+/**
+ * Media statistics of the legacy Chrome format, the reports of each SSRC with googXxx names.
+ * @private
+ */
+function parseLegacyStats(response, medias, transport) {
+  response.result().forEach(function(report) {
+    var media, stat = function(name) {
+      return report.stat(name);
+    };
+
+    // Addresses of the candidate pair carrying the media
+    if (report.type === 'googCandidatePair' && stat('googActiveConnection') === 'true') {
+      transport.local = parseAddress(stat('googLocalAddress'));
+      transport.remote = parseAddress(stat('googRemoteAddress'));
+      return;
+    }
+
+    if (report.type !== 'ssrc' || !medias[stat('mediaType')]) {
+      return;
+    }
+    media = medias[stat('mediaType')];
+
+    if (stat('packetsReceived') !== undefined && stat('packetsReceived') !== '') {
+      media.packets_received += getNumber(stat('packetsReceived')) || 0;
+      media.packets_lost += getNumber(stat('packetsLost')) || 0;
+      media.jitter = getNumber(stat('googJitterReceived'));
+    } else {
+      media.packets_sent += getNumber(stat('packetsSent')) || 0;
+      media.rtt = getNumber(stat('googRtt'));
+    }
+  });
+}
+
+/**
+ * Media statistics of the standard format, inbound and outbound RTP reports with the jitter and rtt in seconds.
+ * @private
+ */
+function parseStandardStats(response, medias, transport) {
+  var reports = [],
+    byId = {},
+    getAddress = function(id) {
+      var candidate = byId[id];
+      return candidate ? {ip: candidate.address || candidate.ipAddress || candidate.ip, port: candidate.port || candidate.portNumber} : null;
+    };
+
+  if (typeof response.forEach === 'function') {
+    response.forEach(function(report) {
+      reports.push(report);
+    });
+  } else {
+    Object.keys(response).forEach(function(id) {
+      reports.push(response[id]);
+    });
+  }
+
+  reports.forEach(function(report) {
+    byId[report.id] = report;
+  });
+
+  reports.forEach(function(report) {
+    var media = medias[report.kind || report.mediaType],
+      type = (report.type || '').replace(/-/g, '');
+
+    // Addresses of the candidate pair carrying the media
+    if (type === 'candidatepair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+      transport.local = getAddress(report.localCandidateId);
+      transport.remote = getAddress(report.remoteCandidateId);
+      return;
+    }
+
+    if (!media) {
+      return;
+    }
+
+    // Firefox gives the round trip time in the report of the remote endpoint
+    if (report.mozRtt !== undefined) {
+      media.rtt = report.mozRtt;
+    }
+    if (report.isRemote) {
+      return;
+    }
+
+    if (type === 'inboundrtp') {
+      media.packets_received += report.packetsReceived || 0;
+      media.packets_lost += report.packetsLost || 0;
+      media.jitter = report.jitter !== undefined ? report.jitter * 1000 : null;
+    } else if (type === 'outboundrtp') {
+      media.packets_sent += report.packetsSent || 0;
+    } else if (type === 'remoteinboundrtp' && report.roundTripTime !== undefined) {
+      media.rtt = report.roundTripTime * 1000;
+    }
+  });
+}
+
+/**
+ * RFC3264 8.4. Whether the far end sends no audio, ie: it holds the call with a=sendonly or a=inactive, or rejected the audio stream.
+ * @private
+ */
+function isRemoteAudioStopped(session) {
+  var sdp, media, mode,
+    peerConnection = session.rtcMediaHandler && session.rtcMediaHandler.peerConnection,
+    description = peerConnection && peerConnection.remoteDescription;
+
+  if (!description || !description.sdp) {
+    return false;
+  }
+
+  sdp = new ExSIP.SDP(description.sdp);
+  media = sdp.getMedia('audio');
+  if (!media) {
+    return false;
+  }
+
+  // The direction of the session applies to the media without their own
+  mode = media.getMode() || [ExSIP.C.SENDONLY, ExSIP.C.INACTIVE].filter(function(direction) {
+    return sdp.session.getAttribute(direction) !== null;
+  })[0];
+
+  return media.port === 0 || mode === ExSIP.C.SENDONLY || mode === ExSIP.C.INACTIVE;
+}
+
+StatsCollector = function(session) {
+  this.session = session;
+  this.enabled = false;
+  this.interval = C.INTERVAL;
+  this.rtpTimeout = C.RTP_TIMEOUT;
+  this.thresholds = C.THRESHOLDS;
+
+  // Last statistics, and the totals of the previous poll to compute those of the interval
+  this.stats = null;
+  this.totals = null;
+  this.quality = null;
+  // Polls in a row without inbound RTP
+  this.silentPolls = 0;
+  this.samples = [];
+};
+
+StatsCollector.prototype = {
+  /**
+   * Apply the per call options.
+   * @param {Object|Boolean} [options] true to monitor the call with the default options
+   * @param {Number} [options.interval] seconds between two polls of the statistics
+   * @param {Number} [options.rtpTimeout] seconds without inbound RTP before the call is ended, 0 to never end it
+   * @param {Object} [options.thresholds] lowest MOS of the good, fair and poor qualities, ie: { good: 4.0, fair: 3.6, poor: 3.1 }
+   */
+  init: function(options) {
+    // The statistics make the voice quality reports of the calls, which do not end the calls without RTP
+    if (!options) {
+      if (this.session.ua.configuration.vq_collector) {
+        this.enabled = true;
+        this.rtpTimeout = 0;
+      }
+      return;
+    }
+    options = options === true ? {} : options;
+
+    this.enabled = true;
+    this.interval = options.interval || C.INTERVAL;
+    this.rtpTimeout = options.rtpTimeout !== undefined ? options.rtpTimeout : C.RTP_TIMEOUT;
+    this.thresholds = ExSIP.Utils.merge_options(C.THRESHOLDS, options.thresholds || {});
+  },
+
+  /**
+   * Poll the statistics once the call is started.
+   */
+  start: function() {
+    if (!this.enabled || this.session.timers.statsTimer) {
+      return;
+    }
+
+    logger.log('polling the statistics every '+ this.interval +' seconds', this.session.ua);
+    this.schedule();
+  },
+
+  /**
+   * Stop polling and keep the summary of the call on the session.
+   */
+  stop: function() {
+    window.clearTimeout(this.session.timers.statsTimer);
+    this.session.timers.statsTimer = null;
+
+    if (this.enabled) {
+      this.session.quality_summary = this.getSummary();
+    }
+  },
+
+  /**
+   * @private
+   */
+  schedule: function() {
+    var self = this;
+
+    this.session.timers.statsTimer = window.setTimeout(function() {
+      self.poll();
+    }, this.interval * 1000);
+  },
+
+  /**
+   * @private
+   */
+  poll: function() {
+    var result,
+      self = this,
+      done = false,
+      peerConnection = this.session.rtcMediaHandler && this.session.rtcMediaHandler.peerConnection,
+      onStats = function(response) {
+        // Some browsers give the statistics to the callback and resolve the promise without them
+        if (done || !response || self.session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+          return;
+        }
+        done = true;
+        self.onStats(response);
+        // The call may be ended by the RTP timeout
+        if (self.session.status !== ExSIP.RTCSession.C.STATUS_TERMINATED) {
+          self.schedule();
+        }
+      },
+      onError = function(e) {
+        if (done || self.session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+          return;
+        }
+        done = true;
+        logger.warn('unable to get the statistics : '+ e, self.session.ua);
+        self.schedule();
+      };
+
+    if (!peerConnection || typeof peerConnection.getStats !== 'function') {
+      logger.warn('no statistics for this session', this.session.ua);
+      return;
+    }
+
+    if (window.mozRTCPeerConnection) {
+      result = peerConnection.getStats(null, onStats, onError);
+    } else {
+      result = peerConnection.getStats(onStats);
+    }
+
+    // The statistics are given by a promise in the latest browsers
+    if (result && typeof result.then === 'function') {
+      result.then(onStats, onError);
+    }
+  },
+
+  /**
+   * Normalize a statistics report, compute the quality of the last interval and detect the lack of inbound RTP.
+   * @private
+   */
+  onStats: function(response) {
+    var previous = this.totals,
+      medias = {
+        audio: {packets_received: 0, packets_lost: 0, packets_sent: 0, jitter: null, rtt: null},
+        video: {packets_received: 0, packets_lost: 0, packets_sent: 0, jitter: null, rtt: null}
+      },
+      transport = {local: null, remote: null},
+      stats = {},
+      quality, type, media, received, lost;
+
+    if (typeof response.result === 'function') {
+      parseLegacyStats(response, medias, transport);
+    } else {
+      parseStandardStats(response, medias, transport);
+    }
+
+    for (type in medias) {
+      media = medias[type];
+      // The totals restart with a new PeerConnection
+      received = media.packets_received - (previous && previous[type].packets_received <= media.packets_received ? previous[type].packets_received : 0);
+      lost = media.packets_lost - (previous && previous[type].packets_lost <= media.packets_lost ? previous[type].packets_lost : 0);
+
+      stats[type] = {
+        packets_received: received,
+        packets_lost: lost,
+        loss_rate: received + lost > 0 ? lost / (received + lost) : 0,
+        jitter: media.jitter,
+        rtt: media.rtt
+      };
+    }
+    stats.transport = transport;
+    stats.audio.mos = medias.audio.packets_received > 0 || medias.audio.packets_sent > 0 ?
+      StatsCollector.getMOS(stats.audio.loss_rate, stats.audio.jitter || 0, stats.audio.rtt || 0) : null;
+
+    this.totals = medias;
+    this.stats = stats;
+    this.samples.push(stats);
+
+    if (stats.audio.mos !== null) {
+      quality = this.getQuality(stats.audio.mos);
+      if (quality !== this.quality) {
+        logger.log('quality changed from '+ this.quality +' to '+ quality, this.session.ua);
+        this.session.emit('qualityChanged', this.session, {
+          quality: quality,
+          previous: this.quality,
+          mos: stats.audio.mos,
+          stats: stats
+        });
+        this.quality = quality;
+      }
+    }
+
+    this.checkRtpTimeout(stats.audio.packets_received + stats.video.packets_received);
+  },
+
+  /**
+   * End the call without inbound RTP for the RTP timeout, unless the call is held by either end.
+   * @private
+   */
+  checkRtpTimeout: function(received) {
+    if (received > 0 || this.session.isOnHold || this.session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED || isRemoteAudioStopped(this.session)) {
+      this.silentPolls = 0;
+      return;
+    }
+
+    this.silentPolls++;
+    if (this.rtpTimeout && this.silentPolls * this.interval >= this.rtpTimeout) {
+      logger.log('no inbound RTP for '+ this.rtpTimeout +' seconds, terminating the call', this.session.ua);
+      this.session.sendBye();
+      this.session.ended('system', null, ExSIP.C.causes.RTP_TIMEOUT);
+    }
+  },
+
+  /**
+   * @param {Number} mos
+   * @returns {String} good, fair, poor or bad
+   */
+  getQuality: function(mos) {
+    if (mos >= this.thresholds.good) {
+      return C.QUALITY_GOOD;
+    } else if (mos >= this.thresholds.fair) {
+      return C.QUALITY_FAIR;
+    } else if (mos >= this.thresholds.poor) {
+      return C.QUALITY_POOR;
+    }
+    return C.QUALITY_BAD;
+  },
+
+  /**
+   * Summary of the statistics polled during the call.
+   * @returns {Object}
+   */
+  getSummary: function() {
+    var summary = {
+        samples: this.samples.length,
+        packets_received: 0,
+        packets_lost: 0,
+        loss_rate: 0,
+        mos: null,
+        min_mos: null,
+        max_jitter: null,
+        quality: this.quality
+      },
+      mosTotal = 0,
+      mosCount = 0;
+
+    this.samples.forEach(function(stats) {
+      ['audio', 'video'].forEach(function(type) {
+        summary.packets_received += stats[type].packets_received;
+        summary.packets_lost += stats[type].packets_lost;
+      });
+      if (stats.audio.jitter !== null) {
+        summary.max_jitter = Math.max(summary.max_jitter || 0, stats.audio.jitter);
+      }
+      if (stats.audio.mos !== null) {
+        mosTotal += stats.audio.mos;
+        mosCount++;
+        summary.min_mos = summary.min_mos === null ? stats.audio.mos : Math.min(summary.min_mos, stats.audio.mos);
+      }
+    });
+
+    if (summary.packets_received + summary.packets_lost > 0) {
+      summary.loss_rate = summary.packets_lost / (summary.packets_received + summary.packets_lost);
+    }
+    if (mosCount > 0) {
+      summary.mos = mosTotal / mosCount;
+    }
+
+    return summary;
+  }
+};
+
+/**
+ * ITU-T G.107 Simplified E-model, the transmission rating of a voice call and its MOS estimate.
+ * @param {Number} lossRate fraction of the packets lost
+ * @param {Number} jitter in milliseconds
+ * @param {Number} rtt round trip time in milliseconds
+ * @returns {Number} MOS between 1 and 4.5
+ */
+StatsCollector.getMOS = function(lossRate, jitter, rtt) {
+  var rating,
+    // One way delay, with the jitter buffer and the codec delays
+    latency = rtt / 2 + jitter * 2 + 10;
+
+  rating = 93.2 - (latency < 160 ? latency / 40 : (latency - 120) / 10) - lossRate * 100 * 2.5;
+
+  if (rating <= 0) {
+    return 1;
+  } else if (rating >= 100) {
+    return 4.5;
+  }
+  return 1 + 0.035 * rating + 0.000007 * rating * (rating - 60) * (100 - rating);
+};
+
+StatsCollector.C = C;
+
+// Return since it will be assigned to a variable.
+return StatsCollector;
+}(ExSIP));
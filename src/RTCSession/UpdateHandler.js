@@ -0,0 +1,313 @@
+/**
+ * @fileoverview UpdateHandler
+ */
+
+/**
+ * @class UPDATE method (RFC 3311)
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var UpdateHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'UPDATE');
+
+UpdateHandler = function(session) {
+  this.session = session;
+
+  // UAC: whether an UPDATE is in progress and whether it carries an offer
+  this.pending = false;
+  this.hasOffer = false;
+  this.callbacks = {};
+  // Session descriptions before the offer, restored if the offer fails
+  this.previous = null;
+};
+
+UpdateHandler.prototype = {
+  /**
+   * Send an UPDATE, with a new offer unless options.withoutSdp is set.
+   * @param {Object} [options]
+   */
+  send: function(options) {
+    var
+      self = this,
+      session = this.session,
+      dialog = this.getDialog();
+
+    options = options || {};
+
+    if (!dialog || this.pending) {
+      throw new ExSIP.Exceptions.InvalidStateError(session.status);
+    }
+
+    // RFC3311 5.1. An offer cannot be sent before the offer/answer of the INVITE has completed
+    if (!options.withoutSdp && !this.canOffer()) {
+      throw new ExSIP.Exceptions.InvalidStateError(session.status);
+    }
+
+    this.pending = true;
+    this.hasOffer = !options.withoutSdp;
+    this.extraHeaders = options.extraHeaders ? options.extraHeaders.slice() : [];
+    this.callbacks = {
+      success: options.success,
+      failure: options.failure
+    };
+
+    if (!this.hasOffer) {
+      this.sendRequest(dialog);
+      return;
+    }
+
+    this.previous = {
+      localSdp: session.rtcMediaHandler.peerConnection.localDescription.sdp,
+      remoteSdp: session.rtcMediaHandler.peerConnection.remoteDescription.sdp
+    };
+
+    session.reconnectRtcMediaHandler(function() {
+        self.sendRequest(dialog, session.rtcMediaHandler.peerConnection.localDescription.sdp);
+      }, function(e) {
+        logger.warn('unable to create the offer : '+ e, session.ua);
+        self.pending = false;
+        self.onFailure(null, ExSIP.C.causes.WEBRTC_ERROR);
+      },
+      options.sdpOptions
+    );
+  },
+
+  /**
+   * @private
+   */
+  sendRequest: function(dialog, sdp) {
+    var request,
+      session = this.session,
+      extraHeaders = this.extraHeaders.slice();
+
+    extraHeaders.push('Contact: '+ session.contact);
+    extraHeaders.push('Allow: '+ ExSIP.Utils.getAllowedMethods(session.ua));
+    if (sdp) {
+      extraHeaders.push('Content-Type: application/sdp');
+    }
+
+    request = dialog.createRequest(ExSIP.C.UPDATE, extraHeaders);
+    request.body = sdp;
+    session.sessionTimers.setRequestHeaders(request);
+
+    this.request = request;
+    new RequestSender(this, request).send();
+  },
+
+  /**
+   * The confirmed dialog, or the early dialog while the INVITE is not answered.
+   * @private
+   */
+  getDialog: function() {
+    var idx, dialog = this.session.dialog;
+
+    if (!dialog) {
+      for (idx in this.session.earlyDialogs) {
+        dialog = this.session.earlyDialogs[idx];
+      }
+    }
+
+    return dialog || null;
+  },
+
+  /**
+   * Whether the offer/answer exchange of the INVITE has completed.
+   * @private
+   */
+  canOffer: function() {
+    var session = this.session;
+
+    if (session.dialog) {
+      return session.status === ExSIP.RTCSession.C.STATUS_CONFIRMED;
+    }
+
+    // The answer was received in a reliable provisional response
+    return session.direction === 'outgoing' && session.earlyMedia;
+  },
+
+  /**
+   * @returns {Boolean} true if an offer sent in an UPDATE is waiting for its answer
+   */
+  isOfferPending: function() {
+    return this.pending && this.hasOffer;
+  },
+
+  /**
+   * RFC3311 5.2. Incoming UPDATE, inside an early or confirmed dialog.
+   * @param {ExSIP.IncomingRequest} request
+   */
+  receiveRequest: function(request) {
+    var
+      self = this,
+      session = this.session,
+      extraHeaders = [];
+
+    // Session refresh
+    if (!session.sessionTimers.handleRequest(request)) {
+      return;
+    }
+
+    session.sessionTimers.addResponseHeaders(extraHeaders);
+    extraHeaders.push('Contact: '+ session.contact);
+
+    var replySucceeded = function() {
+      if (session.status === ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+        session.sessionTimers.start();
+      }
+    };
+
+    if (!request.body || request.body.length === 0) {
+      request.reply(200, null, extraHeaders, null, replySucceeded);
+      return;
+    }
+
+    // Glare: we have sent an offer which is not answered yet
+    if (this.isOfferPending() || session.videoHandler.isPending() || (session.dialog && session.status === ExSIP.RTCSession.C.STATUS_INVITE_SENT) ||
+      (session.direction === 'outgoing' && !session.dialog && !session.earlyMedia)) {
+      logger.log('offer received while our offer is pending', session.ua);
+      request.reply(491);
+      return;
+    }
+
+    // We have received an offer which is not answered yet
+    if (!this.canOffer()) {
+      request.reply(500, null, ['Retry-After: '+ ((Math.random() * 10 | 0) + 1)]);
+      return;
+    }
+
+    session.reconnectRtcMediaHandler(function() {
+        request.reply(200, null, extraHeaders,
+          session.rtcMediaHandler.peerConnection.localDescription.getSdp(
+            {additionalSdp: session.rtcMediaHandler.peerConnection.remoteUnsupportedMedia}),
+          replySucceeded
+        );
+      }, function(e) {
+        logger.warn('invalid SDP', self.session.ua);
+        logger.warn(e, self.session.ua);
+        request.reply(488);
+      },
+      {isAnswer: true, remoteSdp: request.body, isReconnect: true}
+    );
+  },
+
+  /**
+   * Reception of the response to our UPDATE.
+   * @private
+   */
+  receiveResponse: function(response) {
+    var
+      self = this,
+      session = this.session;
+
+    if (response.status_code < 200) {
+      return;
+    }
+
+    // RFC4028 7.4. Retry with the larger session interval required by the 422
+    if (response.status_code === 422 && session.sessionTimers.update422(response)) {
+      this.sendRequest(this.request.dialog, this.request.body);
+      return;
+    }
+
+    this.pending = false;
+
+    if (response.status_code >= 300) {
+      this.onFailure(response, ExSIP.Utils.sipErrorCause(response.status_code));
+      return;
+    }
+
+    if (session.status === ExSIP.RTCSession.C.STATUS_CONFIRMED) {
+      session.sessionTimers.handleResponse(response);
+    }
+
+    if (!this.hasOffer) {
+      this.onSuccess(response);
+      return;
+    }
+
+    if (!response.body) {
+      logger.warn('2xx to UPDATE without answer', session.ua);
+      this.onFailure(response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      return;
+    }
+
+    session.rtcMediaHandler.onMessage(
+      response.body,
+      function() {
+        self.onSuccess(response);
+      },
+      function(e) {
+        logger.warn(e, session.ua);
+        self.onFailure(response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      }
+    );
+  },
+
+  /**
+   * RFC3311 5.1. A failed offer leaves the session descriptions as they were before it.
+   * @private
+   */
+  restore: function(onRestored) {
+    var session = this.session,
+      previous = this.previous;
+
+    this.previous = null;
+    if (!previous || session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+      onRestored();
+      return;
+    }
+
+    logger.log('offer of the UPDATE failed, restoring the previous session descriptions', session.ua);
+    session.reconnectRtcMediaHandler(onRestored, function(e) {
+        logger.warn('unable to restore the previous session descriptions : '+ e, session.ua);
+        onRestored();
+      }, {
+        localDescription: new ExSIP.WebRTC.RTCSessionDescription({type: 'offer', sdp: previous.localSdp}),
+        remoteSdp: previous.remoteSdp
+      }
+    );
+  },
+
+  /**
+   * @private
+   */
+  onSuccess: function(response) {
+    this.previous = null;
+    if (this.callbacks.success) {
+      this.callbacks.success(response);
+    }
+  },
+
+  /**
+   * @private
+   */
+  onFailure: function(response, cause) {
+    var callbacks = this.callbacks;
+
+    this.restore(function() {
+      if (callbacks.failure) {
+        callbacks.failure(response, cause);
+      }
+    });
+  },
+
+  /**
+   * @private
+   */
+  onRequestTimeout: function() {
+    this.pending = false;
+    this.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
+  },
+
+  /**
+   * @private
+   */
+  onTransportError: function() {
+    this.pending = false;
+    this.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
+  }
+};
+
+return UpdateHandler;
+}(ExSIP));
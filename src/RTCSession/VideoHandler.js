@@ -0,0 +1,386 @@
+/**
+ * @fileoverview VideoHandler
+ */
+
+/**
+ * @class Mid-call changes of the video of a session, the camera and the shared screen, offered in a re-INVITE.
+ * @param {ExSIP.RTCSession} session
+ */
+(function(ExSIP) {
+
+var VideoHandler,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'VIDEO'),
+  C = {
+    // Offers of a change refused with a 491 before the change fails
+    MAX_ATTEMPTS: 3
+  };
+
+/**
+ * Offer constraints receiving the video or not, the other constraints are kept.
+ * @private
+ */
+function getOfferConstraints(constraints, video) {
+  constraints = constraints || {};
+  if (video === undefined) {
+    return constraints;
+  }
+
+  return ExSIP.Utils.merge_options(constraints, {
+    mandatory: ExSIP.Utils.merge_options(constraints.mandatory || {OfferToReceiveAudio: true}, {OfferToReceiveVideo: video})
+  });
+}
+
+VideoHandler = function(session) {
+  this.session = session;
+
+  // Change in progress: its local media, shared screen, video and callbacks
+  this.change = null;
+  // Media of the session before the change, restored if the change is refused
+  this.previous = null;
+  // Whether the re-INVITE of the change waits for its final response
+  this.pending = false;
+  this.attempts = 0;
+};
+
+VideoHandler.prototype = {
+  /**
+   * Replace the local media by the camera and the microphone.
+   * @param {Object} [constraints] media constraints, ie: { audio: true, video: true }
+   * @param {Object} [options]
+   */
+  addVideo: function(constraints, options) {
+    this.getUserMedia(constraints || {audio: true, video: true}, true, options);
+  },
+
+  /**
+   * Replace the local media by the microphone only and stop receiving the video.
+   * @param {Object} [options]
+   */
+  removeVideo: function(options) {
+    this.getUserMedia({audio: true, video: false}, false, options);
+  },
+
+  /**
+   * Send a screen along with the local media.
+   * @param {MediaStream} stream
+   * @param {Object} [options]
+   */
+  startScreenShare: function(stream, options) {
+    if (!stream) {
+      throw new TypeError('Not enough arguments');
+    }
+    this.checkState();
+
+    this.start({screenMedia: stream, video: true}, options);
+  },
+
+  /**
+   * Stop sending the shared screen, the stream is left to the application.
+   * @param {Object} [options]
+   */
+  stopScreenShare: function(options) {
+    this.checkState();
+    if (!this.isScreenSharing()) {
+      logger.warn('no screen shared', this.session.ua);
+      return;
+    }
+
+    this.start({screenMedia: null}, options);
+  },
+
+  /**
+   * @returns {Boolean}
+   */
+  isScreenSharing: function() {
+    return !!(this.session.rtcMediaHandler && this.session.rtcMediaHandler.screenMedia);
+  },
+
+  /**
+   * @returns {Boolean} true if the re-INVITE of a change waits for its final response
+   */
+  isPending: function() {
+    return this.pending;
+  },
+
+  /**
+   * @private
+   */
+  checkState: function() {
+    var session = this.session;
+
+    if (session.status !== ExSIP.RTCSession.C.STATUS_CONFIRMED || session.isOnHold || this.change || session.updateHandler.isOfferPending()) {
+      throw new ExSIP.Exceptions.InvalidStateError(session.status);
+    }
+  },
+
+  /**
+   * @private
+   */
+  getUserMedia: function(constraints, video, options) {
+    var self = this,
+      session = this.session;
+
+    options = options || {};
+    this.checkState();
+    this.change = {};
+
+    ExSIP.WebRTC.getUserMedia(constraints,
+      function(stream) {
+        self.change = null;
+        if (session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+          stream.stop();
+          return;
+        }
+        self.start({localMedia: stream, ownsMedia: true, video: video}, options);
+      },
+      function(e) {
+        logger.warn('unable to get the local media : '+ e, session.ua);
+        self.change = null;
+        if (options.failure) {
+          options.failure(null, ExSIP.C.causes.USER_DENIED_MEDIA_ACCESS);
+        }
+      }
+    );
+  },
+
+  /**
+   * @private
+   */
+  start: function(change, options) {
+    options = options || {};
+
+    change.success = options.success;
+    change.failure = options.failure;
+    this.change = change;
+    this.attempts = 0;
+    this.offer();
+  },
+
+  /**
+   * Offer the change, the previous media is kept until the change is accepted.
+   * @private
+   */
+  offer: function() {
+    var self = this,
+      session = this.session,
+      change = this.change,
+      rtcMediaHandler = session.rtcMediaHandler,
+      options = {
+        screenMedia: change.screenMedia !== undefined ? change.screenMedia : rtcMediaHandler.screenMedia,
+        createOfferConstraints: getOfferConstraints(rtcMediaHandler.createOfferConstraints, change.video)
+      };
+
+    this.attempts++;
+    this.previous = {
+      localMedia: rtcMediaHandler.localMedia,
+      screenMedia: rtcMediaHandler.screenMedia,
+      createOfferConstraints: rtcMediaHandler.createOfferConstraints,
+      localSdp: rtcMediaHandler.peerConnection.localDescription.sdp,
+      remoteSdp: rtcMediaHandler.peerConnection.remoteDescription.sdp
+    };
+
+    // RFC3264 8.2. The video stream is rejected rather than removed
+    if (change.video === false) {
+      options.videoMode = ExSIP.C.INACTIVE;
+      options.videoPort = "0";
+    }
+
+    if (change.localMedia) {
+      rtcMediaHandler.localMedia = change.localMedia;
+    }
+
+    session.reconnectRtcMediaHandler(function() {
+        self.sendRequest(session.rtcMediaHandler.peerConnection.localDescription.sdp);
+      }, function(e) {
+        logger.warn('unable to create the offer : '+ e, session.ua);
+        self.rollback(null, ExSIP.C.causes.WEBRTC_ERROR);
+      },
+      options
+    );
+  },
+
+  /**
+   * @private
+   */
+  sendRequest: function(sdp) {
+    var session = this.session,
+      extraHeaders = [];
+
+    extraHeaders.push('Contact: '+ session.contact);
+    extraHeaders.push('Allow: '+ ExSIP.Utils.getAllowedMethods(session.ua));
+    extraHeaders.push('Content-Type: application/sdp');
+
+    this.request = session.dialog.createRequest(ExSIP.C.INVITE, extraHeaders);
+    this.request.body = sdp;
+    session.sessionTimers.setRequestHeaders(this.request);
+
+    this.pending = true;
+    new ExSIP.InDialogRequestSender(this).send();
+  },
+
+  /**
+   * Reception of the response to the re-INVITE of the change.
+   * @private
+   */
+  receiveResponse: function(response) {
+    var
+      self = this,
+      session = this.session;
+
+    if (response.status_code < 200 || !this.pending) {
+      return;
+    }
+    this.pending = false;
+
+    // A 408 or 481 has terminated the session
+    if (session.status === ExSIP.RTCSession.C.STATUS_TERMINATED) {
+      this.onFailure(response, ExSIP.C.causes.DIALOG_ERROR);
+      return;
+    }
+
+    if (response.status_code >= 300) {
+      // RFC3261 14.1. Glare, offer again after a random time which doubles with each attempt
+      if (response.status_code === 491 && this.attempts < C.MAX_ATTEMPTS) {
+        logger.log('491 response received for the re-INVITE, offering again', session.ua);
+        this.restore(function() {
+          session.timers.videoRetryTimer = window.setTimeout(function() {
+            session.timers.videoRetryTimer = null;
+            self.offer();
+          }, self.getRetryTimeout());
+        });
+        return;
+      }
+
+      this.rollback(response, ExSIP.Utils.sipErrorCause(response.status_code));
+      return;
+    }
+
+    session.sendACK();
+    session.sessionTimers.handleResponse(response);
+
+    if (!response.body) {
+      logger.warn('2xx to re-INVITE without answer', session.ua);
+      this.rollback(response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      return;
+    }
+
+    session.rtcMediaHandler.onMessage(
+      response.body,
+      function() {
+        self.onSuccess(response);
+      },
+      function(e) {
+        logger.warn(e, session.ua);
+        self.rollback(response, ExSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+      }
+    );
+  },
+
+  /**
+   * RFC3261 14.1. The owner of the Call-ID waits between 2.1 and 4 seconds, the other endpoint up to 2 seconds.
+   * @private
+   */
+  getRetryTimeout: function() {
+    var timeout = this.session.direction === 'outgoing' ? Math.random() * (4 - 2.1) + 2.1 : Math.random() * 2;
+
+    return Math.round(timeout * 1000 * Math.pow(2, this.attempts - 1));
+  },
+
+  /**
+   * Apply the local media and the session descriptions of the session before the change.
+   * @private
+   */
+  restore: function(onRestored) {
+    var session = this.session,
+      previous = this.previous;
+
+    session.rtcMediaHandler.localMedia = previous.localMedia;
+    session.reconnectRtcMediaHandler(onRestored, function(e) {
+        logger.warn('unable to restore the previous media : '+ e, session.ua);
+        onRestored();
+      }, {
+        screenMedia: previous.screenMedia,
+        createOfferConstraints: previous.createOfferConstraints,
+        localDescription: new ExSIP.WebRTC.RTCSessionDescription({type: 'offer', sdp: previous.localSdp}),
+        remoteSdp: previous.remoteSdp
+      }
+    );
+  },
+
+  /**
+   * @private
+   */
+  rollback: function(response, cause) {
+    var self = this;
+
+    logger.log('media change refused, restoring the previous media', this.session.ua);
+    this.restore(function() {
+      self.onFailure(response, cause);
+    });
+  },
+
+  /**
+   * @private
+   */
+  onSuccess: function(response) {
+    var change = this.change,
+      previous = this.previous,
+      ua = this.session.ua;
+
+    this.change = null;
+
+    // The replaced local media is released, unless the calls share it
+    if (change.localMedia && previous.localMedia && previous.localMedia !== change.localMedia && !ua.reuseLocalMedia()) {
+      if (ua.localMedia === previous.localMedia) {
+        ua.localMedia = change.localMedia;
+      }
+      previous.localMedia.stop();
+    }
+
+    if (change.success) {
+      change.success(response);
+    }
+  },
+
+  /**
+   * @private
+   */
+  onFailure: function(response, cause) {
+    var change = this.change;
+
+    this.change = null;
+    if (!change) {
+      return;
+    }
+
+    if (change.ownsMedia && change.localMedia !== this.session.rtcMediaHandler.localMedia) {
+      change.localMedia.stop();
+    }
+
+    if (change.failure) {
+      change.failure(response, cause);
+    }
+  },
+
+  /**
+   * @private
+   */
+  onRequestTimeout: function() {
+    this.pending = false;
+    this.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
+  },
+
+  /**
+   * @private
+   */
+  onTransportError: function() {
+    this.pending = false;
+    this.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
+  }
+};
+
+VideoHandler.C = C;
+
+// Return since it will be assigned to a variable.
+return VideoHandler;
+}(ExSIP));
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Redirector
+ */
+
+/**
+ * @augments ExSIP
+ * @class Class following the 3xx redirections of an outgoing request (RFC 3261 8.1.3.4).
+ * @param {ExSIP.RTCSession|ExSIP.Message} applicant
+ */
+(function(ExSIP) {
+var Redirector,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'REDIRECTOR'),
+  C = {
+    // Redirections which are followed, 305 Use Proxy and 380 Alternative Service are not
+    STATUS_CODES: [300, 301, 302]
+  };
+
+Redirector = function(applicant) {
+  this.applicant = applicant;
+  this.ua = applicant.ua;
+  this.enabled = this.ua.configuration.follow_redirects;
+  this.maxRedirects = this.ua.configuration.max_redirects;
+
+  // Number of redirections followed
+  this.redirects = 0;
+  // Targets not tried yet, in order of preference
+  this.targets = [];
+  // Targets already tried, to avoid loops
+  this.visited = {};
+  // Options of the initial request, reused for every target
+  this.options = null;
+};
+
+Redirector.prototype = {
+  /**
+   * Remember the target and options of the initial request.
+   * @param {ExSIP.URI} target
+   * @param {Object} options
+   * @param {Boolean} [options.followRedirects] enable or disable redirections for this request
+   */
+  init_outgoing: function(target, options) {
+    if (options.followRedirects !== undefined) {
+      this.enabled = !!options.followRedirects;
+    }
+
+    this.options = ExSIP.Utils.merge_options({}, options);
+    this.options.extraHeaders = (options.extraHeaders || []).slice();
+    this.visited[target.toString()] = true;
+  },
+
+  /**
+   * Options for the request sent to the next target.
+   * @returns {Object}
+   */
+  getOptions: function() {
+    var options = ExSIP.Utils.merge_options({}, this.options);
+
+    options.extraHeaders = this.options.extraHeaders.slice();
+    options.redirected = true;
+    return options;
+  },
+
+  /**
+   * Give the target to try after the final non 2xx response of the current one.
+   * Emits the 'redirected' event on the applicant for every followed 3xx response.
+   * @param {ExSIP.IncomingResponse} response
+   * @returns {ExSIP.URI|null} next target, null if the request has failed
+   */
+  receiveResponse: function(response) {
+    var targets, target, idx;
+
+    if (!this.enabled) {
+      return null;
+    }
+
+    if (C.STATUS_CODES.indexOf(response.status_code) !== -1) {
+      if (this.redirects >= this.maxRedirects) {
+        logger.warn('maximum number of redirections reached', this.ua);
+        return null;
+      }
+      this.redirects++;
+
+      targets = this.getContacts(response);
+
+      /* The application can veto some of the targets */
+      this.applicant.emit('redirected', this.applicant, {
+        originator: 'remote',
+        response: response,
+        targets: targets.slice(),
+        veto: function(vetoed) {
+          vetoed = vetoed.toString();
+          for (idx = targets.length - 1; idx >= 0; idx--) {
+            if (targets[idx].toString() === vetoed) {
+              targets.splice(idx, 1);
+            }
+          }
+        }
+      });
+
+      // The targets of a nested redirection are tried first
+      this.targets = targets.concat(this.targets);
+    }
+
+    target = this.targets.shift();
+    if (!target) {
+      return null;
+    }
+
+    logger.log('trying redirection target : '+ target, this.ua);
+    this.visited[target.toString()] = true;
+    return target;
+  },
+
+  /**
+   * SIP URIs of the Contacts of a 3xx response not tried yet, in decreasing order of q.
+   * @private
+   * @param {ExSIP.IncomingResponse} response
+   * @returns {ExSIP.URI[]}
+   */
+  getContacts: function(response) {
+    var idx, contact, uri, q,
+      contacts = [],
+      found = {},
+      length = response.countHeader('contact');
+
+    for (idx = 0; idx < length; idx++) {
+      contact = response.parseHeader('contact', idx);
+      if (!contact) {
+        continue;
+      }
+
+      uri = contact.uri;
+      if (this.visited[uri.toString()] || found[uri.toString()]) {
+        logger.log('discarding already tried redirection target : '+ uri, this.ua);
+        continue;
+      }
+      found[uri.toString()] = true;
+
+      q = contact.getParam('q');
+      contacts.push({uri: uri, q: q === undefined ? 1 : window.Number(q), idx: idx});
+    }
+
+    // Stable sort, Contacts with the same q keep their order
+    contacts.sort(function(a, b) {
+      return (b.q - a.q) || (a.idx - b.idx);
+    });
+
+    return contacts.map(function(contact) {
+      return contact.uri;
+    });
+  }
+};
+
+Redirector.C = C;
+ExSIP.Redirector = Redirector;
+}(ExSIP));
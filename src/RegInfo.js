@@ -0,0 +1,201 @@
+/**
+ * @fileoverview RegInfo
+ */
+
+/**
+ * @augments ExSIP
+ * @class Subscription of the registrator to the registrations of its address of record (reg event package RFC 3680).
+ * @param {ExSIP.Registrator} registrator
+ */
+(function(ExSIP) {
+var RegInfo,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'REG INFO'),
+  C = {
+    EVENT: 'reg',
+    CONTENT_TYPE: 'application/reginfo+xml',
+    NS: 'urn:ietf:params:xml:ns:reginfo',
+
+    // Contact states
+    STATE_ACTIVE:     'active',
+    STATE_TERMINATED: 'terminated'
+  };
+
+/**
+ * Text of the first child element of the given name.
+ */
+function getChildText(element, name) {
+  var child = element.getElementsByTagNameNS(C.NS, name)[0];
+
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Integer value of an attribute.
+ */
+function getIntAttribute(element, name) {
+  return element.hasAttribute(name) ? window.parseInt(element.getAttribute(name), 10) : null;
+}
+
+RegInfo = function(registrator) {
+  this.registrator = registrator;
+  this.ua = registrator.ua;
+  this.subscriber = null;
+
+  // Contacts of the address of record by registration and contact id
+  this.contacts = {};
+};
+
+RegInfo.prototype = {
+  subscribe: function() {
+    var self = this;
+
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = this.ua.subscribe(this.ua.configuration.uri, C.EVENT);
+
+    this.subscriber.on('notify', function(e) {
+      if (e.data.content) {
+        self.update(e.data.content, e.data.request);
+      }
+    });
+
+    this.subscriber.on('failed', function() {
+      self.subscriber = null;
+    });
+
+    this.subscriber.on('terminated', function() {
+      self.subscriber = null;
+    });
+  },
+
+  unsubscribe: function() {
+    var subscriber = this.subscriber;
+
+    if (subscriber) {
+      this.subscriber = null;
+      subscriber.unsubscribe();
+    }
+  },
+
+  /**
+   * RFC3680 5.4. Merge the registration information of a NOTIFY and check the state of our contact.
+   * @private
+   * @param {Object} info parsed reginfo document
+   * @param {ExSIP.IncomingRequest} request
+   */
+  update: function(info, request) {
+    var idx, jdx, key, registration, contact, own,
+      contacts = [];
+
+    if (!this.subscriber.checkVersion(info.version, info.state === 'full', request)) {
+      return;
+    }
+
+    if (info.state === 'full') {
+      this.contacts = {};
+    }
+
+    for (idx = 0; idx < info.registrations.length; idx++) {
+      registration = info.registrations[idx];
+      for (jdx = 0; jdx < registration.contacts.length; jdx++) {
+        contact = registration.contacts[jdx];
+        this.contacts[registration.id +'/'+ contact.id] = contact;
+      }
+    }
+
+    for (key in this.contacts) {
+      contact = this.contacts[key];
+
+      if (contact.uri && contact.uri.user === this.ua.contact.uri.user) {
+        own = contact;
+      } else {
+        contacts.push(contact);
+      }
+
+      // Terminated contacts are only reported once
+      if (contact.state === C.STATE_TERMINATED) {
+        delete this.contacts[key];
+      }
+    }
+
+    this.ua.emit('registrationsChanged', this.ua, {
+      originator: 'remote',
+      contacts: contacts,
+      request: request
+    });
+
+    if (own && own.state === C.STATE_TERMINATED && this.registrator.registered) {
+      logger.log('registration terminated by the registrar with event '+ own.event, this.ua);
+      this.registrator.onRegistrationTerminated(own.event, own.retry_after);
+    }
+  }
+};
+
+/**
+ * Parse a reginfo document.
+ * @param {String} body
+ * @returns {Object|null} registration information, ie:
+ * { version: 0, state: 'full', registrations: [{ aor: 'sip:bob@example.com', id: 'a7', state: 'active', contacts: [{ id: '76', state: 'active', event: 'registered', uri: ExSIP.URI, display_name: null, expires: 3600, retry_after: null, q: null }] }] }
+ */
+RegInfo.parse = function(body) {
+  var doc, reginfo, registrations, registration, contacts, contact, idx, jdx,
+    result = {
+      version: null,
+      state: null,
+      registrations: []
+    };
+
+  doc = ExSIP.Utils.parseXML(body);
+  reginfo = doc && doc.documentElement;
+  if (!reginfo || reginfo.localName !== 'reginfo' || reginfo.namespaceURI !== C.NS) {
+    return null;
+  }
+
+  result.version = window.parseInt(reginfo.getAttribute('version'), 10);
+  result.state = reginfo.getAttribute('state');
+
+  if (window.isNaN(result.version) || (result.state !== 'full' && result.state !== 'partial')) {
+    return null;
+  }
+
+  registrations = reginfo.getElementsByTagNameNS(C.NS, 'registration');
+  for (idx = 0; idx < registrations.length; idx++) {
+    registration = {
+      aor: registrations[idx].getAttribute('aor'),
+      id: registrations[idx].getAttribute('id'),
+      state: registrations[idx].getAttribute('state'),
+      contacts: []
+    };
+
+    contacts = registrations[idx].getElementsByTagNameNS(C.NS, 'contact');
+    for (jdx = 0; jdx < contacts.length; jdx++) {
+      contact = contacts[jdx];
+
+      registration.contacts.push({
+        id: contact.getAttribute('id'),
+        state: contact.getAttribute('state'),
+        event: contact.getAttribute('event'),
+        uri: ExSIP.URI.parse(getChildText(contact, 'uri') || '') || null,
+        display_name: getChildText(contact, 'display-name'),
+        expires: getIntAttribute(contact, 'expires'),
+        retry_after: getIntAttribute(contact, 'retry-after'),
+        q: contact.hasAttribute('q') ? window.parseFloat(contact.getAttribute('q')) : null
+      });
+    }
+
+    result.registrations.push(registration);
+  }
+
+  return result;
+};
+
+ExSIP.Subscriber.registerEventPackage(C.EVENT, {
+  accept: [C.CONTENT_TYPE],
+  parse: RegInfo.parse
+});
+
+RegInfo.C = C;
+ExSIP.RegInfo = RegInfo;
+}(ExSIP));
@@ -30,6 +30,9 @@ Registrator = function(ua, transport) {
 
   this.registrationTimer = null;
 
+  // Subscription to the registrations of our address of record RFC3680
+  this.regInfo = new ExSIP.RegInfo(this);
+
   // Set status
   this.registered = this.registered_before = false;
 
@@ -137,6 +140,10 @@ Registrator.prototype = {
           this.ua.emit('registered', this.ua, {
             response: response
           });
+
+          if (this.ua.configuration.enable_reg_event) {
+            this.regInfo.subscribe();
+          }
           break;
         // Interval too brief RFC3261 10.2.8
         case /^423$/.test(response.status_code):
@@ -188,6 +195,7 @@ Registrator.prototype = {
     extraHeaders = options.extraHeaders || [];
 
     this.registered = false;
+    this.regInfo.unsubscribe();
 
     // Clear the registration timer.
     if (this.registrationTimer !== null) {
@@ -263,6 +271,7 @@ Registrator.prototype = {
 
     if (this.registered) {
       this.registered = false;
+      this.regInfo.unsubscribe();
       this.ua.emit('unregistered', this.ua, {
         response: response || null,
         cause: cause
@@ -270,6 +279,41 @@ Registrator.prototype = {
     }
   },
 
+  /**
+   * RFC3680 5.4. The registrar terminated the registration of our contact.
+   * @private
+   * @param {String} event reg event of the contact, ie: 'deactivated'
+   * @param {Number} [retry_after] seconds to wait before registering again on 'probation'
+   */
+  onRegistrationTerminated: function(event, retry_after) {
+    var self = this;
+
+    if (this.registrationTimer !== null) {
+      window.clearTimeout(this.registrationTimer);
+      this.registrationTimer = null;
+    }
+
+    switch(event) {
+      // The contact can register again right away
+      case 'deactivated':
+        this.register();
+        break;
+      // The contact can register again once retry-after has elapsed
+      case 'probation':
+        this.unregistered(null, ExSIP.C.causes.REGISTRATION_TERMINATED);
+        this.registrationTimer = window.setTimeout(function() {
+          self.registrationTimer = null;
+          self.register();
+        }, (retry_after || 0) * 1000);
+        break;
+      // 'rejected', 'unregistered' or 'expired', the registration is over
+      default:
+        this.regInfo.unsubscribe();
+        this.unregistered(null, ExSIP.C.causes.REGISTRATION_TERMINATED);
+        break;
+    }
+  },
+
   /**
    * @private
    */
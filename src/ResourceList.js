@@ -0,0 +1,274 @@
+/**
+ * @fileoverview ResourceList
+ */
+
+/**
+ * @augments ExSIP
+ * @class State of a subscription to a resource list (RFC 4662), merged from the multipart/related NOTIFY requests of the list server.
+ * @param {ExSIP.Subscriber} subscriber
+ */
+(function(ExSIP) {
+var ResourceList,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'RESOURCE LIST'),
+  C = {
+    OPTION_TAG: 'eventlist',
+    CONTENT_TYPE: 'application/rlmi+xml',
+    MULTIPART_TYPE: 'multipart/related',
+    NS: 'urn:ietf:params:xml:ns:rlmi',
+
+    // Instance states
+    STATE_ACTIVE:     'active',
+    STATE_PENDING:    'pending',
+    STATE_TERMINATED: 'terminated'
+  };
+
+/**
+ * Text of the name children of an element.
+ */
+function getNames(element) {
+  var child,
+    names = [];
+
+  for (child = element.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.localName === 'name') {
+      names.push(child.textContent.trim());
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Media type of a parsed Content-Type, ie: 'application/pidf+xml'.
+ */
+function getMediaType(contentType) {
+  return contentType ? contentType.type +'/'+ contentType.subtype : null;
+}
+
+ResourceList = function(subscriber) {
+  this.subscriber = subscriber;
+  this.ua = subscriber.ua;
+
+  // Resources of the list by URI
+  this.resources = {};
+};
+
+ResourceList.prototype = {
+  /**
+   * RFC4662 5.2. Merge the resource states of a NOTIFY into the state of the list.
+   * @private
+   * @param {ExSIP.IncomingRequest} request
+   * @returns {Object|null} state of the list, null if the NOTIFY was discarded, ie:
+   * { uri: 'sip:adam-friends@pres.example.com', version: 1, names: ['Buddy List'], resources: [...], changed: [...] }
+   */
+  update: function(request) {
+    var idx, jdx, uri, id, list, resource, stored, resources,
+      changed = [];
+
+    list = ResourceList.parse(request.body, request.s('content-type'), this.subscriber.event, request);
+    if (!list) {
+      logger.warn('invalid resource list NOTIFY body', this.ua);
+      return null;
+    }
+
+    if (!this.subscriber.checkVersion(list.version, list.full_state, request)) {
+      return null;
+    }
+
+    if (list.full_state) {
+      this.resources = {};
+    }
+
+    for (idx = 0; idx < list.resources.length; idx++) {
+      resource = list.resources[idx];
+      stored = this.resources[resource.uri] || {uri: resource.uri, instances: {}};
+      stored.names = resource.names;
+      this.resources[resource.uri] = stored;
+
+      for (jdx = 0; jdx < resource.instances.length; jdx++) {
+        stored.instances[resource.instances[jdx].id] = resource.instances[jdx];
+      }
+    }
+
+    resources = this.getResources();
+    for (idx = 0; idx < resources.length; idx++) {
+      for (jdx = 0; jdx < list.resources.length; jdx++) {
+        if (list.resources[jdx].uri === resources[idx].uri) {
+          changed.push(resources[idx]);
+        }
+      }
+    }
+
+    // Terminated instances are only reported once
+    for (uri in this.resources) {
+      for (id in this.resources[uri].instances) {
+        if (this.resources[uri].instances[id].state === C.STATE_TERMINATED) {
+          delete this.resources[uri].instances[id];
+        }
+      }
+    }
+
+    return {
+      uri: list.uri,
+      version: list.version,
+      names: list.names,
+      resources: resources,
+      changed: changed
+    };
+  },
+
+  /**
+   * Current state of the resources of the list.
+   * @returns {Object[]} resources, ie:
+   * [{ uri: 'sip:bob@vancouver.example.com', names: ['Bob Smith'], instances: [{ id: 'juwigmtboe', state: 'active', reason: null, cid: 'bUZBsM@pres.vancouver.example.com', content_type: 'application/pidf+xml', body: '...', content: {...} }] }]
+   */
+  getResources: function() {
+    var uri, id, resource,
+      resources = [];
+
+    for (uri in this.resources) {
+      resource = {
+        uri: uri,
+        names: this.resources[uri].names,
+        instances: []
+      };
+
+      for (id in this.resources[uri].instances) {
+        resource.instances.push(this.resources[uri].instances[id]);
+      }
+
+      resources.push(resource);
+    }
+
+    return resources;
+  }
+};
+
+/**
+ * Parse a multipart/related resource list body, the content of every resource instance being
+ * given by the parser of the event package, or parsed as a nested list.
+ * @param {String} body
+ * @param {Object} contentType parsed Content-Type of the body
+ * @param {String} event event package of the subscription
+ * @param {ExSIP.IncomingRequest} [request]
+ * @returns {Object|null} list, ie:
+ * { uri: 'sip:adam-friends@pres.example.com', version: 1, full_state: true, names: ['Buddy List'], resources: [{ uri: 'sip:bob@vancouver.example.com', names: ['Bob Smith'], instances: [...] }] }
+ */
+ResourceList.parse = function(body, contentType, event, request) {
+  var parts, root, list, idx, jdx, instance, part;
+
+  if (!body || getMediaType(contentType) !== C.MULTIPART_TYPE || !contentType.params) {
+    return null;
+  }
+
+  parts = ExSIP.Multipart.parse(body, contentType.params.boundary);
+  if (!parts || !parts.length) {
+    return null;
+  }
+
+  // RFC2387 3.2. The root part is the first one unless told otherwise
+  root = contentType.params.start ? ExSIP.Multipart.getPart(parts, contentType.params.start.replace(/^<|>$/g, '')) : parts[0];
+  if (!root || getMediaType(root.contentType) !== C.CONTENT_TYPE) {
+    return null;
+  }
+
+  list = ResourceList.parseRlmi(root.body);
+  if (!list) {
+    return null;
+  }
+
+  for (idx = 0; idx < list.resources.length; idx++) {
+    for (jdx = 0; jdx < list.resources[idx].instances.length; jdx++) {
+      instance = list.resources[idx].instances[jdx];
+      part = instance.cid ? ExSIP.Multipart.getPart(parts, instance.cid) : null;
+
+      instance.content_type = part ? getMediaType(part.contentType) : null;
+      instance.body = part ? part.body : null;
+      instance.content = part ? ResourceList.parseInstance(part, event, request) : null;
+    }
+  }
+
+  return list;
+};
+
+/**
+ * Content of a resource instance.
+ * @private
+ * @param {Object} part body part of the instance
+ * @param {String} event
+ * @param {ExSIP.IncomingRequest} [request]
+ * @returns {Object|null}
+ */
+ResourceList.parseInstance = function(part, event, request) {
+  var eventPackage = ExSIP.Subscriber.getEventPackage(event),
+    mediaType = getMediaType(part.contentType);
+
+  // RFC4662 5.3. Nested resource list
+  if (mediaType === C.MULTIPART_TYPE) {
+    return ResourceList.parse(part.body, part.contentType, event, request);
+  }
+
+  if (!eventPackage || !eventPackage.parse || (eventPackage.accept && eventPackage.accept.indexOf(mediaType) === -1)) {
+    return null;
+  }
+
+  return eventPackage.parse(part.body, request);
+};
+
+/**
+ * Parse a Resource List Meta-Information document (RFC 4662 5.4).
+ * @param {String} body
+ * @returns {Object|null}
+ */
+ResourceList.parseRlmi = function(body) {
+  var doc, list, resources, instances, resource, idx, jdx,
+    result = {
+      uri: null,
+      version: null,
+      full_state: false,
+      names: [],
+      resources: []
+    };
+
+  doc = ExSIP.Utils.parseXML(body);
+  list = doc && doc.documentElement;
+  if (!list || list.localName !== 'list' || list.namespaceURI !== C.NS) {
+    return null;
+  }
+
+  result.uri = list.getAttribute('uri');
+  result.version = window.parseInt(list.getAttribute('version'), 10);
+  result.full_state = list.getAttribute('fullState') === 'true' || list.getAttribute('fullState') === '1';
+  result.names = getNames(list);
+
+  if (!result.uri || window.isNaN(result.version)) {
+    return null;
+  }
+
+  resources = list.getElementsByTagNameNS(C.NS, 'resource');
+  for (idx = 0; idx < resources.length; idx++) {
+    resource = {
+      uri: resources[idx].getAttribute('uri'),
+      names: getNames(resources[idx]),
+      instances: []
+    };
+
+    instances = resources[idx].getElementsByTagNameNS(C.NS, 'instance');
+    for (jdx = 0; jdx < instances.length; jdx++) {
+      resource.instances.push({
+        id: instances[jdx].getAttribute('id'),
+        state: instances[jdx].getAttribute('state'),
+        reason: instances[jdx].getAttribute('reason') || null,
+        cid: instances[jdx].getAttribute('cid') || null
+      });
+    }
+
+    result.resources.push(resource);
+  }
+
+  return result;
+};
+
+ResourceList.C = C;
+ExSIP.ResourceList = ResourceList;
+}(ExSIP));
@@ -0,0 +1,590 @@
+/**
+ * @fileoverview SDP
+ */
+
+/**
+ * @augments ExSIP
+ * @class Session description (RFC 4566), made of the session section and the media sections.
+ *  The lines are kept as they are, so that the description is serialized as it was parsed but for its changes.
+ * @param {String} [sdp]
+ */
+(function(ExSIP) {
+var SDP, Section, Media,
+  C = {
+    // RFC4566 5. Order of the lines in a section, the attributes are last
+    SESSION_ORDER: 'vosiuepcbtrzka',
+    MEDIA_ORDER:   'icbka',
+
+    // RFC3551 6. Payload types which need no rtpmap
+    STATIC_PAYLOAD_TYPES: {
+      '0': 'PCMU/8000',
+      '3': 'GSM/8000',
+      '4': 'G723/8000',
+      '8': 'PCMA/8000',
+      '9': 'G722/8000',
+      '18': 'G729/8000',
+      '34': 'H263/90000'
+    },
+
+    // Media directions
+    DIRECTIONS: ['sendrecv', 'sendonly', 'recvonly', 'inactive'],
+
+    // Line break of the added lines
+    EOL: '\r\n'
+  };
+
+/**
+ * @class Lines of the session section or of a media section.
+ */
+Section = function(order) {
+  this.order = order;
+  this.lines = [];
+};
+
+Section.prototype = {
+  /**
+   * Values of the lines of the given type.
+   * @param {String} type ie: 'c'
+   * @returns {String[]}
+   */
+  getLines: function(type) {
+    return this.lines.filter(function(line) {
+      return line.type === type;
+    }).map(function(line) {
+      return line.value;
+    });
+  },
+
+  /**
+   * Value of the first line of the given type.
+   * @param {String} type ie: 'c'
+   * @returns {String|null}
+   */
+  getLine: function(type) {
+    var lines = this.getLines(type);
+    return lines.length > 0 ? lines[0] : null;
+  },
+
+  /**
+   * Replace the value of the first line of the given type, or add the line at its place in the section.
+   * @param {String} type ie: 'b'
+   * @param {String} value ie: 'AS:512'
+   */
+  setLine: function(type, value) {
+    var idx,
+      rank = this.order.indexOf(type);
+
+    for (idx = 0; idx < this.lines.length; idx++) {
+      if (this.lines[idx].type === type) {
+        this.lines[idx].value = value;
+        return;
+      }
+    }
+
+    // Before the first line which comes later
+    for (idx = 0; idx < this.lines.length; idx++) {
+      if (this.order.indexOf(this.lines[idx].type) > rank) {
+        break;
+      }
+    }
+    this.insertLine(idx, type, value);
+  },
+
+  /**
+   * Remove the lines of the given type.
+   * @param {String} type
+   */
+  removeLines: function(type) {
+    var idx;
+
+    for (idx = this.lines.length - 1; idx >= 0; idx--) {
+      if (this.lines[idx].type === type) {
+        this.removeLine(idx);
+      }
+    }
+  },
+
+  /**
+   * Values of the attributes of the given name, an empty string for a property attribute.
+   * @param {String} name ie: 'candidate'
+   * @returns {String[]}
+   */
+  getAttributes: function(name) {
+    var idx, attribute,
+      values = [];
+
+    for (idx = 0; idx < this.lines.length; idx++) {
+      attribute = this.lines[idx].type === 'a' ? Section.parseAttribute(this.lines[idx].value) : null;
+      if (attribute && attribute.name === name) {
+        values.push(attribute.value);
+      }
+    }
+
+    return values;
+  },
+
+  /**
+   * Value of the first attribute of the given name.
+   * @param {String} name ie: 'ice-pwd'
+   * @returns {String|null} an empty string for a property attribute, null if the attribute is missing
+   */
+  getAttribute: function(name) {
+    var values = this.getAttributes(name);
+    return values.length > 0 ? values[0] : null;
+  },
+
+  /**
+   * Replace the value of the first attribute of the given name, or add the attribute.
+   * @param {String} name
+   * @param {String} [value] none for a property attribute
+   */
+  setAttribute: function(name, value) {
+    var idx;
+
+    for (idx = 0; idx < this.lines.length; idx++) {
+      if (this.lines[idx].type === 'a' && Section.parseAttribute(this.lines[idx].value).name === name) {
+        this.lines[idx].value = Section.createAttribute(name, value);
+        return;
+      }
+    }
+
+    this.addAttribute(name, value);
+  },
+
+  /**
+   * Add an attribute after the lines of the section.
+   * @param {String} name
+   * @param {String} [value] none for a property attribute
+   */
+  addAttribute: function(name, value) {
+    this.insertLine(this.lines.length, 'a', Section.createAttribute(name, value));
+  },
+
+  /**
+   * Remove the attributes of the given name.
+   * @param {String} name
+   * @param {Function} [filter] called with the value of each attribute, removed if it returns true
+   */
+  removeAttributes: function(name, filter) {
+    var idx, attribute;
+
+    for (idx = this.lines.length - 1; idx >= 0; idx--) {
+      attribute = this.lines[idx].type === 'a' ? Section.parseAttribute(this.lines[idx].value) : null;
+      if (attribute && attribute.name === name && (!filter || filter(attribute.value))) {
+        this.removeLine(idx);
+      }
+    }
+  },
+
+  /**
+   * @private
+   */
+  insertLine: function(idx, type, value) {
+    var line = {type: type, value: value, eol: C.EOL},
+      // The m= line of an empty media section
+      previous = idx > 0 ? this.lines[idx - 1] : (this instanceof Media ? this : null);
+
+    // The last line of a description may have no line break
+    if (previous && !previous.eol) {
+      previous.eol = line.eol;
+      line.eol = '';
+    }
+
+    this.lines.splice(idx, 0, line);
+  },
+
+  /**
+   * @private
+   */
+  removeLine: function(idx) {
+    this.lines.splice(idx, 1);
+  },
+
+  toString: function() {
+    return this.lines.map(Section.serializeLine).join('');
+  }
+};
+
+/**
+ * @private
+ */
+Section.parseAttribute = function(value) {
+  var separator = value.indexOf(':');
+
+  return {
+    name: separator === -1 ? value : value.substring(0, separator),
+    value: separator === -1 ? '' : value.substring(separator + 1)
+  };
+};
+
+/**
+ * @private
+ */
+Section.createAttribute = function(name, value) {
+  return value === undefined || value === null || value === '' ? name : name +':'+ value;
+};
+
+/**
+ * @private
+ */
+Section.serializeLine = function(line) {
+  return (line.type ? line.type +'=' : '') + line.value + line.eol;
+};
+
+/**
+ * @augments SDP.Section
+ * @class Media section, from its m= line to the next one.
+ * @param {String} value of the m= line, ie: 'audio 49170 RTP/AVP 0 8 97'
+ */
+Media = function(value) {
+  var fields = value.split(' '),
+    port = (fields[1] || '').split('/');
+
+  Section.call(this, C.MEDIA_ORDER);
+  this.type = fields[0];
+  this.port = window.parseInt(port[0], 10);
+  this.portCount = port.length > 1 ? window.parseInt(port[1], 10) : null;
+  this.protocol = fields[2] || '';
+  this.formats = fields.slice(3);
+  this.eol = C.EOL;
+};
+Media.prototype = new Section(C.MEDIA_ORDER);
+
+/**
+ * @private
+ */
+Media.parseRtpmap = function(value) {
+  var rtpmap = value.split('/');
+
+  return {
+    encoding: rtpmap[0],
+    clockRate: rtpmap[1] ? window.parseInt(rtpmap[1], 10) : null,
+    channels: rtpmap[2] ? window.parseInt(rtpmap[2], 10) : null
+  };
+};
+
+/**
+ * Value of the m= line.
+ * @returns {String}
+ */
+Media.prototype.getDescription = function() {
+  return [this.type, this.port + (this.portCount !== null ? '/'+ this.portCount : ''), this.protocol].concat(this.formats).join(' ');
+};
+
+/**
+ * Value of the first attribute of the given name about the given format, ie: the rtpmap of the payload type 96.
+ * @param {String} name ie: 'rtpmap'
+ * @param {String} format ie: '96'
+ * @returns {String|null} the value after the format, ie: 'H264/90000'
+ */
+Media.prototype.getFormatAttribute = function(name, format) {
+  var values = this.getFormatAttributes(name)[format];
+  return values ? values[0] : null;
+};
+
+/**
+ * Values of the attributes of the given name by format.
+ * @param {String} name ie: 'rtcp-fb'
+ * @returns {Object} ie: { '100': ['ccm fir', 'nack', 'nack pli'] }
+ */
+Media.prototype.getFormatAttributes = function(name) {
+  var idx, parts,
+    values = this.getAttributes(name),
+    result = {};
+
+  for (idx = 0; idx < values.length; idx++) {
+    parts = values[idx].match(/^(\S+)(?:\s+(.*?))?\s*$/);
+    if (parts) {
+      result[parts[1]] = (result[parts[1]] || []).concat(parts[2] || '');
+    }
+  }
+
+  return result;
+};
+
+/**
+ * RFC4566 6. Payload types of the media, ie: { '96': { encoding: 'H264', clockRate: 90000, channels: null } }
+ * @returns {Object}
+ */
+Media.prototype.getRtpmap = function() {
+  var format,
+    values = this.getFormatAttributes('rtpmap'),
+    result = {};
+
+  for (format in values) {
+    result[format] = Media.parseRtpmap(values[format][0]);
+  }
+
+  return result;
+};
+
+/**
+ * Codec of a payload type, from its rtpmap or from the static payload types of RFC 3551.
+ * @param {String} format ie: '0'
+ * @returns {Object|null} ie: { encoding: 'PCMU', clockRate: 8000, channels: null }
+ */
+Media.prototype.getCodec = function(format) {
+  var rtpmap = this.getFormatAttribute('rtpmap', format) || C.STATIC_PAYLOAD_TYPES[format];
+  return rtpmap ? Media.parseRtpmap(rtpmap) : null;
+};
+
+/**
+ * Reorder the payload types of the media, and remove the rtpmap, fmtp and rtcp-fb attributes of those left out.
+ * @param {String[]} formats ie: ['111', '0']
+ */
+Media.prototype.setFormats = function(formats) {
+  var removed = this.formats.filter(function(format) {
+      return formats.indexOf(format) === -1;
+    }),
+    isRemoved = function(value) {
+      return removed.indexOf(value.split(' ')[0]) !== -1;
+    };
+
+  this.formats = formats.slice();
+  this.removeAttributes('rtpmap', isRemoved);
+  this.removeAttributes('fmtp', isRemoved);
+  this.removeAttributes('rtcp-fb', isRemoved);
+};
+
+/**
+ * RFC4566 6. Format parameters by payload type, ie: { '126': '0-15' }
+ * @returns {Object}
+ */
+Media.prototype.getFmtp = function() {
+  var format,
+    values = this.getFormatAttributes('fmtp'),
+    result = {};
+
+  for (format in values) {
+    result[format] = values[format][0];
+  }
+
+  return result;
+};
+
+/**
+ * RFC4585 4.2. Feedback messages by payload type, '*' for all of them, ie: { '100': ['ccm fir', 'nack'] }
+ * @returns {Object}
+ */
+Media.prototype.getRtcpFb = function() {
+  return this.getFormatAttributes('rtcp-fb');
+};
+
+/**
+ * RFC5245 15.1. ICE candidates of the media.
+ * @returns {Object[]} ie: [{ foundation: '3355351182', component: 1, transport: 'udp', priority: 2113937151, ip: '10.0.2.1', port: 59436, type: 'host', params: { generation: '0' } }]
+ */
+Media.prototype.getCandidates = function() {
+  var idx, fields, candidate, param,
+    values = this.getAttributes('candidate'),
+    candidates = [];
+
+  for (idx = 0; idx < values.length; idx++) {
+    fields = values[idx].split(/\s+/);
+    if (fields.length < 8 || fields[6] !== 'typ') {
+      continue;
+    }
+
+    candidate = {
+      foundation: fields[0],
+      component: window.parseInt(fields[1], 10),
+      transport: fields[2],
+      priority: window.parseInt(fields[3], 10),
+      ip: fields[4],
+      port: window.parseInt(fields[5], 10),
+      type: fields[7],
+      params: {}
+    };
+    for (param = 8; param + 1 < fields.length; param += 2) {
+      candidate.params[fields[param]] = fields[param + 1];
+    }
+    candidates.push(candidate);
+  }
+
+  return candidates;
+};
+
+/**
+ * RFC4566 6. Direction of the media.
+ * @returns {String|null} ie: 'sendrecv', null if not given
+ */
+Media.prototype.getMode = function() {
+  var idx;
+
+  for (idx = 0; idx < this.lines.length; idx++) {
+    if (this.lines[idx].type === 'a' && C.DIRECTIONS.indexOf(this.lines[idx].value) !== -1) {
+      return this.lines[idx].value;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @param {String} mode ie: 'inactive'
+ */
+Media.prototype.setMode = function(mode) {
+  var idx;
+
+  for (idx = 0; idx < this.lines.length; idx++) {
+    if (this.lines[idx].type === 'a' && C.DIRECTIONS.indexOf(this.lines[idx].value) !== -1) {
+      this.lines[idx].value = mode;
+      return;
+    }
+  }
+
+  this.addAttribute(mode);
+};
+
+/**
+ * RFC4796 Whether the media is the presentation of slides, next to the main video.
+ * @returns {Boolean}
+ */
+Media.prototype.isSlides = function() {
+  return this.getAttributes('content').indexOf('slides') !== -1;
+};
+
+Media.prototype.toString = function() {
+  return 'm='+ this.getDescription() + this.eol + Section.prototype.toString.call(this);
+};
+
+SDP = function(sdp) {
+  this.session = new Section(C.SESSION_ORDER);
+  this.medias = [];
+
+  if (sdp) {
+    this.parse(sdp);
+  }
+};
+
+SDP.prototype = {
+  /**
+   * @private
+   */
+  parse: function(sdp) {
+    var end, line, eol, fields, media,
+      section = this.session,
+      position = 0;
+
+    while (position < sdp.length) {
+      end = sdp.indexOf('\n', position);
+      if (end === -1) {
+        line = sdp.substring(position);
+        eol = '';
+        position = sdp.length;
+      } else {
+        line = sdp.substring(position, end);
+        eol = '\n';
+        position = end + 1;
+      }
+      if (line.charAt(line.length - 1) === '\r') {
+        line = line.substring(0, line.length - 1);
+        eol = '\r'+ eol;
+      }
+
+      fields = line.match(/^([a-z])=(.*)$/);
+      if (fields && fields[1] === 'm') {
+        media = new Media(fields[2]);
+        media.eol = eol;
+        this.medias.push(media);
+        section = media;
+      } else {
+        // Other lines are kept as they are
+        section.lines.push({type: fields ? fields[1] : null, value: fields ? fields[2] : line, eol: eol});
+      }
+    }
+  },
+
+  /**
+   * Media sections of the given type.
+   * @param {String} [type] ie: 'video', all the media sections by default
+   * @returns {SDP.Media[]}
+   */
+  getMedias: function(type) {
+    return this.medias.filter(function(media) {
+      return !type || media.type === type;
+    });
+  },
+
+  /**
+   * Main media section of the given type, ie: the video which is not the presentation of slides.
+   * @param {String} type ie: 'video'
+   * @returns {SDP.Media|null}
+   */
+  getMedia: function(type) {
+    var idx,
+      medias = this.getMedias(type);
+
+    for (idx = 0; idx < medias.length; idx++) {
+      if (!medias[idx].isSlides()) {
+        return medias[idx];
+      }
+    }
+
+    return medias.length > 0 ? medias[0] : null;
+  },
+
+  /**
+   * Remove a media section.
+   * @param {SDP.Media} media
+   */
+  removeMedia: function(media) {
+    var idx = this.medias.indexOf(media);
+
+    if (idx !== -1) {
+      this.medias.splice(idx, 1);
+    }
+  },
+
+  /**
+   * Connection of a media section, or of the session.
+   * @param {SDP.Media} [media]
+   * @returns {String|null} ie: 'IN IP4 10.48.1.13'
+   */
+  getConnection: function(media) {
+    return (media && media.getLine('c')) || this.session.getLine('c');
+  },
+
+  /**
+   * RFC5888 5. Groups of media sections, ie: [{ semantics: 'BUNDLE', mids: ['audio', 'video'] }]
+   * @returns {Object[]}
+   */
+  getGroups: function() {
+    return this.session.getAttributes('group').map(function(value) {
+      var fields = value.split(/\s+/);
+      return {
+        semantics: fields[0],
+        mids: fields.slice(1)
+      };
+    });
+  },
+
+  /**
+   * Media section of the given identification (RFC 5888).
+   * @param {String} mid
+   * @returns {SDP.Media|null}
+   */
+  getMediaByMid: function(mid) {
+    var idx;
+
+    for (idx = 0; idx < this.medias.length; idx++) {
+      if (this.medias[idx].getAttribute('mid') === mid) {
+        return this.medias[idx];
+      }
+    }
+
+    return null;
+  },
+
+  toString: function() {
+    return this.session.toString() + this.medias.map(function(media) {
+      return media.toString();
+    }).join('');
+  }
+};
+
+SDP.C = C;
+SDP.Section = Section;
+SDP.Media = Media;
+ExSIP.SDP = SDP;
+}(ExSIP));
@@ -278,7 +278,9 @@ OutgoingRequest.prototype.toString = function() {
     msg += this.extraHeaders[idx] +'\r\n';
   }
 
-  msg += 'Supported: ' +  ExSIP.UA.C.SUPPORTED +'\r\n';
+  if(!ExSIP.Utils.containsHeader(this.extraHeaders, 'Supported:')) {
+    msg += 'Supported: ' +  ExSIP.UA.C.SUPPORTED +'\r\n';
+  }
   msg += 'User-Agent: ' + ExSIP.C.USER_AGENT +'\r\n';
 
   if(this.body) {
@@ -292,6 +294,21 @@ OutgoingRequest.prototype.toString = function() {
   return msg;
 };
 
+/**
+ * Set a multipart body (RFC 5621), ie: the session description and a location (RFC 6442), with its Content-Type.
+ * @param {Object[]} parts body parts, see {@link ExSIP.Multipart.create}
+ * @param {String} [subtype='mixed']
+ */
+OutgoingRequest.prototype.setBodyParts = function(parts, subtype) {
+  var multipart = ExSIP.Multipart.create(parts, subtype);
+
+  this.extraHeaders = this.extraHeaders.filter(function(header) {
+    return !/^content-type\s*:/i.test(header);
+  });
+  this.extraHeaders.push('Content-Type: '+ multipart.contentType);
+  this.body = multipart.body;
+};
+
 
   /**
  * @augments ExSIP
@@ -310,6 +327,7 @@ IncomingMessage = function(){
   this.to = null;
   this.to_tag = null;
   this.body = null;
+  this.body_parts = undefined;
 };
 
 IncomingMessage.prototype.toString = function(){
@@ -317,6 +335,51 @@ IncomingMessage.prototype.toString = function(){
 };
 IncomingMessage.prototype = new SIPMessage();
 
+/**
+ * Body parts of a multipart body (RFC 5621).
+ * @returns {Object[]|null} see {@link ExSIP.Multipart.parse}, null if the body is not a valid multipart one
+ */
+IncomingMessage.prototype.getBodyParts = function() {
+  var contentType;
+
+  // Parsed once, the body may then be replaced by one of its parts
+  if (this.body_parts === undefined) {
+    contentType = this.body ? this.parseHeader('content-type') : null;
+    this.body_parts = contentType && contentType.type === 'multipart' && contentType.params && contentType.params.boundary ?
+      ExSIP.Multipart.parse(this.body, contentType.params.boundary) : null;
+  }
+
+  return this.body_parts;
+};
+
+/**
+ * First body part of the given content type in a multipart body (RFC 5621).
+ * @param {String} contentType ie: 'application/sdp'
+ * @returns {Object|null}
+ */
+IncomingMessage.prototype.getBodyPart = function(contentType) {
+  var idx,
+    parts = this.getBodyParts() || [];
+
+  contentType = contentType.toLowerCase();
+  for (idx = 0; idx < parts.length; idx++) {
+    if (parts[idx].contentType && parts[idx].contentType.type +'/'+ parts[idx].contentType.subtype === contentType) {
+      return parts[idx];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Session description of the body, or of its application/sdp body part (RFC 5621).
+ * @returns {String}
+ */
+IncomingMessage.prototype.getSdp = function() {
+  var part = this.getBodyPart('application/sdp');
+  return part ? part.body : this.body;
+};
+
   /**
  * @augments IncomingMessage
  * @class Class for incoming SIP request.
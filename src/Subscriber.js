@@ -1,501 +1,616 @@
-
 /**
  * @fileoverview SIP Subscriber (SIP-Specific Event Notifications RFC6665)
  */
 
-
 /**
  * @augments ExSIP
- * @class Class creating a SIP Subscriber.
+ * @class Class creating a subscription to an event package.
+ * @param {ExSIP.UA} ua
  */
-
-ExSIP.Subscriber = function() {};
-ExSIP.Subscriber.prototype = {
-  /**
-   * @private
-   */
-  initSubscriber: function(ua){
-    this.ua = ua;
-    this.N = null;
-    this.subscriptions = {};
-
-    // Call-ID and CSeq values RFC3261 10.2
-    this.call_id = ExSIP.Utils.createRandomToken(22);
-    this.cseq = 80;
-
-    // this.to_uri
-    this.to_uri = ua.configuration.uri;
-    this.contact = ua.contact.toString();
+(function(ExSIP) {
+var Subscriber,
+  logger = new ExSIP.Logger(ExSIP.name +' | '+ 'SUBSCRIBER'),
+  C = {
+    // Subscriber states, named after the Subscription-State values
+    STATUS_INIT:        'init',
+    STATUS_NOTIFY_WAIT: 'notify_wait',
+    STATUS_PENDING:     'pending',
+    STATUS_ACTIVE:      'active',
+    STATUS_TERMINATED:  'terminated',
+
+    EXPIRES: 3600,
+
+    // RFC6665 4.1.3. Termination reasons for which a new subscription is attempted
+    RETRY_REASONS: ['deactivated', 'timeout', 'probation', 'giveup']
   },
+  // Event packages registered through ExSIP.Subscriber.registerEventPackage
+  eventPackages = {};
+
+Subscriber = function(ua) {
+  this.ua = ua;
+  this.status = C.STATUS_INIT;
+  this.id = null;
+  this.dialog = null;
+  this.target = null;
+  this.event = null;
+  this.accept = null;
+  this.expires = null;
+  this.extraHeaders = [];
+  this.resubscribe = true;
+  this.accepted = false;
+
+  // State of the subscription to a resource list RFC4662
+  this.resourceList = null;
+
+  // Version of the notified state and Call-ID of the subscription it belongs to, see Subscriber.checkVersion
+  this.version = null;
+  this.version_call_id = null;
+
+  // Call-ID, From tag and CSeq of the SUBSCRIBE requests sent outside the dialog
+  this.call_id = null;
+  this.from_tag = null;
+  this.cseq = 0;
+
+  // Timers
+  this.N = null;
+  this.refreshTimer = null;
+  this.retryTimer = null;
+
+  // Custom subscriber empty object for high level use
+  this.data = {};
+};
+Subscriber.prototype = new ExSIP.EventEmitter();
 
-  /**
-  * @private
-  */
-  timer_N: function(){
-    this.close();
-  },
+/**
+ * Subscribe to the event package of the target.
+ * @param {String|ExSIP.URI} target
+ * @param {String} event event package, ie: 'presence'
+ * @param {Object} [options]
+ * @param {String|String[]} [options.accept] body types of the NOTIFY requests, the ones of the registered event package by default
+ * @param {Number} [options.expires=3600] requested duration of the subscription, in seconds
+ * @param {Boolean} [options.resubscribe=true] subscribe again when the notifier terminates the subscription with a retry reason
+ * @param {Boolean} [options.eventList=false] subscribe to a resource list (RFC 4662), the content of its NOTIFY requests being the state of the list
+ * @param {String[]} [options.extraHeaders]
+ * @param {Object} [options.eventHandlers]
+ */
+Subscriber.prototype.subscribe = function(target, event, options) {
+  var eventHandlers, handler, eventPackage,
+    events = [
+      'accepted',
+      'notify',
+      'failed',
+      'terminated'
+    ];
+
+  if (target === undefined || event === undefined) {
+    throw new TypeError('Not enough arguments');
+  }
 
-  /**
-  * @private
-  */
-  close: function() {
-    var subscription;
+  if (this.status !== C.STATUS_INIT) {
+    throw new ExSIP.Exceptions.InvalidStateError(this.status);
+  }
 
-    if (this.state !== 'terminated') {
-      if(this.ua.isDebug()) {
-        console.log(ExSIP.C.LOG_SUBSCRIBER,'terminating Subscriber');
-      }
+  options = options || {};
+  eventHandlers = options.eventHandlers || {};
+  eventPackage = Subscriber.getEventPackage(event) || {};
 
-      this.state = 'terminated';
-      window.clearTimeout(this.N);
+  this.initEvents(events);
 
-      for (subscription in this.subscriptions) {
-        this.subscriptions[subscription].unsubscribe();
-      }
+  // Set event handlers
+  for (handler in eventHandlers) {
+    this.on(handler, eventHandlers[handler]);
+  }
 
-      //Delete subscriber from ua.sessions
-      delete this.ua.sessions[this.id];
+  this.event = event;
+  this.accept = options.accept || eventPackage.accept || null;
+  this.expires = options.expires !== undefined ? options.expires : C.EXPIRES;
+  this.extraHeaders = (options.extraHeaders || []).slice();
+  this.resubscribe = options.resubscribe !== false;
 
-      this.onTerminate();
-    }
-  },
+  // RFC4662 5.1. The list server sends the state of the resources in multipart/related bodies
+  if (options.eventList) {
+    this.resourceList = new ExSIP.ResourceList(this);
+    this.accept = [].concat(this.accept || [], ExSIP.ResourceList.C.MULTIPART_TYPE, ExSIP.ResourceList.C.CONTENT_TYPE);
+  }
 
-  /**
-  * @private
-  */
-  onSubscriptionTerminate: function(subscription) {
+  // Check target validity
+  try {
+    this.target = ExSIP.Utils.normalizeURI(target, this.ua.configuration.hostport_params);
+  } catch(e) {
+    this.status = C.STATUS_TERMINATED;
+    this.emit('failed', this, {
+      originator: 'local',
+      message: null,
+      cause: ExSIP.C.causes.INVALID_TARGET
+    });
+    return;
+  }
 
-    delete this.subscriptions[subscription.id];
+  this.newSubscription();
+};
 
-    if (Object.keys(this.subscriptions).length === 0) {
-      this.close();
-    }
-  },
+/**
+ * Refresh the subscription before it expires.
+ */
+Subscriber.prototype.refresh = function() {
+  if (this.status !== C.STATUS_PENDING && this.status !== C.STATUS_ACTIVE) {
+    logger.warn('no subscription to refresh', this.ua);
+    return;
+  }
 
-  createSubscribeRequest: function(dialog, params) {
-    params = params || {};
-    params.to_uri = this.to_uri;
-    params.call_id = this.call_id;
-    params.cseq = this.cseq += 1;
-    var extraHeaders = [];
-    extraHeaders.push('Contact: '+ this.contact);
-    extraHeaders.push('Event: message-summary');
-    extraHeaders.push('Date: '+new Date());
-    extraHeaders.push('Accept: application/simple-message-summary');
-    extraHeaders.push('Allow: '+ ExSIP.Utils.getAllowedMethods(this.ua));
-
-    var request = new ExSIP.OutgoingRequest(ExSIP.C.SUBSCRIBE, this.ua.configuration.registrar_server, this.ua,
-      params, extraHeaders);
-
-    return request;
-  },
+  this.sendSubscribe(this.expires);
+};
 
-  subscribe: function() {
-    var subscriber, from_tag, expires, self = this;
+/**
+ * Terminate the subscription (RFC6665 4.1.2.3).
+ * The subscriber is kept until the final NOTIFY is received or Timer N expires.
+ */
+Subscriber.prototype.unsubscribe = function() {
+  var self = this;
 
-    if (['notify_wait', 'pending', 'active', 'terminated'].indexOf(this.state) !== -1) {
-      console.error(ExSIP.C.LOG_SUBSCRIBER,'subscription is already on');
-      return;
+  if (this.status === C.STATUS_INIT) {
+    throw new ExSIP.Exceptions.InvalidStateError(this.status);
+  }
+
+  if (this.status === C.STATUS_TERMINATED) {
+    // Waiting to subscribe again
+    if (this.retryTimer !== null) {
+      window.clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.emit('terminated', this, {
+        originator: 'local',
+        message: null,
+        cause: null
+      });
     }
+    return;
+  }
 
-    subscriber = this;
-    from_tag = ExSIP.Utils.newTag();
-
-    new function() {
-      this.request = subscriber.createSubscribeRequest(null,{from_tag:from_tag});
-      var request_sender = new ExSIP.RequestSender(this, subscriber.ua);
-
-      this.receiveResponse = function(response) {
-        switch(true) {
-          case /^1[0-9]{2}$/.test(response.status_code): // Ignore provisional responses.
-            break;
-          case /^2[0-9]{2}$/.test(response.status_code):
-            expires = response.s('Expires');
-
-            if (expires && expires <= subscriber.expires) {
-              window.clearTimeout(subscriber.N);
-              subscriber.N = window.setTimeout(
-                function() {subscriber.timer_N();},
-                (expires * 1000)
-              );
-              // Save route set and to tag for backwards compatibility (3265)
-              subscriber.route_set_2xx =  response.getHeaderAll('record-route').reverse();
-              subscriber.to_tag_2xx = response.s('to').tag;
-              subscriber.initial_local_seqnum = parseInt(response.s('cseq').value,10);
-            }
-            else {
-              subscriber.close();
-
-              if (!expires) {
-                if(self.ua.isDebug()) {
-                  console.warn(ExSIP.C.LOG_SUBSCRIBER,'Expires header missing in a 200-class response to SUBSCRIBE');
-                }
-                subscriber.onFailure(null, ExSIP.C.EXPIRES_HEADER_MISSING);
-              } else {
-                if(self.ua.isDebug()) {
-                  console.warn(ExSIP.C.LOG_SUBSCRIBER,'Expires header in a 200-class response to SUBSCRIBE with a higher value than the indicated in the request');
-                }
-                subscriber.onFailure(null, ExSIP.C.INVALID_EXPIRES_HEADER);
-              }
-            }
-            break;
-          default:
-            subscriber.close();
-            subscriber.onFailure(response,null);
-            break;
-        }
-      };
-
-      this.onRequestTimeout = function() {
-        subscriber.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
-      };
-
-      this.onTransportError = function() {
-        subscriber.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
-      };
-
-      this.send = function() {
-        subscriber.id = this.request.headers['Call-ID'] + from_tag;
-        subscriber.ua.sessions[subscriber.id] = subscriber;
-        subscriber.state = 'notify_wait';
-        subscriber.N = window.setTimeout(
-          function() {subscriber.timer_N();},
-          (ExSIP.Timers.T1 * 64)
-        );
-        request_sender.send();
-      };
-      this.send();
-    };
+  // The response to an unsubscription does not change anything, unlike the one to a fetch (Expires: 0)
+  this.status = C.STATUS_TERMINATED;
+  this.sendSubscribe(0);
+
+  window.clearTimeout(this.refreshTimer);
+  window.clearTimeout(this.N);
+  this.N = window.setTimeout(function() {
+    self.close();
+  }, ExSIP.Timers.TIMER_N);
+
+  this.emit('terminated', this, {
+    originator: 'local',
+    message: null,
+    cause: null
+  });
+};
 
-  },
+/**
+ * Every Session needs a 'terminate' method in order to be called by ExSIP.UA
+ * when user fires ExSIP.UA.stop()
+ * @private
+ */
+Subscriber.prototype.terminate = function() {
+  if (this.status !== C.STATUS_INIT) {
+    this.unsubscribe();
+  }
+};
 
-  unsubscribe: function() {
-    this.close();
-  },
+/**
+ * Start a new subscription, with a new Call-ID and From tag.
+ * @private
+ */
+Subscriber.prototype.newSubscription = function() {
+  var self = this;
 
-  /**
-  * Every Session needs a 'terminate' method in order to be called by ExSIP.UA
-  * when user fires ExSIP.UA.close()
-  * @private
-  */
-  terminate: function() {
-    this.unsubscribe();
-  },
+  this.call_id = ExSIP.Utils.createRandomToken(22);
+  this.from_tag = ExSIP.Utils.newTag();
+  this.cseq = 0;
+  this.dialog = null;
+  this.accepted = false;
+  this.retryTimer = null;
 
-  refresh: function() {
-    var subscription;
+  // NOTIFY requests received before the dialog is created are matched against the subscriber
+  this.id = this.call_id + this.from_tag;
+  this.ua.sessions[this.id] = this;
 
-    for (subscription in this.subscriptions) {
-      this.subscriptions[subscription].subscribe();
-    }
-  },
+  this.status = C.STATUS_NOTIFY_WAIT;
 
-  /**
-  * @private
-  */
-  receiveRequest: function(request) {
-    var subscription_state, expires;
+  // RFC6665 4.1.2.4. Timer N, waiting for the first NOTIFY
+  window.clearTimeout(this.N);
+  this.N = window.setTimeout(function() {
+    self.timer_N();
+  }, ExSIP.Timers.TIMER_N);
 
-    if (!this.matchEvent(request)) {
-      return;
-    }
+  this.sendSubscribe(this.expires);
+};
 
-    subscription_state = request.s('Subscription-State');
-    expires = subscription_state.expires || this.expires;
-
-    switch (subscription_state.state) {
-      case 'pending':
-      case 'active':
-        //create the subscription.
-        window.clearTimeout(this.N);
-        new ExSIP.Subscription(this, request, subscription_state.state, expires);
-        break;
-      case 'terminated':
-        if (subscription_state.reason) {
-          if(this.ua.isDebug()) {
-            console.log(ExSIP.C.LOG_SUBSCRIBER,'terminating subscription with reason '+ subscription_state.reason);
-          }
-        }
-        window.clearTimeout(this.N);
-        this.close();
-        break;
-    }
-  },
+/**
+ * Check the version of the state notified to the subscription, see Subscriber.checkVersion.
+ * @param {Number} version
+ * @param {Boolean} isFull whether the notified state is a full one
+ * @param {ExSIP.IncomingRequest} request NOTIFY carrying the state
+ * @returns {Boolean} true if the state is to be merged
+ */
+Subscriber.prototype.checkVersion = function(version, isFull, request) {
+  return Subscriber.checkVersion(this, version, isFull, request);
+};
+
+/**
+ * Send a SUBSCRIBE, inside the dialog once created.
+ * @private
+ * @param {Number} expires 0 to unsubscribe
+ */
+Subscriber.prototype.sendSubscribe = function(expires) {
+  var request,
+    self = this,
+    extraHeaders = this.extraHeaders.slice();
+
+  extraHeaders.push('Event: '+ this.event);
+  if (this.accept) {
+    extraHeaders.push('Accept: '+ [].concat(this.accept).join(', '));
+  }
+  extraHeaders.push('Expires: '+ expires);
+  extraHeaders.push('Contact: '+ this.ua.contact.toString());
+  extraHeaders.push('Allow: '+ ExSIP.Utils.getAllowedMethods(this.ua));
+  if (this.resourceList) {
+    ExSIP.Utils.addSupported(extraHeaders, ExSIP.ResourceList.C.OPTION_TAG);
+  }
 
-  /**
-  * @private
-  */
-  matchEvent: function(request) {
-    var event;
+  if (this.dialog) {
+    request = this.dialog.createRequest(ExSIP.C.SUBSCRIBE, extraHeaders);
+  } else {
+    request = new ExSIP.OutgoingRequest(ExSIP.C.SUBSCRIBE, this.target, this.ua, {
+        'call_id': this.call_id,
+        'from_tag': this.from_tag,
+        'cseq': (this.cseq += 1)
+      }, extraHeaders);
+  }
 
-    // Check mandatory header Event
-    if (!request.hasHeader('Event')) {
-      if(this.ua.isDebug()) {
-        console.warn(ExSIP.C.LOG_SUBSCRIBER,'missing Event header');
-      }
-      return false;
+  new ExSIP.RequestSender({
+    request: request,
+    receiveResponse: function(response) {
+      self.receiveResponse(response);
+    },
+    onRequestTimeout: function() {
+      self.onRequestTimeout();
+    },
+    onTransportError: function() {
+      self.onTransportError();
     }
-    // Check mandatory header Subscription-State
-    if (!request.hasHeader('Subscription-State')) {
-      if(this.ua.isDebug()) {
-        console.warn(ExSIP.C.LOG_SUBSCRIBER,'missing Subscription-State header');
+  }, this.ua).send();
+};
+
+/**
+ * @private
+ * @param {ExSIP.IncomingResponse} response to a SUBSCRIBE
+ */
+Subscriber.prototype.receiveResponse = function(response) {
+  var expires;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  switch(true) {
+    case /^1[0-9]{2}$/.test(response.status_code):
+      // Ignore provisional responses.
+      break;
+
+    case /^2[0-9]{2}$/.test(response.status_code):
+      // The CSeq may have been increased by an authentication
+      if (!this.dialog) {
+        this.cseq = Math.max(this.cseq, response.cseq);
       }
-      return false;
-    }
 
-    // Check whether the event in NOTIFY matches the event in SUBSCRIBE
-    event = request.s('event').event;
+      // The notifier may shorten the subscription
+      expires = response.hasHeader('expires') ? response.s('expires') : this.expires;
+      if (expires) {
+        this.setRefreshTimer(expires);
+      }
 
-    if (this.event !== event) {
-      if(this.ua.isDebug()) {
-        console.warn(ExSIP.C.LOG_SUBSCRIBER,'event match failed');
+      if (!this.accepted) {
+        this.accepted = true;
+        this.emit('accepted', this, {
+          originator: 'remote',
+          response: response
+        });
       }
-      request.reply(481, 'Event Match Failed');
-      return false;
-    } else {
-      return true;
-    }
+      break;
+
+    // Interval too brief RFC6665 4.1.2.1
+    case /^423$/.test(response.status_code):
+      if (response.hasHeader('min-expires')) {
+        this.expires = response.s('min-expires');
+        this.sendSubscribe(this.expires);
+      } else {
+        logger.warn('423 response received for SUBSCRIBE without Min-Expires', this.ua);
+        this.finish('remote', response, ExSIP.C.causes.SIP_FAILURE_CODE);
+      }
+      break;
+
+    default:
+      this.finish('remote', response, ExSIP.Utils.sipErrorCause(response.status_code));
+      break;
   }
 };
 
 /**
- * @augments ExSIP
- * @class Class creating a SIP Subscription.
+ * RFC6665 4.1.3. NOTIFY received for the subscription.
+ * @private
+ * @param {ExSIP.IncomingRequest} request
  */
-ExSIP.Subscription = function (subscriber, request, state, expires) {
+Subscriber.prototype.receiveRequest = function(request) {
+  var subscription_state, event, reason, retryAfter;
 
-    this.id = null;
-    this.subscriber = subscriber;
-    this.ua = subscriber.ua;
-    this.state = state;
-    this.expires = expires;
-    this.dialog = null;
-    this.N = null;
-    this.error_codes  = [404,405,410,416,480,481,482,483,484,485,489,501,604];
-
-    //Create dialog and pass the request to receiveRequest method.
-    if (this.createConfirmedDialog(request,'UAS')) {
-      this.id = this.dialog.id.toString();
-      this.subscriber.subscriptions[this.id] = this;
-
-      /* Update the route_set
-      * If the endpoint responded with a 2XX to the initial subscribe
-      */
-      if (request.from_tag === this.subscriber.to_tag_2xx) {
-        this.dialog.route_set = this.subscriber.route_set_2xx;
-      }
+  if (request.method !== ExSIP.C.NOTIFY) {
+    request.reply(405, null, ['Allow: '+ ExSIP.C.NOTIFY]);
+    return;
+  }
+
+  event = request.s('event');
+  subscription_state = request.s('subscription-state');
+
+  if (!event || !subscription_state) {
+    request.reply(400, 'Missing Event or Subscription-State Header');
+    return;
+  }
 
-      this.dialog.local_seqnum = this.subscriber.initial_local_seqnum;
+  if (event.event !== this.event.toLowerCase()) {
+    request.reply(481, 'Event Match Failed');
+    return;
+  }
+
+  // Forked subscriptions are not supported, the first notifier is kept
+  if (this.dialog && this.dialog.id.remote_tag !== request.from_tag) {
+    request.reply(481, 'Subscription does not exist');
+    return;
+  }
 
-      this.receiveRequest(request, true);
+  // RFC6665 4.1.2.4. The first NOTIFY creates the dialog
+  if (!this.dialog) {
+    this.dialog = new ExSIP.Dialog(this, request, 'UAS');
+    if (!this.dialog.id) {
+      this.dialog = null;
+      request.reply(400, 'Missing Contact Header');
+      return;
     }
-};
+    this.dialog.local_seqnum = this.cseq;
+  }
 
-ExSIP.Subscription.prototype = {
-  /**
-  * @private
-  */
-  timer_N: function(){
-    if (this.state === 'terminated') {
-      this.close();
-    } else if (this.state === 'pending') {
-      this.state = 'terminated';
+  request.reply(200);
+
+  // Unsubscribed, only waiting for the final NOTIFY
+  if (this.status === C.STATUS_TERMINATED) {
+    if (subscription_state.state === C.STATUS_TERMINATED) {
       this.close();
-    } else {
-      this.subscribe();
     }
-  },
+    return;
+  }
 
-  /**
-  * @private
-  */
-  close: function() {
-    this.state = 'terminated';
-    this.terminateDialog();
-    window.clearTimeout(this.N);
-    this.subscriber.onSubscriptionTerminate(this);
-  },
+  window.clearTimeout(this.N);
 
-  /**
-  * @private
-  */
-  createConfirmedDialog: function(message, type) {
-    var local_tag, remote_tag, id, dialog;
+  switch (subscription_state.state) {
+    case C.STATUS_ACTIVE:
+    case C.STATUS_PENDING:
+      this.status = subscription_state.state;
+      if (subscription_state.expires) {
+        this.setRefreshTimer(subscription_state.expires);
+      }
+      break;
+  }
 
-    // Create a confirmed dialog given a message and type ('UAC' or 'UAS')
-    local_tag = (type === 'UAS') ? message.to_tag : message.from_tag;
-    remote_tag = (type === 'UAS') ? message.from_tag : message.to_tag;
-    id = message.call_id + local_tag + remote_tag;
+  this.emit('notify', this, {
+    originator: 'remote',
+    request: request,
+    state: subscription_state.state,
+    reason: subscription_state.reason || null,
+    body: request.body || null,
+    content: this.parseBody(request)
+  });
+
+  if (subscription_state.state !== C.STATUS_TERMINATED) {
+    return;
+  }
 
-    dialog = new ExSIP.Dialog(this, message, type);
+  reason = subscription_state.reason || null;
+  retryAfter = subscription_state.retry_after;
+
+  logger.log('subscription terminated with reason '+ reason, this.ua);
+  this.close();
+
+  // RFC6665 4.1.3. probation and giveup are only retried when told when to
+  if (this.resubscribe && C.RETRY_REASONS.indexOf(reason) !== -1 &&
+      (retryAfter !== undefined || reason === 'deactivated' || reason === 'timeout')) {
+    this.retry(retryAfter);
+  } else {
+    this.emit('terminated', this, {
+      originator: 'remote',
+      message: request,
+      cause: reason
+    });
+  }
+};
 
-    if(dialog) {
-      this.dialog = dialog;
-      return true;
-    }
-    // Dialog not created due to an error
-    else {
-      return false;
-    }
-  },
+/**
+ * Subscribe again after the notifier terminated the subscription.
+ * @private
+ * @param {Number} [retryAfter] seconds to wait
+ */
+Subscriber.prototype.retry = function(retryAfter) {
+  var self = this;
 
-  /**
-  * @private
-  */
-  terminateDialog: function() {
-    if(this.dialog) {
-      this.dialog.terminate();
-      delete this.dialog;
-    }
-  },
+  if (!retryAfter) {
+    logger.log('subscribing again', this.ua);
+    this.newSubscription();
+    return;
+  }
+
+  logger.log('subscribing again in '+ retryAfter +' seconds', this.ua);
+  this.retryTimer = window.setTimeout(function() {
+    self.newSubscription();
+  }, retryAfter * 1000);
+};
 
-  /**
-  * @private
-  */
-  receiveRequest: function(request, initial) {
-    var subscription_state,
-      subscription = this;
+/**
+ * Content of the NOTIFY body given by the parser of the event package, or the state of the resource list.
+ * @private
+ * @param {ExSIP.IncomingRequest} request
+ * @returns {Object|null}
+ */
+Subscriber.prototype.parseBody = function(request) {
+  var eventPackage = Subscriber.getEventPackage(this.event),
+    contentType = request.s('content-type');
 
-    if (!initial && !this.subscriber.matchEvent(request)) {
-      if(this.ua.isDebug()) {
-        console.warn(ExSIP.C.LOG_SUBSCRIBER,'NOTIFY request does not match event');
-      }
-      return;
+  if (!request.body) {
+    return null;
+  }
+
+  try {
+    // The list server sends a plain NOTIFY when the target is not a list
+    if (this.resourceList && contentType && contentType.type +'/'+ contentType.subtype === ExSIP.ResourceList.C.MULTIPART_TYPE) {
+      return this.resourceList.update(request);
     }
 
-    request.reply(200, ExSIP.C.REASON_200, [
-      'Contact: <'+ this.subscriber.contact +'>'
-    ]);
-
-    subscription_state = request.s('Subscription-State');
-
-    switch (subscription_state.state) {
-      case 'active':
-        this.state = 'active';
-        this.subscriber.receiveInfo(request);
-        /* falls through */
-      case 'pending':
-        this.expires = subscription_state.expires || this.expires;
-        window.clearTimeout(subscription.N);
-        subscription.N = window.setTimeout(
-          function() {subscription.timer_N();},
-          (this.expires * 1000)
-        );
-        break;
-      case 'terminated':
-        if (subscription_state.reason) {
-          if(this.ua.isDebug()) {
-            console.log(ExSIP.C.LOG_SUBSCRIBER,'terminating subscription with reason '+ subscription_state.reason);
-          }
-        }
-        this.close();
-        this.subscriber.receiveInfo(request);
-        break;
+    if (!eventPackage || !eventPackage.parse) {
+      return null;
     }
-  },
 
-  subscribe: function() {
-    var expires,
-      subscription = this;
-
-    new function() {
-      this.request = subscription.subscriber.createSubscribeRequest(subscription.dialog);
-
-      var request_sender = new ExSIP.RequestSender(this, subscription.subscriber.ua);
-
-      this.receiveResponse = function(response) {
-        if (subscription.error_codes.indexOf(response.status_code) !== -1) {
-          subscription.close();
-          subscription.subscriber.onFailure(response, null);
-        } else {
-          switch(true) {
-            case /^1[0-9]{2}$/.test(response.status_code): // Ignore provisional responses.
-              break;
-            case /^2[0-9]{2}$/.test(response.status_code):
-              expires = response.s('Expires');
-
-              if (expires && expires <= subscription.expires) {
-                window.clearTimeout(subscription.N);
-                subscription.N = window.setTimeout(
-                  function() {subscription.timer_N();},
-                  (expires * 1000)
-                );
-              }else {
-                subscription.close();
-
-                if (!expires) {
-                  if(subscription.ua.isDebug()) {
-                    console.warn(ExSIP.C.LOG_SUBSCRIBER,'Expires header missing in a 200-class response to SUBSCRIBE');
-                  }
-                  subscription.subscriber.onFailure(null, ExSIP.C.EXPIRES_HEADER_MISSING);
-                } else {
-                  if(subscription.ua.isDebug()) {
-                    console.warn(ExSIP.C.LOG_SUBSCRIBER,'Expires header in a 200-class response to SUBSCRIBE with a higher value than the indicated in the request');
-                  }
-                  subscription.subscriber.onFailure(null, ExSIP.C.INVALID_EXPIRES_HEADER);
-                }
-              }
-              break;
-            default:
-              subscription.close();
-              subscription.subscriber.onFailure(response,null);
-              break;
-          }
-        }
-      };
-
-      this.send = function() {
-        window.clearTimeout(subscription.N);
-        subscription.N = window.setTimeout(
-          function() {subscription.timer_N();},
-          (ExSIP.Timers.T1 * 64)
-        );
-        request_sender.send();
-      };
-
-      this.onRequestTimeout = function() {
-        subscription.subscriber.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
-      };
-
-      this.onTransportError = function() {
-        subscription.subscriber.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
-      };
-
-      this.send();
-    };
-  },
+    return eventPackage.parse(request.body, request);
+  } catch(e) {
+    logger.warn('invalid '+ this.event +' NOTIFY body : '+ e.message, this.ua);
+    return null;
+  }
+};
+
+/**
+ * Refresh before the expiration interval has elapsed, ie: 3 seconds, or half of it for short ones.
+ * @private
+ * @param {Number} expires seconds
+ */
+Subscriber.prototype.setRefreshTimer = function(expires) {
+  var self = this;
+
+  window.clearTimeout(this.refreshTimer);
+  this.refreshTimer = window.setTimeout(function() {
+    self.refreshTimer = null;
+    self.refresh();
+  }, Math.max(expires * 1000 - 3000, expires * 500));
+};
 
-  unsubscribe: function() {
-    var subscription = this;
+/**
+ * RFC6665 4.1.2.4. No NOTIFY received for the SUBSCRIBE.
+ * @private
+ */
+Subscriber.prototype.timer_N = function() {
+  if (this.status === C.STATUS_NOTIFY_WAIT) {
+    this.finish('system', null, ExSIP.C.causes.REQUEST_TIMEOUT);
+  }
+};
+
+/**
+ * @private
+ */
+Subscriber.prototype.onRequestTimeout = function() {
+  this.finish('system', null, ExSIP.C.causes.REQUEST_TIMEOUT);
+};
+
+/**
+ * @private
+ */
+Subscriber.prototype.onTransportError = function() {
+  this.finish('system', null, ExSIP.C.causes.CONNECTION_ERROR);
+};
+
+/**
+ * The subscription could not be created or has been terminated.
+ * @private
+ */
+Subscriber.prototype.finish = function(originator, message, cause) {
+  var established = this.status === C.STATUS_PENDING || this.status === C.STATUS_ACTIVE;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  this.close();
+  this.emit(established ? 'terminated' : 'failed', this, {
+    originator: originator,
+    message: message,
+    cause: cause
+  });
+};
+
+/**
+ * @private
+ */
+Subscriber.prototype.close = function() {
+  this.status = C.STATUS_TERMINATED;
+
+  window.clearTimeout(this.N);
+  window.clearTimeout(this.refreshTimer);
+  this.refreshTimer = null;
 
-    this.state = 'terminated';
+  if (this.dialog) {
+    this.dialog.terminate();
+    this.dialog = null;
+  }
 
-    new function() {
-      this.request = subscription.subscriber.createSubscribeRequest(subscription.dialog);
-      this.request.setHeader('Expires', 0);
+  delete this.ua.sessions[this.id];
+};
 
-      var request_sender = new ExSIP.RequestSender(this, subscription.subscriber.ua);
+/**
+ * Register the Accept types and the body parser of an event package,
+ * used by every subscription to it.
+ * @param {String} event event package, ie: 'message-summary'
+ * @param {Object} eventPackage
+ * @param {String[]} [eventPackage.accept] body types accepted in the NOTIFY requests
+ * @param {Function} [eventPackage.parse] called with the NOTIFY body and request, returns the content of the 'notify' event
+ */
+Subscriber.registerEventPackage = function(event, eventPackage) {
+  eventPackages[event.toLowerCase()] = eventPackage;
+};
 
-      //Don't care about response.
-      this.receiveResponse = function(){};
+/**
+ * RFC3680 5.4, RFC4235 4.1, RFC4575 4.6 and RFC4662 5.2. Check the version of the state notified to a subscription:
+ * a version already received is discarded, and a missed partial state refreshes the subscription to get the full state.
+ * The version is specific to a subscription, a new Call-ID restarts it.
+ * @param {Object} subscription keeping the version and its Call-ID, with a refresh method, ie: a subscriber
+ * @param {Number} version
+ * @param {Boolean} isFull whether the notified state is a full one
+ * @param {ExSIP.IncomingRequest} request NOTIFY carrying the state
+ * @returns {Boolean} true if the state is to be merged
+ */
+Subscriber.checkVersion = function(subscription, version, isFull, request) {
+  var event = request.s('event').event;
 
-      this.send = function() {
-        window.clearTimeout(subscription.N);
-        subscription.N = window.setTimeout(
-          function() {subscription.timer_N();},
-          (ExSIP.Timers.T1 * 64)
-        );
-        request_sender.send();
-      };
+  if (subscription.version_call_id !== request.call_id) {
+    subscription.version_call_id = request.call_id;
+    subscription.version = null;
+  }
 
-      this.onRequestTimeout = function() {
-        subscription.subscriber.onFailure(null, ExSIP.C.causes.REQUEST_TIMEOUT);
-      };
-      this.onTransportError = function() {
-        subscription.subscriber.onFailure(null, ExSIP.C.causes.CONNECTION_ERROR);
-      };
+  if (subscription.version !== null && version <= subscription.version) {
+    logger.log('discarding '+ event +' version '+ version +', already got version '+ subscription.version, request.ua);
+    return false;
+  }
 
-      this.send();
-    };
+  // A partial notification was missed
+  if (!isFull && (subscription.version === null || version !== subscription.version + 1)) {
+    logger.warn(event +' version '+ version +' received after version '+ subscription.version +', refreshing', request.ua);
+    subscription.refresh();
+    return false;
   }
-};
\ No newline at end of file
+
+  subscription.version = version;
+  return true;
+};
+
+/**
+ * @param {String} event event package
+ * @returns {Object|null} registered event package
+ */
+Subscriber.getEventPackage = function(event) {
+  return eventPackages[event.toLowerCase()] || null;
+};
+
+Subscriber.C = C;
+ExSIP.Subscriber = Subscriber;
+}(ExSIP));
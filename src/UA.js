@@ -34,7 +34,12 @@
                 'ACK',
                 'CANCEL',
                 'BYE',
-                'OPTIONS'
+                'OPTIONS',
+                'PRACK',
+                'UPDATE',
+                'NOTIFY',
+                'SUBSCRIBE',
+                'REFER'
             ],
 
             ACCEPTED_BODY_TYPES: [
@@ -42,7 +47,7 @@
                 'application/dtmf-relay'
             ],
 
-            SUPPORTED: 'path, outbound, gruu',
+            SUPPORTED: 'path, outbound, gruu, 100rel, timer, replaces',
 
             MAX_FORWARDS: 69,
             TAG_LENGTH: 10
@@ -56,8 +61,14 @@
             'unregistered',
             'registrationFailed',
             'newRTCSession',
+            'newMSRPSession',
             'newMessage',
-            'onReInvite'
+            'onReInvite',
+            'mwiChanged',
+            'presenceChanged',
+            'dialogInfoChanged',
+            'registrationsChanged',
+            'composingChanged'
         ];
 
         // Set Accepted Body Types
@@ -109,6 +120,13 @@
             this.error = C.CONFIGURATION_ERROR;
             throw e;
         }
+
+        // Message Waiting Indication, subscribed on registration
+        this.mwi = new ExSIP.MWI(this);
+        this.presence = new ExSIP.Presence(this);
+        this.dialogInfo = new ExSIP.DialogInfo(this);
+        this.composing = new ExSIP.IsComposing(this);
+        this.imdn = new ExSIP.IMDN(this);
     };
     UA.prototype = new ExSIP.EventEmitter();
 
@@ -170,6 +188,8 @@
      * @param {String} target
      * @param {Object} views
      * @param {Object} [options]
+     * @param {Object} [options.codecs] preferred codecs by media type, ie: { audio: ['PCMU', 'PCMA'] }, the codecs configuration by default
+     * @param {Object|Boolean} [options.stats] monitor the quality of the call, ie: { interval: 5, rtpTimeout: 30, thresholds: { good: 4.0, fair: 3.6, poor: 3.1 } }, monitored by default with a vq_collector configuration
      *
      * @throws {TypeError}
      *
@@ -183,6 +203,43 @@
       return session;
     };
 
+    /**
+     * Start a chat and file transfer session (RFC 4975) with the target.
+     *
+     * @param {String} target
+     * @param {Object} [options]
+     * @returns {ExSIP.MSRPSession}
+     *
+     * @throws {TypeError}
+     *
+     */
+    UA.prototype.startMSRPSession = function(target, options) {
+      var session;
+
+      session = new ExSIP.MSRPSession(this);
+      session.invite(target, options);
+      return session;
+    };
+
+    /**
+     * Pick up the ringing call of another user (directed call pickup).
+     *
+     * @param {String} target user whose call is picked up
+     * @param {Object} [options] options of call
+     * @returns {ExSIP.RTCSession}
+     *
+     * @throws {TypeError}
+     *
+     */
+    UA.prototype.pickup = function(target, options) {
+      var session;
+
+      logger.log('pickup options : '+ExSIP.Utils.toString(options), this);
+      session = new ExSIP.RTCSession(this);
+      session.pickupHandler.pickup(target, options);
+      return session;
+    };
+
     UA.prototype.transfer = function(transferTarget, sessionToTransfer, options) {
       var self = this;
       logger.log('transfer options : '+ExSIP.Utils.toString(options), this);
@@ -268,15 +325,13 @@
       referSession.sendReferRequest(sessionToTransfer, options);
     };
 
+    /**
+     * Act on a REFER received within the given session, calling the refer target.
+     * @param {ExSIP.RTCSession} sessionToTransfer
+     * @param {ExSIP.IncomingRequest} referRequest
+     */
     UA.prototype.processRefer = function(sessionToTransfer, referRequest) {
-      referRequest.reply(202);
-      var notifySuccess = function() {
-        logger.log("Notify successful");
-      };
-      var notifyFailure = function() {
-        logger.log("Notify failed");
-      };
-      sessionToTransfer.sendNotifyRequest({sdp: "SIP/2.0 100 Trying"}, notifySuccess, notifyFailure);
+      sessionToTransfer.referHandler.receiveRequest(referRequest);
     };
 
     UA.prototype.sendReferBasic = function(sessionToTransfer, transferTarget, options) {
@@ -345,8 +400,9 @@
      * Send a message.
      *
      * @param {String} target
-     * @param {String} body
+     * @param {String|Object[]} body or its body parts, see {@link ExSIP.Multipart.create}
      * @param {Object} [options]
+     * @param {String} [options.multipart='mixed'] subtype of a body made of body parts, ie: 'alternative'
      *
      * @throws {TypeError}
      *
@@ -358,6 +414,86 @@
         message.send(target, body, options);
     };
 
+    /**
+     * Indicate whether a message is being composed (RFC 3994), reported to the target by the 'composingChanged' event.
+     *
+     * @param {String} target
+     * @param {Boolean} isActive
+     * @param {Object} [options]
+     *
+     * @throws {TypeError}
+     *
+     */
+    UA.prototype.setComposing = function(target, isActive, options) {
+        this.composing.setComposing(target, isActive, options);
+    };
+
+    /**
+     * Subscribe to an event package (RFC 6665).
+     *
+     * @param {String} target
+     * @param {String} eventPackage
+     * @param {Object} [options]
+     * @returns {ExSIP.Subscriber}
+     *
+     * @throws {TypeError}
+     *
+     */
+    UA.prototype.subscribe = function(target, eventPackage, options) {
+        var subscriber;
+
+        subscriber = new ExSIP.Subscriber(this);
+        subscriber.subscribe(target, eventPackage, options);
+        return subscriber;
+    };
+
+    /**
+     * Publish the presence of the UA (RFC 3903).
+     *
+     * @param {String} status 'open' or 'closed'
+     * @param {String} [note]
+     * @param {Object} [options]
+     * @returns {ExSIP.Publisher}
+     *
+     * @throws {TypeError}
+     *
+     */
+    UA.prototype.publishPresence = function(status, note, options) {
+        return this.presence.publish(status, note, options);
+    };
+
+    /**
+     * Watch the presence of a buddy, reported by the 'presenceChanged' event.
+     *
+     * @param {String} target
+     * @param {Object} [options]
+     * @returns {ExSIP.Subscriber}
+     *
+     */
+    UA.prototype.watchPresence = function(target, options) {
+        return this.presence.watch(target, options);
+    };
+
+    UA.prototype.unwatchPresence = function(target) {
+        this.presence.unwatch(target);
+    };
+
+    /**
+     * Watch the dialogs of users (busy lamp field), reported by the 'dialogInfoChanged' event.
+     *
+     * @param {String|String[]} targets
+     * @param {Object} [options]
+     * @returns {ExSIP.Subscriber[]}
+     *
+     */
+    UA.prototype.watchDialogs = function(targets, options) {
+        return this.dialogInfo.watch(targets, options);
+    };
+
+    UA.prototype.unwatchDialogs = function(targets) {
+        this.dialogInfo.unwatch(targets);
+    };
+
     /**
      * Gracefully close.
      *
@@ -385,6 +521,10 @@
             this.sessions[session].terminate();
         }
 
+        // Stop the composition indications
+        this.composing.close();
+        this.imdn.close();
+
         // Run  _close_ on every applicant
         for(applicant in this.applicants) {
             this.applicants[applicant].close();
@@ -577,7 +717,7 @@
      * @param {ExSIP.IncomingRequest} request.
      */
     UA.prototype.receiveRequest = function(request) {
-        var dialog, session, message,
+        var dialog, session, message, event,
             method = request.method;
 
       // Check that Ruri points to us
@@ -613,10 +753,6 @@
                 'Accept: '+ C.ACCEPTED_BODY_TYPES
             ]);
         } else if (method === ExSIP.C.MESSAGE) {
-            if (!this.checkEvent('newMessage') || this.listeners('newMessage').length === 0) {
-                request.reply(405, null, ['Allow: '+ ExSIP.Utils.getAllowedMethods(this)]);
-                return;
-            }
             message = new ExSIP.Message(this);
             message.init_incoming(request);
         }
@@ -631,7 +767,11 @@
 
             switch(method) {
                 case ExSIP.C.INVITE:
-                    if(ExSIP.WebRTC.isSupported) {
+                    if(ExSIP.MSRPSession.isOffer(request)) {
+                        logger.debug('INVITE received for an MSRP session', this);
+                        session = new ExSIP.MSRPSession(this);
+                        session.init_incoming(request);
+                    } else if(ExSIP.WebRTC.isSupported) {
                         logger.debug('INVITE received', this);
                         session = new ExSIP.RTCSession(this);
                         session.init_incoming(request);
@@ -644,6 +784,19 @@
                     // Out of dialog BYE received
                     request.reply(481);
                     break;
+                case ExSIP.C.NOTIFY:
+                    // Unsolicited NOTIFY, only message-summary is accepted outside a subscription
+                    event = request.s('event');
+                    if(event && event.event === ExSIP.MWI.C.EVENT) {
+                        this.mwi.receiveRequest(request);
+                    } else {
+                        request.reply(489);
+                    }
+                    break;
+                case ExSIP.C.SUBSCRIBE:
+                    // RFC6665 4.2.1.1. No event package is notified by the UA
+                    request.reply(489);
+                    break;
                 case ExSIP.C.CANCEL:
                     session = this.findSession(request);
                     if(session) {
@@ -899,9 +1052,22 @@
 
                 // Session parameters
                 no_answer_timeout: 60,
+                follow_redirects: false,
+                max_redirects: 5,
+                pickup_feature_code: null,
+                codecs: null,
+                rel100: ExSIP.C.REL100_SUPPORTED,
+                session_timers: true,
+                session_timers_expires: 1800,
+                vq_collector: null,
+                vq_report_interval: 0,
                 stun_servers: ['stun:stun.l.google.com:19302'],
                 turn_servers: [],
 
+                // Subscription parameters
+                enable_mwi: false,
+                enable_reg_event: false,
+
                 // Logging parameters
                 trace_sip: false,
 
@@ -1036,6 +1202,7 @@
               switch(parameter) {
                   case 'uri':
                   case 'registrar_server':
+                  case 'vq_collector':
                       logger.log('· ' + parameter + ': ' + settings[parameter]);
                       break;
                   case 'password':
@@ -1090,14 +1257,25 @@
                 "p_asserted_identity", // false.
                 "enable_datachannel", // false.
                 "hack_ip_in_contact", //false
+                "follow_redirects", // false.
+                "max_redirects", // 5.
+                "pickup_feature_code", // null, ie: '*97'.
+                "codecs", // null, ie: { audio: ['opus', 'G722'] }.
+                "enable_mwi", // false.
+                "enable_reg_event", // false.
                 "no_answer_timeout", // 30 seconds.
                 "password",
                 "register_expires", // 600 seconds.
                 "registrar_server",
+                "rel100", // 'supported'.
+                "session_timers", // true.
+                "session_timers_expires", // 1800 seconds.
                 "stun_servers",
                 "trace_sip",
                 "turn_servers",
                 "use_preloaded_route",
+                "vq_collector", // null, ie: 'sip:collector@example.com'.
+                "vq_report_interval", // 0 seconds, no interval report.
 
                 // Post-configuration generated parameters
                 "via_core_value",
@@ -1293,6 +1471,60 @@
                 }
             },
 
+            follow_redirects: function(follow_redirects) {
+                if (typeof follow_redirects === 'boolean') {
+                    return follow_redirects;
+                }
+            },
+
+            max_redirects: function(max_redirects) {
+                var value;
+                if (ExSIP.Utils.isDecimal(max_redirects)) {
+                    value = window.Number(max_redirects);
+                    if (value > 0) {
+                        return value;
+                    }
+                }
+            },
+
+            pickup_feature_code: function(pickup_feature_code) {
+                if (/^[*#0-9]+$/.test(pickup_feature_code)) {
+                    return String(pickup_feature_code);
+                }
+            },
+
+            codecs: function(codecs) {
+                var type, idx;
+
+                if (typeof codecs !== 'object' || codecs instanceof Array) {
+                    return;
+                }
+
+                for (type in codecs) {
+                    if ((type !== 'audio' && type !== 'video') || !(codecs[type] instanceof Array) || codecs[type].length === 0) {
+                        return;
+                    }
+                    for (idx = 0; idx < codecs[type].length; idx++) {
+                        if (!/^[\w.+\-]+(?:\/\d+){0,2}$/.test(codecs[type][idx])) {
+                            return;
+                        }
+                    }
+                }
+                return codecs;
+            },
+
+            enable_mwi: function(enable_mwi) {
+                if (typeof enable_mwi === 'boolean') {
+                    return enable_mwi;
+                }
+            },
+
+            enable_reg_event: function(enable_reg_event) {
+                if (typeof enable_reg_event === 'boolean') {
+                    return enable_reg_event;
+                }
+            },
+
             no_answer_timeout: function(no_answer_timeout) {
                 var value;
                 if (ExSIP.Utils.isDecimal(no_answer_timeout)) {
@@ -1340,6 +1572,28 @@
                 }
             },
 
+            rel100: function(rel100) {
+                if (rel100 === ExSIP.C.REL100_NONE || rel100 === ExSIP.C.REL100_SUPPORTED || rel100 === ExSIP.C.REL100_REQUIRED) {
+                    return rel100;
+                }
+            },
+
+            session_timers: function(session_timers) {
+                if (typeof session_timers === 'boolean') {
+                    return session_timers;
+                }
+            },
+
+            session_timers_expires: function(session_timers_expires) {
+                var value;
+                if (ExSIP.Utils.isDecimal(session_timers_expires)) {
+                    value = window.Number(session_timers_expires);
+                    if (value >= 90) {
+                        return value;
+                    }
+                }
+            },
+
             stun_servers: function(stun_servers) {
                 var idx, length, stun_server;
 
@@ -1404,6 +1658,25 @@
                 if (typeof use_preloaded_route === 'boolean') {
                     return use_preloaded_route;
                 }
+            },
+
+            vq_collector: function(vq_collector) {
+                // A sips URI keeps its scheme rather than being read as a user
+                if (!/^sips?:/i.test(vq_collector)) {
+                    vq_collector = ExSIP.C.SIP + ':' + vq_collector;
+                }
+
+                return ExSIP.URI.parse(vq_collector) || undefined;
+            },
+
+            vq_report_interval: function(vq_report_interval) {
+                var value;
+                if (ExSIP.Utils.isDecimal(vq_report_interval)) {
+                    value = window.Number(vq_report_interval);
+                    if (value >= 0) {
+                        return value;
+                    }
+                }
             }
         }
     };
@@ -216,6 +216,9 @@ Utils= {
     var exceptions = {
       'Call-Id': 'Call-ID',
       'Cseq': 'CSeq',
+      'Min-Se': 'Min-SE',
+      'Rack': 'RAck',
+      'Rseq': 'RSeq',
       'Www-Authenticate': 'WWW-Authenticate'
       },
       name = string.toLowerCase().replace(/_/g,'-').split('-'),
@@ -266,6 +269,85 @@ Utils= {
     return false;
   },
 
+  /**
+   * Whether the given option tag is listed in the given header of the message.
+   * @param {ExSIP.IncomingMessage} message
+   * @param {String} name header name, e.g. 'Require' or 'Supported'
+   * @param {String} optionTag
+   * @returns {Boolean}
+   */
+  hasOptionTag: function(message, name, optionTag) {
+    var idx, length,
+      tags = message.getHeaderAll(name).join(',').split(',');
+
+    length = tags.length;
+    for (idx = 0; idx < length; idx++) {
+      if (tags[idx].trim().toLowerCase() === optionTag) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Remove an option tag from the Supported header of the given extra headers,
+   * adding the UA default one if none is there yet.
+   * @param {Array} extraHeaders
+   * @param {String} optionTag
+   */
+  removeSupported: function(extraHeaders, optionTag) {
+    var idx, tags, header,
+      index = -1,
+      length = extraHeaders.length;
+
+    for (idx = 0; idx < length; idx++) {
+      if (/^Supported\s*:/i.test(extraHeaders[idx])) {
+        index = idx;
+      }
+    }
+
+    tags = (index === -1 ? ExSIP.UA.C.SUPPORTED : extraHeaders[index].replace(/^Supported\s*:\s*/i, '')).split(/\s*,\s*/);
+    tags = tags.filter(function(tag) {
+      return tag !== optionTag;
+    });
+    header = 'Supported: '+ tags.join(', ');
+
+    if (index === -1) {
+      extraHeaders.push(header);
+    } else {
+      extraHeaders[index] = header;
+    }
+  },
+
+  /**
+   * Add an option tag to the Supported header of the given extra headers,
+   * adding the UA default one if none is there yet.
+   * @param {Array} extraHeaders
+   * @param {String} optionTag
+   */
+  addSupported: function(extraHeaders, optionTag) {
+    var idx, tags,
+      index = -1,
+      length = extraHeaders.length;
+
+    for (idx = 0; idx < length; idx++) {
+      if (/^Supported\s*:/i.test(extraHeaders[idx])) {
+        index = idx;
+      }
+    }
+
+    tags = (index === -1 ? ExSIP.UA.C.SUPPORTED : extraHeaders[index].replace(/^Supported\s*:\s*/i, '')).split(/\s*,\s*/);
+    if (tags.indexOf(optionTag) === -1) {
+      tags.push(optionTag);
+    }
+
+    if (index === -1) {
+      extraHeaders.push('Supported: '+ tags.join(', '));
+    } else {
+      extraHeaders[index] = 'Supported: '+ tags.join(', ');
+    }
+  },
+
   getAllowedMethods: function(ua) {
     var event,
       allowed = ExSIP.UA.C.ALLOWED_METHODS.toString();
@@ -279,6 +361,37 @@ Utils= {
     return allowed;
   },
 
+  /**
+   * Parse an XML document, ie: the body of a NOTIFY.
+   * @param {String} xml
+   * @returns {Document|null} null if the document is not well-formed
+   */
+  parseXML: function(xml) {
+    var doc;
+
+    try {
+      doc = new window.DOMParser().parseFromString(xml, 'application/xml');
+    } catch(e) {
+      return null;
+    }
+
+    if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+      return null;
+    }
+
+    return doc;
+  },
+
+  /**
+   * Escape the text of an XML element or attribute.
+   * @param {String} text
+   * @returns {String}
+   */
+  escapeXML: function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+  },
+
   // MD5 (Message-Digest Algorithm) http://www.webtoolkit.info
   calculateMD5: function(string) {
     function RotateLeft(lValue, iShiftBits) {
@@ -60,7 +60,7 @@ else {
   WebRTC.RTCSessionDescription = function(options){
     options = options || {};
     this.sdp = options["sdp"];
-    this.type = options["offer"];
+    this.type = options["type"];
   };
 }
 
@@ -72,18 +72,129 @@ WebRTC.RTCSessionDescription.prototype.getSdp = function(options){
   }
   return sdp;
 };
+
+/**
+ * Main media section of the given type, ie: the video which is not the presentation of slides.
+ * @private
+ */
+function getMedia(description, type) {
+  return description.parseSdp().getMedia(type);
+}
+
+/**
+ * Apply a change to the main media section of the given type, if any.
+ * @private
+ */
+function updateMedia(description, type, update) {
+  var sdp = description.parseSdp(),
+    media = sdp.getMedia(type);
+
+  if(media) {
+    update(media);
+    description.sdp = sdp.toString();
+  }
+}
+
+/**
+ * The presentation of slides and the inactive application medias.
+ * @private
+ */
+function getUnsupportedMedias(sdp) {
+  return sdp.getMedias('video').filter(function(media) {
+    return media.isSlides();
+  }).concat(sdp.getMedias('application').filter(function(media) {
+    return media.port === 0 && media.protocol === 'RTP/SAVPF';
+  }));
+}
+
+/**
+ * What of the main media section of the given type needs a new negotiation when it changes.
+ * @private
+ */
+function getMediaSummary(sdp, type) {
+  var media = sdp.getMedia(type),
+    rtpmap = {},
+    values = media ? media.getFormatAttributes('rtpmap') : {},
+    format;
+
+  for(format in values) {
+    rtpmap[format] = values[format][0];
+  }
+
+  return {
+    exists: media !== null,
+    port: media ? String(media.port) : null,
+    connection: sdp.getConnection(media),
+    codecs: media ? media.formats.slice() : null,
+    rtpmap: rtpmap
+  };
+}
+
+/**
+ * Whether a codec is the one named by a preference, ie: 'opus', 'opus/48000' or 'opus/48000/2'.
+ * @private
+ */
+function isPreferredCodec(codec, preference) {
+  var parts = preference.split('/');
+
+  return !!codec && codec.encoding.toLowerCase() === parts[0].toLowerCase() &&
+    (!parts[1] || codec.clockRate === window.parseInt(parts[1], 10)) &&
+    (!parts[2] || (codec.channels || 1) === window.parseInt(parts[2], 10));
+}
+
+/**
+ * Payload types of a media in the order of the preferred codecs.
+ * The telephone events, used by DTMF, and the retransmissions of the kept payload types follow them.
+ * @private
+ * @returns {String[]} empty if none of the codecs is offered
+ */
+function getPreferredFormats(media, preferences) {
+  var preferred = [],
+    associated = [];
+
+  preferences.forEach(function(preference) {
+    media.formats.forEach(function(format) {
+      if(preferred.indexOf(format) === -1 && isPreferredCodec(media.getCodec(format), preference)) {
+        preferred.push(format);
+      }
+    });
+  });
+  if(preferred.length === 0) {
+    return preferred;
+  }
+
+  media.formats.forEach(function(format) {
+    var codec = media.getCodec(format),
+      apt = /(?:^|;)\s*apt=(\d+)/.exec(media.getFormatAttribute('fmtp', format) || '');
+
+    if(preferred.indexOf(format) === -1 && (isPreferredCodec(codec, 'telephone-event') ||
+      (isPreferredCodec(codec, 'rtx') && apt && preferred.indexOf(apt[1]) !== -1))) {
+      associated.push(format);
+    }
+  });
+
+  return preferred.concat(associated);
+}
+
+/**
+ * @returns {ExSIP.SDP} structured copy of the session description, to be serialized back into sdp once changed
+ */
+WebRTC.RTCSessionDescription.prototype.parseSdp = function(){
+  return new ExSIP.SDP(this.sdp);
+};
 WebRTC.RTCSessionDescription.prototype.getUnsupportedMedias = function(){
-  var slideMedias = this.getSlidesMedias();
-  var inactiveApplicationMedias = this.getApplicationMedias('0 RTP/SAVPF');
-  var unsupportedMedias = slideMedias.concat(inactiveApplicationMedias);
-  return unsupportedMedias;
+  return getUnsupportedMedias(this.parseSdp()).map(function(media) {
+    return media.toString();
+  });
 };
 WebRTC.RTCSessionDescription.prototype.removeUnsupportedMedia = function(){
-  var unsupportedMedias = this.getUnsupportedMedias();
+  var sdp = this.parseSdp();
+  var unsupportedMedias = getUnsupportedMedias(sdp);
   for(var i = 0; i < unsupportedMedias.length; i++) {
-    this.sdp = this.sdp.replace(unsupportedMedias[i], '');
+    sdp.removeMedia(unsupportedMedias[i]);
     console.warn('removing unsupported media from sdp : '+unsupportedMedias[i]);
   }
+  this.sdp = sdp.toString();
   return unsupportedMedias.join('');
 };
 WebRTC.RTCSessionDescription.prototype.getSlidesMedias = function(){
@@ -97,100 +208,88 @@ WebRTC.RTCSessionDescription.prototype.getApplicationMedias = function(filter){
   return this.getMedias('application', filter);
 };
 WebRTC.RTCSessionDescription.prototype.getMedias = function(type, filter){
-  var regex = new RegExp("(m="+type+"(?:(?!m=)[\\s\\S])*)", "mig");
-  var match;
-  var results = [];
-  while((match = regex.exec(this.sdp)) != null) {
-    var media = match.pop();
-    if(!filter || media.indexOf(filter) !== -1) {
-      results.push(media);
-    }
-  }
-  return results;
+  return this.parseSdp().getMedias(type).map(function(media) {
+    return media.toString();
+  }).filter(function(media) {
+    return !filter || media.indexOf(filter) !== -1;
+  });
 };
 WebRTC.RTCSessionDescription.prototype.getAudioIcePwd = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*a=ice-pwd:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getAttribute('ice-pwd') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoIcePwd = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*a=ice-pwd:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getAttribute('ice-pwd') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioIceUfrag = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*a=ice-ufrag:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getAttribute('ice-ufrag') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoIceUfrag = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*a=ice-ufrag:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getAttribute('ice-ufrag') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getCandidates = function(media){
-  var regex = new RegExp("a=candidate:(.*)", "ig");
-  var matches;
-  var result = [];
-  while ((matches = regex.exec(media)) !== null)
-  {
-    result.push(matches[matches.length-1]);
-  }
-  return result;
+  var section = new ExSIP.SDP(media).medias[0];
+  return section ? section.getAttributes('candidate') : [];
 };
 WebRTC.RTCSessionDescription.prototype.getAudioCandidates = function(){
-  var audio = this.getAudio();
-  return audio ? this.getCandidates(audio) : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getAttributes('candidate') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoCandidates = function(){
-  var video = this.getVideo();
-  return video ? this.getCandidates(video) : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getAttributes('candidate') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getConnection = function(){
-  var match = this.sdp.match(/v=(?:(?!m=)[\s\S])*c=(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  return this.parseSdp().getConnection();
 };
 WebRTC.RTCSessionDescription.prototype.getAudio = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.toString() : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideo = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.toString() : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioConnection = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*c=(.*)/mi);
-  return match != null ? match[match.length-1] : this.getConnection();
+  var sdp = this.parseSdp();
+  return sdp.getConnection(sdp.getMedia('audio'));
 };
 WebRTC.RTCSessionDescription.prototype.getVideoConnection = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*c=(.*)/mi);
-  return match != null ? match[match.length-1] : this.getConnection();
+  var sdp = this.parseSdp();
+  return sdp.getConnection(sdp.getMedia('video'));
 };
 WebRTC.RTCSessionDescription.prototype.hasVideo = function(){
-  return this.sdp.match(/m=video/) != null;
+  return getMedia(this, 'video') !== null;
 };
 WebRTC.RTCSessionDescription.prototype.hasAudio = function(){
-  return this.sdp.match(/m=audio/) != null;
+  return getMedia(this, 'audio') !== null;
 };
 WebRTC.RTCSessionDescription.prototype.videoPort = function(){
-  var match = this.sdp.match(/m=video\s(\d*)\s/);
-  return  match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? String(video.port) : null;
 };
 WebRTC.RTCSessionDescription.prototype.audioPort = function(){
-  var match = this.sdp.match(/m=audio\s(\d*)\s/);
-  return  match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? String(audio.port) : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioMedia = function(){
-  var match = this.sdp.match(/m=audio\s(.*)/);
-  return  match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getDescription().replace(/^\S+\s/, '') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoMedia = function(){
-  var match = this.sdp.match(/m=video\s(.*)/);
-  return  match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getDescription().replace(/^\S+\s/, '') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioCodecs = function(){
-  var audioMedia = this.getAudioMedia();
-  return this.getCodecs(audioMedia);
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.formats.slice() : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoCodecs = function(){
-  var videoMedia = this.getVideoMedia();
-  return this.getCodecs(videoMedia);
+  var video = getMedia(this, 'video');
+  return video ? video.formats.slice() : null;
 };
 WebRTC.RTCSessionDescription.prototype.getCodecs = function(media){
   if(!media) {
@@ -199,51 +298,75 @@ WebRTC.RTCSessionDescription.prototype.getCodecs = function(media){
   var mediaParts = media.split(" ");
   return mediaParts.splice(2);
 };
+/**
+ * Keep only the preferred codecs of the audio and video medias, in the order of preference.
+ * @param {Object} codecs ie: { audio: ['opus', 'G722'], video: ['VP8'] }, a missing media type is left as it is
+ * @returns {Boolean} false, leaving the sdp unchanged, if an active media has none of its preferred codecs
+ */
+WebRTC.RTCSessionDescription.prototype.setCodecs = function(codecs){
+  var sdp = this.parseSdp(),
+    compatible = true;
+
+  ['audio', 'video'].forEach(function(type) {
+    if(!codecs[type]) {
+      return;
+    }
+    sdp.getMedias(type).forEach(function(media) {
+      var formats = getPreferredFormats(media, codecs[type]);
+      if(formats.length > 0) {
+        media.setFormats(formats);
+      } else if(media.port !== 0) {
+        compatible = false;
+      }
+    });
+  });
+
+  if(compatible) {
+    this.sdp = sdp.toString();
+  }
+  return compatible;
+};
 WebRTC.RTCSessionDescription.prototype.getAudioCodecRtpmap = function(codec){
-  var regex = new RegExp("m=audio(?:(?!m=)[\\s\\S])*a=rtpmap:"+codec+"(.*)", "mi");
-  var match = this.sdp.match(regex);
-  return match != null ? match[match.length-1].trim() : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getFormatAttribute('rtpmap', codec) : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoCodecRtpmap = function(codec){
-  var regex = new RegExp("m=video(?:(?!m=)[\\s\\S])*a=rtpmap:"+codec+"(.*)", "mi");
-  var match = this.sdp.match(regex);
-  return match != null ? match[match.length-1].trim() : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getFormatAttribute('rtpmap', codec) : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioCodecFmtp = function(codec){
-  var regex = new RegExp("m=audio(?:(?!m=)[\\s\\S])*a=fmtp:"+codec+"(.*)", "mi");
-  var match = this.sdp.match(regex);
-  return match != null ? match[match.length-1].trim() : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getFormatAttribute('fmtp', codec) : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoCodecFmtp = function(codec){
-  var regex = new RegExp("m=video(?:(?!m=)[\\s\\S])*a=fmtp:"+codec+"(.*)", "mi");
-  var match = this.sdp.match(regex);
-  return match != null ? match[match.length-1].trim() : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getFormatAttribute('fmtp', codec) : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioFingerprint = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*a=fingerprint:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getAttribute('fingerprint') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoFingerprint = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*a=fingerprint:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getAttribute('fingerprint') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getAudioRtcp = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*a=rtcp:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getAttribute('rtcp') : null;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoRtcp = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*a=rtcp:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getAttribute('rtcp') : null;
 };
 WebRTC.RTCSessionDescription.prototype.removeVideoFingerprint = function(){
-  if(this.getVideoFingerprint()) {
-    this.sdp = this.sdp.replace(/(m=video(?:(?!m=)[\s\S])*)(a=fingerprint:.*\r\n)/mi, "$1");
-  }
+  updateMedia(this, 'video', function(video) {
+    video.removeAttributes('fingerprint');
+  });
 };
 WebRTC.RTCSessionDescription.prototype.removeAudioFingerprint = function(){
-  if(this.getAudioFingerprint()) {
-    this.sdp = this.sdp.replace(/(m=audio(?:(?!m=)[\s\S])*)(a=fingerprint:.*\r\n)/mi, "$1");
-  }
+  updateMedia(this, 'audio', function(audio) {
+    audio.removeAttributes('fingerprint');
+  });
 };
 WebRTC.RTCSessionDescription.prototype.hasActiveVideo = function(){
   var videoPort = this.videoPort() || 0;
@@ -256,71 +379,62 @@ WebRTC.RTCSessionDescription.prototype.hasActiveAudio = function(){
   return this.hasAudio() && audioPort > 0 && audioConnection.indexOf('0.0.0.0') === -1;
 };
 WebRTC.RTCSessionDescription.prototype.getVideoBandwidth = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*b=.*:(.*)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video'),
+    bandwidth = video ? video.getLine('b') : null;
+  return bandwidth !== null ? bandwidth.substring(bandwidth.lastIndexOf(':') + 1) : null;
 };
 WebRTC.RTCSessionDescription.prototype.setVideoBandwidth = function(videoBandwidth){
-  if(this.getVideoBandwidth()) {
-    this.sdp = this.sdp.replace(/(m=video(?:(?!m=)[\s\S])*)(b=.*)/mi, "$1b=AS:" + videoBandwidth);
-  } else {
-    this.sdp = this.sdp.replace(/(m=video.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\nb=AS:" + videoBandwidth);
-  }
+  updateMedia(this, 'video', function(video) {
+    video.setLine('b', 'AS:' + videoBandwidth);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setVideoMode = function(mode){
-  if(this.getVideoMode()) {
-    this.sdp = this.sdp.replace(/(m=video(?:(?!m=)[\s\S])*)(a=(sendrecv|sendonly|recvonly|inactive))/mi, "$1a=" + mode);
-  } else {
-    this.sdp = this.sdp.replace(/(m=video.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\na=" + mode);
-  }
+  updateMedia(this, 'video', function(video) {
+    video.setMode(mode);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setVideoPort = function(port){
-  this.sdp = this.sdp.replace(/(m=video\s)(\d*)(\s)/i, "$1"+port+"$3");
+  updateMedia(this, 'video', function(video) {
+    video.port = window.parseInt(port, 10);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.getVideoMode = function(){
-  var match = this.sdp.match(/m=video(?:(?!m=)[\s\S])*a=(sendrecv|sendonly|recvonly|inactive)/mi);
-  return match != null ? match[match.length-1] : null;
+  var video = getMedia(this, 'video');
+  return video ? video.getMode() : null;
 };
 WebRTC.RTCSessionDescription.prototype.setAudioMode = function(mode){
-  if(this.getAudioMode()) {
-    this.sdp = this.sdp.replace(/(m=audio(?:(?!m=)[\s\S])*)(a=(sendrecv|sendonly|recvonly|inactive))/mi, "$1a=" + mode);
-  } else {
-    this.sdp = this.sdp.replace(/(m=audio.*(:?(?!m=)[\s\S])*(c=IN\s+IP4.*)?)/, "$1\r\na=" + mode);
-  }
+  updateMedia(this, 'audio', function(audio) {
+    audio.setMode(mode);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setAudioPort = function(port){
-  this.sdp = this.sdp.replace(/(m=audio\s)(\d*)(\s)/i, "$1"+port+"$3");
+  updateMedia(this, 'audio', function(audio) {
+    audio.port = window.parseInt(port, 10);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setAudioConnection = function(audioConnection){
-  if(this.getAudioConnection()) {
-    this.sdp = this.sdp.replace(/(m=audio(?:(?!m=)[\s\S])*)(c=.*)/mi, "$1c=" + audioConnection);
-  } else {
-    this.sdp = this.sdp.replace(/(m=audio.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\nc=" + audioConnection);
-  }
+  updateMedia(this, 'audio', function(audio) {
+    audio.setLine('c', audioConnection);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setVideoConnection = function(videoConnection){
-  if(this.getVideoConnection()) {
-    this.sdp = this.sdp.replace(/(m=video(?:(?!m=)[\s\S])*)(c=.*)/mi, "$1c=" + videoConnection);
-  } else {
-    this.sdp = this.sdp.replace(/(m=video.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\nc=" + videoConnection);
-  }
+  updateMedia(this, 'video', function(video) {
+    video.setLine('c', videoConnection);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setAudioRtcp = function(audioRtcp){
-  if(this.getAudioRtcp()) {
-    this.sdp = this.sdp.replace(/(m=audio(?:(?!m=)[\s\S])*)(a=rtcp:.*)/mi, "$1a=rtcp:" + audioRtcp);
-  } else {
-    this.sdp = this.sdp.replace(/(m=audio.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\na=rtcp:" + audioRtcp);
-  }
+  updateMedia(this, 'audio', function(audio) {
+    audio.setAttribute('rtcp', audioRtcp);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.setVideoRtcp = function(videoRtcp){
-  if(this.getVideoRtcp()) {
-    this.sdp = this.sdp.replace(/(m=video(?:(?!m=)[\s\S])*)(a=rtcp:.*)/mi, "$1a=rtcp:" + videoRtcp);
-  } else {
-    this.sdp = this.sdp.replace(/(m=video.*((?!m=)[\s\S]*c=IN\s+IP4.*)?)/, "$1\r\na=rtcp:" + videoRtcp);
-  }
+  updateMedia(this, 'video', function(video) {
+    video.setAttribute('rtcp', videoRtcp);
+  });
 };
 WebRTC.RTCSessionDescription.prototype.getAudioMode = function(){
-  var match = this.sdp.match(/m=audio(?:(?!m=)[\s\S])*a=(sendrecv|sendonly|recvonly|inactive)/mi);
-  return match != null ? match[match.length-1] : null;
+  var audio = getMedia(this, 'audio');
+  return audio ? audio.getMode() : null;
 };
 WebRTC.RTCSessionDescription.prototype.isActive = function(){
   if(this.hasAudio() && this.audioPort() !== "0" && this.getAudioMode() !== ExSIP.C.INACTIVE) {
@@ -332,52 +446,43 @@ WebRTC.RTCSessionDescription.prototype.isActive = function(){
   return false;
 };
 WebRTC.RTCSessionDescription.prototype.mediaChanges = function(otherSdp){
-  var mediaChanges = [];
-  if(this.hasAudio() !== otherSdp.hasAudio()) {
-    mediaChanges.push("audio has changed");
-  }
-  if(this.hasVideo() !== otherSdp.hasVideo()) {
-    mediaChanges.push("video has changed");
-  }
-  if(this.audioPort() !== otherSdp.audioPort()) {
-    mediaChanges.push("audio port has changed : "+this.audioPort()+" - " + otherSdp.audioPort());
-  }
-  if(this.videoPort() !== otherSdp.videoPort()) {
-    mediaChanges.push("video port has changed : "+this.videoPort()+" - " + otherSdp.videoPort());
-  }
-  if(this.getAudioConnection() !== otherSdp.getAudioConnection()) {
-    mediaChanges.push("audio connection has changed : "+this.getAudioConnection()+" - " + otherSdp.getAudioConnection());
-  }
-  if(this.getVideoConnection() !== otherSdp.getVideoConnection()) {
-    mediaChanges.push("video connection has changed : "+this.getVideoConnection()+" - " + otherSdp.getVideoConnection());
+  var mediaChanges = [],
+    types = ['audio', 'video'],
+    medias = types.map(function(type) {
+      return [getMediaSummary(this.parseSdp(), type), getMediaSummary(otherSdp.parseSdp(), type)];
+    }, this),
+    i, j, codecs, rtpmap, otherRtpmap;
+
+  for(i = 0; i < types.length; i++) {
+    if(medias[i][0].exists !== medias[i][1].exists) {
+      mediaChanges.push(types[i]+" has changed");
+    }
   }
-  var audioCodecs = this.getAudioCodecs();
-  if(!ExSIP.Utils.isEqArrays(audioCodecs, otherSdp.getAudioCodecs())) {
-    mediaChanges.push("audio codecs has changed : "+audioCodecs+" - " + otherSdp.getAudioCodecs());
+  for(i = 0; i < types.length; i++) {
+    if(medias[i][0].port !== medias[i][1].port) {
+      mediaChanges.push(types[i]+" port has changed : "+medias[i][0].port+" - " + medias[i][1].port);
+    }
   }
-  var videoCodecs = this.getVideoCodecs();
-  if(!ExSIP.Utils.isEqArrays(videoCodecs, otherSdp.getVideoCodecs())) {
-    mediaChanges.push("video codecs has changed : "+videoCodecs+" - " + otherSdp.getVideoCodecs());
+  for(i = 0; i < types.length; i++) {
+    if(medias[i][0].connection !== medias[i][1].connection) {
+      mediaChanges.push(types[i]+" connection has changed : "+medias[i][0].connection+" - " + medias[i][1].connection);
+    }
   }
-
-  if(audioCodecs) {
-    for(var i = 0; i < audioCodecs.length; i++) {
-      if(this.getAudioCodecRtpmap(audioCodecs[i]) !== otherSdp.getAudioCodecRtpmap(audioCodecs[i])) {
-        mediaChanges.push("audio codec rtpmap for "+audioCodecs[i]+" has changed : "+this.getAudioCodecRtpmap(audioCodecs[i])+" - " + otherSdp.getAudioCodecRtpmap(audioCodecs[i]));
-      }
-//      if(this.getAudioCodecFmtp(audioCodecs[i]) !== otherSdp.getAudioCodecFmtp(audioCodecs[i])) {
-//        mediaChanges.push("audio codec fmtp for "+audioCodecs[i]+" has changed : "+this.getAudioCodecFmtp(audioCodecs[i])+" - " + otherSdp.getAudioCodecFmtp(audioCodecs[i]));
-//      }
+  for(i = 0; i < types.length; i++) {
+    if(!ExSIP.Utils.isEqArrays(medias[i][0].codecs, medias[i][1].codecs)) {
+      mediaChanges.push(types[i]+" codecs has changed : "+medias[i][0].codecs+" - " + medias[i][1].codecs);
     }
   }
-  if(videoCodecs) {
-    for(var j = 0; j < videoCodecs.length; j++) {
-      if(this.getVideoCodecRtpmap(videoCodecs[j]) !== otherSdp.getVideoCodecRtpmap(videoCodecs[j])) {
-        mediaChanges.push("video codec rtpmap for "+videoCodecs[j]+" has changed : "+this.getVideoCodecRtpmap(videoCodecs[j])+" - " + otherSdp.getVideoCodecRtpmap(videoCodecs[j]));
+
+  // Changes of the fmtp are not considered
+  for(i = 0; i < types.length; i++) {
+    codecs = medias[i][0].codecs || [];
+    for(j = 0; j < codecs.length; j++) {
+      rtpmap = medias[i][0].rtpmap[codecs[j]] || null;
+      otherRtpmap = medias[i][1].rtpmap[codecs[j]] || null;
+      if(rtpmap !== otherRtpmap) {
+        mediaChanges.push(types[i]+" codec rtpmap for "+codecs[j]+" has changed : "+rtpmap+" - " + otherRtpmap);
       }
-//      if(this.getVideoCodecFmtp(videoCodecs[j]) !== otherSdp.getVideoCodecFmtp(videoCodecs[j])) {
-//        mediaChanges.push("video codec fmtp for "+videoCodecs[j]+" has changed : "+this.getVideoCodecFmtp(videoCodecs[j])+" - " + otherSdp.getVideoCodecFmtp(videoCodecs[j]));
-//      }
     }
   }
 
@@ -118,7 +118,7 @@ TestExSIP.Helpers = {
     options = options || {};
     var transactions = Object.keys(ua.transactions.ict).length > 0 ? ua.transactions.ict : ua.transactions.ist;
     var branch = options["branch"] || Object.keys(transactions)[0];
-    var callId = options["call_id"] || transactions[branch].request.call_id;
+    var callId = options["call_id"] || (transactions[branch] ? transactions[branch].request.call_id : "");
     var session = ua.sessions[Object.keys(ua.sessions)[0]];
     var fromTag = options["from_tag"] || (session ? session.from_tag : "");
     console.log("--- branch : "+branch+", call_id : "+callId+", fromTag : "+fromTag);
@@ -304,9 +304,17 @@ TestExSIP.Helpers = {
       "Allow: "+(options["allow"] || "INVITE, ACK, CANCEL, OPTIONS, BYE, UPDATE, INVITE, REGISTER, ACK, CANCEL, BYE, INFO")+"\r\n"+
       "Content-Type: "+(options["content_type"] || "application/sdp")+"\r\n"+
       (options["supported"] ? ("Supported: "+options["supported"]+"\r\n") : "")+
+      (options["require"] ? ("Require: "+options["require"]+"\r\n") : "")+
+      (options["unsupported"] ? ("Unsupported: "+options["unsupported"]+"\r\n") : "")+
+      (options["rseq"] ? ("RSeq: "+options["rseq"]+"\r\n") : "")+
+      (options["session_expires"] ? ("Session-Expires: "+options["session_expires"]+"\r\n") : "")+
+      (options["min_se"] ? ("Min-SE: "+options["min_se"]+"\r\n") : "")+
       (options["event"] ? ("Event: "+options["event"]+"\r\n") : "")+
       (options["www_authenticate"] ? ("WWW-Authenticate: "+options["www_authenticate"]+"\r\n") : "")+
       (options["retryAfter"] ? ("Retry-After: "+options["retryAfter"]+"\r\n") : "")+
+      (options["expires"] ? ("Expires: "+options["expires"]+"\r\n") : "")+
+      (options["min_expires"] ? ("Min-Expires: "+options["min_expires"]+"\r\n") : "")+
+      (options["sip_etag"] ? ("SIP-ETag: "+options["sip_etag"]+"\r\n") : "")+
       "Content-Length: "+sdp.length+"\r\n"+
       "\r\n"+
       sdp;
@@ -325,8 +333,14 @@ TestExSIP.Helpers = {
       "Allow: "+(options["allow"] || "ACK,CANCEL,BYE,OPTIONS,INVITE")+"\r\n"+
       "Content-Type: "+(options["content_type"] || "application/sdp")+"\r\n"+
       "Supported: "+(options["supported"] || "path, outbound, gruu")+"\r\n"+
+      (options["require"] ? ("Require: "+options["require"]+"\r\n") : "")+
+      (options["rack"] ? ("RAck: "+options["rack"]+"\r\n") : "")+
+      (options["session_expires"] ? ("Session-Expires: "+options["session_expires"]+"\r\n") : "")+
+      (options["min_se"] ? ("Min-SE: "+options["min_se"]+"\r\n") : "")+
       (options["event"] ? ("Event: "+options["event"]+"\r\n") : "")+
+      (options["subscription_state"] ? ("Subscription-State: "+options["subscription_state"]+"\r\n") : "")+
       (options["referTo"] ? ("Refer-To: "+options["referTo"]+"\r\n") : "")+
+      (options["referredBy"] ? ("Referred-By: "+options["referredBy"]+"\r\n") : "")+
       "User-Agent: BroadSoft ExSIP - 1.5\r\n"+
       "Content-Length: "+sdp.length+"\r\n"+
       "\r\n"+
@@ -455,6 +469,10 @@ TestExSIP.Helpers = {
       "Allow: "+(options["allow"] || "ACK,CANCEL,BYE,OPTIONS,INVITE")+"\r\n"+
       "Content-Type: application/sdp\r\n"+
       "Supported: "+(options["supported"] || "path, outbound, gruu")+"\r\n"+
+      (options["require"] ? ("Require: "+options["require"]+"\r\n") : "")+
+      (options["session_expires"] ? ("Session-Expires: "+options["session_expires"]+"\r\n") : "")+
+      (options["min_se"] ? ("Min-SE: "+options["min_se"]+"\r\n") : "")+
+      (options["replaces"] ? ("Replaces: "+options["replaces"]+"\r\n") : "")+
       "User-Agent: BroadSoft ExSIP - 1.5\r\n"+
       "Content-Length: "+sdp.length+"\r\n"+
       "\r\n"+
@@ -0,0 +1,103 @@
+module( "codecs", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('setCodecs', function() {
+  var description = TestExSIP.Helpers.createDescription();
+  ok(description.setCodecs({audio: ["G722"], video: ["H263", "h264/90000"]}));
+  deepEqual(description.getAudioCodecs(), ["9", "126"], 'should keep the telephone events');
+  deepEqual(description.getVideoCodecs(), ["34", "99", "109"]);
+
+  ok(description.setCodecs({video: ["H263"]}));
+  deepEqual(description.getVideoCodecs(), ["34"]);
+  strictEqual(description.getVideoCodecRtpmap("99"), null);
+  strictEqual(description.getVideoCodecFmtp("109"), null);
+  strictEqual(description.getVideoCodecFmtp("34"), "CIF=1;QCIF=1;SQCIF=1");
+  deepEqual(description.getAudioCodecs(), ["9", "126"]);
+
+  var sdp = description.sdp;
+  ok(!description.setCodecs({audio: ["opus"]}));
+  strictEqual(description.sdp, sdp);
+
+  description = TestExSIP.Helpers.createDescription({audioCodecs: "0 8 9 126"});
+  ok(description.setCodecs({audio: ["PCMA", "PCMU"]}));
+  deepEqual(description.getAudioCodecs(), ["8", "0", "126"], 'should know the static payload types');
+  strictEqual(description.getAudioCodecRtpmap("9"), null);
+
+  description = new ExSIP.WebRTC.RTCSessionDescription({type: "offer", sdp: "v=0\r\n"+
+    "m=video 9 RTP/SAVPF 100 116 96 97\r\n"+
+    "a=rtpmap:100 VP8/90000\r\n"+
+    "a=rtcp-fb:100 nack\r\n"+
+    "a=rtpmap:116 red/90000\r\n"+
+    "a=rtpmap:96 rtx/90000\r\n"+
+    "a=fmtp:96 apt=100\r\n"+
+    "a=rtpmap:97 rtx/90000\r\n"+
+    "a=fmtp:97 apt=116\r\n"+
+    "a=rtcp-fb:* goog-remb\r\n"});
+  ok(description.setCodecs({video: ["VP8"]}));
+  strictEqual(description.sdp, "v=0\r\n"+
+    "m=video 9 RTP/SAVPF 100 96\r\n"+
+    "a=rtpmap:100 VP8/90000\r\n"+
+    "a=rtcp-fb:100 nack\r\n"+
+    "a=rtpmap:96 rtx/90000\r\n"+
+    "a=fmtp:96 apt=100\r\n"+
+    "a=rtcp-fb:* goog-remb\r\n");
+});
+test('call with codecs', function() {
+  var session = ua.call("bob@exsip.net", ExSIP.Utils.merge_options(TestExSIP.Helpers.getMediaOptions(), {codecs: {video: ["H263"]}}));
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.method, ExSIP.C.INVITE);
+  ok(inviteMsg.body.indexOf("m=video 16930 RTP/AVP 34\r\n") !== -1);
+  strictEqual(inviteMsg.body.indexOf("a=rtpmap:99"), -1);
+  ok(inviteMsg.body.indexOf("m=audio 16550 RTP/AVP 9 126\r\n") !== -1);
+
+  var failed = null;
+  session = ua.call("bob@exsip.net", ExSIP.Utils.merge_options(TestExSIP.Helpers.getMediaOptions(), {codecs: {audio: ["opus"]},
+    eventHandlers: {failed: function(e){ failed = e.data; }}}));
+  strictEqual(failed.cause, ExSIP.C.causes.INCOMPATIBLE_SDP);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null);
+
+  throws(function(){ ua.call("bob@exsip.net", {codecs: {audio: "PCMU"}}); }, TypeError);
+});
+test('answer with codecs', function() {
+  var session = null, failed = null;
+  ua.on('newRTCSession', function(e){ session = e.data.session; });
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 180);
+  session.on('failed', function(e){ failed = e.data; });
+  session.answer({codecs: {audio: ["PCMU"]}});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 488);
+  strictEqual(failed.cause, ExSIP.C.causes.INCOMPATIBLE_SDP);
+});
+test('codecs configuration', function() {
+  throws(function(){ TestExSIP.Helpers.createFakeUA({codecs: {audio: "PCMU"}}); }, ExSIP.Exceptions.ConfigurationError);
+  throws(function(){ TestExSIP.Helpers.createFakeUA({codecs: {text: ["t140"]}}); }, ExSIP.Exceptions.ConfigurationError);
+
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, codecs: {audio: ["PCMU", "G722"]}});
+  TestExSIP.Helpers.startAndConnect(ua);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var sessions = [];
+  ua.on('newRTCSession', function(e){ sessions.push(e.data.session); });
+  var sessionsCount = Object.keys(ua.sessions).length;
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {audioCodecs: "8 126"})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 488);
+  strictEqual(sessions.length, 0);
+  strictEqual(Object.keys(ua.sessions).length, sessionsCount, 'should not keep the rejected session');
+  strictEqual(Object.keys(ua.dialogs).length, 0, 'should not keep a dialog of the rejected session');
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {audioCodecs: "0 9 126", callId: "codecs1", branch: "z9hG4bKcodecs1"})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 180);
+  strictEqual(sessions[0].codecs, ua.configuration.codecs);
+  sessions[0].answer();
+  TestExSIP.Helpers.triggerOnIceCandidate(sessions[0]);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+  ok(answerMsg.body.indexOf("m=audio 16550 RTP/AVP 9 126\r\n") !== -1);
+  ok(answerMsg.body.indexOf("m=video 16930 RTP/AVP 99 109 34\r\n") !== -1, 'should not change the video without preferences');
+});
@@ -0,0 +1,156 @@
+module( "conference", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+
+    ua.transport.onMessage({data: TestExSIP.Helpers.ringingResponse(ua)});
+    ua.transport.onMessage({data: TestExSIP.Helpers.inviteResponse(ua, {contact: "<sip:conf1@bridge.exsip.net;transport=ws>;isfocus"})});
+    joinedEvents = [];
+    leftEvents = [];
+    session.on('participantJoined', function(e){ joinedEvents.push(e); });
+    session.on('participantLeft', function(e){ leftEvents.push(e); });
+  }, teardown: function() {
+  }
+});
+test('parse conference info', function() {
+  var info = ExSIP.ConferenceInfo.parse(conferenceInfo(1, "full",
+    conferenceUser("sip:bob@exsip.net", "full", "connected") + conferenceUser("sip:carol@exsip.net", "full", "disconnected")));
+  strictEqual(info.entity, "sip:conf1@bridge.exsip.net");
+  strictEqual(info.version, 1);
+  strictEqual(info.state, "full");
+  strictEqual(info.subject, "Weekly");
+  strictEqual(info.user_count, 2);
+  strictEqual(info.active, true);
+  strictEqual(info.locked, null);
+  strictEqual(info.users.length, 2);
+  var user = info.users[0];
+  strictEqual(user.entity, "sip:bob@exsip.net");
+  strictEqual(user.display_text, "sip:bob@exsip.net");
+  strictEqual(user.endpoints[0].entity, "sip:bob@exsip.net;ep=1");
+  strictEqual(user.endpoints[0].status, "connected");
+  deepEqual(user.endpoints[0].media, [{id: "1", display_text: null, type: "audio", label: "a1", status: "sendrecv"}]);
+  ok(ExSIP.ConferenceInfo.isConnected(user));
+  ok(!ExSIP.ConferenceInfo.isConnected(info.users[1]));
+
+  strictEqual(ExSIP.ConferenceInfo.parse('<conference-info xmlns="urn:ietf:params:xml:ns:conference-info" version="1"/>'), null, 'should require the entity');
+});
+test('subscribe to a focus', function() {
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.call_id, session.dialog.id.call_id, 'should subscribe in the dialog');
+  strictEqual(subscribeMsg.getHeader('Event'), "conference");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/conference-info+xml");
+  ok(session.isConference());
+
+  TestExSIP.Helpers.responseFor(subscribeMsg, {method: ExSIP.C.SUBSCRIBE, noSdp: true, expires: "3600"});
+  ok(session.conferenceHandler.subscribed);
+
+  conferenceNotifyFor(subscribeMsg, conferenceInfo(0, "full",
+    conferenceUser("sip:fakeUA@exsip.net", "full", "connected") + conferenceUser("sip:bob@exsip.net", "full", "connected")));
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(joinedEvents.length, 2);
+  strictEqual(joinedEvents[1].data.participant.entity, "sip:bob@exsip.net");
+  strictEqual(session.getParticipants().length, 2);
+
+  conferenceNotifyFor(subscribeMsg, conferenceInfo(1, "partial",
+    conferenceUser("sip:carol@exsip.net", "full", "connected") +
+    '<user entity="sip:bob@exsip.net" state="partial"><endpoint entity="sip:bob@exsip.net;ep=1" state="partial"><status>disconnected</status></endpoint></user>'));
+  strictEqual(joinedEvents.length, 3);
+  strictEqual(joinedEvents[2].data.participant.entity, "sip:carol@exsip.net");
+  strictEqual(leftEvents.length, 1);
+  strictEqual(leftEvents[0].data.participant.entity, "sip:bob@exsip.net");
+  strictEqual(leftEvents[0].data.participant.endpoints[0].media.length, 1, 'should keep the media of the partial endpoint');
+  strictEqual(session.getParticipants().length, 3);
+
+  conferenceNotifyFor(subscribeMsg, conferenceInfo(2, "partial", '<user entity="sip:carol@exsip.net" state="deleted"/>'));
+  strictEqual(leftEvents.length, 2);
+  strictEqual(leftEvents[1].data.participant.entity, "sip:carol@exsip.net");
+  strictEqual(session.getParticipants().length, 2);
+
+  conferenceNotifyFor(subscribeMsg, conferenceInfo(4, "partial", ""));
+  TestExSIP.Helpers.popPenultimateMessageSent(ua);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.SUBSCRIBE, 'should refresh to get the full state');
+});
+test('add and remove participants', function() {
+  var added = false, failure = null;
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.addParticipant("carol@exsip.net", {success: function(){ added = true; }});
+  var referMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(referMsg.method, ExSIP.C.REFER);
+  strictEqual(referMsg.call_id, subscribeMsg.call_id, 'should refer in the dialog');
+  strictEqual(referMsg.getHeader('Refer-To'), "<sip:carol@exsip.net>");
+  TestExSIP.Helpers.responseFor(referMsg, {method: ExSIP.C.REFER, status_code: "202 Accepted", noSdp: true});
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "refer;id="+referMsg.cseq,
+    subscription_state: "terminated;reason=noresource", content_type: "message/sipfrag",
+    from_tag: subscribeMsg.from_tag, to_tag: subscribeMsg.to_tag, call_id: subscribeMsg.call_id, branch: "z9hG4bK-refer1"},
+    "SIP/2.0 200 OK\r\n")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(added, true);
+
+  session.removeParticipant("bob@exsip.net", {failure: function(response){ failure = response; }});
+  referMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(referMsg.getHeader('Refer-To'), "<sip:bob@exsip.net;method=BYE>");
+  TestExSIP.Helpers.responseFor(referMsg, {method: ExSIP.C.REFER, status_code: "403 Forbidden", noSdp: true});
+  strictEqual(failure.status_code, 403);
+});
+test('add a participant after an authentication', function() {
+  var added = false;
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.addParticipant("carol@exsip.net", {success: function(){ added = true; }});
+  var referMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(referMsg, {method: ExSIP.C.REFER, status_code: "401 Unauthorized", noSdp: true,
+    www_authenticate: "DIGEST qop=\"auth\",nonce=\"BroadWorksXhou9t4uvTc36x37BW\",realm=\"broadsoft.com\",algorithm=MD5"});
+  var authMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(authMsg.method, ExSIP.C.REFER);
+  strictEqual(authMsg.cseq, referMsg.cseq + 1);
+  TestExSIP.Helpers.responseFor(authMsg, {method: ExSIP.C.REFER, status_code: "202 Accepted", noSdp: true});
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "refer;id="+authMsg.cseq,
+    subscription_state: "terminated;reason=noresource", content_type: "message/sipfrag",
+    from_tag: subscribeMsg.from_tag, to_tag: subscribeMsg.to_tag, call_id: subscribeMsg.call_id, branch: "z9hG4bK-refer2"},
+    "SIP/2.0 200 OK\r\n")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(added, true, 'should match the NOTIFY with the CSeq of the authenticated REFER');
+  deepEqual(session.conferenceHandler.refers, {});
+});
+test('no focus', function() {
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  session.close();
+  ua.transport.onMessage({data: TestExSIP.Helpers.ringingResponse(ua)});
+
+  var otherSession = ua.call("sip:bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(otherSession);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK, 'should not subscribe');
+  ok(!otherSession.isConference());
+  throws(function(){ otherSession.addParticipant("carol@exsip.net"); }, ExSIP.Exceptions.InvalidStateError);
+});
+
+function conferenceNotifyFor(subscribeMsg, body) {
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "conference",
+    subscription_state: "active;expires=3600", content_type: "application/conference-info+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: subscribeMsg.to_tag, call_id: subscribeMsg.call_id,
+    branch: "z9hG4bK" + Math.floor(Math.random() * 10000000)}, body)});
+}
+
+function conferenceInfo(version, state, users) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+    '<conference-info xmlns="urn:ietf:params:xml:ns:conference-info" entity="sip:conf1@bridge.exsip.net" state="'+state+'" version="'+version+'">'+
+    '<conference-description><subject>Weekly</subject></conference-description>'+
+    '<conference-state><user-count>2</user-count><active>true</active></conference-state>'+
+    '<users>'+users+'</users>'+
+    '</conference-info>';
+}
+
+function conferenceUser(entity, state, status) {
+  return '<user entity="'+entity+'" state="'+state+'"><display-text>'+entity+'</display-text>'+
+    '<endpoint entity="'+entity+';ep=1"><status>'+status+'</status>'+
+    '<media id="1"><type>audio</type><label>a1</label><status>sendrecv</status></media>'+
+    '</endpoint></user>';
+}
@@ -0,0 +1,93 @@
+module( "cpim", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    newMessageEvents = [];
+    ua.on('newMessage', function(e){ newMessageEvents.push(e); });
+  }, teardown: function() {
+  }
+});
+test('parse namespaces', function() {
+  var cpim = ExSIP.CPIM.parse("From: <im:alice@exsip.net>\r\n"+
+    "NS: MyFeatures <mid:MessageFeatures@id.exsip.net>\r\n"+
+    "MyFeatures.VitalMessageOption: Confirmation-requested\r\n"+
+    "NS: <mid:Default@id.exsip.net>\r\n"+
+    "Subject: hi\r\n"+
+    "\r\n"+
+    "Content-Type: text/plain\r\n"+
+    "\r\n"+
+    "hello");
+  deepEqual(cpim.namespaces, {MyFeatures: "mid:MessageFeatures@id.exsip.net", "": "mid:Default@id.exsip.net"});
+  deepEqual(cpim.headers[1], {prefix: "MyFeatures", name: "VitalMessageOption", ns: "mid:MessageFeatures@id.exsip.net", value: "Confirmation-requested"});
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "From"), "<im:alice@exsip.net>");
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Subject"), null, 'should declare the default namespace');
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Subject", "mid:Default@id.exsip.net"), "hi");
+  strictEqual(cpim.contentType.type, "text");
+  strictEqual(cpim.body, "hello");
+  strictEqual(ExSIP.CPIM.parse("NS: MyFeatures\r\n\r\nContent-Type: text/plain\r\n\r\nhello"), null);
+});
+test('send with custom namespaces', function() {
+  ua.sendMessage("bob@exsip.net", "<p>hello</p>", {contentType: "text/html", cpim: {
+    to: "Bob <im:bob@exsip.net>",
+    namespaces: {MyFeatures: "mid:MessageFeatures@id.exsip.net"},
+    headers: ["MyFeatures.VitalMessageOption: Confirmation-requested"],
+    contentHeaders: ["Content-Language: en"]
+  }});
+  var messageMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(messageMsg.getHeader('Content-Type'), "message/cpim");
+  var cpim = ExSIP.CPIM.parse(messageMsg.body);
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "From"), "<sip:fakeUA@exsip.net>");
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "To"), "Bob <im:bob@exsip.net>");
+  ok(ExSIP.CPIM.getDateTime(cpim) instanceof Date);
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "VitalMessageOption", "mid:MessageFeatures@id.exsip.net"), "Confirmation-requested");
+  strictEqual(cpim.contentHeaders['content-type'], "text/html");
+  strictEqual(cpim.contentHeaders['content-language'], "en");
+  strictEqual(cpim.body, "<p>hello</p>");
+  strictEqual(newMessageEvents.length, 1);
+});
+test('receive', function() {
+  ua.transport.onMessage({data: cpimMessage(ExSIP.CPIM.create(["From: Alice <im:alice@exsip.net>", "To: <im:fakeUA@exsip.net>",
+    "DateTime: 2014-01-02T03:04:05.000Z", "NS: MyFeatures <mid:MessageFeatures@id.exsip.net>",
+    "MyFeatures.VitalMessageOption: Confirmation-requested"], "text/plain", "hello"))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(newMessageEvents.length, 1);
+  var cpim = newMessageEvents[0].data.cpim;
+  strictEqual(cpim.from, "Alice <im:alice@exsip.net>");
+  strictEqual(cpim.to, "<im:fakeUA@exsip.net>");
+  strictEqual(cpim.datetime.toISOString(), "2014-01-02T03:04:05.000Z");
+  deepEqual(cpim.namespaces, {MyFeatures: "mid:MessageFeatures@id.exsip.net"});
+  strictEqual(cpim.headers[3].value, "Confirmation-requested");
+  strictEqual(cpim.content_type, "text/plain");
+  strictEqual(cpim.body, "hello");
+
+  ua.transport.onMessage({data: cpimMessage(ExSIP.CPIM.create(["From: <sip:alice@exsip.net>"], "image/png", "png"))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 415);
+  strictEqual(newMessageEvents.length, 1);
+});
+test('receive composition indications', function() {
+  var composingEvents = [];
+  ua.on('composingChanged', function(e){ composingEvents.push(e); });
+  ua.transport.onMessage({data: cpimMessage(ExSIP.CPIM.create(["From: <sip:alice@exsip.net>"],
+    "application/im-iscomposing+xml", ExSIP.IsComposing.create("active")))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(composingEvents.length, 1);
+  strictEqual(composingEvents[0].data.state, "active");
+  strictEqual(newMessageEvents.length, 0);
+});
+
+function cpimMessage(body) {
+  var sip = "MESSAGE sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.109;branch=z9hG4bK" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:alice@exsip.net>;tag=" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Call-ID: " + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "CSeq: 1 MESSAGE\r\n"+
+    "Content-Type: message/cpim\r\n"+
+    "Content-Length: " + body.length + "\r\n"+
+    "\r\n"+
+    body;
+  return TestExSIP.Helpers.createSIPMessage(ua, sip);
+}
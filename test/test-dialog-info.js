@@ -0,0 +1,98 @@
+module( "dialog info", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('dialogInfoChanged', function(e){ dialogInfoEvents.push(e); });
+    dialogInfoEvents = [];
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('parse dialog info', function() {
+  var info = ExSIP.DialogInfo.parse(dialogInfo(1, "full", earlyDialog()));
+  strictEqual(info.entity, "sip:bob@exsip.net");
+  strictEqual(info.version, 1);
+  strictEqual(info.state, "full");
+  strictEqual(info.dialogs.length, 1);
+  var dialog = info.dialogs[0];
+  strictEqual(dialog.id, "d1");
+  strictEqual(dialog.call_id, "call1");
+  strictEqual(dialog.direction, "recipient");
+  strictEqual(dialog.state, "early");
+  strictEqual(dialog.remote.identity, "sip:alice@exsip.net");
+  strictEqual(dialog.remote.display_name, "Alice");
+  strictEqual(dialog.local.target, "sip:bob@pc.exsip.net");
+  strictEqual(dialog.replaces, "call1;to-tag=alicetag;from-tag=bobtag");
+
+  strictEqual(ExSIP.DialogInfo.parse("<dialog-info/>"), null);
+});
+test('watch a list of users', function() {
+  var subscribers = ua.watchDialogs(["bob@exsip.net", "carol@exsip.net"]);
+  strictEqual(subscribers.length, 2);
+  var subscribeMsg = TestExSIP.Helpers.popPenultimateMessageSent(ua);
+  strictEqual(subscribeMsg.getHeader('Event'), "dialog");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/dialog-info+xml");
+  strictEqual(subscribeMsg.ruri.toString(), "sip:bob@exsip.net");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).ruri.toString(), "sip:carol@exsip.net");
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(0, "full", ""));
+  strictEqual(dialogInfoEvents[0].data.target.toString(), "sip:bob@exsip.net");
+  strictEqual(dialogInfoEvents[0].data.state, "terminated");
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(1, "partial", earlyDialog()));
+  strictEqual(dialogInfoEvents[1].data.state, "early");
+  strictEqual(dialogInfoEvents[1].data.dialogs[0].replaces, "call1;to-tag=alicetag;from-tag=bobtag");
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(2, "partial", dialog("d1", "confirmed")));
+  strictEqual(dialogInfoEvents[2].data.state, "confirmed");
+  strictEqual(dialogInfoEvents[2].data.dialogs.length, 1, 'should merge the partial state');
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(2, "partial", dialog("d1", "terminated")));
+  strictEqual(dialogInfoEvents.length, 3, 'should discard an old version');
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(3, "partial", dialog("d1", "terminated")));
+  strictEqual(dialogInfoEvents[3].data.state, "terminated");
+  strictEqual(dialogInfoEvents[3].data.dialogs[0].state, "terminated", 'should report the terminated dialog');
+  deepEqual(ua.dialogInfo.getDialogs("bob@exsip.net"), []);
+});
+test('missed partial notification', function() {
+  ua.watchDialogs("bob@exsip.net");
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  dialogNotifyFor(subscribeMsg, dialogInfo(0, "full", ""));
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(2, "partial", earlyDialog()));
+  strictEqual(dialogInfoEvents.length, 1);
+  var refreshMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(refreshMsg.method, ExSIP.C.SUBSCRIBE, 'should refresh to get the full state');
+
+  dialogNotifyFor(subscribeMsg, dialogInfo(3, "full", earlyDialog() + dialog("d2", "confirmed")));
+  strictEqual(dialogInfoEvents[1].data.dialogs.length, 2);
+  strictEqual(dialogInfoEvents[1].data.state, "early");
+});
+
+function dialogNotifyFor(subscribeMsg, body) {
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "dialog",
+    subscription_state: "active;expires=3600", content_type: "application/dialog-info+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id,
+    branch: "z9hG4bK" + Math.floor(Math.random() * 10000000)}, body)});
+}
+
+function dialogInfo(version, state, dialogs) {
+  return '<?xml version="1.0"?>\r\n'+
+    '<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" version="'+version+'" state="'+state+'" entity="sip:bob@exsip.net">'+
+    dialogs+'</dialog-info>';
+}
+
+function dialog(id, state) {
+  return '<dialog id="'+id+'"><state>'+state+'</state></dialog>';
+}
+
+function earlyDialog() {
+  return '<dialog id="d1" call-id="call1" local-tag="bobtag" remote-tag="alicetag" direction="recipient">'+
+    '<state>early</state>'+
+    '<local><identity>sip:bob@exsip.net</identity><target uri="sip:bob@pc.exsip.net"/></local>'+
+    '<remote><identity display="Alice">sip:alice@exsip.net</identity></remote>'+
+    '</dialog>';
+}
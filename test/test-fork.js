@@ -0,0 +1,88 @@
+module( "forked INVITE", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('2xx from one of the ringing branches', function() {
+  var forkEvent = null;
+  session.on('fork', function(e){ forkEvent = e; });
+
+  responseFromBranch("branch1", {status_code: "180 Ringing", noSdp: true});
+  responseFromBranch("branch2", {status_code: "180 Ringing", noSdp: true});
+  strictEqual(Object.keys(session.earlyDialogs).length, 2, 'should track an early dialog per branch');
+
+  responseFromBranch("branch2");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.dialog.id.remote_tag, "branch2");
+  strictEqual(Object.keys(session.earlyDialogs).length, 0, 'should terminate the other early dialogs');
+  strictEqual(forkEvent.data.branch, "branch2");
+  deepEqual(forkEvent.data.terminated, ["branch1"]);
+  strictEqual(forkEvent.data.earlyMedia, false);
+});
+test('late 2xx from another branch', function() {
+  var ended = false;
+  session.on('ended', function(){ ended = true; });
+  responseFromBranch("branch1", {status_code: "180 Ringing", noSdp: true});
+  responseFromBranch("branch1");
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  responseFromBranch("branch2");
+  var byeMsg = TestExSIP.Helpers.popMessageSent(ua);
+  var ackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ackMsg.method, ExSIP.C.ACK);
+  strictEqual(ackMsg.to_tag, "branch2");
+  strictEqual(ackMsg.cseq, inviteMsg.cseq);
+  strictEqual(byeMsg.method, ExSIP.C.BYE);
+  strictEqual(byeMsg.to_tag, "branch2");
+  strictEqual(byeMsg.call_id, inviteMsg.call_id);
+
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.dialog.id.remote_tag, "branch1");
+  strictEqual(ended, false);
+  strictEqual(ua.dialogs[inviteMsg.call_id + inviteMsg.from_tag + "branch2"], undefined, 'should not keep the dialog of the branch');
+
+  responseFromBranch("branch2");
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should discard the retransmission');
+});
+test('early media from the first branch', function() {
+  responseFromBranch("branch1", {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "16000"});
+  var prackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(prackMsg.method, ExSIP.C.PRACK);
+  strictEqual(prackMsg.to_tag, "branch1");
+  responseFromBranch("branch2", {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "17000"});
+  prackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(prackMsg.method, ExSIP.C.PRACK, 'should acknowledge each branch');
+  strictEqual(prackMsg.to_tag, "branch2");
+  strictEqual(prackMsg.getHeader('RAck'), '1 ' + inviteMsg.cseq + ' INVITE');
+  var remoteDescription = session.rtcMediaHandler.peerConnection.remoteDescription;
+  ok(remoteDescription.sdp.indexOf('m=audio 16000') !== -1, 'should render the early media of the first branch');
+  strictEqual(remoteDescription.type, 'pranswer');
+
+  var forkEvent = null;
+  session.on('fork', function(e){ forkEvent = e; });
+  responseFromBranch("branch1", {noSdp: true});
+  strictEqual(forkEvent.data.earlyMedia, true);
+  remoteDescription = session.rtcMediaHandler.peerConnection.remoteDescription;
+  ok(remoteDescription.sdp.indexOf('m=audio 16000') !== -1);
+  strictEqual(remoteDescription.type, 'answer', 'should make the early answer final');
+});
+test('2xx from a branch other than the early media one', function() {
+  responseFromBranch("branch1", {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "16000"});
+  responseFromBranch("branch2", {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "17000"});
+
+  responseFromBranch("branch2", {noSdp: true});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 17000') !== -1, 'should apply the answer of the winning branch');
+});
+
+function responseFromBranch(toTag, options) {
+  options = TestExSIP.Helpers.mergeOptions(inviteMsg, options);
+  options.to_tag = toTag;
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteResponse(ua, options)});
+}
@@ -0,0 +1,177 @@
+module( "imdn", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    newMessageEvents = [];
+    ua.on('newMessage', function(e){ newMessageEvents.push(e); });
+  }, teardown: function() {
+  }
+});
+test('create and parse', function() {
+  var cpim = ExSIP.CPIM.parse(ExSIP.CPIM.create(["From: <sip:alice@exsip.net>", "NS: imdn <urn:ietf:params:imdn>",
+    "imdn.Message-ID: 34jk324j", "DateTime: 2014-01-02T03:04:05.000Z"], "text/plain", "hello"));
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "from"), "<sip:alice@exsip.net>");
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Message-ID", ExSIP.IMDN.C.NS), "34jk324j");
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Message-ID"), null, 'should match the namespace');
+  strictEqual(cpim.contentHeaders['content-type'], "text/plain");
+  strictEqual(cpim.body, "hello");
+  strictEqual(ExSIP.CPIM.parse("hello"), null);
+
+  var notification = ExSIP.IMDN.parse(ExSIP.IMDN.create("display-notification", "displayed",
+    {message_id: "34jk324j", datetime: new Date(Date.UTC(2014, 0, 2, 3, 4, 5)), recipient: "sip:bob@exsip.net"}));
+  deepEqual(notification, {message_id: "34jk324j", type: "display-notification", status: "displayed",
+    datetime: new Date(Date.UTC(2014, 0, 2, 3, 4, 5)), recipient: "sip:bob@exsip.net"});
+  strictEqual(ExSIP.IMDN.parse('<imdn xmlns="urn:ietf:params:xml:ns:imdn"><message-id>1</message-id></imdn>'), null);
+});
+test('request dispositions', function() {
+  var message = new ExSIP.Message(ua);
+  message.send("bob@exsip.net", "hello", {imdn: ["positive-delivery", "display"]});
+  var messageMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(messageMsg.getHeader('Content-Type'), "message/cpim");
+  var cpim = ExSIP.CPIM.parse(messageMsg.body);
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "To"), "<sip:bob@exsip.net>");
+  ok(ExSIP.CPIM.getHeader(cpim, "DateTime"));
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Message-ID", ExSIP.IMDN.C.NS), message.message_id);
+  strictEqual(ExSIP.CPIM.getHeader(cpim, "Disposition-Notification", ExSIP.IMDN.C.NS), "positive-delivery, display");
+  strictEqual(cpim.contentHeaders['content-type'], "text/plain");
+  strictEqual(cpim.body, "hello");
+  strictEqual(newMessageEvents.length, 1);
+});
+test('receive notifications', function() {
+  var events = [], message = new ExSIP.Message(ua);
+  message.send("bob@exsip.net", "hello", {imdn: ["positive-delivery", "display"], eventHandlers: {
+    delivered: function(e){ events.push(e); },
+    displayed: function(e){ events.push(e); },
+    notificationFailed: function(e){ events.push(e); }
+  }});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  ua.transport.onMessage({data: imdnMessage(imdnNotification(message.message_id, "delivery-notification", "delivered"))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(newMessageEvents.length, 1, 'should not report the notification as a message');
+  strictEqual(events.length, 1);
+  strictEqual(events[0].type, "delivered");
+  strictEqual(events[0].data.status, "delivered");
+  strictEqual(events[0].data.recipient, "sip:bob@exsip.net");
+
+  ua.transport.onMessage({data: imdnMessage(imdnNotification(message.message_id, "display-notification", "error"))});
+  strictEqual(events.length, 2);
+  strictEqual(events[1].type, "notificationFailed");
+  strictEqual(events[1].data.notification, "display-notification");
+  strictEqual(events[1].data.status, "error");
+  strictEqual(ua.imdn.messages[message.message_id], undefined, 'should forget the message once notified');
+
+  ua.transport.onMessage({data: imdnMessage(imdnNotification("unknown", "delivery-notification", "delivered"))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(events.length, 2);
+});
+test('send notifications', function() {
+  var sent, cpim, notification;
+  ua.transport.onMessage({data: imdnMessage(ExSIP.CPIM.create(["From: Alice <sip:alice@pc.exsip.net>", "To: <sip:fakeUA@exsip.net>",
+    "NS: imdn <urn:ietf:params:imdn>", "imdn.Message-ID: 34jk324j", "DateTime: 2014-01-02T03:04:05.000Z",
+    "imdn.Disposition-Notification: positive-delivery, display"], "text/plain", "hello"))});
+  strictEqual(newMessageEvents.length, 1);
+  var message = newMessageEvents[0].data.message;
+  strictEqual(message.imdn.message_id, "34jk324j");
+
+  sent = TestExSIP.Helpers.popMessageSent(ua);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(sent.method, ExSIP.C.MESSAGE);
+  strictEqual(sent.ruri.toString(), "sip:alice@pc.exsip.net", 'should notify the CPIM sender');
+  cpim = ExSIP.CPIM.parse(sent.body);
+  strictEqual(cpim.contentHeaders['content-disposition'], "notification");
+  notification = ExSIP.IMDN.parse(cpim.body);
+  strictEqual(notification.message_id, "34jk324j");
+  strictEqual(notification.type, "delivery-notification");
+  strictEqual(notification.status, "delivered");
+  strictEqual(newMessageEvents.length, 1, 'should not report the notification as a message');
+
+  ok(message.notifyDisplayed());
+  notification = ExSIP.IMDN.parse(ExSIP.CPIM.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body).body);
+  strictEqual(notification.type, "display-notification");
+  strictEqual(notification.status, "displayed");
+  ok(!message.notifyDisplayed(), 'should notify the display once');
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null);
+
+  ua.transport.onMessage({data: imdnMessage("hello")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 400);
+});
+test('send notifications of a message without DateTime', function() {
+  var before = new Date();
+  ua.transport.onMessage({data: imdnMessage(ExSIP.CPIM.create(["From: <sip:alice@exsip.net>", "To: <sip:fakeUA@exsip.net>",
+    "NS: imdn <urn:ietf:params:imdn>", "imdn.Message-ID: 34jk324k", "imdn.Disposition-Notification: positive-delivery"], "text/plain", "hello"))});
+  var sent = TestExSIP.Helpers.popMessageSent(ua);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  var notification = ExSIP.IMDN.parse(ExSIP.CPIM.parse(sent.body).body);
+  strictEqual(notification.message_id, "34jk324k");
+  ok(notification.datetime >= before && notification.datetime <= new Date(), 'should give the time the message was received');
+});
+
+test('send negative delivery notifications', function() {
+  ua.on('newMessage', function(e){ e.data.message.reject({status_code: 403}); });
+  ua.transport.onMessage({data: imdnMessage(ExSIP.CPIM.create(["From: <sip:alice@exsip.net>", "To: <sip:fakeUA@exsip.net>",
+    "NS: imdn <urn:ietf:params:imdn>", "imdn.Message-ID: 34jk324j",
+    "imdn.Disposition-Notification: positive-delivery, negative-delivery"], "text/plain", "hello"))});
+
+  var sent = TestExSIP.Helpers.popMessageSent(ua);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 403);
+  strictEqual(sent.method, ExSIP.C.MESSAGE);
+  var notification = ExSIP.IMDN.parse(ExSIP.CPIM.parse(sent.body).body);
+  strictEqual(notification.message_id, "34jk324j");
+  strictEqual(notification.type, "delivery-notification");
+  strictEqual(notification.status, "failed");
+});
+test('receive notifications without message listener', function() {
+  var events = [];
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+  TestExSIP.Helpers.startAndConnect(ua);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var message = new ExSIP.Message(ua);
+  message.send("bob@exsip.net", "hello", {imdn: ["positive-delivery"], eventHandlers: {
+    delivered: function(e){ events.push(e); }
+  }});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  ua.transport.onMessage({data: imdnMessage(imdnNotification(message.message_id, "delivery-notification", "delivered"))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(events.length, 1);
+});
+test('expired notifications', function() {
+  var timers = [], setTimeout = window.setTimeout;
+  window.setTimeout = function(fn, timeout){ timers.push({fn: fn, timeout: timeout}); return timers.length; };
+  var message = new ExSIP.Message(ua);
+  message.send("bob@exsip.net", "hello", {imdn: ["display"]});
+  window.setTimeout = setTimeout;
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ua.imdn.messages[message.message_id], message);
+
+  var timer = timers[ua.imdn.timers[message.message_id] - 1];
+  strictEqual(timer.timeout, ExSIP.IMDN.C.EXPIRES * 1000);
+  timer.fn();
+  strictEqual(ua.imdn.messages[message.message_id], undefined, 'should forget the message without display notification');
+  strictEqual(ua.imdn.timers[message.message_id], undefined);
+});
+
+function imdnNotification(messageId, type, status) {
+  return ExSIP.CPIM.create(["From: <sip:bob@exsip.net>", "To: <sip:fakeUA@exsip.net>",
+    "NS: imdn <urn:ietf:params:imdn>", "imdn.Message-ID: dfg3498"],
+    "message/imdn+xml", ExSIP.IMDN.create(type, status, {message_id: messageId, datetime: new Date(), recipient: "sip:bob@exsip.net"}),
+    ["Content-Disposition: notification"]);
+}
+
+function imdnMessage(body) {
+  var sip = "MESSAGE sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.109;branch=z9hG4bK" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:alice@exsip.net>;tag=" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Call-ID: " + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "CSeq: 1 MESSAGE\r\n"+
+    "Content-Type: message/cpim\r\n"+
+    "Content-Length: " + body.length + "\r\n"+
+    "\r\n"+
+    body;
+  return TestExSIP.Helpers.createSIPMessage(ua, sip);
+}
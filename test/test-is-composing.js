@@ -0,0 +1,130 @@
+module( "is composing", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    newMessageEvents = [];
+    composingEvents = [];
+    ua.on('newMessage', function(e){ newMessageEvents.push(e); });
+    ua.on('composingChanged', function(e){ composingEvents.push(e); });
+  }, teardown: function() {
+  }
+});
+test('create and parse', function() {
+  var info = ExSIP.IsComposing.parse(ExSIP.IsComposing.create("active", {content_type: "text/plain", refresh: 60}));
+  deepEqual(info, {state: "active", content_type: "text/plain", last_active: null, refresh: 60});
+
+  info = ExSIP.IsComposing.parse(ExSIP.IsComposing.create("idle", {last_active: new Date(Date.UTC(2014, 0, 2, 3, 4, 5))}));
+  strictEqual(info.state, "idle");
+  strictEqual(info.last_active.toISOString(), "2014-01-02T03:04:05.000Z");
+  strictEqual(info.refresh, null);
+
+  strictEqual(ExSIP.IsComposing.parse('<isComposing xmlns="urn:ietf:params:xml:ns:im-iscomposing"><state>typing</state></isComposing>'), null);
+});
+test('send composition indications', function() {
+  ua.setComposing("bob@exsip.net", true);
+  var activeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(activeMsg.method, ExSIP.C.MESSAGE);
+  strictEqual(activeMsg.ruri.toString(), "sip:bob@exsip.net");
+  strictEqual(activeMsg.getHeader('Content-Type'), "application/im-iscomposing+xml");
+  var info = ExSIP.IsComposing.parse(activeMsg.body);
+  strictEqual(info.state, "active");
+  strictEqual(info.content_type, "text/plain");
+  strictEqual(info.refresh, 90);
+  strictEqual(newMessageEvents.length, 0, 'should not report the indication as a message');
+
+  ua.setComposing("bob@exsip.net", true);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null, 'should only send state changes');
+
+  ua.setComposing("bob@exsip.net", false);
+  info = ExSIP.IsComposing.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body);
+  strictEqual(info.state, "idle");
+  ok(info.last_active instanceof Date);
+
+  ua.setComposing("bob@exsip.net", false);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null);
+
+  ua.setComposing("bob@exsip.net", true);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ua.sendMessage("bob@exsip.net", "hello");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).body, "hello");
+  strictEqual(newMessageEvents.length, 1);
+  ua.setComposing("bob@exsip.net", false);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null, 'should end the composition with the message');
+});
+test('idle timeout', function() {
+  var timers = [], setTimeout = window.setTimeout;
+  window.setTimeout = function(fn, delay){ timers.push({fn: fn, delay: delay}); return timers.length; };
+  try {
+    ua.setComposing("bob@exsip.net", true, {idleTimeout: 5, refresh: 60});
+    strictEqual(ExSIP.IsComposing.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body).refresh, 60);
+    var delays = timers.map(function(timer){ return timer.delay; });
+    var refreshTimer = timers[delays.indexOf(57000)], idleTimer = timers[delays.indexOf(5000)];
+    ok(refreshTimer, 'should refresh before the receiver times out');
+    ok(idleTimer);
+
+    refreshTimer.fn();
+    strictEqual(ExSIP.IsComposing.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body).state, "active");
+
+    idleTimer.fn();
+    strictEqual(ExSIP.IsComposing.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body).state, "idle");
+  } finally {
+    window.setTimeout = setTimeout;
+  }
+});
+test('receive composition indications', function() {
+  ua.transport.onMessage({data: composingMessage("application/im-iscomposing+xml",
+    ExSIP.IsComposing.create("active", {content_type: "text/plain", refresh: 60}))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(newMessageEvents.length, 0, 'should not report the indication as a message');
+  strictEqual(composingEvents.length, 1);
+  strictEqual(composingEvents[0].data.originator, "remote");
+  strictEqual(composingEvents[0].data.target.toString(), "sip:alice@exsip.net");
+  strictEqual(composingEvents[0].data.state, "active");
+  strictEqual(composingEvents[0].data.content_type, "text/plain");
+  strictEqual(composingEvents[0].data.refresh, 60);
+
+  ua.transport.onMessage({data: composingMessage("application/im-iscomposing+xml",
+    ExSIP.IsComposing.create("active", {refresh: 60}))});
+  strictEqual(composingEvents.length, 1, 'should only report state changes');
+
+  ua.transport.onMessage({data: composingMessage("text/plain", "hello")});
+  strictEqual(composingEvents.length, 2);
+  strictEqual(composingEvents[1].data.state, "idle", 'should end the composition with the message');
+  strictEqual(newMessageEvents.length, 1);
+
+  ua.transport.onMessage({data: composingMessage("application/im-iscomposing+xml", "<isComposing/>")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 400);
+  strictEqual(composingEvents.length, 2);
+});
+
+test('receive composition indications without message listener', function() {
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+  TestExSIP.Helpers.startAndConnect(ua);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ua.on('composingChanged', function(e){ composingEvents.push(e); });
+
+  ua.transport.onMessage({data: composingMessage("application/im-iscomposing+xml", ExSIP.IsComposing.create("active", {}))});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(composingEvents.length, 1);
+  strictEqual(composingEvents[0].data.state, "active");
+
+  ua.transport.onMessage({data: composingMessage("text/plain", "hello")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 405, 'should reject the messages');
+});
+
+function composingMessage(contentType, body) {
+  var sip = "MESSAGE sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.109;branch=z9hG4bK" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:alice@exsip.net>;tag=" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Call-ID: " + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "CSeq: 1 MESSAGE\r\n"+
+    "Content-Type: " + contentType + "\r\n"+
+    "Content-Length: " + body.length + "\r\n"+
+    "\r\n"+
+    body;
+  return TestExSIP.Helpers.createSIPMessage(ua, sip);
+}
@@ -0,0 +1,208 @@
+module( "msrp", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    msrpMessages = [];
+  }, teardown: function() {
+  }
+});
+test('create and parse', function() {
+  var data = ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "a786hjs2", ["To-Path: msrp://bob.exsip.net:8888/9di4ea;tcp",
+    "From-Path: msrp://alice.exsip.net:7777/iau39;tcp", "Message-ID: 87652491", "Byte-Range: 1-5/5", "Content-Type: text/plain"], "Hello");
+  strictEqual(data, "MSRP a786hjs2 SEND\r\nTo-Path: msrp://bob.exsip.net:8888/9di4ea;tcp\r\nFrom-Path: msrp://alice.exsip.net:7777/iau39;tcp\r\n"+
+    "Message-ID: 87652491\r\nByte-Range: 1-5/5\r\nContent-Type: text/plain\r\n\r\nHello\r\n-------a786hjs2$\r\n");
+  var request = ExSIP.MSRP.parse(data);
+  strictEqual(request.transaction_id, "a786hjs2");
+  strictEqual(request.method, ExSIP.MSRP.C.SEND);
+  strictEqual(request.status_code, null);
+  deepEqual(request.to_path, ["msrp://bob.exsip.net:8888/9di4ea;tcp"]);
+  strictEqual(request.headers['message-id'], "87652491");
+  strictEqual(request.body, "Hello");
+  strictEqual(request.continuation, "$");
+  deepEqual(ExSIP.MSRP.parseByteRange("1-*/*"), {start: 1, end: null, total: null});
+  strictEqual(ExSIP.MSRP.getSessionId(request.to_path[0]), "9di4ea");
+
+  var response = ExSIP.MSRP.parse(ExSIP.MSRP.createResponse(request, 200, "msrp://bob.exsip.net:8888/9di4ea;tcp"));
+  strictEqual(response.status_code, 200);
+  strictEqual(response.reason_phrase, "OK");
+  deepEqual(response.to_path, ["msrp://alice.exsip.net:7777/iau39;tcp"]);
+  strictEqual(response.body, null);
+
+  strictEqual(ExSIP.MSRP.parse("MSRP a786hjs2 SEND\r\nTo-Path: msrp://bob.exsip.net:8888/9di4ea;tcp\r\n\r\nHello"), null);
+});
+test('outgoing session', function() {
+  var events = {};
+  ['started', 'messageSent', 'transferProgress'].forEach(function(name) {
+    events[name] = [];
+  });
+  var msrpSession = ua.startMSRPSession("bob@exsip.net", {acceptTypes: ["text/plain"], eventHandlers: {
+    started: function(e){ events.started.push(e); },
+    messageSent: function(e){ events.messageSent.push(e); },
+    transferProgress: function(e){ events.transferProgress.push(e); }
+  }});
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.method, ExSIP.C.INVITE);
+  ok(inviteMsg.body.indexOf("m=message 9 TCP/WSS/MSRP *\r\n") !== -1);
+  ok(inviteMsg.body.indexOf("a=accept-types:text/plain\r\n") !== -1);
+  ok(inviteMsg.body.indexOf("a=path:"+msrpSession.local.path+"\r\n") !== -1);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {withoutAudio: true, withoutVideo: true, additionalSdp: msrpSdp("msrps://bob.exsip.net:443/9di4ea;ws")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  strictEqual(events.started.length, 1);
+  strictEqual(msrpSession.transport.ws_uri, "wss://bob.exsip.net:443");
+
+  var body = new Array(3001).join("a");
+  var messageId = msrpSession.sendMessage(body);
+  openMSRPTransport(msrpSession);
+  strictEqual(msrpMessages.length, 3);
+  strictEqual(msrpMessages[0].body, null, 'should bind the connection with a bodiless SEND');
+  strictEqual(msrpMessages[0].headers['to-path'], "msrps://bob.exsip.net:443/9di4ea;ws");
+  strictEqual(msrpMessages[1].headers['message-id'], messageId);
+  strictEqual(msrpMessages[1].headers['byte-range'], "1-2048/3000");
+  strictEqual(msrpMessages[1].continuation, "+");
+  strictEqual(msrpMessages[2].headers['byte-range'], "2049-3000/3000");
+  strictEqual(msrpMessages[2].continuation, "$");
+  strictEqual(msrpMessages[1].body + msrpMessages[2].body, body);
+  strictEqual(events.transferProgress.length, 2);
+  strictEqual(events.transferProgress[1].data.bytes, 3000);
+
+  receiveMSRP(msrpSession, ExSIP.MSRP.createResponse(msrpMessages[1], 200, "msrps://bob.exsip.net:443/9di4ea;ws"));
+  strictEqual(events.messageSent.length, 0);
+  receiveMSRP(msrpSession, ExSIP.MSRP.createResponse(msrpMessages[2], 200, "msrps://bob.exsip.net:443/9di4ea;ws"));
+  strictEqual(events.messageSent.length, 1);
+  strictEqual(events.messageSent[0].data.message_id, messageId);
+
+  msrpSession.terminate();
+  var byeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(byeMsg.method, ExSIP.C.BYE);
+  TestExSIP.Helpers.responseFor(byeMsg, {method: ExSIP.C.BYE, noSdp: true});
+  ok(msrpSession.transport.closed);
+  throws(function(){ msrpSession.sendMessage("hello"); }, ExSIP.Exceptions.InvalidStateError);
+});
+test('incoming session', function() {
+  var msrpSession = null, received = [];
+  ua.on('newMSRPSession', function(e){ msrpSession = e.data.session; });
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {withoutAudio: true, withoutVideo: true,
+    additionalSdp: msrpSdp("msrps://bob.exsip.net:443/9di4ea;ws")})});
+  ok(msrpSession instanceof ExSIP.MSRPSession);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 180);
+  msrpSession.on('messageReceived', function(e){ received.push(e.data); });
+
+  msrpSession.answer();
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+  ok(answerMsg.body.indexOf("a=path:"+msrpSession.local.path+"\r\n") !== -1);
+  ok(answerMsg.body.indexOf("a=setup:active\r\n") !== -1);
+  TestExSIP.Helpers.responseFor(answerMsg, {method: ExSIP.C.ACK});
+  openMSRPTransport(msrpSession);
+  msrpMessages = [];
+
+  receiveMSRP(msrpSession, ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "tr1a2b3c", ["To-Path: "+msrpSession.local.path,
+    "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: m1", "Byte-Range: 1-6/6", "Success-Report: yes",
+    "Content-Type: text/plain"], "h\u00c3\u00a9llo"));
+  strictEqual(msrpMessages.length, 2);
+  strictEqual(msrpMessages[0].status_code, 200);
+  strictEqual(msrpMessages[1].method, ExSIP.MSRP.C.REPORT);
+  strictEqual(msrpMessages[1].headers['status'], "000 200 OK");
+  strictEqual(msrpMessages[1].headers['byte-range'], "1-6/6");
+  strictEqual(received.length, 1);
+  strictEqual(received[0].body, "h\u00e9llo");
+  strictEqual(received[0].message_id, "m1");
+
+  msrpMessages = [];
+  receiveMSRP(msrpSession, ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "tr4d5e6f", ["To-Path: msrps://fake.invalid/other;ws",
+    "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: m2", "Byte-Range: 1-5/5"], "hello"));
+  strictEqual(msrpMessages[0].status_code, 481);
+  strictEqual(received.length, 1);
+});
+test('failed message', function() {
+  var failed = [], delivered = [];
+  var msrpSession = ua.startMSRPSession("bob@exsip.net", {ws_uri: "wss://relay.exsip.net", eventHandlers: {
+    messageFailed: function(e){ failed.push(e.data); },
+    messageDelivered: function(e){ delivered.push(e.data); }
+  }});
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {withoutAudio: true, withoutVideo: true, additionalSdp: msrpSdp("msrps://bob.exsip.net:443/9di4ea;ws")});
+  strictEqual(msrpSession.transport.ws_uri, "wss://relay.exsip.net");
+  openMSRPTransport(msrpSession);
+
+  var firstId = msrpSession.sendMessage("hello", "text/plain", {successReport: true});
+  var secondId = msrpSession.sendMessage("hello");
+  receiveMSRP(msrpSession, ExSIP.MSRP.createResponse(msrpMessages[1], 200, "msrps://bob.exsip.net:443/9di4ea;ws"));
+  receiveMSRP(msrpSession, ExSIP.MSRP.createRequest(ExSIP.MSRP.C.REPORT, "rp1a2b3c", ["To-Path: "+msrpSession.local.path,
+    "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: "+firstId, "Byte-Range: 1-5/5", "Status: 000 200 OK"], null));
+  strictEqual(delivered.length, 1);
+  strictEqual(delivered[0].message_id, firstId);
+
+  receiveMSRP(msrpSession, ExSIP.MSRP.createResponse(msrpMessages[2], 415, "msrps://bob.exsip.net:443/9di4ea;ws"));
+  strictEqual(failed.length, 1);
+  strictEqual(failed[0].message_id, secondId);
+  strictEqual(failed[0].status_code, 415);
+  strictEqual(failed[0].reason_phrase, "Unsupported Media Type");
+
+  var timers = [], setTimeout = window.setTimeout;
+  window.setTimeout = function(fn){ timers.push(fn); return timers.length; };
+  try {
+    msrpSession.sendMessage("hello");
+  } finally {
+    window.setTimeout = setTimeout;
+  }
+  timers[0]();
+  strictEqual(failed.length, 2);
+  strictEqual(failed[1].status_code, 408);
+});
+test('large binary frame and chunk sent again', function() {
+  var msrpSession = null, received = [], progress = [];
+  ua.on('newMSRPSession', function(e){ msrpSession = e.data.session; });
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {withoutAudio: true, withoutVideo: true,
+    additionalSdp: msrpSdp("msrps://bob.exsip.net:443/9di4ea;ws")})});
+  msrpSession.on('messageReceived', function(e){ received.push(e.data); });
+  msrpSession.on('transferProgress', function(e){ progress.push(e.data.bytes); });
+  msrpSession.answer();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.ACK});
+  openMSRPTransport(msrpSession);
+  msrpMessages = [];
+
+  var body = new Array(70001).join("\u00ff"),
+    data = ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "tr1a2b3c", ["To-Path: "+msrpSession.local.path,
+      "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: m1", "Byte-Range: 1-70000/70005",
+      "Content-Type: application/octet-stream"], body, ExSIP.MSRP.C.FLAG_CONTINUE),
+    bytes = new Uint8Array(data.length);
+  for (var idx = 0; idx < data.length; idx++) {
+    bytes[idx] = data.charCodeAt(idx);
+  }
+  receiveMSRP(msrpSession, bytes.buffer);
+  strictEqual(msrpMessages[0].status_code, 200, 'should decode a frame over 64 KB');
+  deepEqual(progress, [70000]);
+
+  receiveMSRP(msrpSession, ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "tr4d5e6f", ["To-Path: "+msrpSession.local.path,
+    "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: m1", "Byte-Range: 1-70000/70005",
+    "Content-Type: application/octet-stream"], body, ExSIP.MSRP.C.FLAG_CONTINUE));
+  deepEqual(progress, [70000, 70000], 'should not count a chunk sent again');
+
+  receiveMSRP(msrpSession, ExSIP.MSRP.createRequest(ExSIP.MSRP.C.SEND, "tr7g8h9i", ["To-Path: "+msrpSession.local.path,
+    "From-Path: msrps://bob.exsip.net:443/9di4ea;ws", "Message-ID: m1", "Byte-Range: 69999-70005/70005",
+    "Content-Type: application/octet-stream"], "\u00ff\u00ffhello"));
+  deepEqual(progress, [70000, 70000, 70005]);
+  strictEqual(received.length, 1);
+  strictEqual(received[0].body, body + "hello");
+});
+
+function msrpSdp(path) {
+  return "m=message 443 TCP/WSS/MSRP *\r\n"+
+    "a=accept-types:text/plain\r\n"+
+    "a=path:"+path+"\r\n";
+}
+
+function openMSRPTransport(msrpSession) {
+  msrpSession.transport.ws.readyState = WebSocket.OPEN;
+  msrpSession.transport.ws.send = function(data) {
+    msrpMessages.push(ExSIP.MSRP.parse(data));
+  };
+  msrpSession.transport.onOpen();
+}
+
+function receiveMSRP(msrpSession, data) {
+  msrpSession.transport.onMessage({data: data});
+}
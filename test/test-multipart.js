@@ -0,0 +1,140 @@
+module( "multipart", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    newMessageEvents = [];
+    ua.on('newMessage', function(e){ newMessageEvents.push(e); });
+  }, teardown: function() {
+  }
+});
+test('create and parse', function() {
+  var png = "\x89PNG\r\n\x1a\n" + new Array(101).join("\x00\xff");
+  var multipart = ExSIP.Multipart.create([
+    {contentType: "text/plain", body: "hello"},
+    {contentType: "image/png", body: png, disposition: 'attachment; filename="hello.png"', contentId: "<png@exsip.net>", encoding: "base64"},
+    {body: "no headers"}
+  ], ExSIP.Multipart.C.MIXED, "b0und4ry");
+  strictEqual(multipart.contentType, "multipart/mixed;boundary=b0und4ry");
+  ok(multipart.body.indexOf("--b0und4ry\r\nContent-Type: text/plain\r\n\r\nhello\r\n--b0und4ry\r\n") === 0);
+  ok(multipart.body.indexOf("Content-ID: <png@exsip.net>\r\nContent-Transfer-Encoding: base64\r\n") !== -1);
+  ok(multipart.body.indexOf("--b0und4ry\r\n\r\nno headers\r\n--b0und4ry--\r\n") !== -1);
+  ok(multipart.body.split("\r\n").every(function(line){ return line.length <= 76; }), 'should fold the base64 lines');
+
+  var parts = ExSIP.Multipart.parse(multipart.body, "b0und4ry");
+  strictEqual(parts.length, 3);
+  strictEqual(parts[0].body, "hello");
+  strictEqual(parts[1].body, png);
+  strictEqual(parts[1].contentId, "png@exsip.net");
+  deepEqual(parts[1].disposition, {type: "attachment", params: {filename: "hello.png"}});
+  strictEqual(parts[2].contentType, null);
+  strictEqual(parts[2].body, "no headers");
+
+  deepEqual(ExSIP.Multipart.parseDisposition('render; handling=optional; filename="a;b.txt"'), {type: "render", params: {handling: "optional", filename: "a;b.txt"}});
+});
+test('send', function() {
+  ua.sendMessage("bob@exsip.net", [
+    {contentType: "text/plain", body: "hello"},
+    {contentType: "text/html", body: "<p>hello</p>"}
+  ], {multipart: ExSIP.Multipart.C.ALTERNATIVE});
+  var messageMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var contentType = messageMsg.parseHeader('Content-Type');
+  strictEqual(contentType.type + "/" + contentType.subtype, "multipart/alternative");
+  var parts = ExSIP.Multipart.parse(messageMsg.body, contentType.params.boundary);
+  strictEqual(parts.length, 2);
+  strictEqual(parts[1].contentType.subtype, "html");
+  strictEqual(parts[1].body, "<p>hello</p>");
+
+  ua.sendMessage("bob@exsip.net", [{contentType: "text/plain", body: "hello"}], {cpim: {}});
+  var cpim = ExSIP.CPIM.parse(TestExSIP.Helpers.popMessageSentAndClear(ua).body);
+  strictEqual(cpim.contentType.subtype, "mixed");
+  strictEqual(ExSIP.Multipart.parse(cpim.body, cpim.contentType.params.boundary)[0].body, "hello");
+});
+test('receive', function() {
+  multipartMessage("multipart/mixed;boundary=b0und4ry", "--b0und4ry\r\nContent-Type: text/plain\r\n\r\nhello\r\n"+
+    "--b0und4ry\r\nContent-Type: image/png\r\nContent-Disposition: attachment; filename=hello.png\r\nContent-Transfer-Encoding: base64\r\n\r\n"+
+    window.btoa("png") + "\r\n--b0und4ry--\r\n");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(newMessageEvents.length, 1);
+  var parts = newMessageEvents[0].data.parts;
+  strictEqual(parts.length, 2);
+  strictEqual(parts[1].body, "png");
+  strictEqual(parts[1].disposition.params.filename, "hello.png");
+
+  multipartMessage("multipart/mixed;boundary=b0und4ry", "hello");
+  var response = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(response.status_code, 400);
+  strictEqual(response.reason_phrase, "Invalid Multipart Body");
+  strictEqual(newMessageEvents.length, 1);
+});
+test('request too large', function() {
+  var failed = null;
+  ua.sendMessage("bob@exsip.net", "hello", {eventHandlers: {failed: function(e){ failed = e.data; }}});
+  var messageMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(messageMsg, {method: ExSIP.C.MESSAGE, status_code: "413 Request Entity Too Large", noSdp: true, retryAfter: "120"});
+  strictEqual(failed.cause, ExSIP.C.causes.REQUEST_TOO_LARGE);
+  strictEqual(failed.size, undefined, 'should only report what the response says');
+  strictEqual(failed.retry_after, 120);
+});
+test('INVITE with a location', function() {
+  var pidf = '<presence xmlns="urn:ietf:params:xml:ns:pidf" entity="pres:fakeUA@exsip.net"/>';
+  session = ua.call("bob@exsip.net", ExSIP.Utils.merge_options(TestExSIP.Helpers.getMediaOptions(), {
+    bodyParts: [{contentType: "application/pidf+xml", contentId: "location@exsip.net", body: pidf}],
+    extraHeaders: ["Geolocation: <cid:location@exsip.net>"]
+  }));
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.countHeader('Content-Type'), 1);
+  var parts = ExSIP.Multipart.parse(inviteMsg.body, inviteMsg.parseHeader('Content-Type').params.boundary);
+  strictEqual(parts[0].contentType.subtype, "sdp");
+  ok(parts[0].body.indexOf("m=audio") !== -1);
+  strictEqual(parts[1].contentId, "location@exsip.net");
+  strictEqual(parts[1].body, pidf);
+
+  var incoming = null;
+  ua.on('newRTCSession', function(e){ incoming = e.data.session; });
+  var sdp = TestExSIP.Helpers.createSdp();
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {callId: "multipart1"})
+    .replace("Content-Type: application/sdp", "Content-Type: multipart/mixed;boundary=b0und4ry")
+    .replace(/Content-Length: \d+\r\n\r\n[\s\S]*$/, function() {
+      var body = ExSIP.Multipart.create([{contentType: "application/sdp", body: sdp}, {contentType: "application/pidf+xml", body: pidf}], "mixed", "b0und4ry").body;
+      return "Content-Length: " + body.length + "\r\n\r\n" + body;
+    })});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 180);
+  ok(incoming.request.body.indexOf("--b0und4ry") === 0, 'should keep the multipart body');
+  strictEqual(incoming.request.getSdp(), sdp);
+  strictEqual(incoming.request.getBodyParts()[1].body, pidf);
+  strictEqual(incoming.rtcMediaHandler.peerConnection.remoteDescription.sdp, sdp);
+  strictEqual(incoming.request.getBodyPart("application/pidf+xml").body, pidf);
+});
+test('INVITE with an invalid multipart body', function() {
+  var incoming = null;
+  ua.on('newRTCSession', function(e){ incoming = e.data.session; });
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {callId: "multipart2"})
+    .replace("Content-Type: application/sdp", "Content-Type: multipart/mixed")});
+  var response = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(response.status_code, 400);
+  strictEqual(response.reason_phrase, "Invalid Multipart Body");
+  strictEqual(incoming, null);
+});
+test('CPIM without parameters', function() {
+  multipartMessage("message/cpim", "From: <sip:alice@exsip.net>\r\nTo: <sip:fakeUA@exsip.net>\r\n\r\nContent-Type: multipart/mixed\r\n\r\nhello");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 400);
+  strictEqual(newMessageEvents.length, 0);
+});
+
+function multipartMessage(contentType, body) {
+  var sip = "MESSAGE sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.109;branch=z9hG4bK" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:alice@exsip.net>;tag=" + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "Call-ID: " + Math.floor(Math.random() * 10000000) + "\r\n"+
+    "CSeq: 1 MESSAGE\r\n"+
+    "Content-Type: " + contentType + "\r\n"+
+    "Content-Length: " + body.length + "\r\n"+
+    "\r\n"+
+    body;
+  ua.transport.onMessage({data: TestExSIP.Helpers.createSIPMessage(ua, sip)});
+}
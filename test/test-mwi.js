@@ -0,0 +1,74 @@
+module( "mwi", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, register: true, enable_mwi: true});
+    ua.on('mwiChanged', function(e){ mwiEvent = e; });
+    mwiEvent = null;
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+  }, teardown: function() {
+  }
+});
+test('parse message summary', function() {
+  var summary = ExSIP.MWI.parse("Messages-Waiting: yes\r\n"+
+    "Message-Account: sip:alice@vmail.example.com\r\n"+
+    "Voice-Message: 4/8 (1/2)\r\n"+
+    "Fax-Message: 0/1\r\n"+
+    "\r\n"+
+    "To: <alice@atlanta.example.com>\r\n");
+  strictEqual(summary.messagesWaiting, true);
+  strictEqual(summary.account.toString(), "sip:alice@vmail.example.com");
+  deepEqual(summary.messages.voice, {newMessages: 4, oldMessages: 8, newUrgentMessages: 1, oldUrgentMessages: 2});
+  deepEqual(summary.messages.fax, {newMessages: 0, oldMessages: 1, newUrgentMessages: 0, oldUrgentMessages: 0});
+  deepEqual(Object.keys(summary.messages), ["voice", "fax"]);
+
+  strictEqual(ExSIP.MWI.parse("messages-waiting: no\n").messagesWaiting, false);
+  strictEqual(ExSIP.MWI.parse("Voice-Message: 4/8\r\n"), null, 'should require Messages-Waiting');
+});
+test('subscribe on registration', function() {
+  var registerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(registerMsg, {method: ExSIP.C.REGISTER, noSdp: true, contact: "<"+ua.contact.uri+">;expires=600"});
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.ruri.toString(), ua.configuration.uri.toString());
+  strictEqual(subscribeMsg.getHeader('Event'), "message-summary");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/simple-message-summary");
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "message-summary",
+    subscription_state: "active;expires=3600", content_type: "application/simple-message-summary",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id, branch: "z9hG4bK-mwi"},
+    "Messages-Waiting: yes\r\nVoice-Message: 2/0\r\n")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(mwiEvent.data.messagesWaiting, true);
+  strictEqual(mwiEvent.data.messages.voice.newMessages, 2);
+  strictEqual(ua.mwi.summary.messages.voice.newMessages, 2);
+
+  ua.unregister();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.REGISTER, noSdp: true});
+  var unsubscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(unsubscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(unsubscribeMsg.getHeader('Expires'), "0", 'should unsubscribe on unregistration');
+});
+test('unsolicited NOTIFY', function() {
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ua.transport.onMessage({data: unsolicitedNotify("message-summary", "Messages-Waiting: no\r\n")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(mwiEvent.data.messagesWaiting, false);
+
+  ua.transport.onMessage({data: unsolicitedNotify("presence", "")});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 489, 'should reject other events outside a subscription');
+});
+
+function unsolicitedNotify(event, body) {
+  return "NOTIFY sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.113:8060;branch=z9hG4bK-unsolicited-"+event+"\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:voicemail@exsip.net>;tag=vm1\r\n"+
+    "Call-ID: unsolicited-mwi\r\n"+
+    "CSeq: 1 NOTIFY\r\n"+
+    "Event: "+event+"\r\n"+
+    "Content-Type: application/simple-message-summary\r\n"+
+    "Content-Length: "+body.length+"\r\n"+
+    "\r\n"+
+    body;
+}
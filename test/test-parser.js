@@ -199,3 +199,77 @@ test('Parse Event', function() {
   strictEqual(event.event, 'presence');
   deepEqual(event.params, {param1: 'QWe', param2: undefined});
 });
+
+test('Parse RSeq and RAck', function() {
+  strictEqual(ExSIP.Grammar.parse('988789', 'RSeq'), 988789);
+  strictEqual(ExSIP.Grammar.parse('abc', 'RSeq'), -1);
+
+  var rack = ExSIP.Grammar.parse('776656 1 INVITE', 'RAck');
+  strictEqual(rack.rseq, 776656);
+  strictEqual(rack.cseq, 1);
+  strictEqual(rack.method, 'INVITE');
+  strictEqual(ExSIP.Grammar.parse('776656 INVITE', 'RAck'), -1);
+});
+
+test('Parse Session-Expires and Min-SE', function() {
+  var sessionExpires = ExSIP.Grammar.parse('1800;refresher=UAC', 'Session_Expires');
+  strictEqual(sessionExpires.expires, 1800);
+  strictEqual(sessionExpires.refresher, 'uac');
+
+  sessionExpires = ExSIP.Grammar.parse('90;foo=bar', 'Session_Expires');
+  strictEqual(sessionExpires.expires, 90);
+  strictEqual(sessionExpires.refresher, undefined);
+
+  strictEqual(ExSIP.Grammar.parse('120', 'Min_SE'), 120);
+  strictEqual(ExSIP.Grammar.parse('abc', 'Min_SE'), -1);
+});
+
+test('Parse Replaces', function() {
+  var replaces = ExSIP.Grammar.parse('425928@bobster.example.org;to-tag=7743;from-tag=6472;early-only', 'Replaces');
+  strictEqual(replaces.call_id, '425928@bobster.example.org');
+  strictEqual(replaces.to_tag, '7743');
+  strictEqual(replaces.from_tag, '6472');
+  strictEqual(replaces.early_only, true);
+
+  replaces = ExSIP.Grammar.parse('98asjd8;From-Tag=1;TO-TAG=2;foo=bar', 'Replaces');
+  strictEqual(replaces.call_id, '98asjd8');
+  strictEqual(replaces.to_tag, '2');
+  strictEqual(replaces.from_tag, '1');
+  strictEqual(replaces.early_only, undefined);
+});
+
+test('Parse Refer-To', function() {
+  var referTo = ExSIP.Grammar.parse('"Bob" <sip:bob@biloxi.example.org?Replaces=12345%40192.168.118.3%3Bto-tag%3D12345%3Bfrom-tag%3D5FFE-3994>;foo=bar', 'Refer_To');
+  ok(referTo instanceof ExSIP.NameAddrHeader);
+  strictEqual(referTo.display_name, 'Bob');
+  strictEqual(referTo.uri.user, 'bob');
+  strictEqual(referTo.uri.getHeader('replaces')[0], '12345%40192.168.118.3%3Bto-tag%3D12345%3Bfrom-tag%3D5FFE-3994');
+  strictEqual(referTo.getParam('foo'), 'bar');
+
+  var referredBy = ExSIP.Grammar.parse('sip:alice@atlanta.example.com;cid="20398823.2UWQFN309shb3@referrer.example"', 'Referred_By');
+  strictEqual(referredBy.uri.toString(), 'sip:alice@atlanta.example.com');
+  strictEqual(referredBy.getParam('cid'), '"20398823.2UWQFN309shb3@referrer.example"');
+});
+test('Parse Subscription-State', function() {
+  var subscriptionState = ExSIP.Grammar.parse('terminated;reason=probation;retry-after=30', 'Subscription_State');
+  strictEqual(subscriptionState.state, 'terminated');
+  strictEqual(subscriptionState.reason, 'probation');
+  strictEqual(subscriptionState.retry_after, 30);
+
+  subscriptionState = ExSIP.Grammar.parse('active;expires=600', 'Subscription_State');
+  strictEqual(subscriptionState.state, 'active');
+  strictEqual(subscriptionState.expires, 600);
+});
+test('Parse Content-Type', function() {
+  var contentType = ExSIP.Grammar.parse('Multipart/Related;type="application/rlmi+xml";Boundary=50UBfW7LSCVLtggUPe5z;start="<nXYxAE@example.com>"', 'Content_Type');
+  strictEqual(contentType.type, 'multipart');
+  strictEqual(contentType.subtype, 'related');
+  strictEqual(contentType.params.type, 'application/rlmi+xml');
+  strictEqual(contentType.params.boundary, '50UBfW7LSCVLtggUPe5z');
+  strictEqual(contentType.params.start, '<nXYxAE@example.com>');
+
+  contentType = ExSIP.Grammar.parse('application/sdp', 'Content_Type');
+  strictEqual(contentType.type, 'application');
+  strictEqual(contentType.subtype, 'sdp');
+  strictEqual(contentType.params, undefined);
+});
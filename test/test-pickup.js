@@ -0,0 +1,109 @@
+module( "pickup", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, pickup_feature_code: "*97"});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('pick up an early dialog', function() {
+  var newSessions = [];
+  ua.on('newRTCSession', function(e){ newSessions.push(e.data.session); });
+  session = ua.pickup("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  ok(session.pickedUp);
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.ruri.toString(), "sip:bob@exsip.net");
+  strictEqual(subscribeMsg.getHeader('Event'), "dialog");
+  strictEqual(subscribeMsg.getHeader('Expires'), "0");
+
+  pickupNotifyFor(subscribeMsg, pickupDialogInfo(pickupEarlyDialog()));
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.method, ExSIP.C.INVITE);
+  strictEqual(inviteMsg.ruri.toString(), "sip:alice@exsip.net", 'should call the caller');
+  strictEqual(inviteMsg.getHeader('Replaces'), "call1;to-tag=alicetag;from-tag=bobtag;early-only", 'should match the dialog of the caller');
+  strictEqual(inviteMsg.getHeader('Require'), "replaces");
+  strictEqual(newSessions[0], session);
+
+  TestExSIP.Helpers.responseFor(inviteMsg);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK, 'should not subscribe again');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('pick up calling the device of the caller', function() {
+  session = ua.pickup("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  pickupNotifyFor(subscribeMsg, pickupDialogInfo(pickupEarlyDialog().replace('</identity></remote>', '</identity><target uri="sip:alice@pc.exsip.net"/></remote>')));
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).ruri.toString(), "sip:alice@pc.exsip.net");
+});
+test('feature access code when Replaces is not supported', function() {
+  session = ua.pickup("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  pickupNotifyFor(subscribeMsg, pickupDialogInfo(pickupEarlyDialog()));
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "420 Bad Extension", unsupported: "replaces", noSdp: true});
+  var codeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(codeMsg.method, ExSIP.C.INVITE);
+  strictEqual(codeMsg.ruri.toString(), "sip:*97bob@exsip.net");
+  strictEqual(codeMsg.call_id, inviteMsg.call_id);
+  strictEqual(codeMsg.cseq, inviteMsg.cseq + 1);
+  strictEqual(codeMsg.getHeader('Replaces'), undefined);
+  strictEqual(codeMsg.getHeader('Require'), undefined);
+
+  TestExSIP.Helpers.responseFor(codeMsg, {status_code: "420 Bad Extension", unsupported: "replaces", noSdp: true});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_TERMINATED, 'should dial the feature access code once');
+});
+test('feature access code without early dialog', function() {
+  session = ua.pickup("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(subscribeMsg, {method: ExSIP.C.SUBSCRIBE, status_code: "489 Bad Event", noSdp: true});
+  var codeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(codeMsg.method, ExSIP.C.INVITE);
+  strictEqual(codeMsg.ruri.toString(), "sip:*97bob@exsip.net");
+  strictEqual(codeMsg.getHeader('Replaces'), undefined);
+  ok(session.pickedUp);
+});
+test('no call to pick up', function() {
+  var failedCause = null;
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+  TestExSIP.Helpers.startAndConnect(ua);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  session = ua.pickup("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  session.on('failed', function(e){ failedCause = e.data.cause; });
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  pickupNotifyFor(subscribeMsg, pickupDialogInfo('<dialog id="d1"><state>confirmed</state></dialog>'));
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(failedCause, ExSIP.C.causes.NOT_FOUND);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_TERMINATED);
+});
+
+function pickupNotifyFor(subscribeMsg, body) {
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "dialog",
+    subscription_state: "terminated;reason=timeout", content_type: "application/dialog-info+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id,
+    branch: "z9hG4bK" + Math.floor(Math.random() * 10000000)}, body)});
+}
+
+function pickupDialogInfo(dialogs) {
+  return '<?xml version="1.0"?>\r\n'+
+    '<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" version="0" state="full" entity="sip:bob@exsip.net">'+
+    dialogs+'</dialog-info>';
+}
+
+function pickupEarlyDialog() {
+  return '<dialog id="d1" call-id="call1" local-tag="bobtag" remote-tag="alicetag" direction="recipient">'+
+    '<state>early</state>'+
+    '<local><identity>sip:bob@exsip.net</identity><target uri="sip:bob@pc.exsip.net"/></local>'+
+    '<remote><identity display="Alice">sip:alice@exsip.net</identity></remote>'+
+    '</dialog>';
+}
@@ -0,0 +1,164 @@
+module( "PRACK", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+  }, teardown: function() {
+  }
+});
+test('outgoing INVITE advertises 100rel', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.method, ExSIP.C.INVITE);
+  strictEqual(inviteMsg.getHeader('Supported'), 'path, outbound, gruu, 100rel, timer, replaces');
+  strictEqual(inviteMsg.getHeader('Require'), undefined);
+});
+test('reliable 183 with early media', function() {
+  var progress = 0, started = false;
+  TestExSIP.Helpers.startAndConnect(ua);
+  session.on('progress', function(){ progress++; });
+  session.on('started', function(){ started = true; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "16000"});
+  var prackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(prackMsg.method, ExSIP.C.PRACK);
+  strictEqual(prackMsg.getHeader('RAck'), '1 ' + inviteMsg.cseq + ' INVITE');
+  strictEqual(prackMsg.cseq, inviteMsg.cseq + 1);
+  strictEqual(progress, 1);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_1XX_RECEIVED);
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 16000') !== -1, 'should apply the early media answer');
+
+  TestExSIP.Helpers.responseFor(prackMsg, {method: ExSIP.C.PRACK, noSdp: true});
+  TestExSIP.Helpers.responseFor(inviteMsg, {noSdp: true});
+  var ackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ackMsg.method, ExSIP.C.ACK);
+  strictEqual(ackMsg.cseq, inviteMsg.cseq, 'ACK should carry the INVITE CSeq');
+  strictEqual(started, true);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('200 to PRACK with a session description', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "183 Session Progress", require: "100rel", rseq: 1, audioPort: "16000"});
+  var prackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(prackMsg, {method: ExSIP.C.PRACK, audioPort: "16002"});
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 16002') !== -1, 'should apply the session description');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_1XX_RECEIVED);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 16002') !== -1, 'should keep the last early answer');
+});
+test('retransmitted reliable 180 is discarded', function() {
+  var progress = 0;
+  TestExSIP.Helpers.startAndConnect(ua);
+  session.on('progress', function(){ progress++; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "180 Ringing", require: "100rel", rseq: 5, noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.PRACK);
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "180 Ringing", require: "100rel", rseq: 5, noSdp: true});
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should not send another PRACK');
+  strictEqual(progress, 1);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "183 Session Progress", require: "100rel", rseq: 6, noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).getHeader('RAck'), '6 ' + inviteMsg.cseq + ' INVITE');
+  strictEqual(progress, 2);
+});
+test('with rel100 none', function() {
+  var options = TestExSIP.Helpers.getMediaOptions();
+  options.rel100 = ExSIP.C.REL100_NONE;
+  TestExSIP.Helpers.start(ua);
+  session = ua.call("sip:fakeUA@exsip.net", options);
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  ua.transport.onOpen();
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.getHeader('Supported'), 'path, outbound, gruu, timer, replaces');
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "180 Ringing", require: "100rel", rseq: 1, noSdp: true});
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should not send PRACK');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_1XX_RECEIVED);
+});
+test('with rel100 required', function() {
+  var options = TestExSIP.Helpers.getMediaOptions();
+  options.rel100 = ExSIP.C.REL100_REQUIRED;
+  TestExSIP.Helpers.start(ua);
+  session = ua.call("sip:fakeUA@exsip.net", options);
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  ua.transport.onOpen();
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.getHeader('Require'), '100rel');
+});
+
+module( "PRACK incoming", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.start(ua);
+  }, teardown: function() {
+  }
+});
+test('INVITE requiring 100rel', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {supported: "path, outbound, gruu", require: "100rel"})});
+  var ringingMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ringingMsg.status_code, 180);
+  strictEqual(ringingMsg.getHeader('Require'), '100rel');
+  var rseq = ringingMsg.s('RSeq');
+  ok(rseq > 0, 'should contain a RSeq');
+
+  TestExSIP.Helpers.requestFor(ringingMsg, {method: ExSIP.C.PRACK, rack: rseq + ' 29887 INVITE', branch: 'z9hG4bK-prack', noSdp: true});
+  var prackAnswerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(prackAnswerMsg.status_code, 200);
+  strictEqual(prackAnswerMsg.method, ExSIP.C.PRACK);
+  strictEqual(session.rel100.pending, null);
+
+  TestExSIP.Helpers.answer(session);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+});
+test('PRACK with an offer', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {require: "100rel"})});
+  var ringingMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var remoteSdp = session.rtcMediaHandler.peerConnection.remoteDescription.sdp;
+
+  TestExSIP.Helpers.requestFor(ringingMsg, {method: ExSIP.C.PRACK, rack: ringingMsg.s('RSeq') + ' 29887 INVITE', branch: 'z9hG4bK-prack', audioPort: "16002"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 488, 'should reject the offer');
+  strictEqual(session.rel100.pending, null, 'should acknowledge the reliable 180');
+  strictEqual(session.rtcMediaHandler.peerConnection.remoteDescription.sdp, remoteSdp);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_WAITING_FOR_ANSWER);
+});
+test('PRACK not matching the reliable 180', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {require: "100rel"})});
+  var ringingMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var rseq = ringingMsg.s('RSeq');
+
+  TestExSIP.Helpers.requestFor(ringingMsg, {method: ExSIP.C.PRACK, rack: (rseq + 1) + ' 29887 INVITE', branch: 'z9hG4bK-prack', noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 481);
+  strictEqual(session.rel100.pending, rseq);
+});
+test('INVITE supporting 100rel', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {supported: "path, outbound, gruu, 100rel"})});
+  var ringingMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ringingMsg.status_code, 180);
+  strictEqual(ringingMsg.getHeader('Require'), undefined);
+  strictEqual(ringingMsg.getHeader('RSeq'), undefined);
+});
+test('INVITE requiring 100rel with rel100 none', function() {
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, rel100: ExSIP.C.REL100_NONE});
+  TestExSIP.Helpers.start(ua);
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {require: "100rel"})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 420);
+  strictEqual(answerMsg.getHeader('Unsupported'), '100rel');
+});
+test('INVITE without 100rel with rel100 required', function() {
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, rel100: ExSIP.C.REL100_REQUIRED});
+  TestExSIP.Helpers.start(ua);
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 421);
+  strictEqual(answerMsg.getHeader('Require'), '100rel');
+});
@@ -0,0 +1,112 @@
+module( "presence", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('presenceChanged', function(e){ presenceEvent = e; });
+    presenceEvent = null;
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('publish, modify and remove', function() {
+  var published = 0;
+  ua.publishPresence("open", "In a <meeting>", {activities: ["busy"], expires: 600, eventHandlers: {published: function(){ published++; }}});
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.method, ExSIP.C.PUBLISH);
+  strictEqual(publishMsg.ruri.toString(), ua.configuration.uri.toString());
+  strictEqual(publishMsg.getHeader('Event'), "presence");
+  strictEqual(publishMsg.getHeader('Expires'), "600");
+  strictEqual(publishMsg.getHeader('Content-Type'), "application/pidf+xml");
+  strictEqual(publishMsg.getHeader('SIP-If-Match'), undefined);
+  var presence = ExSIP.Presence.parse(publishMsg.body);
+  strictEqual(presence.entity, ua.configuration.uri.toString());
+  strictEqual(presence.status, "open");
+  deepEqual(presence.notes, ["In a <meeting>"]);
+  deepEqual(presence.activities, ["busy"]);
+
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, noSdp: true, sip_etag: "dx200xyz", expires: 600});
+  strictEqual(published, 1);
+  strictEqual(ua.presence.publisher.etag, "dx200xyz");
+
+  ua.publishPresence("closed");
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.getHeader('SIP-If-Match'), "dx200xyz");
+  strictEqual(ExSIP.Presence.parse(publishMsg.body).status, "closed");
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, noSdp: true, sip_etag: "kwj449x", expires: 600});
+
+  ua.presence.publisher.refresh();
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.getHeader('SIP-If-Match'), "kwj449x");
+  ok(!publishMsg.body, 'should refresh without body');
+
+  ua.presence.unpublish();
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.getHeader('SIP-If-Match'), "kwj449x");
+  strictEqual(publishMsg.getHeader('Expires'), "0");
+  strictEqual(ua.presence.publisher.isPublished(), false);
+});
+test('state unknown to the server', function() {
+  ua.publishPresence("open");
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, noSdp: true, sip_etag: "dx200xyz"});
+  ua.presence.publisher.refresh();
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, noSdp: true, status_code: "412 Conditional Request Failed"});
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.getHeader('SIP-If-Match'), undefined, 'should publish the state again');
+  strictEqual(ExSIP.Presence.parse(publishMsg.body).status, "open");
+});
+test('refresh after an authentication', function() {
+  ua.publishPresence("open");
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, status_code: "401 Unauthorized", noSdp: true,
+    www_authenticate: "DIGEST qop=\"auth\",nonce=\"BroadWorksXhou9t4uvTc36x37BW\",realm=\"broadsoft.com\",algorithm=MD5"});
+  var authMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(authMsg.cseq, publishMsg.cseq + 1);
+  TestExSIP.Helpers.responseFor(authMsg, {method: ExSIP.C.PUBLISH, noSdp: true, sip_etag: "dx200xyz"});
+
+  ua.presence.publisher.refresh();
+  var refreshMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(refreshMsg.call_id, publishMsg.call_id);
+  strictEqual(refreshMsg.cseq, authMsg.cseq + 1, 'should increase the CSeq');
+});
+test('invalid status', function() {
+  throws(function(){ ua.publishPresence("away"); }, TypeError);
+  throws(function(){ ua.publishPresence("open", null, {activities: ["busy/><rpid:away"]}); }, TypeError);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null);
+});
+test('document order', function() {
+  var pidf = ExSIP.Presence.createPidf(ua.configuration.uri, "open", "Lunch", ["meal"]);
+  ok(pidf.indexOf("<note>Lunch</note>") < pidf.indexOf("<dm:person"), 'should describe the notes of the presentity before the person');
+});
+test('watch a buddy', function() {
+  var subscriber = ua.watchPresence("bob@exsip.net");
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.getHeader('Event'), "presence");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/pidf+xml");
+  strictEqual(ua.watchPresence("bob@exsip.net"), subscriber, 'should watch a buddy once');
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "presence",
+    subscription_state: "active;expires=3600", content_type: "application/pidf+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id, branch: "z9hG4bK-presence"},
+    '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+    '<presence xmlns="urn:ietf:params:xml:ns:pidf" xmlns:dm="urn:ietf:params:xml:ns:pidf:data-model"'+
+    ' xmlns:rpid="urn:ietf:params:xml:ns:pidf:rpid" entity="sip:bob@exsip.net">'+
+    '<tuple id="a1"><status><basic>closed</basic></status></tuple>'+
+    '<tuple id="a2"><status><basic>open</basic></status><contact>sip:bob@pc.exsip.net</contact><note>Desk</note></tuple>'+
+    '<dm:person id="p1"><rpid:activities><rpid:on-the-phone/></rpid:activities><dm:note>On a call</dm:note></dm:person>'+
+    '</presence>')});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(presenceEvent.data.target.toString(), "sip:bob@exsip.net");
+  strictEqual(presenceEvent.data.status, "open");
+  deepEqual(presenceEvent.data.notes, ["On a call"]);
+  deepEqual(presenceEvent.data.activities, ["on-the-phone"]);
+  strictEqual(presenceEvent.data.tuples[1].contact, "sip:bob@pc.exsip.net");
+  deepEqual(presenceEvent.data.tuples[1].notes, ["Desk"]);
+
+  ua.unwatchPresence("bob@exsip.net");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).getHeader('Expires'), "0");
+});
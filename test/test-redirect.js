@@ -0,0 +1,99 @@
+module( "redirect", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, follow_redirects: true, max_redirects: 2});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+  }, teardown: function() {
+  }
+});
+test('INVITE to the Contacts of a 302 in order of q', function() {
+  var newSessions = 0, redirectedEvent = null;
+  ua.on('newRTCSession', function(){ newSessions++; });
+  session.on('redirected', function(e){ redirectedEvent = e; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "302 Moved Temporarily", noSdp: true,
+    contact: "<sip:alice@low.example.com>;q=0.1, <sip:alice@high.example.com>;q=0.9, <sip:alice@default.example.com>"});
+  deepEqual(redirectedEvent.data.targets.map(String), ["sip:alice@default.example.com", "sip:alice@high.example.com", "sip:alice@low.example.com"]);
+
+  var redirectMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(redirectMsg.method, ExSIP.C.INVITE);
+  strictEqual(redirectMsg.ruri.toString(), "sip:alice@default.example.com");
+  strictEqual(redirectMsg.call_id, inviteMsg.call_id);
+  strictEqual(redirectMsg.from_tag, inviteMsg.from_tag);
+  strictEqual(redirectMsg.cseq, inviteMsg.cseq + 1);
+  strictEqual(redirectMsg.to.uri.toString(), inviteMsg.to.uri.toString(), "Should keep the To of the initial INVITE");
+  strictEqual(redirectMsg.body, inviteMsg.body);
+  strictEqual(newSessions, 0, "Should not create a new session");
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_INVITE_SENT);
+
+  TestExSIP.Helpers.responseFor(redirectMsg, {status_code: "486 Busy Here", noSdp: true});
+  redirectMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(redirectMsg.ruri.toString(), "sip:alice@high.example.com", "Should try the next target on failure");
+
+  TestExSIP.Helpers.responseFor(redirectMsg);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('targets vetoed by the application', function() {
+  var failedCause = null;
+  session.on('redirected', function(e){ e.data.veto(e.data.targets[0]); });
+  session.on('failed', function(e){ failedCause = e.data.cause; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "302 Moved Temporarily", noSdp: true, contact: "<sip:alice@vetoed.example.com>"});
+  strictEqual(failedCause, ExSIP.C.causes.REDIRECTED);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_TERMINATED);
+});
+test('loop and hop limit', function() {
+  var failedCause = null;
+  session.on('failed', function(e){ failedCause = e.data.cause; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "302 Moved Temporarily", noSdp: true, contact: "<sip:bob@one.example.com>"});
+  var redirectMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(redirectMsg.ruri.toString(), "sip:bob@one.example.com");
+
+  TestExSIP.Helpers.responseFor(redirectMsg, {status_code: "302 Moved Temporarily", noSdp: true, contact: "<sip:bob@one.example.com>, <sip:bob@two.example.com>"});
+  redirectMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(redirectMsg.ruri.toString(), "sip:bob@two.example.com", "Should not try a target twice");
+
+  TestExSIP.Helpers.responseFor(redirectMsg, {status_code: "302 Moved Temporarily", noSdp: true, contact: "<sip:bob@three.example.com>"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK, "Should not follow more than max_redirects");
+  strictEqual(failedCause, ExSIP.C.causes.REDIRECTED);
+});
+test('disabled for the call', function() {
+  var failedCause = null;
+  var options = TestExSIP.Helpers.getMediaOptions();
+  options.followRedirects = false;
+  session = ua.call("sip:carol@exsip.net", options);
+  session.on('failed', function(e){ failedCause = e.data.cause; });
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.ruri.toString(), "sip:carol@exsip.net");
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "302 Moved Temporarily", noSdp: true, contact: "<sip:carol@elsewhere.example.com>"});
+  strictEqual(failedCause, ExSIP.C.causes.REDIRECTED);
+});
+test('MESSAGE to the Contact of a 301', function() {
+  var message = null, succeeded = false, newMessages = 0;
+  ua.on('newMessage', function(e){ message = e.data.message; newMessages++; });
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ua.sendMessage("sip:dave@exsip.net", "hello", {eventHandlers: {succeeded: function(){ succeeded = true; }}});
+  var messageMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(messageMsg.method, ExSIP.C.MESSAGE);
+
+  TestExSIP.Helpers.responseFor(messageMsg, {method: ExSIP.C.MESSAGE, status_code: "301 Moved Permanently", noSdp: true, contact: "<sip:dave@new.example.com>"});
+  var redirectMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(redirectMsg.method, ExSIP.C.MESSAGE);
+  strictEqual(redirectMsg.ruri.toString(), "sip:dave@new.example.com");
+  strictEqual(redirectMsg.call_id, messageMsg.call_id);
+  strictEqual(redirectMsg.cseq, messageMsg.cseq + 1);
+  strictEqual(redirectMsg.body, "hello");
+  strictEqual(redirectMsg.getHeader("Content-Type"), "text/plain");
+  strictEqual(newMessages, 1);
+
+  TestExSIP.Helpers.responseFor(redirectMsg, {method: ExSIP.C.MESSAGE, noSdp: true});
+  strictEqual(succeeded, true);
+  ok(message, "Should keep the same message");
+});
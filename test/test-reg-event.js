@@ -0,0 +1,112 @@
+module( "reg event", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, register: true, enable_reg_event: true});
+    ua.on('registrationsChanged', function(e){ registrationsEvent = e; });
+    ua.on('unregistered', function(e){ unregisteredEvent = e; });
+    registrationsEvent = null;
+    unregisteredEvent = null;
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+  }, teardown: function() {
+  }
+});
+test('parse reginfo', function() {
+  var info = ExSIP.RegInfo.parse(reginfo(0, "full",
+    '<contact id="76" state="active" event="registered" expires="3600" q="0.8">'+
+    '<uri>sip:bob@pc887.example.com</uri><display-name>Bob desk</display-name></contact>'+
+    '<contact id="77" state="terminated" event="probation" retry-after="30"><uri>sip:bob@phone.example.com</uri></contact>'));
+  strictEqual(info.version, 0);
+  strictEqual(info.state, "full");
+  strictEqual(info.registrations.length, 1);
+  strictEqual(info.registrations[0].aor, "sip:fakeUA@exsip.net");
+  strictEqual(info.registrations[0].state, "active");
+  strictEqual(info.registrations[0].contacts.length, 2);
+  var contact = info.registrations[0].contacts[0];
+  strictEqual(contact.id, "76");
+  strictEqual(contact.state, "active");
+  strictEqual(contact.event, "registered");
+  strictEqual(contact.uri.toString(), "sip:bob@pc887.example.com");
+  strictEqual(contact.display_name, "Bob desk");
+  strictEqual(contact.expires, 3600);
+  strictEqual(contact.q, 0.8);
+  strictEqual(contact.retry_after, null);
+  strictEqual(info.registrations[0].contacts[1].retry_after, 30);
+
+  strictEqual(ExSIP.RegInfo.parse('<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" state="full"/>'), null, 'should require the version');
+  strictEqual(ExSIP.RegInfo.parse('<presence xmlns="urn:ietf:params:xml:ns:pidf"/>'), null);
+});
+test('subscribe on registration and report the other contacts', function() {
+  var subscribeMsg = register();
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.ruri.toString(), ua.configuration.uri.toString());
+  strictEqual(subscribeMsg.getHeader('Event'), "reg");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/reginfo+xml");
+
+  notify(subscribeMsg, reginfo(0, "full", ownContact("active", "registered") +
+    '<contact id="2" state="active" event="registered"><uri>sip:fakeUA@desk.example.com</uri></contact>'), 1);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(registrationsEvent.data.contacts.length, 1, 'should not report our own contact');
+  strictEqual(registrationsEvent.data.contacts[0].uri.toString(), "sip:fakeUA@desk.example.com");
+  strictEqual(registrationsEvent.data.contacts[0].state, "active");
+
+  notify(subscribeMsg, reginfo(1, "partial",
+    '<contact id="2" state="terminated" event="unregistered"><uri>sip:fakeUA@desk.example.com</uri></contact>'), 2);
+  strictEqual(registrationsEvent.data.contacts.length, 1);
+  strictEqual(registrationsEvent.data.contacts[0].state, "terminated");
+  ok(ua.isRegistered());
+  strictEqual(unregisteredEvent, null);
+
+  notify(subscribeMsg, reginfo(2, "partial", ""), 3);
+  strictEqual(registrationsEvent.data.contacts.length, 0, 'should report terminated contacts once');
+
+  ua.unregister();
+  var unsubscribeMsg = TestExSIP.Helpers.popPenultimateMessageSent(ua);
+  strictEqual(unsubscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(unsubscribeMsg.getHeader('Expires'), "0", 'should unsubscribe on unregistration');
+});
+test('re-register when our contact is deactivated', function() {
+  var subscribeMsg = register();
+  notify(subscribeMsg, reginfo(0, "full", ownContact("active", "registered")), 1);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  notify(subscribeMsg, reginfo(1, "partial", ownContact("terminated", "deactivated")), 2);
+  var registerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(registerMsg.method, ExSIP.C.REGISTER);
+  strictEqual(unregisteredEvent, null);
+  ok(ua.isRegistered());
+});
+test('unregistered when our contact is rejected', function() {
+  var subscribeMsg = register();
+  notify(subscribeMsg, reginfo(0, "full", ownContact("active", "registered")), 1);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  notify(subscribeMsg, reginfo(1, "partial", ownContact("terminated", "rejected")), 2);
+  ok(!ua.isRegistered());
+  strictEqual(unregisteredEvent.data.cause, ExSIP.C.causes.REGISTRATION_TERMINATED);
+  var unsubscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(unsubscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(unsubscribeMsg.getHeader('Expires'), "0");
+});
+
+function register() {
+  var registerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(registerMsg, {method: ExSIP.C.REGISTER, noSdp: true, contact: "<"+ua.contact.uri+">;expires=600"});
+  return TestExSIP.Helpers.popMessageSentAndClear(ua);
+}
+
+function notify(subscribeMsg, body, cseq) {
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "reg",
+    subscription_state: "active;expires=3600", content_type: "application/reginfo+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "registrar", call_id: subscribeMsg.call_id, branch: "z9hG4bK-reg"+cseq}, body)});
+}
+
+function ownContact(state, event) {
+  return '<contact id="1" state="'+state+'" event="'+event+'"><uri>'+ua.contact.uri+'</uri></contact>';
+}
+
+function reginfo(version, state, contacts) {
+  return '<?xml version="1.0"?>\r\n'+
+    '<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" version="'+version+'" state="'+state+'">'+
+    '<registration aor="sip:fakeUA@exsip.net" id="a7" state="active">'+contacts+'</registration>'+
+    '</reginfo>';
+}
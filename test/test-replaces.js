@@ -0,0 +1,89 @@
+module( "Replaces", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+  }, teardown: function() {
+  }
+});
+test('INVITE replacing a confirmed call', function() {
+  confirmCall();
+  var replacedSession = session, endedCause = null, newSessionEvent = null;
+  replacedSession.on('ended', function(e){ endedCause = e.data.cause; });
+  ua.on('newRTCSession', function(e){ newSessionEvent = e; });
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: replacesFor(replacedSession)})});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  ok(session !== replacedSession, 'should create a new session');
+  strictEqual(newSessionEvent.data.replaces, replacedSession);
+
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200, 'should answer without ringing');
+  strictEqual(replacedSession.status, ExSIP.RTCSession.C.STATUS_CONFIRMED, 'should wait for the ACK');
+
+  TestExSIP.Helpers.requestFor(answerMsg, {method: ExSIP.C.ACK, branch: 'z9hG4bK-ack', noSdp: true});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.BYE);
+  strictEqual(endedCause, ExSIP.C.causes.REPLACED);
+  strictEqual(replacedSession.status, ExSIP.RTCSession.C.STATUS_TERMINATED);
+});
+test('INVITE replacing a call handled by the replaces event', function() {
+  confirmCall();
+  var replacedSession = session, replacesEvent = null;
+  ua.on('newRTCSession', function(e){
+    e.data.session.on('replaces', function(e){ replacesEvent = e; });
+  });
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: replacesFor(replacedSession)})});
+  strictEqual(replacesEvent.data.replaced, replacedSession);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_WAITING_FOR_ANSWER, 'should not answer automatically');
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 100, 'should neither ring nor answer');
+});
+test('INVITE replacing an early outgoing call', function() {
+  var failedCause = null;
+  ua.transport.onMessage({data: TestExSIP.Helpers.ringingResponse(ua)});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var replacedSession = session;
+  replacedSession.on('failed', function(e){ failedCause = e.data.cause; });
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: replacesFor(replacedSession)})});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+
+  TestExSIP.Helpers.requestFor(answerMsg, {method: ExSIP.C.ACK, branch: 'z9hG4bK-ack', noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.CANCEL);
+  strictEqual(failedCause, ExSIP.C.causes.REPLACED);
+});
+test('INVITE with early-only replacing a confirmed call', function() {
+  confirmCall();
+  var replacedSession = session;
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: replacesFor(replacedSession, ';early-only')})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 486);
+  strictEqual(replacedSession.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('INVITE with Replaces not matching any dialog', function() {
+  confirmCall();
+  var id = session.dialog.id;
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: id.call_id + ';to-tag=' + id.remote_tag + ';from-tag=' + id.local_tag})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 481, 'should check the tags orientation');
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: 'unknown;to-tag=1;from-tag=2', branch: 'z9hG4bK-unknown'})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 481);
+});
+test('INVITE with Replaces missing tags', function() {
+  confirmCall();
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {replaces: session.dialog.id.call_id})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 400);
+});
+
+function confirmCall() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.ringingResponse(ua)});
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteResponse(ua)});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+}
+function replacesFor(replacedSession, params) {
+  var id = replacedSession.dialog ? replacedSession.dialog.id : replacedSession.earlyDialogs[Object.keys(replacedSession.earlyDialogs)[0]].id;
+  return id.call_id + ';to-tag=' + id.local_tag + ';from-tag=' + id.remote_tag + (params || '');
+}
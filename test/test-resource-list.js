@@ -0,0 +1,161 @@
+module( "resource list", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('parse multipart body', function() {
+  var parts = ExSIP.Multipart.parse("preamble\r\n"+
+    "--b1\r\n"+
+    "Content-Type: text/plain\r\n"+
+    "Content-ID:\r\n <part1@exsip.net>\r\n"+
+    "\r\n"+
+    "first\r\nbody\r\n"+
+    "--b1\r\n"+
+    "\r\n"+
+    "second body\r\n"+
+    "--b1--\r\n"+
+    "epilogue", "b1");
+  strictEqual(parts.length, 2);
+  strictEqual(parts[0].contentType.type, "text");
+  strictEqual(parts[0].contentType.subtype, "plain");
+  strictEqual(parts[0].contentId, "part1@exsip.net");
+  strictEqual(parts[0].body, "first\r\nbody");
+  deepEqual(parts[1].headers, {});
+  strictEqual(parts[1].contentType, null);
+  strictEqual(parts[1].body, "second body");
+  strictEqual(ExSIP.Multipart.getPart(parts, "cid:part1@exsip.net"), parts[0]);
+
+  strictEqual(ExSIP.Multipart.parse("--b1\r\nContent-Type: text/plain\r\n\r\nno end", "b1"), null);
+  strictEqual(ExSIP.Multipart.parse("no delimiter", "b1"), null);
+});
+test('parse resource list', function() {
+  var contentType = ExSIP.Grammar.parse(listContentType(), 'Content_Type');
+  var list = ExSIP.ResourceList.parse(listBody(1, true, [
+    {uri: "sip:bob@exsip.net", id: "i1", state: "active", cid: "bob@exsip.net", body: pidf("sip:bob@exsip.net", "open")},
+    {uri: "sip:carol@exsip.net", id: "i2", state: "pending"}
+  ]), contentType, "presence");
+  strictEqual(list.uri, "sip:buddies@exsip.net");
+  strictEqual(list.version, 1);
+  strictEqual(list.full_state, true);
+  deepEqual(list.names, ["Buddies"]);
+  strictEqual(list.resources.length, 2);
+  strictEqual(list.resources[0].uri, "sip:bob@exsip.net");
+  deepEqual(list.resources[0].names, ["sip:bob@exsip.net"]);
+  var instance = list.resources[0].instances[0];
+  strictEqual(instance.id, "i1");
+  strictEqual(instance.state, "active");
+  strictEqual(instance.content_type, "application/pidf+xml");
+  strictEqual(instance.content.entity, "sip:bob@exsip.net");
+  strictEqual(instance.content.status, "open");
+  strictEqual(list.resources[1].instances[0].state, "pending");
+  strictEqual(list.resources[1].instances[0].content, null);
+
+  contentType = ExSIP.Grammar.parse('multipart/related;type="application/rlmi+xml";boundary=wrong', 'Content_Type');
+  strictEqual(ExSIP.ResourceList.parse(listBody(1, true, []), contentType, "presence"), null);
+});
+test('subscribe to a list', function() {
+  var notifyEvents = [];
+  var subscriber = ua.subscribe("buddies@exsip.net", "presence", {eventList: true});
+  subscriber.on('notify', function(e){ notifyEvents.push(e); });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.getHeader('Event'), "presence");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/pidf+xml, multipart/related, application/rlmi+xml");
+  ok(subscribeMsg.getHeader('Supported').split(", ").indexOf("eventlist") !== -1, 'should support eventlist');
+
+  listNotifyFor(subscribeMsg, listBody(0, true, [
+    {uri: "sip:bob@exsip.net", id: "i1", state: "active", cid: "bob@exsip.net", body: pidf("sip:bob@exsip.net", "open")},
+    {uri: "sip:carol@exsip.net", id: "i2", state: "active", cid: "carol@exsip.net", body: pidf("sip:carol@exsip.net", "closed")}
+  ]));
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  var content = notifyEvents[0].data.content;
+  strictEqual(content.version, 0);
+  strictEqual(content.resources.length, 2);
+  strictEqual(content.changed.length, 2);
+
+  listNotifyFor(subscribeMsg, listBody(1, false, [
+    {uri: "sip:carol@exsip.net", id: "i2", state: "terminated", reason: "rejected"}
+  ]));
+  content = notifyEvents[1].data.content;
+  strictEqual(content.resources.length, 2);
+  strictEqual(content.resources[0].instances[0].content.status, "open", 'should keep the state of the unchanged resources');
+  strictEqual(content.changed.length, 1);
+  strictEqual(content.changed[0].uri, "sip:carol@exsip.net");
+  strictEqual(content.changed[0].instances[0].state, "terminated");
+  strictEqual(content.changed[0].instances[0].reason, "rejected");
+  strictEqual(subscriber.resourceList.getResources()[1].instances.length, 0, 'should report terminated instances once');
+
+  listNotifyFor(subscribeMsg, listBody(3, false, []));
+  strictEqual(notifyEvents[2].data.content, null);
+  var refreshMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(refreshMsg.method, ExSIP.C.SUBSCRIBE, 'should refresh to get the full state');
+
+  listNotifyFor(subscribeMsg, listBody(1, true, []));
+  strictEqual(notifyEvents[3].data.content, null, 'should discard old versions');
+});
+test('subscribe to a target which is not a list', function() {
+  var notifyEvents = [];
+  var subscriber = ua.subscribe("bob@exsip.net", "presence", {eventList: true});
+  subscriber.on('notify', function(e){ notifyEvents.push(e); });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "presence",
+    subscription_state: "active;expires=3600", content_type: "application/pidf+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id, branch: "z9hG4bK-single"},
+    pidf("sip:bob@exsip.net", "open"))});
+  strictEqual(notifyEvents[0].data.content.status, "open");
+});
+
+function listNotifyFor(subscribeMsg, body) {
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage({method: ExSIP.C.NOTIFY, event: "presence",
+    subscription_state: "active;expires=3600", content_type: listContentType(),
+    from_tag: subscribeMsg.from_tag, to_tag: "rls", call_id: subscribeMsg.call_id,
+    branch: "z9hG4bK" + Math.floor(Math.random() * 10000000)}, body)});
+}
+
+function listContentType() {
+  return 'multipart/related;type="application/rlmi+xml";start="<rlmi@exsip.net>";boundary="50UBfW7LSCVLtggUPe5z"';
+}
+
+function listBody(version, fullState, resources) {
+  var idx, resource,
+    rlmi = '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+      '<list xmlns="urn:ietf:params:xml:ns:rlmi" uri="sip:buddies@exsip.net" version="'+version+'" fullState="'+fullState+'">'+
+      '<name>Buddies</name>',
+    parts = '';
+
+  for (idx = 0; idx < resources.length; idx++) {
+    resource = resources[idx];
+    rlmi += '<resource uri="'+resource.uri+'"><name>'+resource.uri+'</name>'+
+      '<instance id="'+resource.id+'" state="'+resource.state+'"'+
+      (resource.reason ? ' reason="'+resource.reason+'"' : '')+
+      (resource.cid ? ' cid="'+resource.cid+'"' : '')+'/></resource>';
+    if (resource.body) {
+      parts += '--50UBfW7LSCVLtggUPe5z\r\n'+
+        'Content-Transfer-Encoding: binary\r\n'+
+        'Content-ID: <'+resource.cid+'>\r\n'+
+        'Content-Type: application/pidf+xml;charset="UTF-8"\r\n'+
+        '\r\n'+
+        resource.body+'\r\n';
+    }
+  }
+  rlmi += '</list>';
+
+  return '--50UBfW7LSCVLtggUPe5z\r\n'+
+    'Content-Transfer-Encoding: binary\r\n'+
+    'Content-ID: <rlmi@exsip.net>\r\n'+
+    'Content-Type: application/rlmi+xml;charset="UTF-8"\r\n'+
+    '\r\n'+
+    rlmi+'\r\n'+
+    parts+
+    '--50UBfW7LSCVLtggUPe5z--\r\n';
+}
+
+function pidf(entity, status) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n'+
+    '<presence xmlns="urn:ietf:params:xml:ns:pidf" entity="'+entity+'">'+
+    '<tuple id="t1"><status><basic>'+status+'</basic></status></tuple></presence>';
+}
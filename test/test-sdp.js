@@ -0,0 +1,93 @@
+module( "ExSIP.SDP", {
+  setup: function() {
+  }, teardown: function() {
+  }
+});
+test('parse and serialize', function() {
+  var text = TestExSIP.Helpers.createSdp() + "x-unknown line\r\nm=application 0 RTP/SAVPF\na=inactive";
+  var sdp = new ExSIP.SDP(text);
+  strictEqual(sdp.toString(), text);
+  strictEqual(sdp.session.getLine('o'), "BroadWorks 728485 2 IN IP4 10.48.7.56");
+  strictEqual(sdp.medias.length, 3);
+  strictEqual(sdp.medias[0].type, "audio");
+  strictEqual(sdp.medias[0].port, 16550);
+  strictEqual(sdp.medias[0].protocol, "RTP/AVP");
+  deepEqual(sdp.medias[0].formats, ["9", "126"]);
+  deepEqual(sdp.medias[2].formats, []);
+  strictEqual(sdp.getConnection(sdp.medias[1]), "IN IP4 10.48.1.33");
+  strictEqual(sdp.getConnection(sdp.medias[2]), "IN IP4 10.48.1.13");
+
+  var video = sdp.getMedia('video');
+  video.port = 0;
+  video.setMode(ExSIP.C.INACTIVE);
+  video.setLine('b', "AS:256");
+  video.removeAttributes('fingerprint');
+  strictEqual(video.getMode(), ExSIP.C.INACTIVE);
+  ok(sdp.toString().indexOf("m=video 0 RTP/AVP 99 109 34\r\nc=IN IP4 10.48.1.33\r\nb=AS:256\r\n") !== -1);
+  strictEqual(sdp.toString().indexOf("a=sendrecv\r\na=rtpmap:109"), -1);
+  strictEqual(sdp.toString().indexOf("08:30"), -1);
+
+  sdp.medias[2].addAttribute('content', "slides");
+  ok(/m=application 0 RTP\/SAVPF\na=inactive\r\na=content:slides$/.test(sdp.toString()), 'should keep the last line without line break');
+  sdp.removeMedia(sdp.medias[2]);
+  strictEqual(sdp.medias.length, 2);
+  ok(/a=ice-pwd:Tnws80Vq98O3THLRXLqjWnOf\r\nx-unknown line\r\n$/.test(sdp.toString()));
+});
+test('rtpmap, fmtp and rtcp-fb', function() {
+  var sdp = new ExSIP.SDP("v=0\r\nm=audio 9 RTP/SAVPF 111 0\r\na=rtpmap:111 opus/48000/2\r\na=fmtp:111 minptime=10; useinbandfec=1\r\na=rtpmap:0 PCMU/8000\r\n"+
+    "m=video 9 RTP/SAVPF 100\r\na=rtpmap:100 VP8/90000\r\na=rtcp-fb:100 ccm fir\r\na=rtcp-fb:100 nack\r\na=rtcp-fb:100 nack pli\r\na=rtcp-fb:* goog-remb\r\n");
+  var audio = sdp.getMedia('audio');
+  deepEqual(audio.getRtpmap(), {"111": {encoding: "opus", clockRate: 48000, channels: 2}, "0": {encoding: "PCMU", clockRate: 8000, channels: null}});
+  deepEqual(audio.getFmtp(), {"111": "minptime=10; useinbandfec=1"});
+  strictEqual(audio.getFormatAttribute('rtpmap', "1"), null, 'should not match another payload type by prefix');
+  deepEqual(sdp.getMedia('video').getRtcpFb(), {"100": ["ccm fir", "nack", "nack pli"], "*": ["goog-remb"]});
+});
+test('candidates', function() {
+  var sdp = new ExSIP.SDP(TestExSIP.Helpers.createSdp({withoutVideo: true}) +
+    "a=candidate:1467250027 1 tcp 1509957375 192.168.1.2 0 typ host tcptype active generation 0\r\n"+
+    "a=candidate:842163049 1 udp 1677729535 50.205.128.35 54400 typ srflx raddr 10.0.2.1 rport 59436 generation 0\r\n");
+  var candidates = sdp.getMedia('audio').getCandidates();
+  strictEqual(candidates.length, 4);
+  deepEqual(candidates[0], {foundation: "3355351182", component: 1, transport: "udp", priority: 2113937151, ip: "10.0.2.1", port: 59436,
+    type: "host", params: {generation: "0"}});
+  strictEqual(candidates[2].params.tcptype, "active");
+  strictEqual(candidates[3].type, "srflx");
+  deepEqual(candidates[3].params, {raddr: "10.0.2.1", rport: "59436", generation: "0"});
+});
+test('BUNDLE and slides', function() {
+  var description = new ExSIP.WebRTC.RTCSessionDescription({type: "offer", sdp: "v=0\r\n"+
+    "o=- 1 2 IN IP4 127.0.0.1\r\n"+
+    "s=-\r\n"+
+    "t=0 0\r\n"+
+    "a=group:BUNDLE audio video\r\n"+
+    "m=audio 1024 RTP/SAVPF 0\r\n"+
+    "c=IN IP4 10.0.0.1\r\n"+
+    "a=mid:audio\r\n"+
+    "a=sendrecv\r\n"+
+    "m=video 0 RTP/SAVPF 99\r\n"+
+    "c=IN IP4 10.0.0.1\r\n"+
+    "a=content:slides\r\n"+
+    "a=inactive\r\n"+
+    "m=video 1026 RTP/SAVPF 100\r\n"+
+    "c=IN IP4 10.0.0.1\r\n"+
+    "a=mid:video\r\n"+
+    "a=content:main\r\n"+
+    "a=sendrecv\r\n"});
+  var sdp = description.parseSdp();
+  deepEqual(sdp.getGroups(), [{semantics: "BUNDLE", mids: ["audio", "video"]}]);
+  strictEqual(sdp.getMediaByMid("video").port, 1026);
+  strictEqual(sdp.getMedias('video').length, 2);
+  ok(sdp.getMedia('video').isSlides() === false);
+
+  strictEqual(description.videoPort(), "1026", 'should describe the main video and not the slides');
+  strictEqual(description.getVideoMode(), ExSIP.C.SENDRECV);
+  description.setVideoMode(ExSIP.C.INACTIVE);
+  ok(description.sdp.indexOf("a=content:slides\r\na=inactive\r\nm=video 1026") !== -1);
+  ok(/a=content:main\r\na=inactive\r\n$/.test(description.sdp));
+  ok(description.isActive());
+
+  strictEqual(description.getSlidesMedias().length, 1);
+  description.removeUnsupportedMedia();
+  strictEqual(description.parseSdp().getMedias('video').length, 1);
+  strictEqual(description.getVideoCodecs()[0], "100");
+});
@@ -0,0 +1,198 @@
+module( "Session Timers", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+  }, teardown: function() {
+  }
+});
+test('outgoing INVITE requests a session interval', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.getHeader('Session-Expires'), '1800');
+  strictEqual(inviteMsg.getHeader('Min-SE'), '90');
+  ok(inviteMsg.getHeader('Supported').indexOf('timer') !== -1, 'should support timer');
+});
+test('with sessionTimers disabled', function() {
+  var options = TestExSIP.Helpers.getMediaOptions();
+  options.sessionTimers = false;
+  TestExSIP.Helpers.start(ua);
+  session = ua.call("sip:fakeUA@exsip.net", options);
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  ua.transport.onOpen();
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteMsg.getHeader('Session-Expires'), undefined);
+  strictEqual(inviteMsg.getHeader('Supported'), 'path, outbound, gruu, 100rel, replaces');
+
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "1800;refresher=uac"});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.timers.sessionRefreshTimer, null);
+});
+test('2xx with refresher uac', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uac"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  strictEqual(session.sessionTimers.interval, 600);
+  strictEqual(session.sessionTimers.refresher, true);
+  ok(session.timers.sessionRefreshTimer, 'should start the refresh timer');
+  ok(session.timers.sessionExpiresTimer, 'should start the expiration timer');
+
+  session.sessionTimers.refresh();
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(updateMsg.method, ExSIP.C.UPDATE);
+  strictEqual(updateMsg.getHeader('Session-Expires'), '600;refresher=uac');
+  ok(!updateMsg.body, 'should not carry a session description');
+});
+test('2xx with refresher uas', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uas"});
+  strictEqual(session.sessionTimers.refresher, false);
+  strictEqual(session.timers.sessionRefreshTimer, null);
+  ok(session.timers.sessionExpiresTimer, 'should start the expiration timer');
+});
+test('2xx without Session-Expires', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg);
+  strictEqual(session.sessionTimers.interval, null);
+  strictEqual(session.timers.sessionRefreshTimer, null);
+  strictEqual(session.timers.sessionExpiresTimer, null);
+});
+test('refresh with re-INVITE if UPDATE is not allowed', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uac", allow: "INVITE, ACK, CANCEL, OPTIONS, BYE"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.sessionTimers.refresh();
+  var reInviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(reInviteMsg.method, ExSIP.C.INVITE);
+  strictEqual(reInviteMsg.getHeader('Session-Expires'), '600;refresher=uac');
+  strictEqual(reInviteMsg.body, session.rtcMediaHandler.peerConnection.localDescription.sdp);
+
+  TestExSIP.Helpers.responseFor(reInviteMsg, {session_expires: "600;refresher=uac", allow: "INVITE, ACK, CANCEL, OPTIONS, BYE"});
+  var ackMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(ackMsg.method, ExSIP.C.ACK);
+  strictEqual(ackMsg.cseq, reInviteMsg.cseq);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('answer of the refresh re-INVITE', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uac", allow: "INVITE, ACK, CANCEL, OPTIONS, BYE"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.sessionTimers.refresh();
+  var reInviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(reInviteMsg, {session_expires: "600;refresher=uac", allow: "INVITE, ACK, CANCEL, OPTIONS, BYE", audioPort: "16002"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf("m=audio 16002") !== -1, 'should apply the answer');
+  strictEqual(session.rtcMediaHandler.peerConnection.localDescription.sdp, reInviteMsg.body);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('refresh failed with 481', function() {
+  var ended = null;
+  TestExSIP.Helpers.startAndConnect(ua);
+  session.on('ended', function(e){ ended = e.data; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uac"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.sessionTimers.refresh();
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, status_code: "481 Call/Transaction Does Not Exist", noSdp: true});
+  var byeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(byeMsg.method, ExSIP.C.BYE, 'should send a BYE');
+  strictEqual(byeMsg.call_id, updateMsg.call_id);
+  strictEqual(ended.cause, ExSIP.C.causes.DIALOG_ERROR);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_TERMINATED);
+});
+test('refresh failed with 408', function() {
+  var ended = null;
+  TestExSIP.Helpers.startAndConnect(ua);
+  session.on('ended', function(e){ ended = e.data; });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {session_expires: "600;refresher=uac", allow: "INVITE, ACK, CANCEL, OPTIONS, BYE"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.sessionTimers.refresh();
+  var reInviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(reInviteMsg, {status_code: "408 Request Timeout", noSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.BYE, 'should send a BYE');
+  strictEqual(ended.cause, ExSIP.C.causes.DIALOG_ERROR);
+});
+test('422 Session Interval Too Small', function() {
+  TestExSIP.Helpers.startAndConnect(ua);
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "422 Session Interval Too Small", min_se: "3600", noSdp: true});
+  var retryMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(retryMsg.method, ExSIP.C.INVITE);
+  strictEqual(retryMsg.cseq, inviteMsg.cseq + 1);
+  strictEqual(retryMsg.call_id, inviteMsg.call_id);
+  strictEqual(retryMsg.getHeader('Session-Expires'), '3600');
+  strictEqual(retryMsg.getHeader('Min-SE'), '3600');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_INVITE_SENT);
+
+  TestExSIP.Helpers.responseFor(retryMsg, {session_expires: "3600;refresher=uac"});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.sessionTimers.interval, 3600);
+});
+
+module( "Session Timers incoming", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.start(ua);
+  }, teardown: function() {
+  }
+});
+test('INVITE with refresher uac', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {supported: "path, outbound, gruu, timer", session_expires: "1200;refresher=uac"})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 180);
+
+  TestExSIP.Helpers.answer(session);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+  strictEqual(answerMsg.getHeader('Session-Expires'), '1200;refresher=uac');
+  strictEqual(answerMsg.getHeader('Require'), 'timer');
+  strictEqual(session.sessionTimers.refresher, false);
+  strictEqual(session.timers.sessionRefreshTimer, null);
+  ok(session.timers.sessionExpiresTimer, 'should start the expiration timer');
+});
+test('INVITE without refresher from a UAC not supporting timer', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {session_expires: "1200"})});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.answer(session);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.getHeader('Session-Expires'), '1200;refresher=uas');
+  strictEqual(answerMsg.getHeader('Require'), undefined);
+  strictEqual(session.sessionTimers.refresher, true);
+  ok(session.timers.sessionRefreshTimer, 'should start the refresh timer');
+});
+test('INVITE with Min-SE without Session-Expires', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {min_se: "3600"})});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.answer(session);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.getHeader('Session-Expires'), '3600;refresher=uas', 'should not go below the Min-SE of the request');
+  strictEqual(session.sessionTimers.interval, 3600);
+});
+test('INVITE with a too small session interval', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {supported: "path, outbound, gruu, timer", session_expires: "60"})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 422);
+  strictEqual(answerMsg.getHeader('Min-SE'), '90');
+});
+test('INVITE requiring timer with session timers disabled', function() {
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, session_timers: false});
+  TestExSIP.Helpers.start(ua);
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {require: "timer", session_expires: "1200"})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 420);
+  strictEqual(answerMsg.getHeader('Unsupported'), 'timer');
+});
@@ -0,0 +1,154 @@
+module( "stats", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    statsTimers = [];
+    statsSetTimeout = window.setTimeout;
+    window.setTimeout = function(fn){ statsTimers.push(fn); return statsTimers.length; };
+  }, teardown: function() {
+    window.setTimeout = statsSetTimeout;
+  }
+});
+test('quality changes', function() {
+  var qualities = [];
+  var session = startMonitoredCall({interval: 2});
+  session.on('qualityChanged', function(e){ qualities.push(e.data); });
+  strictEqual(session.getStats(), null);
+
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0, googJitterReceived: 5, googRtt: 40});
+  strictEqual(qualities.length, 1);
+  strictEqual(qualities[0].quality, "good");
+  strictEqual(qualities[0].previous, null);
+  ok(qualities[0].mos > 4.3 && qualities[0].mos <= 4.5, 'should estimate the MOS : '+qualities[0].mos);
+  strictEqual(session.getStats().audio.rtt, 40);
+
+  pollLegacyStats(session, {packetsReceived: 200, packetsLost: 2, googJitterReceived: 5, googRtt: 40});
+  strictEqual(qualities.length, 1, 'should not emit the same quality again');
+  strictEqual(session.getStats().audio.packets_received, 100);
+  strictEqual(session.getStats().audio.packets_lost, 2);
+
+  pollLegacyStats(session, {packetsReceived: 300, packetsLost: 22, googJitterReceived: 30, googRtt: 200});
+  strictEqual(qualities.length, 2);
+  strictEqual(qualities[1].quality, "bad");
+  strictEqual(qualities[1].previous, "good");
+  strictEqual(qualities[1].stats.audio.loss_rate, 20 / 120);
+
+  session.terminate();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.BYE, noSdp: true});
+  ok(session.end_time);
+  strictEqual(session.quality_summary.samples, 3);
+  strictEqual(session.quality_summary.packets_received, 300);
+  strictEqual(session.quality_summary.packets_lost, 22);
+  strictEqual(session.quality_summary.min_mos, qualities[1].mos);
+  strictEqual(session.quality_summary.max_jitter, 30);
+  strictEqual(session.quality_summary.quality, "bad");
+  strictEqual(session.timers.statsTimer, null);
+});
+test('standard statistics', function() {
+  var session = startMonitoredCall(true);
+  session.rtcMediaHandler.peerConnection.getStats = function() {
+    return {then: function(success) {
+      success({
+        "inbound_rtp_audio_0": {type: "inbound-rtp", kind: "audio", packetsReceived: 250, packetsLost: 0, jitter: 0.004},
+        "remote_inbound_rtp_audio_0": {type: "remote-inbound-rtp", kind: "audio", roundTripTime: 0.05},
+        "outbound_rtp_audio_0": {type: "outbound-rtp", kind: "audio", packetsSent: 250}
+      });
+    }};
+  };
+  statsTimers[session.timers.statsTimer - 1]();
+  strictEqual(session.getStats().audio.packets_received, 250);
+  strictEqual(session.getStats().audio.jitter, 4);
+  strictEqual(session.getStats().audio.rtt, 50);
+  ok(session.getStats().audio.mos > 4);
+  strictEqual(session.getStats().video.mos, undefined);
+});
+test('RTP timeout', function() {
+  var ended = null;
+  var session = startMonitoredCall({interval: 5, rtpTimeout: 10});
+  session.on('ended', function(e){ ended = e.data; });
+
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  session.isOnHold = true;
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  strictEqual(ended, null, 'should not expect RTP while held');
+
+  session.isOnHold = false;
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  strictEqual(ended, null);
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.BYE);
+  strictEqual(ended.originator, "system");
+  strictEqual(ended.cause, ExSIP.C.causes.RTP_TIMEOUT);
+});
+test('RTP timeout with a remote hold', function() {
+  var ended = null;
+  var session = startMonitoredCall({interval: 5, rtpTimeout: 10});
+  var peerConnection = session.rtcMediaHandler.peerConnection;
+  session.on('ended', function(e){ ended = e.data; });
+
+  [{audioMode: ExSIP.C.SENDONLY}, {audioMode: ExSIP.C.INACTIVE}, {audioPort: "0"}].forEach(function(options) {
+    peerConnection.remoteDescription = TestExSIP.Helpers.createDescription(ExSIP.Utils.merge_options(options, {type: 'answer'}));
+    pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+    pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+    strictEqual(ended, null, 'should not expect RTP while held by the far end : '+JSON.stringify(options));
+  });
+
+  peerConnection.remoteDescription = TestExSIP.Helpers.createDescription({type: 'answer'});
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  pollLegacyStats(session, {packetsReceived: 100, packetsLost: 0});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.BYE);
+  strictEqual(ended.cause, ExSIP.C.causes.RTP_TIMEOUT);
+});
+test('statistics after the end of the call', function() {
+  var onStats = null, onError = null;
+  var session = startMonitoredCall({interval: 2});
+  session.rtcMediaHandler.peerConnection.getStats = function() {
+    return {then: function(success, failure){ onStats = success; onError = failure; }};
+  };
+  statsTimers[session.timers.statsTimer - 1]();
+  session.terminate();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.BYE, noSdp: true});
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_TERMINATED);
+
+  onError('timeout');
+  strictEqual(session.timers.statsTimer, null, 'should not poll again after a failure');
+  onStats({"inbound_rtp_audio_0": {type: "inbound-rtp", kind: "audio", packetsReceived: 250, packetsLost: 0}});
+  strictEqual(session.timers.statsTimer, null, 'should not poll again after the statistics');
+});
+test('without stats option', function() {
+  var session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.timers.statsTimer, null);
+  session.terminate();
+  strictEqual(session.quality_summary, null);
+});
+
+function startMonitoredCall(stats) {
+  var session = ua.call("bob@exsip.net", ExSIP.Utils.merge_options(TestExSIP.Helpers.getMediaOptions(), {stats: stats}));
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  ok(session.timers.statsTimer, 'should poll the statistics');
+  return session;
+}
+
+function pollLegacyStats(session, values) {
+  var report = function(type, stats) {
+    return {type: type, stat: function(name){ return name === 'mediaType' ? 'audio' : stats[name]; }};
+  };
+  session.rtcMediaHandler.peerConnection.getStats = function(success) {
+    success({result: function() {
+      return [
+        report('ssrc', {packetsReceived: values.packetsReceived, packetsLost: values.packetsLost, googJitterReceived: values.googJitterReceived}),
+        report('ssrc', {packetsSent: 100, googRtt: values.googRtt}),
+        report('googCandidatePair', {})
+      ];
+    }});
+  };
+  statsTimers[session.timers.statsTimer - 1]();
+}
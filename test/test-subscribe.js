@@ -0,0 +1,202 @@
+module( "subscribe", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('SUBSCRIBE to any event package', function() {
+  var accepted = false;
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence", {accept: ["application/pidf+xml", "application/rlmi+xml"], expires: 600,
+    extraHeaders: ["X-Custom: value"], eventHandlers: {accepted: function(){ accepted = true; }}});
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(subscribeMsg.ruri.toString(), "sip:alice@exsip.net");
+  strictEqual(subscribeMsg.getHeader('Event'), "presence");
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/pidf+xml, application/rlmi+xml");
+  strictEqual(subscribeMsg.getHeader('Expires'), "600");
+  strictEqual(subscribeMsg.getHeader('X-Custom'), "value");
+  ok(/\bNOTIFY\b/.test(subscribeMsg.getHeader('Allow')), 'should allow the NOTIFY requests');
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_NOTIFY_WAIT);
+
+  TestExSIP.Helpers.responseFor(subscribeMsg, {method: ExSIP.C.SUBSCRIBE, status_code: "202 Accepted", noSdp: true, expires: 300});
+  strictEqual(accepted, true);
+});
+test('incoming SUBSCRIBE', function() {
+  var allowed = ExSIP.Utils.getAllowedMethods(ua).split(',');
+  ok(allowed.indexOf(ExSIP.C.SUBSCRIBE) !== -1 && allowed.indexOf(ExSIP.C.NOTIFY) !== -1 && allowed.indexOf(ExSIP.C.REFER) !== -1);
+
+  ua.transport.onMessage({data: "SUBSCRIBE sip:fakeUA@exsip.net SIP/2.0\r\n"+
+    "Via: SIP/2.0/WS 204.117.64.109;branch=z9hG4bK-subscribe1\r\n"+
+    "Max-Forwards: 69\r\n"+
+    "To: <sip:fakeUA@exsip.net>\r\n"+
+    "From: <sip:alice@exsip.net>;tag=watcher\r\n"+
+    "Call-ID: subscribe1\r\n"+
+    "CSeq: 1 SUBSCRIBE\r\n"+
+    "Contact: <sip:alice@exsip.net;transport=ws>\r\n"+
+    "Event: presence\r\n"+
+    "Content-Length: 0\r\n\r\n"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 489);
+});
+test('NOTIFY parsed by the registered event package', function() {
+  var notifyEvent = null;
+  ExSIP.Subscriber.registerEventPackage('x-test', {
+    accept: ['application/x-test'],
+    parse: function(body) { return body.split(','); }
+  });
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "x-test");
+  subscriber.on('notify', function(e){ notifyEvent = e; });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscribeMsg.getHeader('Accept'), "application/x-test");
+
+  notifyFor(subscribeMsg, {event: "x-test", subscription_state: "active;expires=3000", content_type: "application/x-test"}, "a,b");
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_ACTIVE);
+  strictEqual(notifyEvent.data.state, "active");
+  strictEqual(notifyEvent.data.body, "a,b");
+  deepEqual(notifyEvent.data.content, ["a", "b"]);
+
+  subscriber.refresh();
+  var refreshMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(refreshMsg.method, ExSIP.C.SUBSCRIBE);
+  strictEqual(refreshMsg.call_id, subscribeMsg.call_id);
+  strictEqual(refreshMsg.to_tag, "notifier", 'should refresh inside the dialog');
+  strictEqual(refreshMsg.cseq, subscribeMsg.cseq + 1);
+  strictEqual(refreshMsg.ruri.toString(), "sip:5vlmplnu@exarionetworks.com;transport=ws;ob");
+});
+test('NOTIFY for another event', function() {
+  var subscribeMsg = subscribeAndPop("presence");
+  notifyFor(subscribeMsg, {event: "dialog", subscription_state: "active"});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 481);
+});
+test('unsubscribe', function() {
+  var terminatedEvent = null;
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence");
+  subscriber.on('terminated', function(e){ terminatedEvent = e; });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "active;expires=3000"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  subscriber.unsubscribe();
+  var unsubscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(unsubscribeMsg.getHeader('Expires'), "0");
+  strictEqual(unsubscribeMsg.to_tag, "notifier");
+  strictEqual(terminatedEvent.data.originator, "local");
+  strictEqual(terminatedEvent.data.cause, null);
+
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "terminated;reason=timeout"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200, 'should accept the final NOTIFY');
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should not subscribe again');
+  strictEqual(subscriber.dialog, null);
+  strictEqual(ua.sessions[subscriber.id], undefined);
+});
+test('terminated with retry-after', function() {
+  var terminated = false;
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence");
+  subscriber.on('terminated', function(){ terminated = true; });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "active;expires=3000"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "terminated;reason=probation;retry-after=30"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should wait before subscribing again');
+  strictEqual(terminated, false);
+  notStrictEqual(subscriber.retryTimer, null);
+
+  subscriber.unsubscribe();
+  strictEqual(terminated, true);
+});
+test('terminated with a reason to subscribe again', function() {
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence");
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "active;expires=3000"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "terminated;reason=deactivated"});
+  TestExSIP.Helpers.popPenultimateMessageSent(ua);
+  var resubscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(resubscribeMsg.method, ExSIP.C.SUBSCRIBE);
+  notStrictEqual(resubscribeMsg.call_id, subscribeMsg.call_id, 'should start a new subscription');
+  strictEqual(resubscribeMsg.to_tag, undefined);
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_NOTIFY_WAIT);
+});
+test('terminated with a final reason', function() {
+  var terminatedEvent = null;
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence");
+  subscriber.on('terminated', function(e){ terminatedEvent = e; });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "pending"});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_PENDING);
+
+  notifyFor(subscribeMsg, {event: "presence", subscription_state: "terminated;reason=rejected"});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 200);
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0);
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_TERMINATED);
+  strictEqual(terminatedEvent.data.originator, "remote");
+  strictEqual(terminatedEvent.data.cause, "rejected");
+});
+test('SUBSCRIBE rejected', function() {
+  var failedEvent = null;
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "presence");
+  subscriber.on('failed', function(e){ failedEvent = e; });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  TestExSIP.Helpers.responseFor(subscribeMsg, {method: ExSIP.C.SUBSCRIBE, status_code: "423 Interval Too Brief", noSdp: true, min_expires: 7200});
+  var retryMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(retryMsg.getHeader('Expires'), "7200");
+  strictEqual(retryMsg.cseq, subscribeMsg.cseq + 1);
+
+  TestExSIP.Helpers.responseFor(retryMsg, {method: ExSIP.C.SUBSCRIBE, status_code: "489 Bad Event", noSdp: true});
+  strictEqual(failedEvent.data.cause, ExSIP.C.causes.SIP_FAILURE_CODE);
+  strictEqual(subscriber.status, ExSIP.Subscriber.C.STATUS_TERMINATED);
+});
+
+test('versions of the notified state', function() {
+  var checked = [];
+  ExSIP.Subscriber.registerEventPackage('x-version', {
+    accept: ['application/x-version'],
+    parse: function(body) { return body.split(','); }
+  });
+  var subscriber = ua.subscribe("sip:alice@exsip.net", "x-version");
+  subscriber.on('notify', function(e){
+    checked.push(subscriber.checkVersion(window.parseInt(e.data.content[0], 10), e.data.content[1] === "full", e.data.request));
+  });
+  var subscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var options = {event: "x-version", subscription_state: "active;expires=3000", content_type: "application/x-version"};
+
+  notifyFor(subscribeMsg, options, "3,full");
+  notifyFor(subscribeMsg, options, "4,partial");
+  notifyFor(subscribeMsg, options, "4,partial");
+  deepEqual(checked, [true, true, false], 'should discard a version already received');
+  strictEqual(subscriber.version, 4);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  notifyFor(subscribeMsg, options, "6,partial");
+  strictEqual(checked[3], false);
+  var refreshMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(refreshMsg.method, ExSIP.C.SUBSCRIBE, 'should refresh after a missed partial state');
+  strictEqual(refreshMsg.call_id, subscribeMsg.call_id);
+
+  subscriber.newSubscription();
+  var newSubscribeMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notifyFor(newSubscribeMsg, options, "0,full");
+  strictEqual(checked[4], true, 'should restart the version with the Call-ID of a new subscription');
+  strictEqual(subscriber.version, 0);
+});
+
+function subscribeAndPop(event) {
+  ua.subscribe("sip:alice@exsip.net", event);
+  return TestExSIP.Helpers.popMessageSentAndClear(ua);
+}
+
+function notifyFor(subscribeMsg, options, body) {
+  options = TestExSIP.Helpers.merge({method: ExSIP.C.NOTIFY, content_type: "application/pidf+xml",
+    from_tag: subscribeMsg.from_tag, to_tag: "notifier", call_id: subscribeMsg.call_id,
+    branch: "z9hG4bK" + Math.floor(Math.random() * 10000000)}, options);
+  ua.transport.onMessage({data: TestExSIP.Helpers.sipRequestMessage(options, body || "")});
+}
@@ -146,6 +146,102 @@ test('attended as transferee', function() {
   receiveRefer({referRequest: {referTo: "<sip:"+transferTarget+"?Replaces=592435881734450904%3Bto-tag%3D9m2n3wq%3Bfrom-tag%3D763231>"}});
 });
 
+test('basic as transferee calling the refer target', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+  var referEvent = null;
+  session.on('refer', function(e){
+    referEvent = e;
+    e.data.accept(function(referredSession){ session = referredSession; });
+  });
+
+  receiveRefer({referRequest: {referredBy: "<sip:1500@exarionetworks.com>"}});
+  strictEqual(referEvent.data.refer_to.uri.toString(), "sip:"+transferTarget);
+  strictEqual(referEvent.data.referred_by.uri.toString(), "sip:1500@exarionetworks.com");
+
+  inviteTargetSentAsTransferee();
+  strictEqual(inviteTargetMsg.getHeader("Referred-By"), "<sip:1500@exarionetworks.com>");
+  strictEqual(inviteTargetMsg.getHeader("Replaces"), undefined);
+
+  var notifyMsg = notifySent({sdp: "SIP/2.0 200 OK"});
+  strictEqual(notifyMsg.getHeader('Subscription-State'), "terminated;reason=noresource");
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+
+test('attended as transferee calling the refer target', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+  session.on('refer', function(e){
+    e.data.accept(function(referredSession){ session = referredSession; });
+  });
+
+  receiveRefer({referRequest: {referTo: "<sip:"+transferTarget+"?Replaces=592435881734450904%3Bto-tag%3D9m2n3wq%3Bfrom-tag%3D763231>"}});
+
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  inviteTargetMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteTargetMsg.to.toString(), "<sip:"+transferTarget+">");
+  strictEqual(inviteTargetMsg.getHeader("Replaces"), "592435881734450904;to-tag=9m2n3wq;from-tag=763231");
+
+  TestExSIP.Helpers.responseFor(inviteTargetMsg, {status_code: "180 Ringing", noSdp: true});
+  var notifyMsg = notifySent({sdp: "SIP/2.0 180 Ringing"});
+  strictEqual(notifyMsg.getHeader('Subscription-State'), "active;expires=60");
+});
+
+test('as transferee ignoring the unsafe headers of the refer target', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+  session.on('refer', function(e){
+    e.data.accept(function(referredSession){ session = referredSession; });
+  });
+
+  receiveRefer({referRequest: {referTo: "<sip:"+transferTarget+"?Call-ID=x&Route=%3Csip%3Aattacker.example.com%3Blr%3E&Max-Forwards=1&Priority=urgent>"}});
+
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  inviteTargetMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(inviteTargetMsg.method, ExSIP.C.INVITE);
+  notStrictEqual(inviteTargetMsg.call_id, "x");
+  strictEqual(inviteTargetMsg.countHeader("Call-ID"), 1);
+  strictEqual(inviteTargetMsg.getHeader("Route"), undefined);
+  strictEqual(inviteTargetMsg.getHeader("Max-Forwards"), "69");
+  strictEqual(inviteTargetMsg.getHeader("Priority"), "urgent");
+});
+
+test('as transferee with refer target busy', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+  session.on('refer', function(e){
+    e.data.accept(function(referredSession){ session = referredSession; });
+  });
+
+  receiveRefer();
+
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  inviteTargetMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteTargetMsg, {status_code: "486 Busy Here", noSdp: true});
+  var notifyMsg = notifySent({sdp: "SIP/2.0 486 Busy Here"});
+  strictEqual(notifyMsg.getHeader('Subscription-State'), "terminated;reason=noresource");
+});
+
+test('as transferee rejecting the refer', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+  session.on('refer', function(e){
+    e.data.reject();
+  });
+
+  referRequest(inviteMsg);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 603);
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, "Should not send a NOTIFY");
+});
+
+test('as transferee with refer missing Refer-To', function() {
+  sendInviteAndReceiveAnswer();
+  receiveHold();
+
+  referRequest(inviteMsg, {referTo: null});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 400);
+});
+
 function receiveInviteAndAnswer(inviteOptions){
   ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, inviteOptions)});
 
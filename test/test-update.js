@@ -0,0 +1,151 @@
+module( "UPDATE", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+
+    ua.transport.onMessage({data: TestExSIP.Helpers.ringingResponse(ua)});
+    ua.transport.onMessage({data: TestExSIP.Helpers.inviteResponse(ua, {videoPort: "0"})});
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+  }, teardown: function() {
+  }
+});
+test('send with offer', function() {
+  var succeeded = null;
+  session.update({success: function(response){ succeeded = response; }});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(updateMsg.method, ExSIP.C.UPDATE);
+  strictEqual(updateMsg.getHeader('Content-Type'), 'application/sdp');
+  ok(updateMsg.body.length > 0, 'should carry an offer');
+  ok(session.updateHandler.isOfferPending());
+
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, audioPort: "17000"});
+  strictEqual(TestExSIP.Helpers.sendMsgs.length, 0, 'should not send an ACK');
+  ok(succeeded, 'should call the success callback');
+  ok(!session.updateHandler.pending);
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 17000') !== -1, 'should apply the answer');
+});
+test('send without offer', function() {
+  var succeeded = false;
+  session.update({withoutSdp: true, extraHeaders: ['X-Foo: bar'], success: function(){ succeeded = true; }});
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(updateMsg.method, ExSIP.C.UPDATE);
+  strictEqual(updateMsg.getHeader('X-Foo'), 'bar');
+  ok(!updateMsg.body, 'should not carry an offer');
+  ok(!session.updateHandler.isOfferPending());
+
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, noSdp: true});
+  strictEqual(succeeded, true);
+});
+test('rejected', function() {
+  var failedCause = null,
+    previousLocalSdp = session.rtcMediaHandler.peerConnection.localDescription.sdp,
+    previousRemoteSdp = session.rtcMediaHandler.peerConnection.remoteDescription.sdp;
+  session.update({sdpOptions: {audioMode: ExSIP.C.SENDONLY}, failure: function(response, cause){ failedCause = cause; }});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  notStrictEqual(session.rtcMediaHandler.peerConnection.localDescription.sdp, previousLocalSdp);
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, status_code: "488 Not Acceptable Here", noSdp: true});
+  strictEqual(failedCause, ExSIP.C.causes.INCOMPATIBLE_SDP);
+  ok(!session.updateHandler.pending);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(session.rtcMediaHandler.peerConnection.localDescription.sdp, previousLocalSdp, 'should restore the previous offer');
+  strictEqual(session.rtcMediaHandler.peerConnection.remoteDescription.sdp, previousRemoteSdp, 'should restore the previous answer');
+});
+test('glare on 491', function() {
+  var failed = false;
+  session.update({failure: function(){ failed = true; }});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, status_code: "491 Request Pending", noSdp: true});
+  strictEqual(failed, false, 'should retry before failing');
+  ok(session.updateHandler.pending);
+  strictEqual(updateMsg.cseq + 1, session.dialog.local_seqnum, 'should use a new CSeq for the retry');
+});
+test('send while another UPDATE is pending', function() {
+  session.update();
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  throws(function(){ session.update(); }, ExSIP.Exceptions.InvalidStateError);
+});
+test('offer received while our offer is pending', function() {
+  session.update();
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteRequest(ua, {method: ExSIP.C.UPDATE, branch: 'z9hG4bK-update'})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 491);
+  strictEqual(answerMsg.method, ExSIP.C.UPDATE);
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteRequest(ua, {branch: 'z9hG4bK-reinvite'})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 491, 'should reject a re-INVITE too');
+});
+test('received with offer', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteRequest(ua, {method: ExSIP.C.UPDATE, audioPort: "18000"})});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+  strictEqual(answerMsg.method, ExSIP.C.UPDATE);
+  ok(answerMsg.body.length > 0, 'should carry the answer');
+  ok(session.rtcMediaHandler.peerConnection.remoteDescription.sdp.indexOf('m=audio 18000') !== -1, 'should apply the offer');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('received without offer refreshing the session', function() {
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteRequest(ua, {method: ExSIP.C.UPDATE, noSdp: true, supported: "timer", session_expires: "900;refresher=uac"})});
+  var answerMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(answerMsg.status_code, 200);
+  ok(!answerMsg.body, 'should not carry an answer');
+  strictEqual(answerMsg.getHeader('Session-Expires'), '900;refresher=uac');
+  strictEqual(session.sessionTimers.refresher, false);
+  ok(session.timers.sessionExpiresTimer, 'should restart the expiration timer');
+});
+
+module( "UPDATE early dialog", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    ua.on('newRTCSession', function(e){ session = e.data.session; });
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+  }, teardown: function() {
+  }
+});
+test('send after reliable early media', function() {
+  var started = [];
+  session.on('started', function(e){ started.push(e.data); });
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "183 Session Progress", require: "100rel", rseq: 1});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  session.update();
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var updateMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(updateMsg.method, ExSIP.C.UPDATE);
+  strictEqual(updateMsg.call_id, inviteMsg.call_id);
+  strictEqual(updateMsg.to_tag, session.earlyDialogs[Object.keys(session.earlyDialogs)[0]].id.remote_tag);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_1XX_RECEIVED);
+  strictEqual(started.length, 0, 'should not start the call before it is answered');
+  strictEqual(session.timers.statsTimer, null);
+
+  TestExSIP.Helpers.responseFor(updateMsg, {method: ExSIP.C.UPDATE, status_code: "488 Not Acceptable Here", noSdp: true});
+  strictEqual(started.length, 0);
+  strictEqual(session.rtcMediaHandler.peerConnection.localDescription.sdp, inviteMsg.body, 'should restore the offer of the INVITE');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_1XX_RECEIVED);
+});
+test('send offer before the INVITE is answered', function() {
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "180 Ringing", noSdp: true});
+  throws(function(){ session.update(); }, ExSIP.Exceptions.InvalidStateError);
+
+  session.update({withoutSdp: true});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.UPDATE);
+});
+test('offer received before the INVITE is answered', function() {
+  var inviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(inviteMsg, {status_code: "180 Ringing", noSdp: true});
+
+  ua.transport.onMessage({data: TestExSIP.Helpers.inviteRequest(ua, {method: ExSIP.C.UPDATE, from_tag: inviteMsg.from_tag, call_id: inviteMsg.call_id})});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 491);
+});
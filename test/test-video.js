@@ -0,0 +1,138 @@
+module( "video", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    videoTimers = [];
+    videoSetTimeout = window.setTimeout;
+    window.setTimeout = function(fn, timeout){ videoTimers.push({fn: fn, timeout: timeout}); return videoTimers.length; };
+
+    session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+    TestExSIP.Helpers.triggerOnIceCandidate(session);
+    TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {videoPort: "0"});
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+    userMediaConstraints = [];
+    ExSIP.WebRTC.getUserMedia = function(constraints, success){
+      userMediaConstraints.push(constraints);
+      success(new ExSIP.WebRTC.MediaStream());
+    };
+  }, teardown: function() {
+    window.setTimeout = videoSetTimeout;
+  }
+});
+test('add video', function() {
+  var succeeded = false, previousMedia = session.rtcMediaHandler.localMedia;
+  session.addVideo(null, {success: function(){ succeeded = true; }});
+  deepEqual(userMediaConstraints, [{audio: true, video: true}]);
+  strictEqual(session.rtcMediaHandler.createOfferConstraints.mandatory.OfferToReceiveVideo, true);
+  throws(function(){ session.removeVideo(); }, ExSIP.Exceptions.InvalidStateError);
+
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var reinviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(reinviteMsg.method, ExSIP.C.INVITE);
+  strictEqual(reinviteMsg.call_id, session.dialog.id.call_id);
+  ok(reinviteMsg.body.indexOf("m=video 16930") !== -1);
+  ok(session.videoHandler.isPending());
+
+  TestExSIP.Helpers.requestFor(reinviteMsg, {branch: "z9hG4bKglare1", cseq: 1});
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).status_code, 491, 'should reject a re-INVITE during the change');
+
+  TestExSIP.Helpers.responseFor(reinviteMsg);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua).method, ExSIP.C.ACK);
+  ok(succeeded);
+  ok(!session.videoHandler.isPending());
+  ok(session.rtcMediaHandler.localMedia !== previousMedia);
+  strictEqual(previousMedia.ended, true, 'should stop the replaced media');
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+});
+test('remove video', function() {
+  var succeeded = false;
+  session.removeVideo({success: function(){ succeeded = true; }});
+  deepEqual(userMediaConstraints, [{audio: true, video: false}]);
+  strictEqual(session.rtcMediaHandler.createOfferConstraints.mandatory.OfferToReceiveVideo, false);
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var reinviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ok(reinviteMsg.body.indexOf("m=video 0 ") !== -1, 'should reject the video stream');
+  ok(reinviteMsg.body.indexOf("a=inactive") !== -1);
+  TestExSIP.Helpers.responseFor(reinviteMsg, {videoPort: "0"});
+  ok(succeeded);
+});
+test('refused change', function() {
+  var failed = null,
+    previousMedia = session.rtcMediaHandler.localMedia,
+    previousLocalSdp = session.rtcMediaHandler.peerConnection.localDescription.sdp,
+    previousRemoteSdp = session.rtcMediaHandler.peerConnection.remoteDescription.sdp,
+    previousConstraints = session.rtcMediaHandler.createOfferConstraints;
+  session.addVideo({audio: true, video: {mandatory: {maxWidth: 640}}}, {failure: function(response, cause){ failed = {response: response, cause: cause}; }});
+  var newMedia = session.rtcMediaHandler.localMedia;
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var reinviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(reinviteMsg, {status_code: "488 Not Acceptable Here", noSdp: true});
+
+  strictEqual(failed.response.status_code, 488);
+  strictEqual(failed.cause, ExSIP.C.causes.INCOMPATIBLE_SDP);
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED, 'should keep the call');
+  strictEqual(session.rtcMediaHandler.localMedia, previousMedia);
+  ok(!previousMedia.ended);
+  strictEqual(newMedia.ended, true, 'should stop the refused media');
+  strictEqual(session.rtcMediaHandler.peerConnection.localDescription.sdp, previousLocalSdp);
+  strictEqual(session.rtcMediaHandler.peerConnection.remoteDescription.sdp, previousRemoteSdp);
+  strictEqual(session.rtcMediaHandler.createOfferConstraints, previousConstraints);
+
+  session.removeVideo();
+  ok(session.videoHandler.change, 'should allow another change');
+});
+test('screen share with glare', function() {
+  var succeeded = 0, failed = null, screen = new ExSIP.WebRTC.MediaStream();
+  throws(function(){ session.startScreenShare(); }, TypeError);
+
+  session.startScreenShare(screen, {success: function(){ succeeded++; }, failure: function(response, cause){ failed = cause; }});
+  ok(session.isScreenSharing());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var reinviteMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(reinviteMsg, {status_code: "491 Request Pending", noSdp: true});
+  ok(!session.isScreenSharing(), 'should restore the media until the next offer');
+  var timer = videoTimers[session.timers.videoRetryTimer - 1];
+  ok(timer.timeout >= 2100 && timer.timeout <= 4000, 'should wait as the owner of the Call-ID : '+timer.timeout);
+
+  timer.fn();
+  ok(session.isScreenSharing());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  var retryMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(retryMsg.method, ExSIP.C.INVITE);
+  ok(retryMsg.cseq > reinviteMsg.cseq);
+  TestExSIP.Helpers.responseFor(retryMsg, {status_code: "491 Request Pending", noSdp: true});
+  timer = videoTimers[session.timers.videoRetryTimer - 1];
+  ok(timer.timeout >= 4200 && timer.timeout <= 8000, 'should double the time : '+timer.timeout);
+
+  timer.fn();
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  retryMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(retryMsg, {status_code: "491 Request Pending", noSdp: true});
+  strictEqual(failed, ExSIP.Utils.sipErrorCause(491), 'should give up after the last attempt');
+  ok(!session.isScreenSharing());
+  strictEqual(succeeded, 0);
+
+  session.startScreenShare(screen, {success: function(){ succeeded++; }});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  strictEqual(succeeded, 1);
+  ok(session.isScreenSharing());
+
+  session.stopScreenShare({success: function(){ succeeded++; }});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  strictEqual(succeeded, 2);
+  ok(!session.isScreenSharing());
+  ok(!screen.ended, 'should leave the screen to the application');
+});
+test('invalid state', function() {
+  session.hold();
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  ok(session.isHeld());
+  throws(function(){ session.addVideo(); }, ExSIP.Exceptions.InvalidStateError);
+  strictEqual(userMediaConstraints.length, 0);
+});
@@ -0,0 +1,160 @@
+module( "vq-rtcpxr", {
+  setup: function() {
+    ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false, vq_collector: "collector@exsip.net", vq_report_interval: 60});
+    TestExSIP.Helpers.mockWebRTC();
+    TestExSIP.Helpers.startAndConnect(ua);
+    TestExSIP.Helpers.popMessageSentAndClear(ua);
+    vqTimers = [];
+    vqSetTimeout = window.setTimeout;
+    window.setTimeout = function(fn){ vqTimers.push(fn); return vqTimers.length; };
+  }, teardown: function() {
+    window.setTimeout = vqSetTimeout;
+  }
+});
+test('interval and session reports', function() {
+  var session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ok(session.timers.statsTimer, 'should collect the statistics of the reports');
+  ok(session.timers.vqReportTimer);
+
+  session.rtcMediaHandler.peerConnection.getStats = function(success) {
+    success({result: function() {
+      return [
+        {type: 'ssrc', stat: function(name){ return {mediaType: 'audio', packetsReceived: 196, packetsLost: 4, googJitterReceived: 12}[name]; }},
+        {type: 'ssrc', stat: function(name){ return {mediaType: 'audio', packetsSent: 200, googRtt: 80}[name]; }},
+        {type: 'googCandidatePair', stat: function(name){ return {googActiveConnection: 'true', googLocalAddress: '192.168.1.2:5000', googRemoteAddress: '[2001:db8::1]:6000'}[name]; }}
+      ];
+    }});
+  };
+  vqTimers[session.timers.statsTimer - 1]();
+  vqTimers[session.timers.vqReportTimer - 1]();
+
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.method, ExSIP.C.PUBLISH);
+  strictEqual(publishMsg.ruri.toString(), "sip:collector@exsip.net");
+  strictEqual(publishMsg.getHeader('Event'), "vq-rtcpxr");
+  strictEqual(publishMsg.getHeader('Content-Type'), "application/vq-rtcpxr");
+  var lines = publishMsg.body.split("\r\n");
+  strictEqual(lines[0], "VQIntervalReport");
+  strictEqual(lines[1], "CallID:"+session.dialog.id.call_id);
+  strictEqual(lines[3], "RemoteID:<sip:bob@exsip.net>");
+  strictEqual(lines[4], lines[2].replace("LocalID", "OrigID"));
+  strictEqual(lines[5], "LocalAddr:IP=192.168.1.2 PORT=5000");
+  strictEqual(lines[6], "RemoteAddr:IP=2001:db8::1 PORT=6000");
+  strictEqual(lines[7], "LocalMetrics:");
+  ok(/^Timestamps:START=\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ STOP=/.test(lines[8]));
+  strictEqual(lines[9], "SessionDesc:PT=9 PD=G722 SR=8000");
+  strictEqual(lines[10], "PacketLoss:NLR=2.0");
+  strictEqual(lines[11], "Delay:RTD=80 IAJ=12");
+  ok(/^QualityEst:MOSLQ=\d\.\d QoEEstAlg=G.107$/.test(lines[12]));
+  strictEqual(lines[13], "DialogID:"+session.dialog.id.call_id+";to-tag="+session.dialog.id.remote_tag+";from-tag="+session.dialog.id.local_tag);
+  strictEqual(lines[14], "");
+  ok(session.timers.vqReportTimer, 'should schedule the next interval report');
+
+  vqTimers[session.timers.vqReportTimer - 1]();
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ok(publishMsg.body.indexOf("PacketLoss:NLR=0.0\r\n") !== -1, 'should only report the statistics of the interval');
+  strictEqual(publishMsg.body.indexOf("QualityEst"), -1);
+
+  session.terminate();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.BYE, noSdp: true});
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.method, ExSIP.C.PUBLISH);
+  strictEqual(publishMsg.cseq, 3);
+  lines = publishMsg.body.split("\r\n");
+  strictEqual(lines[0], "VQSessionReport: CallTerm");
+  strictEqual(lines[10], "PacketLoss:NLR=2.0");
+  strictEqual(session.timers.vqReportTimer, null);
+});
+test('reports after an authentication', function() {
+  var session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+
+  vqTimers[session.timers.vqReportTimer - 1]();
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  TestExSIP.Helpers.responseFor(publishMsg, {method: ExSIP.C.PUBLISH, status_code: "401 Unauthorized", noSdp: true,
+    www_authenticate: "DIGEST qop=\"auth\",nonce=\"BroadWorksXhou9t4uvTc36x37BW\",realm=\"broadsoft.com\",algorithm=MD5"});
+  var authMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(authMsg.method, ExSIP.C.PUBLISH);
+  strictEqual(authMsg.cseq, publishMsg.cseq + 1);
+  TestExSIP.Helpers.responseFor(authMsg, {method: ExSIP.C.PUBLISH, noSdp: true});
+
+  session.terminate();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.BYE, noSdp: true});
+  publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.method, ExSIP.C.PUBLISH);
+  strictEqual(publishMsg.call_id, authMsg.call_id);
+  strictEqual(publishMsg.cseq, authMsg.cseq + 1, 'should keep the CSeq increasing after an authentication');
+});
+test('session report of an incoming call', function() {
+  var session = null;
+  ua.on('newRTCSession', function(e){ session = e.data.session; });
+  ua.transport.onMessage({data: TestExSIP.Helpers.initialInviteRequest(ua, {})});
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  session.answer({stats: {interval: 2}});
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ok(session.isStarted());
+  strictEqual(session.statsCollector.interval, 2);
+  var localTag = session.dialog.id.local_tag;
+
+  session.terminate();
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua), {method: ExSIP.C.BYE, noSdp: true});
+  var publishMsg = TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(publishMsg.method, ExSIP.C.PUBLISH);
+  var lines = publishMsg.body.split("\r\n");
+  strictEqual(lines[0], "VQSessionReport: CallTerm");
+  strictEqual(lines[1], "CallID:090459243588173445");
+  strictEqual(lines[3], "RemoteID:\"Dom Webrtc\" <sip:1500@exarionetworks.com>");
+  strictEqual(lines[4], "OrigID:\"Dom Webrtc\" <sip:1500@exarionetworks.com>");
+  ok(/^LocalAddr:IP=10\.48\.1\.23 PORT=16550$/.test(lines[5]), 'should describe the addresses of the session descriptions without statistics');
+  strictEqual(lines[9], "SessionDesc:PT=9 PD=G722 SR=8000");
+  strictEqual(lines[10], "PacketLoss:NLR=0.0");
+  strictEqual(lines[11], "DialogID:090459243588173445;to-tag="+localTag+";from-tag=7553452");
+});
+test('without RTP timeout', function() {
+  var session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  ok(session.statsCollector.enabled);
+  strictEqual(session.statsCollector.rtpTimeout, 0, 'should not end the calls of the reports without RTP');
+
+  session.rtcMediaHandler.peerConnection.getStats = function(success) {
+    success({result: function() {
+      return [{type: 'ssrc', stat: function(name){ return {mediaType: 'audio', packetsReceived: 0, packetsLost: 0}[name]; }}];
+    }});
+  };
+  for (var idx = 0; idx < 10; idx++) {
+    vqTimers[session.timers.statsTimer - 1]();
+  }
+  strictEqual(session.status, ExSIP.RTCSession.C.STATUS_CONFIRMED);
+  strictEqual(TestExSIP.Helpers.popMessageSentAndClear(ua), null);
+
+  var monitored = ua.call("bob@exsip.net", ExSIP.Utils.merge_options(TestExSIP.Helpers.getMediaOptions(), {stats: true}));
+  strictEqual(monitored.statsCollector.rtpTimeout, 30, 'should keep the RTP timeout of the monitored calls');
+});
+test('without collector', function() {
+  ua = TestExSIP.Helpers.createFakeUA({trace_sip: true, use_preloaded_route: false});
+  TestExSIP.Helpers.startAndConnect(ua);
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  var session = ua.call("bob@exsip.net", TestExSIP.Helpers.getMediaOptions());
+  TestExSIP.Helpers.triggerOnIceCandidate(session);
+  TestExSIP.Helpers.responseFor(TestExSIP.Helpers.popMessageSentAndClear(ua));
+  TestExSIP.Helpers.popMessageSentAndClear(ua);
+  strictEqual(session.timers.statsTimer, null);
+  strictEqual(session.timers.vqReportTimer, null);
+  session.terminate();
+  strictEqual(TestExSIP.Helpers.popMessageSent(ua).method, ExSIP.C.BYE);
+});
+test('configuration', function() {
+  strictEqual(ua.configuration.vq_collector.toString(), "sip:collector@exsip.net");
+  strictEqual(ua.configuration.vq_report_interval, 60);
+  throws(function(){ TestExSIP.Helpers.createFakeUA({vq_collector: "sips:collector@exsip.net"}); }, ExSIP.Exceptions.ConfigurationError, "should not take the sips scheme for a user");
+  throws(function(){ TestExSIP.Helpers.createFakeUA({vq_collector: "sip:@"}); }, ExSIP.Exceptions.ConfigurationError);
+  throws(function(){ TestExSIP.Helpers.createFakeUA({vq_collector: "collector@exsip.net", vq_report_interval: -1}); }, ExSIP.Exceptions.ConfigurationError);
+});